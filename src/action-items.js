@@ -0,0 +1,432 @@
+/**
+ * Action items and decisions as a checklist
+ *
+ * The "Extract action items" style of the summary modal asks the pipeline
+ * for structured output instead of a free-text summary: the decisions and
+ * the action items (task, owner user ID, due date, source message ts) as
+ * JSON. Items are checked against the transcript, so an owner is always
+ * someone who wrote or was mentioned there and a source is always one of its messages, and are
+ * posted as a Block Kit checklist with the owner mentioned and a permalink
+ * to the source message.
+ *
+ * Every action item has:
+ * - a "Done" checkbox that strikes the item through for everyone
+ * - "Remind": a DM to the owner (or to whoever clicked, when nobody owns it)
+ *   at 9:00 their time on the due date, or the next morning without one.
+ *   Slack's reminders API only accepts user tokens, so this is a message the
+ *   bot schedules with chat.scheduleMessage
+ * - "DM owner": sends the item to its owner right away
+ *
+ * Long transcripts are read in parts (see summarize.js) and the items of all
+ * parts are listed together. Extraction is always awaited with callAiria,
+ * also for async pipelines, since the answer is parsed rather than posted.
+ */
+
+import { createLogger } from './logging.js';
+import { escapeMrkdwn, markdownToMrkdwn } from './render.js';
+import { getSummaryConfig, splitTranscript, askPipeline } from './summarize.js';
+import { messageText, formatTranscriptLine } from './transcript.js';
+import { finishPlaceholder } from './placeholder.js';
+import {
+  fetchPermalink,
+  fetchUserInfo,
+  openDirectMessage,
+  postSlackMessage,
+  scheduleSlackMessage,
+  updateSlackMessage
+} from './slack.js';
+
+export const ACTION_ITEM_DONE_ACTION = 'action_item_done';
+export const ACTION_ITEM_REMIND_ACTION = 'action_item_remind';
+export const ACTION_ITEM_DM_ACTION = 'action_item_dm';
+
+const MAX_ACTION_ITEMS = 20;
+const MAX_DECISIONS = 15;
+const MAX_TASK_CHARS = 300;
+const MAX_SECTION_CHARS = 2900;
+const REMINDER_HOUR = 9;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXTRACTION_PROMPT = `Extract the decisions and the action items from this conversation. Every line starts with the message timestamp in brackets, then the author's name and user ID.
+Reply with only a JSON object in this shape, without any other text:
+{"decisions": [{"decision": "...", "source_ts": "..."}], "action_items": [{"task": "...", "owner": "...", "due": "...", "source_ts": "..."}]}
+- task: what has to be done, in one short sentence
+- owner: the user ID of the person who should do it, or null when nobody was named
+- due: the due date as YYYY-MM-DD, or null when none was mentioned
+- source_ts: the timestamp of the message the decision or action item comes from
+Use empty lists when there are none.`;
+
+/**
+ * Whether a block_actions action_id belongs to the checklist
+ */
+export function isActionItemAction(actionId) {
+  return actionId === ACTION_ITEM_DONE_ACTION || actionId === ACTION_ITEM_REMIND_ACTION || actionId === ACTION_ITEM_DM_ACTION;
+}
+
+/**
+ * Collapse whitespace and cut text to maxChars, ending with an ellipsis when cut
+ */
+export function truncate(text, maxChars) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > maxChars ? `${flat.slice(0, maxChars - 1)}…` : flat;
+}
+
+function clip(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+function readJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '');
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = cleaned.indexOf(open);
+    const end = cleaned.lastIndexOf(close);
+    if (start === -1 || end <= start) continue;
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (err) {
+      // Try the other shape
+    }
+  }
+  return null;
+}
+
+function readDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  return Number.isNaN(Date.parse(`${value}T00:00:00Z`)) ? null : value;
+}
+
+/**
+ * Read the pipeline's answer, keeping only what matches the conversation
+ * @param {string} text - The answer
+ * @param {Object} known
+ * @param {Set<string>} known.users - User IDs of the authors and the people they mentioned
+ * @param {Set<string>} known.messages - Timestamps of the messages
+ * @returns {?{decisions: Object[], actionItems: Object[]}} null when the answer is not JSON
+ *   Action items are { task, owner, due, sourceTs } and decisions { decision, sourceTs }
+ */
+export function parseActionItems(text, { users, messages }) {
+  const parsed = readJson(text);
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  // A bare list is taken as the action items
+  const rawItems = Array.isArray(parsed) ? parsed : parsed.action_items;
+  const rawDecisions = Array.isArray(parsed) ? [] : parsed.decisions;
+  const source = ts => (ts !== null && ts !== undefined && messages.has(String(ts)) ? String(ts) : null);
+  const owner = value => {
+    const id = typeof value === 'string' ? value.replace(/^<@|>$/g, '').split('|')[0].trim() : null;
+    return id && users.has(id) ? id : null;
+  };
+
+  const actionItems = (Array.isArray(rawItems) ? rawItems : [])
+    .filter(item => item && typeof item.task === 'string' && item.task.trim())
+    .map(item => ({
+      task: truncate(item.task, MAX_TASK_CHARS),
+      owner: owner(item.owner),
+      due: readDate(item.due),
+      sourceTs: source(item.source_ts)
+    }));
+  const decisions = (Array.isArray(rawDecisions) ? rawDecisions : [])
+    .filter(item => item && typeof item.decision === 'string' && item.decision.trim())
+    .map(item => ({ decision: truncate(item.decision, MAX_TASK_CHARS), sourceTs: source(item.source_ts) }));
+
+  return { decisions, actionItems };
+}
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter(item => {
+    const value = item[key].toLowerCase();
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  });
+}
+
+/**
+ * Ask the pipeline for the decisions and action items of a conversation
+ * @param {Object} env - Environment variables
+ * @param {Object} pipeline - Pipeline from resolvePipeline/getPipeline
+ * @param {Object[]} messages - Slack messages, oldest first
+ * @param {Object} names - From fetchTranscriptNames (see transcript.js)
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @param {Function} [options.onProgress] - Called with a short status text before every part of a long transcript
+ * @param {number} [options.now] - Current time in milliseconds, for relative due dates
+ * @returns {Promise<{decisions: Object[], actionItems: Object[], unparsed: string[]}>} unparsed holds
+ *   answers that were not JSON, shown as they are
+ */
+export async function extractActionItems(env, pipeline, messages, names, { tag = 'SUMMARY', onProgress = async () => {}, now = Date.now() } = {}) {
+  const log = createLogger(env, tag);
+  const known = {
+    // Owners can be authors or people mentioned in the conversation
+    users: new Set(messages.flatMap(msg => [msg.user, ...[...messageText(msg).matchAll(/<@([UW][A-Z0-9]+)/g)].map(match => match[1])]).filter(Boolean)),
+    messages: new Set(messages.map(msg => msg.ts))
+  };
+  const parts = splitTranscript(messages.map(msg => formatTranscriptLine(msg, names, { ids: true })), getSummaryConfig(env).chunkChars);
+  const today = new Date(now).toISOString().slice(0, 10);
+
+  const result = { decisions: [], actionItems: [], unparsed: [] };
+  for (const [index, part] of parts.entries()) {
+    const partNote = parts.length > 1 ? ` This is part ${index + 1} of ${parts.length} of a longer conversation.` : '';
+    if (parts.length > 1) {
+      await onProgress(`:hourglass_flowing_sand: Reading part ${index + 1} of ${parts.length}...`);
+    }
+    const answer = await askPipeline(env, pipeline, `${EXTRACTION_PROMPT} Today is ${today}.${partNote}\n\n${part}`, tag);
+    const parsed = parseActionItems(answer, known);
+    if (parsed) {
+      result.decisions.push(...parsed.decisions);
+      result.actionItems.push(...parsed.actionItems);
+    } else {
+      log.warn('Answer was not a list of action items', { part: index + 1, parts: parts.length });
+      result.unparsed.push(answer);
+    }
+  }
+
+  result.decisions = uniqueBy(result.decisions, 'decision').slice(0, MAX_DECISIONS);
+  result.actionItems = uniqueBy(result.actionItems, 'task').slice(0, MAX_ACTION_ITEMS);
+  log.info('Extracted action items', { actionItems: result.actionItems.length, decisions: result.decisions.length, parts: parts.length });
+  return result;
+}
+
+function formatDue(due) {
+  // Noon UTC is the same date in nearly every time zone
+  return `<!date^${Date.parse(`${due}T12:00:00Z`) / 1000}^{date_short_pretty}|${due}>`;
+}
+
+function itemText(item, link) {
+  const details = [item.owner ? `<@${item.owner}>` : '_No owner_'];
+  if (item.due) details.push(`Due ${formatDue(item.due)}`);
+  if (link) details.push(`<${link}|Source>`);
+  return `*${escapeMrkdwn(item.task)}*\n${details.join(' · ')}`;
+}
+
+function sourceLink(links, sourceTs) {
+  return sourceTs ? links.get(sourceTs) || null : null;
+}
+
+/**
+ * Build the checklist message
+ * @param {Object} env - Environment variables
+ * @param {string} channel - Channel the conversation is in, for permalinks
+ * @param {Object} checklist - From extractActionItems
+ * @param {Object} [options]
+ * @param {?string} [options.source] - What was read, e.g. "this thread" or "last 6 hours"
+ * @returns {Promise<{text: string, blocks: Object[]}>}
+ */
+export async function buildActionItemsMessage(env, channel, { decisions, actionItems, unparsed = [] }, { source = null } = {}) {
+  const sources = [...new Set([...decisions, ...actionItems].map(item => item.sourceTs).filter(Boolean))];
+  const links = new Map(await Promise.all(sources.map(async ts => [ts, await fetchPermalink(env, channel, ts)])));
+
+  const title = 'Action items and decisions';
+  const counts = `${actionItems.length} action item${actionItems.length === 1 ? '' : 's'}, ${decisions.length} decision${decisions.length === 1 ? '' : 's'}`;
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: title, emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: source ? `From ${escapeMrkdwn(source)} · ${counts}` : counts }] }
+  ];
+  const textLines = [`*${title}*`];
+
+  if (decisions.length) {
+    const lines = decisions.map(item => {
+      const link = sourceLink(links, item.sourceTs);
+      return `• ${escapeMrkdwn(item.decision)}${link ? ` (<${link}|source>)` : ''}`;
+    });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: clip(`*Decisions*\n${lines.join('\n')}`, MAX_SECTION_CHARS) } });
+    textLines.push('Decisions:', ...decisions.map(item => `• ${item.decision}`));
+  }
+
+  if (actionItems.length) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*Action items*' } });
+    textLines.push('Action items:');
+    actionItems.forEach((item, index) => {
+      const link = sourceLink(links, item.sourceTs);
+      // Everything the buttons need travels in their value
+      const value = JSON.stringify({ task: item.task, owner: item.owner, due: item.due, link, channel });
+      blocks.push({
+        type: 'section',
+        block_id: `action_item_${index}`,
+        text: { type: 'mrkdwn', text: itemText(item, link) },
+        accessory: {
+          type: 'checkboxes',
+          action_id: ACTION_ITEM_DONE_ACTION,
+          options: [{ text: { type: 'mrkdwn', text: 'Done' }, value: String(index) }]
+        }
+      });
+      blocks.push({
+        type: 'actions',
+        block_id: `action_item_${index}_buttons`,
+        elements: [
+          { type: 'button', action_id: ACTION_ITEM_REMIND_ACTION, text: { type: 'plain_text', text: item.owner ? 'Remind owner' : 'Remind me' }, value },
+          ...(item.owner ? [{ type: 'button', action_id: ACTION_ITEM_DM_ACTION, text: { type: 'plain_text', text: 'DM owner' }, value }] : [])
+        ]
+      });
+      textLines.push(`☐ ${item.task}${item.owner ? ` (<@${item.owner}>)` : ''}${item.due ? `, due ${item.due}` : ''}`);
+    });
+  }
+
+  if (!decisions.length && !actionItems.length && !unparsed.length) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No decisions or action items found._' } });
+    textLines.push('No decisions or action items found.');
+  }
+
+  if (unparsed.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: 'Part of the answer could not be read as a list:' }] });
+    for (const answer of unparsed) {
+      const text = markdownToMrkdwn(answer);
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: clip(text, MAX_SECTION_CHARS) || ' ' } });
+      textLines.push(text);
+    }
+  }
+
+  return { text: textLines.join('\n'), blocks };
+}
+
+/**
+ * Post the checklist where the summary was asked for
+ * @param {Object} env - Environment variables
+ * @param {{text: string, blocks: Object[]}} message - From buildActionItemsMessage
+ * @param {Object} destination
+ * @param {?string} [destination.responseUrl] - Only the requester sees it (ephemeral)
+ * @param {?Object} [destination.placeholder] - Replaced with the checklist
+ * @param {string} [destination.channel] - Otherwise posted here
+ * @param {?string} [destination.thread_ts]
+ */
+export async function postActionItems(env, message, { responseUrl = null, placeholder = null, channel = null, thread_ts = null }) {
+  if (responseUrl) {
+    const response = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, ...message })
+    });
+    if (!response.ok) {
+      throw new Error(`response_url returned ${response.status}`);
+    }
+    return;
+  }
+  if (placeholder) {
+    await finishPlaceholder(env, placeholder, message);
+    return;
+  }
+  await postSlackMessage(env, channel, message.text, thread_ts, message.blocks);
+}
+
+/**
+ * When a reminder is sent: 9:00 in the recipient's time zone on the due
+ * date, or the next morning when there is none or it has passed
+ * @param {?string} due - YYYY-MM-DD
+ * @param {Object} [clock]
+ * @param {number} [clock.now] - Current time in milliseconds
+ * @param {number} [clock.tzOffsetSeconds] - The recipient's UTC offset
+ * @returns {number} Unix time in seconds
+ */
+export function getReminderTime(due, { now = Date.now(), tzOffsetSeconds = 0 } = {}) {
+  const offsetMs = tzOffsetSeconds * 1000;
+  const morning = localMidnight => localMidnight + REMINDER_HOUR * 60 * 60 * 1000 - offsetMs;
+  const nextMorning = morning(Math.floor((now + offsetMs) / DAY_MS) * DAY_MS + DAY_MS);
+  const dueMorning = due ? morning(Date.parse(`${due}T00:00:00Z`)) : null;
+  return Math.floor((dueMorning && dueMorning > now ? dueMorning : nextMorning) / 1000);
+}
+
+async function respondEphemeral(responseUrl, text) {
+  if (!responseUrl) return;
+  await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text }),
+  });
+}
+
+function conversationLink(item) {
+  return item.link ? `\n<${item.link}|View the conversation>` : '';
+}
+
+async function scheduleReminder(env, payload, item) {
+  const userId = payload.user.id;
+  const recipient = item.owner || userId;
+  let tzOffsetSeconds = 0;
+  try {
+    tzOffsetSeconds = (await fetchUserInfo(env, recipient)).tz_offset || 0;
+  } catch (err) {
+    createLogger(env, 'ACTION_ITEMS').warn('Could not read time zone, using UTC', { user: recipient, error: err });
+  }
+
+  const postAt = getReminderTime(item.due, { tzOffsetSeconds });
+  const askedBy = recipient === userId ? '' : ` (from <@${userId}>)`;
+  const due = item.due ? `, due ${formatDue(item.due)}` : '';
+  const channel = await openDirectMessage(env, recipient);
+  await scheduleSlackMessage(env, channel, `:alarm_clock: Reminder${askedBy}: *${escapeMrkdwn(item.task)}*${due}${conversationLink(item)}`, postAt);
+
+  const who = recipient === userId ? 'you' : `<@${recipient}>`;
+  await respondEphemeral(payload.response_url,
+    `:alarm_clock: I'll remind ${who} <!date^${postAt}^{date_short_pretty} at {time}|at ${new Date(postAt * 1000).toISOString()}>.`);
+}
+
+async function sendToOwner(env, payload, item) {
+  if (!item.owner) {
+    await respondEphemeral(payload.response_url, 'This action item has no owner.');
+    return;
+  }
+  const due = item.due ? `, due ${formatDue(item.due)}` : '';
+  const from = item.channel ? ` from <#${item.channel}>` : '';
+  await postSlackMessage(env, item.owner,
+    `:clipboard: <@${payload.user.id}> sent you an action item${from}: *${escapeMrkdwn(item.task)}*${due}${conversationLink(item)}`);
+  await respondEphemeral(payload.response_url, `:incoming_envelope: Sent to <@${item.owner}>.`);
+}
+
+/**
+ * Strike an item through with who checked it, or undo that
+ */
+export function markItemDone(text, done, userId) {
+  const [title, details = ''] = text.split('\n');
+  const openTitle = title.replace(/^~(.*)~$/, '$1');
+  const openDetails = details.replace(/ · Done by <@[^>]+>$/, '');
+  return done
+    ? `~${openTitle}~\n${openDetails} · Done by <@${userId}>`
+    : `${openTitle}\n${openDetails}`;
+}
+
+async function toggleDone(env, payload, action) {
+  const message = payload.message;
+  if (!message || !Array.isArray(message.blocks)) {
+    // Ephemeral checklists arrive without their message; the checkbox still shows for the requester
+    createLogger(env, 'ACTION_ITEMS').info('Checklist message not in payload, not updating', { container: payload.container });
+    return;
+  }
+
+  const done = (action.selected_options || []).length > 0;
+  const blocks = message.blocks.map(block => {
+    if (block.block_id !== action.block_id) return block;
+    const { initial_options, ...accessory } = block.accessory;
+    return {
+      ...block,
+      text: { ...block.text, text: markItemDone(block.text.text, done, payload.user.id) },
+      accessory: done ? { ...accessory, initial_options: accessory.options } : accessory
+    };
+  });
+  const channel = (payload.channel && payload.channel.id) || (payload.container && payload.container.channel_id);
+  await updateSlackMessage(env, channel, message.ts, message.text, blocks);
+}
+
+/**
+ * Handles the checklist's checkboxes and buttons
+ */
+export async function processActionItemAction(payload, env) {
+  const log = createLogger(env, 'ACTION_ITEMS');
+  const action = payload.actions[0];
+  log.info('Checklist action', { actionId: action.action_id, user: payload.user && payload.user.id });
+
+  try {
+    if (action.action_id === ACTION_ITEM_DONE_ACTION) {
+      await toggleDone(env, payload, action);
+      return;
+    }
+    const item = JSON.parse(action.value);
+    if (action.action_id === ACTION_ITEM_REMIND_ACTION) {
+      await scheduleReminder(env, payload, item);
+    } else {
+      await sendToOwner(env, payload, item);
+    }
+  } catch (err) {
+    log.error('Error handling checklist action', { actionId: action.action_id, error: err });
+    await respondEphemeral(payload.response_url, `Sorry, that did not work: ${err.message}`);
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Airia API client
+ *
+ * Every call to an Airia pipeline goes through callAiria, which adds:
+ * - a timeout per attempt
+ * - retries with exponential backoff on network errors, timeouts, 429 and 5xx
+ * - a circuit breaker per pipeline URL that fails over to the pipeline's
+ *   secondary URL (see pipelines.js) while the primary keeps failing
+ * - validation of the response, normalized to { result, isBackupPipeline }
+ *
+ * Long-running pipelines can run with asyncOutput instead: submitAiriaExecution
+ * starts an execution and getAiriaExecution reads its status later (see
+ * async-jobs.js for how results are delivered).
+ *
+ * Configuration (all optional):
+ * - AIRIA_TIMEOUT_MS: timeout per attempt (default 25000)
+ * - AIRIA_MAX_RETRIES: retries after the first attempt (default 2)
+ * - AIRIA_RETRY_BASE_MS: first backoff delay, doubled on every retry (default 500)
+ * - AIRIA_CIRCUIT_THRESHOLD: consecutive failures that open the circuit (default 5)
+ * - AIRIA_CIRCUIT_COOLDOWN_SECONDS: how long an open circuit skips the primary (default 30)
+ */
+
+import { createLogger } from './logging.js';
+
+const DEFAULT_TIMEOUT_MS = 25000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_CIRCUIT_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_COOLDOWN_SECONDS = 30;
+// Never wait longer than this between retries, whatever Retry-After says
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Field names pipelines have been seen to use for the answer, in order of preference
+const RESULT_FIELDS = ['result', 'answer', 'response', 'output'];
+
+// Execution states reported by Airia, normalized to pending/running/complete/failed
+const EXECUTION_STATES = {
+  pending: ['pending', 'queued', 'submitted', 'accepted', 'created'],
+  running: ['running', 'in_progress', 'inprogress', 'processing', 'started'],
+  complete: ['complete', 'completed', 'succeeded', 'success', 'done', 'finished'],
+  failed: ['failed', 'failure', 'error', 'cancelled', 'canceled', 'timeout', 'timedout']
+};
+
+// Circuit state per pipeline URL, kept per isolate
+const circuits = new Map();
+
+/**
+ * Error from an Airia call
+ * `status` is the HTTP status when Airia answered, `code` one of:
+ * http_error, timeout, network_error, invalid_response, circuit_open,
+ * execution_failed (an asyncOutput execution that Airia reported as failed)
+ */
+export class AiriaError extends Error {
+  constructor(message, { status = null, code = 'http_error', retryable = false } = {}) {
+    super(message);
+    this.name = 'AiriaError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+function readNonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function readClientConfig(env) {
+  return {
+    timeoutMs: readNonNegativeInt(env.AIRIA_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: readNonNegativeInt(env.AIRIA_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    retryBaseMs: readNonNegativeInt(env.AIRIA_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS),
+    circuitThreshold: readNonNegativeInt(env.AIRIA_CIRCUIT_THRESHOLD, DEFAULT_CIRCUIT_THRESHOLD) || DEFAULT_CIRCUIT_THRESHOLD,
+    circuitCooldownMs: readNonNegativeInt(env.AIRIA_CIRCUIT_COOLDOWN_SECONDS, DEFAULT_CIRCUIT_COOLDOWN_SECONDS) * 1000
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether the circuit for a URL is open (the URL should be skipped)
+ * After the cooldown one request is let through to probe the pipeline again
+ */
+export function isCircuitOpen(url) {
+  const circuit = circuits.get(url);
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+function recordSuccess(url) {
+  circuits.delete(url);
+}
+
+function recordFailure(url, config, log) {
+  const circuit = circuits.get(url) || { failures: 0, openUntil: 0 };
+  circuit.failures++;
+  if (circuit.failures >= config.circuitThreshold) {
+    circuit.openUntil = Date.now() + config.circuitCooldownMs;
+    log.warn('Circuit opened', { cooldownSeconds: config.circuitCooldownMs / 1000, failures: circuit.failures });
+  }
+  circuits.set(url, circuit);
+}
+
+function normalizeBackupFlag(value) {
+  return value === true || value === 'true' || value === 1;
+}
+
+/**
+ * Validate an Airia response body and normalize it
+ * JSON bodies must carry the answer in one of RESULT_FIELDS; a plain-text
+ * body is taken as the answer itself
+ * @param {string} rawText - Response body
+ * @returns {{result: string, isBackupPipeline: boolean}} Normalized response
+ */
+export function parseAiriaResponse(rawText) {
+  const text = (rawText || '').trim();
+  if (!text) {
+    throw new AiriaError('Airia returned an empty response', { code: 'invalid_response' });
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    return { result: text, isBackupPipeline: false };
+  }
+
+  if (typeof json === 'string') {
+    return { result: json, isBackupPipeline: false };
+  }
+  if (!json || typeof json !== 'object') {
+    throw new AiriaError('Airia returned an unexpected response', { code: 'invalid_response' });
+  }
+
+  const field = RESULT_FIELDS.find(name => json[name] !== undefined && json[name] !== null);
+  if (!field) {
+    throw new AiriaError('Airia response is missing the "result" field', { code: 'invalid_response' });
+  }
+
+  const value = json[field];
+  const result = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return { result, isBackupPipeline: normalizeBackupFlag(json.isBackupPipeline) };
+}
+
+function normalizeExecutionStatus(value) {
+  const status = String(value || '').toLowerCase().replace(/[\s-]/g, '_');
+  return Object.keys(EXECUTION_STATES).find(state => EXECUTION_STATES[state].includes(status)) || null;
+}
+
+/**
+ * Validate the response to an asyncOutput submission or status request
+ * @param {string} rawText - Response body
+ * @returns {{executionId: ?string, status: string, statusUrl: ?string, result: ?string,
+ *   isBackupPipeline: boolean, error: ?string}} Normalized execution
+ */
+export function parseAiriaExecution(rawText) {
+  let json;
+  try {
+    json = JSON.parse((rawText || '').trim());
+  } catch (err) {
+    throw new AiriaError('Airia returned a non-JSON execution status', { code: 'invalid_response' });
+  }
+  if (!json || typeof json !== 'object') {
+    throw new AiriaError('Airia returned an unexpected execution status', { code: 'invalid_response' });
+  }
+
+  const executionId = json.executionId || json.executionID || json.execution_id || json.id || null;
+  const hasResult = RESULT_FIELDS.some(name => json[name] !== undefined && json[name] !== null);
+  // A finished answer without a status is treated as complete
+  const status = normalizeExecutionStatus(json.status || json.state) || (hasResult ? 'complete' : null);
+
+  if (!status || (!executionId && status !== 'complete')) {
+    throw new AiriaError('Airia execution response is missing an execution id or status', { code: 'invalid_response' });
+  }
+
+  const execution = {
+    executionId,
+    status,
+    statusUrl: json.statusUrl || json.status_url || null,
+    result: null,
+    isBackupPipeline: normalizeBackupFlag(json.isBackupPipeline),
+    error: status === 'failed' ? String(json.error || json.message || 'The pipeline failed') : null
+  };
+
+  if (status === 'complete') {
+    Object.assign(execution, parseAiriaResponse(rawText));
+  }
+  return execution;
+}
+
+/**
+ * One HTTP attempt against one URL (a GET when there is no body)
+ */
+async function attempt(url, apiKey, body, config) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        'X-API-KEY': apiKey,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new AiriaError(`Airia did not respond within ${config.timeoutMs}ms`, { code: 'timeout', retryable: true });
+    }
+    throw new AiriaError(`Could not reach Airia: ${err.message}`, { code: 'network_error', retryable: true });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const rawText = await response.text();
+  if (!response.ok) {
+    const error = new AiriaError(`Airia API returned an error: ${response.status}`, {
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500
+    });
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (Number.isFinite(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+    throw error;
+  }
+
+  return rawText;
+}
+
+/**
+ * Call one URL with retries, updating its circuit
+ */
+async function callWithRetries(url, apiKey, body, config, log) {
+  let lastError;
+
+  for (let attemptNo = 0; attemptNo <= config.maxRetries; attemptNo++) {
+    if (attemptNo > 0) {
+      const backoff = config.retryBaseMs * 2 ** (attemptNo - 1);
+      const delay = Math.min(lastError.retryAfterMs || backoff, MAX_RETRY_DELAY_MS);
+      log.warn('Retrying Airia call', { delayMs: delay, attempt: attemptNo + 1, maxAttempts: config.maxRetries + 1, error: lastError });
+      await sleep(delay);
+    }
+
+    try {
+      const rawText = await attempt(url, apiKey, body, config);
+      recordSuccess(url);
+      return rawText;
+    } catch (err) {
+      lastError = err;
+      if (!err.retryable) break;
+    }
+  }
+
+  // Only failures that say something about the pipeline's health count towards the circuit
+  if (lastError.retryable) recordFailure(url, config, log);
+  throw lastError;
+}
+
+/**
+ * Send a request to a pipeline, failing over to its secondary URL
+ * @param {Function} parse - Validates the raw response body and returns the parsed value
+ */
+async function sendWithFailover(env, pipeline, body, parse, tag) {
+  const config = readClientConfig(env);
+  const log = createLogger(env, tag);
+  const targets = [{ url: pipeline.url, apiKey: pipeline.apiKey, failedOver: false }];
+  if (pipeline.secondary && pipeline.secondary.url) {
+    targets.push({ url: pipeline.secondary.url, apiKey: pipeline.secondary.apiKey, failedOver: true });
+  }
+
+  let lastError = null;
+  for (const [index, target] of targets.entries()) {
+    const isLast = index === targets.length - 1;
+    if (!isLast && isCircuitOpen(target.url)) {
+      log.warn('Circuit open, using the secondary URL', { pipeline: pipeline.name });
+      lastError = new AiriaError('Airia pipeline is temporarily unavailable', { code: 'circuit_open', retryable: true });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const rawText = await callWithRetries(target.url, target.apiKey, body, config, log);
+      log.debug('Raw AI response', { rawResponse: rawText });
+      const parsed = parse(rawText);
+      log.info('Airia answered', {
+        pipeline: pipeline.name,
+        failedOver: target.failedOver,
+        isBackupPipeline: parsed.isBackupPipeline,
+        durationMs: Date.now() - startedAt
+      });
+      return { ...parsed, pipeline: pipeline.name, url: target.url, apiKey: target.apiKey, failedOver: target.failedOver };
+    } catch (err) {
+      log.error('Airia call failed', { pipeline: pipeline.name, error: err, durationMs: Date.now() - startedAt });
+      lastError = err;
+      // A bad request or an invalid answer would fail the same way on the secondary
+      if (!err.retryable) break;
+      if (!isLast) {
+        log.warn('Failing over to the secondary URL', { pipeline: pipeline.name });
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Send a question to an Airia pipeline and wait for the answer
+ * @param {Object} env - Environment variables
+ * @param {Object} pipeline - Pipeline from resolvePipeline/getPipeline ({ name, url, apiKey, secondary })
+ * @param {string} userInput - Input for the pipeline
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @returns {Promise<{result: string, isBackupPipeline: boolean, pipeline: string, url: string, failedOver: boolean}>}
+ * Throws AiriaError when neither the primary nor the secondary URL produced a valid answer
+ */
+export async function callAiria(env, pipeline, userInput, { tag = 'AIRIA' } = {}) {
+  const { apiKey, ...answer } = await sendWithFailover(env, pipeline, { userInput, asyncOutput: false }, parseAiriaResponse, tag);
+  return answer;
+}
+
+/**
+ * Start an asyncOutput execution
+ * Pipelines that answer straight away anyway come back with status "complete" and a result
+ * @param {Object} env - Environment variables
+ * @param {Object} pipeline - Pipeline from resolvePipeline/getPipeline
+ * @param {string} userInput - Input for the pipeline
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @param {string} [options.callbackUrl] - URL Airia should POST the finished execution to
+ * @returns {Promise<Object>} Execution from parseAiriaExecution, plus the pipeline name, the URL
+ *   that accepted it and that URL's API key (needed to poll the same deployment)
+ */
+export async function submitAiriaExecution(env, pipeline, userInput, { tag = 'AIRIA', callbackUrl = null } = {}) {
+  const body = { userInput, asyncOutput: true };
+  if (callbackUrl) body.callbackUrl = callbackUrl;
+  return sendWithFailover(env, pipeline, body, parseAiriaExecution, tag);
+}
+
+/**
+ * Read the status of an asyncOutput execution (no failover: the execution lives on one deployment)
+ * @param {Object} env - Environment variables
+ * @param {string} statusUrl - Status URL of the execution
+ * @param {string} apiKey - API key of the deployment that accepted it
+ * @returns {Promise<Object>} Execution from parseAiriaExecution
+ */
+export async function getAiriaExecution(env, statusUrl, apiKey, { tag = 'AIRIA' } = {}) {
+  const rawText = await callWithRetries(statusUrl, apiKey, null, readClientConfig(env), createLogger(env, tag));
+  return parseAiriaExecution(rawText);
+}
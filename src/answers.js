@@ -0,0 +1,240 @@
+/**
+ * Delivering AI answers to Slack
+ *
+ * Long answers are split into numbered parts (see chunking.js) and posted
+ * in order to the same channel or thread. Answers that would need more
+ * than MAX_MESSAGE_PARTS messages are not posted in full: the first part
+ * is posted together with a button that uploads the complete answer as a
+ * file instead.
+ *
+ * Answers posted with a `feedback` option also get the helpful / not
+ * helpful / Regenerate buttons from feedback.js on their last message,
+ * and their question is added to the asking user's recent questions on
+ * the App Home tab (see history.js).
+ *
+ * Configuration (all optional):
+ * - MESSAGE_CHUNK_CHARS: Markdown characters per message (default 3000)
+ * - MAX_MESSAGE_PARTS: parts posted as messages before offering a file instead (default 4)
+ */
+
+import { buildAnswerMessages } from './render.js';
+import { DEFAULT_CHUNK_CHARS } from './chunking.js';
+import { postSlackMessage, uploadTextFile } from './slack.js';
+import { finishPlaceholder } from './placeholder.js';
+import { saveAnswerRecord, buildFeedbackBlock } from './feedback.js';
+import { recordQuestion } from './history.js';
+import { createLogger } from './logging.js';
+
+export const UPLOAD_FULL_RESPONSE_ACTION = 'upload_full_response';
+
+const DEFAULT_MAX_PARTS = 4;
+// Slack accepts at most 5 messages per response_url
+const MAX_RESPONSE_URL_MESSAGES = 5;
+const FULL_RESPONSE_TTL_SECONDS = 24 * 60 * 60;
+const MAX_BLOCKS_PER_MESSAGE = 50;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function chunkChars(env) {
+  return readPositiveInt(env.MESSAGE_CHUNK_CHARS, DEFAULT_CHUNK_CHARS);
+}
+
+/**
+ * Keep the full answer so the upload button can turn it into a file later
+ * @returns {Promise<string|null>} Response ID, or null when KV is not configured
+ */
+async function storeFullResponse(env, answer) {
+  if (!env.BOT_STATE) return null;
+
+  const responseId = crypto.randomUUID();
+  try {
+    await env.BOT_STATE.put(`response:${responseId}`, JSON.stringify({
+      result: answer.result,
+      title: answer.title || null,
+      question: answer.question || null
+    }), { expirationTtl: FULL_RESPONSE_TTL_SECONDS });
+    return responseId;
+  } catch (err) {
+    createLogger(env, 'ANSWER').error('Error storing full response', { error: err });
+    return null;
+  }
+}
+
+function uploadOfferMessage(responseId, totalParts) {
+  const notice = `:page_facing_up: This answer is too long to post in full (${totalParts} parts). Only the first part is shown above.`;
+  return {
+    text: notice,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: notice } },
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            action_id: UPLOAD_FULL_RESPONSE_ACTION,
+            text: { type: 'plain_text', text: 'Upload full answer as a file', emoji: true },
+            value: responseId
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Attach the feedback buttons to the last message of an answer
+ * A message without blocks (or without room for one more) gets a short follow-up instead
+ */
+async function addFeedbackButtons(env, messages, answer, feedback) {
+  const answerId = await saveAnswerRecord(env, {
+    title: answer.title,
+    isBackupPipeline: answer.isBackupPipeline,
+    ...feedback
+  });
+  if (!answerId) return messages;
+
+  const block = buildFeedbackBlock(answerId);
+  const last = messages[messages.length - 1];
+  if (last.blocks && last.blocks.length < MAX_BLOCKS_PER_MESSAGE) {
+    return [...messages.slice(0, -1), { ...last, blocks: [...last.blocks, block] }];
+  }
+  return [...messages, { text: 'Was this answer helpful?', blocks: [block] }];
+}
+
+// Summaries have no question and are not kept
+async function recordAnswer(env, answer, feedback) {
+  if (!feedback || !feedback.user || !answer.question) return;
+  await recordQuestion(env, feedback.user, { question: answer.question, answer: answer.result, surface: feedback.surface });
+}
+
+/**
+ * Post an AI answer to a channel or thread, split into parts when needed
+ * @param {Object} env - Environment variables
+ * @param {Object} options - buildAnswerMessage options plus the destination
+ * @param {string} options.channel - Slack channel ID
+ * @param {string} [options.thread_ts] - Thread to post the parts in
+ * @param {Object} [options.placeholder] - Placeholder (see placeholder.js) replaced by the first part
+ * @param {Object} [options.feedback] - Answer record for the feedback buttons (see saveAnswerRecord)
+ * @returns {Promise<Object[]>} Slack API results, in order
+ * Throws when the first part cannot be posted so callers can fall back
+ */
+export async function postAnswer(env, { channel, thread_ts = null, placeholder = null, feedback = null, ...answer }) {
+  const log = createLogger(env, 'ANSWER');
+  let messages = buildAnswerMessages(answer, chunkChars(env));
+  const maxParts = readPositiveInt(env.MAX_MESSAGE_PARTS, DEFAULT_MAX_PARTS);
+  let uploadOffer = null;
+
+  if (messages.length > maxParts) {
+    const responseId = await storeFullResponse(env, answer);
+    if (responseId) {
+      log.info('Answer too long, offering a file upload instead', { parts: messages.length });
+      uploadOffer = uploadOfferMessage(responseId, messages.length);
+      messages = messages.slice(0, 1);
+    }
+  }
+
+  let queue = [...messages, ...(uploadOffer ? [uploadOffer] : [])];
+  if (feedback) {
+    queue = await addFeedbackButtons(env, queue, answer, { ...feedback, channel, thread_ts });
+  }
+
+  const results = [];
+
+  if (placeholder) {
+    const first = queue.shift();
+    try {
+      results.push(await finishPlaceholder(env, placeholder, first));
+    } catch (err) {
+      log.warn('Could not replace placeholder, posting a new message', { error: err });
+      results.push(await postSlackMessage(env, channel, first.text, thread_ts, first.blocks));
+    }
+  }
+
+  for (const message of queue) {
+    results.push(await postSlackMessage(env, channel, message.text, thread_ts, message.blocks));
+  }
+
+  if (messages.length > 1) {
+    log.info('Posted answer in parts', { parts: messages.length });
+  }
+  await recordAnswer(env, answer, feedback);
+  return results;
+}
+
+/**
+ * Send an AI answer to a slash command's response_url, split into parts when needed
+ * Slack only accepts a handful of messages per response_url, so very long
+ * answers end with a note instead of the remaining parts
+ * @param {Object} env - Environment variables
+ * @param {string} responseUrl - Slack response_url
+ * @param {Object} answer - buildAnswerMessage options, plus an optional `feedback` answer record
+ */
+export async function postAnswerToResponseUrl(env, responseUrl, { feedback = null, ...answer }) {
+  let messages = buildAnswerMessages(answer, chunkChars(env));
+  const maxParts = Math.min(readPositiveInt(env.MAX_MESSAGE_PARTS, DEFAULT_MAX_PARTS), MAX_RESPONSE_URL_MESSAGES - 1);
+
+  if (messages.length > maxParts) {
+    const omitted = messages.length - maxParts;
+    const notice = `_The answer was too long for this reply; ${omitted} more part(s) were not shown. Ask in a direct message to get the complete answer._`;
+    messages = [
+      ...messages.slice(0, maxParts),
+      { text: notice, blocks: [{ type: 'context', elements: [{ type: 'mrkdwn', text: notice }] }] }
+    ];
+  }
+
+  if (feedback) {
+    messages = await addFeedbackButtons(env, messages, answer, feedback);
+  }
+
+  for (const message of messages) {
+    await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message.blocks ? message : { text: message.text }),
+    });
+  }
+  await recordAnswer(env, answer, feedback);
+}
+
+/**
+ * Handles the "Upload full answer as a file" button
+ */
+export async function processUploadFullResponse(payload, env) {
+  const action = payload.actions[0];
+  const channelId = payload.channel && payload.channel.id;
+  const threadTs = payload.message && payload.message.thread_ts;
+  const log = createLogger(env, 'ANSWER');
+  log.info('Upload of full response requested', { responseId: action.value });
+
+  const respond = (body) => fetch(payload.response_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  try {
+    const stored = env.BOT_STATE ? await env.BOT_STATE.get(`response:${action.value}`, 'json') : null;
+    if (!stored) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: 'Sorry, this answer has expired and can no longer be uploaded.' });
+      return;
+    }
+
+    const content = stored.question ? `Question: ${stored.question}\n\n${stored.result}` : stored.result;
+    await uploadTextFile(env, {
+      channel: channelId,
+      thread_ts: threadTs,
+      filename: 'airia-answer.md',
+      title: stored.title || 'AI Assistant answer',
+      content
+    });
+
+    await respond({ replace_original: true, text: ':page_facing_up: The full answer was uploaded as a file.' });
+    log.info('Uploaded full response as a file');
+  } catch (err) {
+    log.error('Error uploading full response', { error: err });
+    await respond({ response_type: 'ephemeral', replace_original: false, text: `Sorry, the answer could not be uploaded: ${err.message}` });
+  }
+}
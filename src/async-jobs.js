@@ -0,0 +1,385 @@
+/**
+ * Long-running Airia executions (asyncOutput)
+ *
+ * Pipelines marked as async (see pipelines.js) are submitted with
+ * asyncOutput: true instead of being awaited inside the request. The
+ * execution id is stored as a job together with where the answer has to go
+ * (a channel or thread, a slash command's response_url, or a workflow custom step),
+ * and the result is delivered later by whichever comes first:
+ * - Airia POSTing the finished execution to /airia/callback/<jobId>
+ *   (when AIRIA_CALLBACK_BASE_URL is set), or
+ * - the scheduled poller (pollAsyncJobs), which reads the execution status
+ *
+ * Jobs move through pending -> running -> complete | failed, and the
+ * placeholder message shows the current state until the answer replaces it.
+ *
+ * A job keeps the redaction mapping of its input (see redaction.js) until it
+ * is finished, so the delivered answer has the original values back; it is
+ * removed from the job as soon as the answer or error is delivered.
+ *
+ * Configuration (all optional):
+ * - AIRIA_CALLBACK_BASE_URL: public URL of this Worker, enables the callback route
+ * - AIRIA_ASYNC_TIMEOUT_MINUTES: when an unfinished job is given up (default 60)
+ */
+
+import { callAiria, submitAiriaExecution, getAiriaExecution, parseAiriaExecution, AiriaError } from './airia.js';
+import { getPipeline } from './pipelines.js';
+import { postAnswer, postAnswerToResponseUrl } from './answers.js';
+import { updateSlackMessage, completeFunction } from './slack.js';
+import { stopPlaceholder, showPlaceholderError, formatElapsed } from './placeholder.js';
+import { saveConversationTurn } from './conversation.js';
+import { claimIdempotencyKey, runIdempotentJob } from './idempotency.js';
+import { redactInput, restoreText } from './redaction.js';
+import { getEnvTeamContext, withInstallationToken, InstallationError } from './installations.js';
+import { createLogger } from './logging.js';
+
+const JOB_PREFIX = 'airia-job:';
+const DEFAULT_TIMEOUT_MINUTES = 60;
+// Finished jobs are kept for a while so late callbacks and polls are recognized
+const FINISHED_JOB_TTL_SECONDS = 60 * 60;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function timeoutMs(env) {
+  return readPositiveInt(env.AIRIA_ASYNC_TIMEOUT_MINUTES, DEFAULT_TIMEOUT_MINUTES) * 60 * 1000;
+}
+
+function isFinished(job) {
+  return job.status === 'complete' || job.status === 'failed';
+}
+
+async function saveJob(env, job) {
+  job.updatedAt = Date.now();
+  const ttl = isFinished(job)
+    ? FINISHED_JOB_TTL_SECONDS
+    : Math.ceil(timeoutMs(env) / 1000) + FINISHED_JOB_TTL_SECONDS;
+  await env.BOT_STATE.put(`${JOB_PREFIX}${job.id}`, JSON.stringify(job), { expirationTtl: ttl });
+}
+
+/**
+ * Load a stored job
+ * @returns {Promise<Object|null>} The job, or null when it does not exist (any more)
+ */
+export async function loadJob(env, jobId) {
+  if (!env.BOT_STATE || !jobId) return null;
+  return env.BOT_STATE.get(`${JOB_PREFIX}${jobId}`, 'json');
+}
+
+function statusUrlFor(pipeline, execution) {
+  if (execution.statusUrl) return execution.statusUrl;
+  if (pipeline.statusUrl && execution.executionId) {
+    return pipeline.statusUrl.replace('{executionId}', encodeURIComponent(execution.executionId));
+  }
+  return null;
+}
+
+// API keys are not stored with the job; they are looked up again from the pipeline
+function apiKeyFor(env, job) {
+  const pipeline = getPipeline(env, job.pipeline);
+  return job.failedOver && pipeline.secondary ? pipeline.secondary.apiKey : pipeline.apiKey;
+}
+
+function statusText(job) {
+  const elapsed = formatElapsed(Date.now() - job.createdAt);
+  if (job.status === 'pending') {
+    return `:hourglass_flowing_sand: Waiting for the pipeline to start... (${elapsed})`;
+  }
+  return `:gear: The pipeline is working on it... (${elapsed})`;
+}
+
+/**
+ * Reflect a pending/running job in its placeholder message
+ */
+async function showJobStatus(env, job) {
+  const placeholder = job.destination.placeholder;
+  if (job.destination.type !== 'message' || !placeholder) return;
+
+  try {
+    await updateSlackMessage(env, placeholder.channel, placeholder.ts, statusText(job));
+  } catch (err) {
+    createLogger(env, 'ASYNC').warn('Error updating placeholder status', { jobId: job.id, error: err });
+  }
+}
+
+async function deliverAnswer(env, job, execution) {
+  const { destination } = job;
+  const { isBackupPipeline } = execution;
+  const result = restoreText(execution.result, job.redaction);
+  const answer = {
+    ...job.answer,
+    result,
+    isBackupPipeline,
+    feedback: job.answer.feedback ? { ...job.answer.feedback, isBackupPipeline } : null
+  };
+
+  if (destination.type === 'message') {
+    // The stored placeholder is not ticking any more, so it only needs its final content
+    const placeholder = destination.placeholder ? { ...destination.placeholder, stopped: true } : null;
+    await postAnswer(env, { channel: destination.channel, thread_ts: destination.thread_ts, placeholder, ...answer });
+  } else if (destination.type === 'response_url') {
+    await postAnswerToResponseUrl(env, destination.response_url, answer);
+  } else if (destination.type === 'function') {
+    await completeFunction(env, destination, { outputs: { response: result, is_backup_pipeline: Boolean(isBackupPipeline) } });
+  }
+
+  if (job.conversation) {
+    await saveConversationTurn(env, job.conversation.key, job.conversation.question, result);
+  }
+}
+
+async function deliverFailure(env, job, error) {
+  const { destination } = job;
+  const text = `Sorry, the AI pipeline could not answer: ${error}`;
+
+  if (destination.type === 'message') {
+    const placeholder = destination.placeholder ? { ...destination.placeholder, stopped: true } : null;
+    await showPlaceholderError(env, placeholder, { channel: destination.channel, thread_ts: destination.thread_ts, text });
+  } else if (destination.type === 'response_url') {
+    await fetch(destination.response_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text }),
+    });
+  } else if (destination.type === 'function') {
+    await completeFunction(env, destination, { error: text });
+  }
+}
+
+// The job's workspace env, or null when the workspace cannot be served right now (see installations.js)
+async function jobEnv(baseEnv, job) {
+  try {
+    return await withInstallationToken(baseEnv, job.team);
+  } catch (err) {
+    if (!(err instanceof InstallationError)) throw err;
+    if (err.code === 'not_installed') {
+      // Nothing can be posted to a workspace without the app, so the job ends here
+      job.status = 'failed';
+      job.redaction = null;
+      await saveJob(baseEnv, job);
+    }
+    return null;
+  }
+}
+
+/**
+ * Record a status change of a job's execution, delivering the answer or error when it is finished
+ * The callback route and the poller may both see the end of an execution; only one of them delivers
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Stored job
+ * @param {Object} execution - Execution from parseAiriaExecution
+ */
+export async function applyExecutionUpdate(baseEnv, job, execution) {
+  if (isFinished(job)) return;
+  const env = await jobEnv(baseEnv, job);
+  if (!env) return;
+
+  if (execution.status === 'pending' || execution.status === 'running') {
+    const changed = job.status !== execution.status;
+    job.status = execution.status;
+    if (changed) await saveJob(env, job);
+    await showJobStatus(env, job);
+    return;
+  }
+
+  const key = `idempotency:airia-job:${job.id}`;
+  const claim = await claimIdempotencyKey(env, key);
+  if (!claim.acquired) {
+    createLogger(env, 'ASYNC').info('Job is already being delivered', { jobId: job.id });
+    return;
+  }
+
+  await runIdempotentJob(env, key, async () => {
+    if (execution.status === 'complete') {
+      await deliverAnswer(env, job, execution);
+    } else {
+      await deliverFailure(env, job, execution.error);
+    }
+    job.status = execution.status;
+    job.redaction = null;
+    await saveJob(env, job);
+    createLogger(env, 'ASYNC').info('Job finished', { jobId: job.id, status: execution.status, durationMs: Date.now() - job.createdAt });
+  });
+}
+
+/**
+ * Ask a pipeline, either waiting for the answer or handing it to an async job
+ * The input is redacted first (see redaction.js) and placeholders are restored in the
+ * answer, whether it arrives here or is delivered later by a job
+ * @param {Object} env - Environment variables
+ * @param {Object} pipeline - Pipeline from resolvePipeline/getPipeline
+ * @param {string} userInput - Input for the pipeline
+ * @param {Object} options
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @param {Object} options.destination - Where an async answer goes:
+ *   { type: 'message', channel, thread_ts, placeholder }, { type: 'response_url', response_url }
+ *   or { type: 'function', function_execution_id, token } for a workflow custom step
+ * @param {Object} [options.answer] - postAnswer options for the async answer (question, title, feedback)
+ * @param {Object} [options.conversation] - { key, question } to remember the turn once answered
+ * @returns {Promise<Object|null>} The answer (see callAiria), or null when it will be delivered later
+ */
+export async function runAiria(env, pipeline, userInput, { tag = 'AIRIA', destination, answer = {}, conversation = null }) {
+  const log = createLogger(env, tag);
+  const redacted = redactInput(env, pipeline, userInput, tag);
+
+  if (!pipeline.async || !env.BOT_STATE) {
+    const result = await callAiria(env, pipeline, redacted.text, { tag });
+    return { ...result, result: restoreText(result.result, redacted.mapping) };
+  }
+
+  const jobId = crypto.randomUUID();
+  const callbackToken = crypto.randomUUID();
+  const callbackUrl = env.AIRIA_CALLBACK_BASE_URL
+    ? `${env.AIRIA_CALLBACK_BASE_URL.replace(/\/$/, '')}/airia/callback/${jobId}?token=${callbackToken}`
+    : null;
+
+  const execution = await submitAiriaExecution(env, pipeline, redacted.text, { tag, callbackUrl });
+  if (execution.status === 'complete') {
+    log.info('Async pipeline answered immediately');
+    const { apiKey, executionId, status, statusUrl, error, ...result } = execution;
+    return { ...result, result: restoreText(result.result, redacted.mapping) };
+  }
+  if (execution.status === 'failed') {
+    throw new AiriaError(execution.error, { code: 'execution_failed' });
+  }
+
+  const livePlaceholder = destination.placeholder || null;
+  await stopPlaceholder(livePlaceholder);
+
+  const job = {
+    id: jobId,
+    status: execution.status,
+    executionId: execution.executionId,
+    statusUrl: statusUrlFor(pipeline, execution),
+    pipeline: execution.pipeline,
+    failedOver: execution.failedOver,
+    callbackToken,
+    tag,
+    destination: {
+      ...destination,
+      placeholder: livePlaceholder
+        ? { channel: livePlaceholder.channel, ts: livePlaceholder.ts, startedAt: livePlaceholder.startedAt }
+        : null
+    },
+    answer: {
+      ...answer,
+      feedback: answer.feedback ? { ...answer.feedback, pipeline: execution.pipeline, pipelineUrl: execution.url } : null
+    },
+    conversation,
+    // Reversible placeholders to restore in the answer; null when nothing was redacted
+    redaction: redacted.mapping && Object.keys(redacted.mapping).length ? redacted.mapping : null,
+    // The answer is delivered with the bot token of this workspace (see installations.js)
+    team: getEnvTeamContext(env),
+    createdAt: Date.now()
+  };
+
+  if (!job.statusUrl && !callbackUrl) {
+    log.warn('Async job has neither a status URL nor a callback URL; it can only time out', { jobId });
+  }
+
+  await saveJob(env, job);
+  await showJobStatus(env, job);
+  if (destination.type === 'response_url') {
+    await fetch(destination.response_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: ':hourglass_flowing_sand: Your question was sent to a long-running pipeline. The answer will appear here when it is ready.' }),
+    });
+  }
+  log.info('Started async job', { jobId, executionId: execution.executionId });
+  return null;
+}
+
+/**
+ * Poll every unfinished job once, delivering finished executions and giving up on expired ones
+ * Runs from the Worker's scheduled() handler
+ */
+export async function pollAsyncJobs(env) {
+  if (!env.BOT_STATE) return;
+  const log = createLogger(env, 'ASYNC');
+
+  let cursor;
+  let polled = 0;
+  do {
+    const page = await env.BOT_STATE.list({ prefix: JOB_PREFIX, cursor });
+    cursor = page.list_complete ? null : page.cursor;
+
+    for (const { name } of page.keys) {
+      const job = await env.BOT_STATE.get(name, 'json');
+      if (!job || isFinished(job)) continue;
+      polled++;
+
+      if (Date.now() - job.createdAt > timeoutMs(env)) {
+        await applyExecutionUpdate(env, job, { status: 'failed', error: `no answer after ${formatElapsed(Date.now() - job.createdAt)}` });
+        continue;
+      }
+
+      if (!job.statusUrl) {
+        // Callback-only job: keep the elapsed time current until Airia calls back
+        const scopedEnv = await jobEnv(env, job);
+        if (scopedEnv) await showJobStatus(scopedEnv, job);
+        continue;
+      }
+
+      try {
+        const execution = await getAiriaExecution(env, job.statusUrl, apiKeyFor(env, job), { tag: 'ASYNC' });
+        await applyExecutionUpdate(env, job, execution);
+      } catch (err) {
+        // Invalid status responses fail the job, anything else is tried again on the next poll
+        if (err instanceof AiriaError && err.code === 'invalid_response') {
+          await applyExecutionUpdate(env, job, { status: 'failed', error: err.message });
+        } else {
+          log.error('Error polling job', { jobId: job.id, error: err });
+        }
+      }
+    }
+  } while (cursor);
+
+  if (polled > 0) {
+    log.info('Polled unfinished jobs', { polled });
+  }
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Handles POST /airia/callback/<jobId>?token=... from Airia
+ * @returns {Promise<Response>} The HTTP response for Airia
+ */
+export async function handleAiriaCallback(request, env, ctx) {
+  const url = new URL(request.url);
+  const jobId = url.pathname.split('/').pop();
+  const log = createLogger(env, 'ASYNC');
+  const job = await loadJob(env, jobId);
+
+  if (!job || !tokensMatch(job.callbackToken, url.searchParams.get('token'))) {
+    log.warn('Rejected callback for unknown job or bad token', { jobId });
+    return new Response('Not found', { status: 404 });
+  }
+
+  let execution;
+  try {
+    execution = parseAiriaExecution(await request.text());
+  } catch (err) {
+    log.error('Invalid callback body', { jobId, error: err });
+    return new Response('Invalid execution payload', { status: 400 });
+  }
+
+  log.info('Callback received', { jobId, status: execution.status });
+  ctx.waitUntil(applyExecutionUpdate(env, job, execution));
+  return new Response(JSON.stringify({ ok: true }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * Splitting long Markdown answers into Slack-sized parts
+ *
+ * Parts are cut on paragraph boundaries where possible. Fenced code
+ * blocks are kept whole, or closed and reopened with the same fence when
+ * a single block is larger than one part, and bold/inline-code markers
+ * are re-balanced when a paragraph has to be cut mid-way.
+ */
+
+export const DEFAULT_CHUNK_CHARS = 3000;
+
+/**
+ * Break Markdown into units that should not be split: paragraphs and whole code fences
+ */
+function splitUnits(markdown) {
+  const units = [];
+  let current = [];
+  let fence = null;
+
+  const flush = () => {
+    if (current.length > 0) {
+      units.push({ fence: null, text: current.join('\n') });
+      current = [];
+    }
+  };
+
+  for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+    if (fence) {
+      current.push(line);
+      if (line.trim().startsWith(fence.marker)) {
+        units.push({ fence, text: current.join('\n') });
+        current = [];
+        fence = null;
+      }
+      continue;
+    }
+
+    const opener = line.match(/^\s*(```|~~~)/);
+    if (opener) {
+      flush();
+      fence = { marker: opener[1], opener: line.trim() };
+      current.push(line);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flush();
+    } else {
+      current.push(line);
+    }
+  }
+
+  // An unterminated fence is closed so it renders as code
+  if (fence) {
+    current.push(fence.marker);
+    units.push({ fence, text: current.join('\n') });
+  } else {
+    flush();
+  }
+
+  return units;
+}
+
+/**
+ * Split an oversized code fence into several complete fences
+ */
+function splitFence(unit, maxChars) {
+  const lines = unit.text.split('\n').slice(1, -1);
+  const open = unit.fence.opener;
+  const close = unit.fence.marker;
+  const budget = Math.max(maxChars - open.length - close.length - 2, 1);
+  const pieces = [];
+  let body = [];
+  let size = 0;
+
+  const flush = () => {
+    pieces.push(`${open}\n${body.join('\n')}\n${close}`);
+    body = [];
+    size = 0;
+  };
+
+  for (let line of lines) {
+    // Lines longer than a whole part are hard-wrapped
+    while (line.length > budget) {
+      if (body.length > 0) flush();
+      body.push(line.slice(0, budget));
+      flush();
+      line = line.slice(budget);
+    }
+    if (body.length > 0 && size + line.length + 1 > budget) {
+      flush();
+    }
+    body.push(line);
+    size += line.length + 1;
+  }
+  if (body.length > 0) flush();
+
+  return pieces;
+}
+
+// Markers that must appear in pairs for inline formatting to render
+const INLINE_MARKERS = ['**', '`', '~~'];
+
+function countMarker(text, marker) {
+  return text.split(marker).length - 1;
+}
+
+/**
+ * Split an oversized paragraph on line, then word boundaries,
+ * closing any formatting left open at the cut and reopening it in the next piece
+ */
+function splitParagraph(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  let carry = '';
+
+  while (carry.length + rest.length > maxChars) {
+    // Leave room for the closing markers appended below
+    const budget = Math.max(maxChars - carry.length - 6, 1);
+    const window = rest.slice(0, budget);
+    let cut = window.lastIndexOf('\n');
+    if (cut < budget / 2) cut = window.lastIndexOf(' ');
+    if (cut <= 0) cut = budget;
+
+    let piece = carry + rest.slice(0, cut).trimEnd();
+    rest = rest.slice(cut).trimStart();
+
+    const open = INLINE_MARKERS.filter(marker => countMarker(piece, marker) % 2 === 1);
+    piece += [...open].reverse().join('');
+    carry = open.join('');
+    pieces.push(piece);
+  }
+
+  pieces.push(carry + rest);
+  return pieces;
+}
+
+/**
+ * Split Markdown into parts of at most `maxChars` characters
+ * @param {string} markdown - Markdown text
+ * @param {number} [maxChars] - Maximum characters per part
+ * @returns {string[]} Parts in order (at least one, possibly empty)
+ */
+export function splitMarkdown(markdown, maxChars = DEFAULT_CHUNK_CHARS) {
+  if (!markdown || markdown.length <= maxChars) {
+    return [markdown || ''];
+  }
+
+  const parts = [];
+  let current = '';
+
+  const push = (text) => {
+    if (current && current.length + text.length + 2 > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${text}` : text;
+  };
+
+  for (const unit of splitUnits(markdown)) {
+    if (unit.text.length <= maxChars) {
+      push(unit.text);
+      continue;
+    }
+
+    const pieces = unit.fence ? splitFence(unit, maxChars) : splitParagraph(unit.text, maxChars);
+    for (const piece of pieces) {
+      push(piece);
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
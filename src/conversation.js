@@ -0,0 +1,186 @@
+/**
+ * Conversation memory for DMs and @mention threads
+ *
+ * Each DM channel and each mention thread gets its own record in the
+ * BOT_STATE KV namespace. Recent turns are replayed to Airia as part of
+ * `userInput` so follow-up questions keep their context.
+ *
+ * Configuration (all optional):
+ * - CONVERSATION_MAX_TURNS: number of previous turns to keep (default 10)
+ * - CONVERSATION_MAX_CHARS: character budget for replayed history (default 6000)
+ * - CONVERSATION_TTL_HOURS: how long an idle conversation is remembered (default 24)
+ */
+
+import { createLogger } from './logging.js';
+
+const DEFAULT_MAX_TURNS = 10;
+const DEFAULT_MAX_CHARS = 6000;
+const DEFAULT_TTL_HOURS = 24;
+
+// Phrases that clear the stored context when sent on their own
+const RESET_PHRASES = ['new topic', 'reset', 'start over', 'clear context', 'forget that'];
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Build the storage key for a Slack event
+ * DMs share one conversation per channel, mentions get one per thread
+ */
+export function getConversationKey(event) {
+  if (event.channel_type === 'im') {
+    return `conversation:dm:${event.channel}`;
+  }
+  return `conversation:thread:${event.channel}:${event.thread_ts || event.ts}`;
+}
+
+/**
+ * Returns true when the user asked to start over (e.g. "new topic")
+ * Bot mentions are ignored so "@AI Assistant new topic" also works
+ */
+export function isResetCommand(text) {
+  if (!text) return false;
+  const normalized = text
+    .replace(/<@[^>]+>/g, '')
+    .replace(/[.!]+$/, '')
+    .trim()
+    .toLowerCase();
+  return RESET_PHRASES.includes(normalized);
+}
+
+async function loadRecord(env, key) {
+  if (!env.BOT_STATE) {
+    createLogger(env, 'CONVERSATION').warn('BOT_STATE KV binding not configured - conversation memory disabled');
+    return null;
+  }
+
+  try {
+    return await env.BOT_STATE.get(key, 'json');
+  } catch (err) {
+    createLogger(env, 'CONVERSATION').error('Error loading conversation', { key, error: err });
+    return null;
+  }
+}
+
+/**
+ * Load the stored turns for a conversation
+ * Returns an empty list when nothing is stored or KV is not configured
+ */
+export async function loadConversation(env, key) {
+  const record = await loadRecord(env, key);
+  return (record && Array.isArray(record.turns)) ? record.turns : [];
+}
+
+/**
+ * Timestamp of the message that last reset a thread conversation, if any
+ * Thread messages up to and including it are no longer used as context
+ */
+export async function getConversationResetTs(env, key) {
+  const record = await loadRecord(env, key);
+  return (record && record.resetTs) || null;
+}
+
+/**
+ * Append a question/answer pair, keeping only the most recent turns
+ */
+export async function saveConversationTurn(env, key, question, answer) {
+  if (!env.BOT_STATE) return;
+
+  const maxTurns = readPositiveInt(env.CONVERSATION_MAX_TURNS, DEFAULT_MAX_TURNS);
+  const ttlHours = readPositiveInt(env.CONVERSATION_TTL_HOURS, DEFAULT_TTL_HOURS);
+
+  try {
+    const record = (await loadRecord(env, key)) || {};
+    const turns = Array.isArray(record.turns) ? record.turns : [];
+    turns.push({ user: question, assistant: answer, ts: Date.now() });
+
+    await env.BOT_STATE.put(key, JSON.stringify({
+      turns: turns.slice(-maxTurns),
+      resetTs: record.resetTs || null,
+      updatedAt: Date.now()
+    }), { expirationTtl: ttlHours * 60 * 60 });
+  } catch (err) {
+    createLogger(env, 'CONVERSATION').error('Error saving conversation turn', { key, error: err });
+  }
+}
+
+/**
+ * Forget everything stored for a conversation
+ * @param {string} [resetTs] - Slack ts of the reset message; for threads this hides
+ *   the earlier thread messages from future context as well
+ */
+export async function resetConversation(env, key, resetTs = null) {
+  if (!env.BOT_STATE) return;
+
+  try {
+    if (resetTs) {
+      const ttlHours = readPositiveInt(env.CONVERSATION_TTL_HOURS, DEFAULT_TTL_HOURS);
+      await env.BOT_STATE.put(key, JSON.stringify({ turns: [], resetTs, updatedAt: Date.now() }), {
+        expirationTtl: ttlHours * 60 * 60
+      });
+    } else {
+      await env.BOT_STATE.delete(key);
+    }
+    createLogger(env, 'CONVERSATION').info('Conversation reset', { key });
+  } catch (err) {
+    createLogger(env, 'CONVERSATION').error('Error resetting conversation', { key, error: err });
+  }
+}
+
+/**
+ * Build the `userInput` sent to Airia from the stored turns and the new question
+ * The oldest turns are dropped first when the history exceeds the character budget
+ */
+export function buildConversationInput(turns, question, env = {}) {
+  if (!turns || turns.length === 0) {
+    return question;
+  }
+
+  const maxChars = readPositiveInt(env.CONVERSATION_MAX_CHARS, DEFAULT_MAX_CHARS);
+  const lines = [];
+  let used = 0;
+
+  // Walk backwards so the most recent turns are kept
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turn = `User: ${turns[i].user}\nAssistant: ${turns[i].assistant}`;
+    if (used + turn.length > maxChars) break;
+    lines.unshift(turn);
+    used += turn.length;
+  }
+
+  if (lines.length === 0) {
+    return question;
+  }
+
+  return `Previous conversation:\n${lines.join('\n\n')}\n\nCurrent question: ${question}`;
+}
+
+/**
+ * Build the `userInput` for a question asked inside a Slack thread
+ * @param {string[]} transcript - Thread messages formatted as "Name: text", oldest first
+ * @param {string} [heading] - What the transcript is, for questions about a channel rather than a thread
+ * The earliest messages are dropped first when the thread exceeds the character budget
+ */
+export function buildThreadContextInput(transcript, question, env = {}, heading = 'Thread conversation so far') {
+  if (!transcript || transcript.length === 0) {
+    return question;
+  }
+
+  const maxChars = readPositiveInt(env.CONVERSATION_MAX_CHARS, DEFAULT_MAX_CHARS);
+  const lines = [];
+  let used = 0;
+
+  for (let i = transcript.length - 1; i >= 0; i--) {
+    if (used + transcript[i].length > maxChars) break;
+    lines.unshift(transcript[i]);
+    used += transcript[i].length;
+  }
+
+  if (lines.length === 0) {
+    return question;
+  }
+
+  return `${heading}:\n${lines.join('\n')}\n\nCurrent question: ${question}`;
+}
@@ -0,0 +1,506 @@
+/**
+ * Scheduled channel digests
+ *
+ * `/airia-digest daily 9am` or `/airia-digest weekly friday 4pm` subscribes
+ * a channel to a digest: at that time the messages and threads of the last
+ * day or week are summarized with the summary path (transcript.js,
+ * summarize.js) and posted to the channel with links to its busiest threads.
+ * `/airia-digest list` shows the channel's subscriptions and
+ * `/airia-digest cancel [daily|weekly]` ends them.
+ *
+ * Slack channels have no time zone of their own, so a subscription keeps
+ * the time zone of the person who set it up, unless the command names one
+ * (`/airia-digest daily 9am Europe/Berlin`). Daylight saving time is followed.
+ *
+ * The bot has to read the channel, so subscribing checks that it is a
+ * member. When it is not, it joins if the access policy's joinChannels
+ * allows it (policy.js); otherwise the subscription is refused.
+ *
+ * The Worker's cron trigger calls runDueDigests every minute. Each
+ * subscription stores the time of its next digest in its KV metadata, so
+ * only due subscriptions are read. A run posts at most DIGEST_MAX_PER_RUN
+ * digests so it stays within the Worker's limits; digests left over are
+ * still due and are posted by the next minute's run.
+ *
+ * A subscription is rescheduled only once its digest was posted. A digest
+ * that fails stays due and is tried again by the next runs; after
+ * DIGEST_MAX_ATTEMPTS failures it is skipped, the next digest covers its
+ * period too, and the person who set it up is told in their App DM.
+ *
+ * Configuration (optional):
+ * - DIGEST_BUSIEST_THREADS: threads linked, and read in full, per digest (default 5)
+ * - DIGEST_MAX_PER_RUN: digests posted per cron run (default 5)
+ * - DIGEST_MAX_ATTEMPTS: runs that try a failing digest before it is skipped (default 3)
+ *
+ * Keys:
+ * - digest:<channelId>:<daily|weekly> - a subscription, never expires
+ */
+
+import { createLogger } from './logging.js';
+import { fetchChannelRange, fetchConversationPages, fetchPermalink, fetchUserInfo, ensureChannelMember, postSlackMessage } from './slack.js';
+import { replaceSlackMarkup } from './input.js';
+import { escapeMrkdwn } from './render.js';
+import { resolvePipeline } from './pipelines.js';
+import { runAiria } from './async-jobs.js';
+import { postAnswer } from './answers.js';
+import { getSummaryConfig, buildSummaryInput } from './summarize.js';
+import { buildTranscript, messageText } from './transcript.js';
+import { claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } from './idempotency.js';
+import { getTeamContext, withInstallationToken, InstallationError } from './installations.js';
+import { canJoinChannel } from './policy.js';
+
+export const DIGEST_COMMAND = '/airia-digest';
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+
+const DIGEST_PREFIX = 'digest:';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_HOUR = 9;
+const DEFAULT_WEEKDAY = 1;
+const DEFAULT_BUSIEST_THREADS = 5;
+const DEFAULT_MAX_PER_RUN = 5;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_THREAD_PREVIEW_CHARS = 80;
+const PERIOD_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+
+const HELP_TEXT = [
+  '*Channel digests*',
+  '`/airia-digest daily 9am` - a digest of the last day, every day at 9:00',
+  '`/airia-digest weekly friday 4pm` - a digest of the last week, every Friday at 16:00 (Monday when no day is given)',
+  '`/airia-digest daily 9am Europe/Berlin` - in that time zone instead of yours',
+  '`/airia-digest list` - this channel\'s digests',
+  '`/airia-digest cancel [daily|weekly]` - stop this channel\'s digests'
+].join('\n');
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function digestKey(channel, frequency) {
+  return `${DIGEST_PREFIX}${channel}:${frequency}`;
+}
+
+/**
+ * Whether a string is a time zone Intl knows, e.g. "America/New_York"
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Read "9am", "9:30pm", "17:00" or "9"
+ * @returns {?{hour: number, minute: number}}
+ */
+export function parseTime(text) {
+  const match = /^(\d{1,2})(?::(\d{2}))?(am|pm)?$/i.exec(String(text).trim());
+  if (!match) return null;
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+/**
+ * Read the text of an /airia-digest command
+ * @returns {Object} { action: 'help' | 'list' | 'cancel' | 'subscribe', ... } - cancel has
+ *   frequency (null for all); subscribe has frequency, weekday, hour, minute and timeZone
+ *   (null for the requester's); help may have an error
+ */
+export function parseDigestCommand(text) {
+  // "9 am" is one time
+  const tokens = String(text || '').replace(/(\d)\s+(am|pm)\b/gi, '$1$2').trim().split(/\s+/).filter(Boolean);
+  const action = (tokens[0] || 'help').toLowerCase();
+  const rest = tokens.slice(1);
+
+  if (action === 'help') return { action: 'help' };
+  if (action === 'list') return { action: 'list' };
+  if (action === 'cancel' || action === 'stop') {
+    const frequency = rest[0] ? rest[0].toLowerCase() : 'all';
+    if (frequency !== 'all' && !DIGEST_FREQUENCIES.includes(frequency)) {
+      return { action: 'help', error: `There is no "${rest[0]}" digest to cancel.` };
+    }
+    return { action: 'cancel', frequency: frequency === 'all' ? null : frequency };
+  }
+  if (!DIGEST_FREQUENCIES.includes(action)) {
+    return { action: 'help', error: `I don't know "${tokens[0]}".` };
+  }
+
+  const schedule = {
+    action: 'subscribe',
+    frequency: action,
+    weekday: action === 'weekly' ? DEFAULT_WEEKDAY : null,
+    hour: DEFAULT_HOUR,
+    minute: 0,
+    timeZone: null
+  };
+  for (const token of rest) {
+    const lower = token.toLowerCase();
+    const time = parseTime(lower);
+    const weekday = lower.length >= 3 ? WEEKDAYS.findIndex(day => day.startsWith(lower.replace(/s$/, ''))) : -1;
+    if (time) {
+      Object.assign(schedule, time);
+    } else if (action === 'weekly' && weekday !== -1) {
+      schedule.weekday = weekday;
+    } else if (token.includes('/') || lower === 'utc') {
+      if (!isValidTimeZone(token)) return { action: 'help', error: `"${token}" is not a time zone I know.` };
+      schedule.timeZone = token;
+    } else {
+      return { action: 'help', error: `I don't understand "${token}".` };
+    }
+  }
+  return schedule;
+}
+
+// Local calendar date and time of an instant in a time zone
+function localParts(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute)
+  };
+}
+
+function offsetAt(ms, timeZone) {
+  const local = localParts(ms, timeZone);
+  return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - Math.floor(ms / 60000) * 60000;
+}
+
+// The instant a local date and time happens in a time zone
+function zonedTime(year, month, day, hour, minute, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const first = asUtc - offsetAt(asUtc, timeZone);
+  // Checked again at the result, in case a daylight saving change lies in between
+  return asUtc - offsetAt(first, timeZone);
+}
+
+/**
+ * When a subscription's next digest is due
+ * @param {Object} subscription - { frequency, weekday, hour, minute, timeZone }
+ * @param {number} after - Milliseconds; the result is later than this
+ * @returns {number} Milliseconds
+ */
+export function getNextDigestRun(subscription, after) {
+  const today = localParts(after, subscription.timeZone);
+  for (let days = 0; days <= 7; days++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+    if (subscription.frequency === 'weekly' && date.getUTCDay() !== subscription.weekday) continue;
+    const at = zonedTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), subscription.hour, subscription.minute, subscription.timeZone);
+    if (at > after) return at;
+  }
+  // Unreachable: every weekday comes around within a week
+  return after + PERIOD_MS[subscription.frequency];
+}
+
+/**
+ * Describe a schedule, e.g. "Weekly on Friday at 16:00 (Europe/Berlin)"
+ */
+export function describeSchedule(subscription) {
+  const time = `${String(subscription.hour).padStart(2, '0')}:${String(subscription.minute).padStart(2, '0')}`;
+  const day = subscription.frequency === 'weekly'
+    ? ` on ${WEEKDAYS[subscription.weekday][0].toUpperCase()}${WEEKDAYS[subscription.weekday].slice(1)}`
+    : '';
+  return `${subscription.frequency === 'weekly' ? 'Weekly' : 'Daily'}${day} at ${time} (${subscription.timeZone})`;
+}
+
+async function saveSubscription(env, subscription) {
+  await env.BOT_STATE.put(digestKey(subscription.channel, subscription.frequency), JSON.stringify(subscription), {
+    metadata: { nextRunAt: subscription.nextRunAt }
+  });
+}
+
+/**
+ * The digests a channel is subscribed to
+ * @returns {Promise<Object[]>}
+ */
+export async function listSubscriptions(env, channel) {
+  const { keys } = await env.BOT_STATE.list({ prefix: `${DIGEST_PREFIX}${channel}:` });
+  const subscriptions = await Promise.all(keys.map(({ name }) => env.BOT_STATE.get(name, 'json')));
+  return subscriptions.filter(Boolean);
+}
+
+// Returns the reply, and whether a subscription was made
+async function subscribe(env, payload, schedule) {
+  const channel = payload.channel_id;
+  const access = await ensureChannelMember(env, channel, { join: canJoinChannel(env, channel), tag: 'DIGEST' });
+  if (!access.member) {
+    createLogger(env, 'DIGEST').info('Refused digest for a channel the bot cannot read', { channel, slackError: access.error });
+    return {
+      subscribed: false,
+      text: 'I\'m not a member of this channel, so I can\'t read it for a digest. Add me to the channel (`/invite` and my name) and try again.'
+    };
+  }
+
+  let timeZone = schedule.timeZone;
+  if (!timeZone) {
+    try {
+      timeZone = (await fetchUserInfo(env, payload.user_id)).tz || null;
+    } catch (err) {
+      createLogger(env, 'DIGEST').warn('Could not read time zone, using UTC', { user: payload.user_id, error: err });
+    }
+  }
+
+  const subscription = {
+    channel,
+    frequency: schedule.frequency,
+    weekday: schedule.weekday,
+    hour: schedule.hour,
+    minute: schedule.minute,
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    team: getTeamContext(payload),
+    createdBy: payload.user_id,
+    createdAt: Date.now(),
+    lastRunAt: null
+  };
+  subscription.nextRunAt = getNextDigestRun(subscription, Date.now());
+  await saveSubscription(env, subscription);
+  createLogger(env, 'DIGEST').info('Subscribed channel', { channel: subscription.channel, schedule: describeSchedule(subscription) });
+
+  return {
+    subscribed: true,
+    text: `:newspaper: <@${payload.user_id}> set up a digest for this channel: ${describeSchedule(subscription)}. ` +
+      `The first one is ${slackDate(subscription.nextRunAt)}.`
+  };
+}
+
+function slackDate(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `<!date^${seconds}^{date_short_pretty} at {time}|${new Date(ms).toISOString()}>`;
+}
+
+// Returns the frequencies that were cancelled
+async function cancel(env, payload, frequency) {
+  const subscriptions = (await listSubscriptions(env, payload.channel_id))
+    .filter(subscription => !frequency || subscription.frequency === frequency);
+  await Promise.all(subscriptions.map(subscription => env.BOT_STATE.delete(digestKey(subscription.channel, subscription.frequency))));
+  if (subscriptions.length) {
+    createLogger(env, 'DIGEST').info('Cancelled digests', { channel: payload.channel_id, frequency: frequency || 'all' });
+  }
+  return subscriptions.map(subscription => subscription.frequency);
+}
+
+async function list(env, payload) {
+  const subscriptions = await listSubscriptions(env, payload.channel_id);
+  if (subscriptions.length === 0) {
+    return 'This channel has no digests. Set one up with `/airia-digest daily 9am`.';
+  }
+  return ['*Digests in this channel*', ...subscriptions.map(subscription =>
+    `• ${describeSchedule(subscription)}, set up by <@${subscription.createdBy}>. Next: ${slackDate(subscription.nextRunAt)}`
+  )].join('\n');
+}
+
+/**
+ * Handles /airia-digest: subscribe, list, cancel or help
+ * Changes are announced in the channel; everything else is only shown to the requester
+ */
+export async function processDigestCommand(payload, env) {
+  const log = createLogger(env, 'DIGEST');
+  const command = parseDigestCommand(payload.text);
+  log.info('Digest command', { action: command.action, channel: payload.channel_id, user: payload.user_id });
+
+  let text;
+  let visibleToChannel = false;
+  try {
+    if (!env.BOT_STATE) {
+      text = 'Digests are not available: the BOT_STATE KV namespace is not configured.';
+    } else if (command.action === 'subscribe') {
+      ({ text, subscribed: visibleToChannel } = await subscribe(env, payload, command));
+    } else if (command.action === 'cancel') {
+      const cancelled = await cancel(env, payload, command.frequency);
+      visibleToChannel = cancelled.length > 0;
+      text = visibleToChannel
+        ? `:wave: <@${payload.user_id}> stopped this channel's ${cancelled.join(' and ')} digest.`
+        : `This channel has no ${command.frequency ? `${command.frequency} digest` : 'digests'}.`;
+    } else if (command.action === 'list') {
+      text = await list(env, payload);
+    } else {
+      text = command.error ? `${command.error}\n\n${HELP_TEXT}` : HELP_TEXT;
+    }
+  } catch (err) {
+    log.error('Error handling digest command', { error: err });
+    text = `Sorry, that did not work: ${err.message}`;
+  }
+
+  await fetch(payload.response_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ response_type: visibleToChannel ? 'in_channel' : 'ephemeral', text })
+  });
+}
+
+function threadPreview(msg, names) {
+  const text = replaceSlackMarkup(messageText(msg), names).replace(/\s+/g, ' ').trim() || 'A thread';
+  return escapeMrkdwn(text.length > MAX_THREAD_PREVIEW_CHARS ? `${text.slice(0, MAX_THREAD_PREVIEW_CHARS - 1)}…` : text);
+}
+
+/**
+ * Summarize one period of a channel and post the digest
+ * @param {Object} env - Environment variables, scoped to the subscription's workspace
+ * @param {Object} subscription - The stored subscription
+ * @param {{oldest: number, latest: number}} period - Milliseconds
+ * @returns {Promise<boolean>} Whether a digest was posted (false for a quiet period)
+ */
+export async function postDigest(env, subscription, { oldest, latest }) {
+  const log = createLogger(env, 'DIGEST');
+  const { channel } = subscription;
+  const { maxMessages } = getSummaryConfig(env);
+  const range = { oldest: (oldest / 1000).toFixed(6), latest: (latest / 1000).toFixed(6) };
+
+  const history = await fetchChannelRange(env, channel, range, { maxMessages, tag: 'DIGEST' });
+  if (!history.ok) {
+    throw new Error(`Could not read the channel: ${history.error}`);
+  }
+  if (history.messages.length === 0) {
+    log.info('Nothing to digest', { channel, frequency: subscription.frequency });
+    return false;
+  }
+
+  // The busiest threads are read in full; their replies follow their first message
+  const busiest = history.messages
+    .filter(msg => msg.reply_count > 0)
+    .sort((a, b) => b.reply_count - a.reply_count)
+    .slice(0, readPositiveInt(env.DIGEST_BUSIEST_THREADS, DEFAULT_BUSIEST_THREADS));
+  const replies = new Map();
+  for (const parent of busiest) {
+    const thread = await fetchConversationPages(env, 'conversations.replies', { channel, ts: parent.ts, oldest: range.oldest, latest: range.latest }, { maxMessages, tag: 'DIGEST' });
+    replies.set(parent.ts, thread.messages.filter(msg => msg.ts !== parent.ts));
+  }
+  const messages = history.messages.flatMap(msg => [msg, ...(replies.get(msg.ts) || []).map(reply => ({ ...reply, isReply: true }))]);
+
+  const transcript = await buildTranscript(env, messages, { tag: 'DIGEST' });
+  const lines = transcript.lines.map((line, index) => (messages[index].isReply ? `↳ ${line}` : line));
+  const period = subscription.frequency === 'weekly' ? 'week' : 'day';
+  const prompt = `Write a digest of this channel's last ${period} for people who did not follow it: the main topics, decisions, open questions and anything that needs attention. Thread replies are marked with ↳ and follow the first message of their thread. The messages:`;
+  const pipeline = resolvePipeline(env, { channel, command: DIGEST_COMMAND });
+  const { userInput, parts } = await buildSummaryInput(env, pipeline, lines, { prompt, tag: 'DIGEST' });
+
+  const links = await Promise.all(busiest.map(async parent => {
+    const link = await fetchPermalink(env, channel, parent.ts);
+    const preview = threadPreview(parent, transcript.names);
+    const count = `${parent.reply_count} ${parent.reply_count === 1 ? 'reply' : 'replies'}`;
+    return `• ${link ? `<${link}|${preview}>` : preview} (${count})`;
+  }));
+  const answer = {
+    title: subscription.frequency === 'weekly' ? 'Weekly digest' : 'Daily digest',
+    note: links.length ? `*Busiest threads*\n${links.join('\n')}` : null,
+    feedback: { prompt, userInput, surface: 'digest', user: subscription.createdBy }
+  };
+
+  const result = await runAiria(env, pipeline, userInput, {
+    tag: 'DIGEST',
+    destination: { type: 'message', channel, thread_ts: null, placeholder: null },
+    answer
+  });
+  if (result) {
+    await postAnswer(env, {
+      channel,
+      ...answer,
+      result: result.result,
+      feedback: { ...answer.feedback, isBackupPipeline: result.isBackupPipeline, pipeline: result.pipeline, pipelineUrl: result.url }
+    });
+  }
+  log.info('Posted digest', { channel, frequency: subscription.frequency, messages: messages.length, parts, threads: busiest.length });
+  return true;
+}
+
+// Tells the person who set up a digest, in their App DM, that it could not be posted
+async function notifyDigestFailure(env, subscription) {
+  try {
+    const token = await withInstallationToken(env, subscription.team);
+    await postSlackMessage(token, subscription.createdBy,
+      `:warning: I couldn't post the ${subscription.frequency} digest of <#${subscription.channel}>. The next one covers its period too.`);
+  } catch (err) {
+    createLogger(env, 'DIGEST').warn('Could not tell the subscriber about the failed digest', { channel: subscription.channel, error: err });
+  }
+}
+
+/**
+ * Post the digests that are due, at most DIGEST_MAX_PER_RUN of them
+ * Runs from the Worker's scheduled() handler
+ * @param {Object} env - Environment variables
+ * @param {number} [now] - Milliseconds, the cron's scheduled time
+ */
+export async function runDueDigests(env, now = Date.now()) {
+  if (!env.BOT_STATE) return;
+  const log = createLogger(env, 'DIGEST');
+  const maxPerRun = readPositiveInt(env.DIGEST_MAX_PER_RUN, DEFAULT_MAX_PER_RUN);
+  const maxAttempts = readPositiveInt(env.DIGEST_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+  let posted = 0;
+
+  let cursor;
+  do {
+    const page = await env.BOT_STATE.list({ prefix: DIGEST_PREFIX, cursor });
+    cursor = page.list_complete ? null : page.cursor;
+
+    for (const { name, metadata } of page.keys) {
+      if (posted >= maxPerRun) {
+        log.info('Reached the digests per run, the rest wait for the next run', { maxPerRun });
+        return;
+      }
+      if (metadata && metadata.nextRunAt > now) continue;
+      const subscription = await env.BOT_STATE.get(name, 'json');
+      if (!subscription || subscription.nextRunAt > now) continue;
+
+      // KV lists can lag behind writes, so a digest is claimed before it runs
+      const runKey = `idempotency:digest:${name}:${subscription.nextRunAt}`;
+      if (!(await claimIdempotencyKey(env, runKey)).acquired) continue;
+
+      // The period ends at the scheduled time; a digest that was missed (e.g. during an outage) covers the whole gap
+      const latest = subscription.nextRunAt;
+      const oldest = Math.min(subscription.lastRunAt || latest, latest - PERIOD_MS[subscription.frequency]);
+      posted += 1;
+
+      let error = null;
+      try {
+        await postDigest(await withInstallationToken(env, subscription.team), subscription, { oldest, latest });
+      } catch (err) {
+        error = err;
+      }
+
+      // A digest that failed stays due, so the next runs try again; after the last attempt
+      // it is skipped and the next digest covers its period too
+      const attempts = (subscription.failedAttempts || 0) + 1;
+      const notInstalled = error instanceof InstallationError && error.code === 'not_installed';
+      if (error && !notInstalled && attempts < maxAttempts) {
+        log.warn('Error posting digest, retrying in the next run', { channel: subscription.channel, frequency: subscription.frequency, attempts, error });
+        await saveSubscription(env, { ...subscription, failedAttempts: attempts });
+        await releaseIdempotencyKey(env, runKey);
+        continue;
+      }
+
+      await saveSubscription(env, {
+        ...subscription,
+        failedAttempts: 0,
+        lastRunAt: error ? oldest : latest,
+        nextRunAt: getNextDigestRun(subscription, now)
+      });
+      await completeIdempotencyKey(env, runKey);
+      if (error) {
+        log.error('Error posting digest, skipping it', { channel: subscription.channel, frequency: subscription.frequency, attempts, error });
+        if (!notInstalled) await notifyDigestFailure(env, subscription);
+      }
+    }
+  } while (cursor);
+}
@@ -0,0 +1,252 @@
+/**
+ * Feedback on AI answers
+ *
+ * Every answer is stored in KV as an "answer record" (prompt, pipeline and
+ * whether the backup pipeline answered) and carries three buttons:
+ * helpful, not helpful and Regenerate. Ratings are stored next to the
+ * answer record so pipeline versions can be compared later.
+ *
+ * Keys:
+ * - answer:<answerId>            - the answer record, kept for FEEDBACK_ANSWER_TTL_DAYS
+ * - feedback:<answerId>:<userId> - one rating per user and answer, never expires
+ */
+
+import { createLogger } from './logging.js';
+import { DEFAULT_PIPELINE } from './pipelines.js';
+
+export const FEEDBACK_HELPFUL_ACTION = 'feedback_helpful';
+export const FEEDBACK_NOT_HELPFUL_ACTION = 'feedback_not_helpful';
+export const REGENERATE_ACTION = 'regenerate_answer';
+export const FEEDBACK_REASON_MODAL = 'feedback_reason_modal';
+
+const DEFAULT_ANSWER_TTL_DAYS = 30;
+const MAX_STORED_PROMPT_CHARS = 8000;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Whether a block_actions action_id belongs to the feedback buttons (not Regenerate)
+ */
+export function isFeedbackAction(actionId) {
+  return actionId === FEEDBACK_HELPFUL_ACTION || actionId === FEEDBACK_NOT_HELPFUL_ACTION;
+}
+
+/**
+ * Store what is needed to rate or regenerate an answer
+ * @param {Object} env - Environment variables
+ * @param {Object} record - Answer details
+ * @param {string} record.prompt - The question as the user asked it
+ * @param {string} [record.userInput] - The exact input sent to Airia (with context), used by Regenerate
+ * @param {string} [record.pipeline] - Name of the pipeline that produced the answer (see pipelines.js)
+ * @param {string} [record.pipelineUrl] - URL of that pipeline
+ * @param {boolean} [record.isBackupPipeline] - Whether Airia answered from the backup pipeline
+ * @param {string} record.surface - dm, mention, slash, modal, home, summary or digest
+ * @returns {Promise<string|null>} Answer ID, or null when KV is not configured
+ */
+export async function saveAnswerRecord(env, record) {
+  if (!env.BOT_STATE) return null;
+
+  const answerId = crypto.randomUUID();
+  const stored = {
+    prompt: (record.prompt || '').slice(0, MAX_STORED_PROMPT_CHARS),
+    userInput: (record.userInput || record.prompt || '').slice(0, MAX_STORED_PROMPT_CHARS),
+    pipeline: record.pipeline || DEFAULT_PIPELINE,
+    pipelineUrl: record.pipelineUrl || env.AIRIA_API_URL || null,
+    isBackupPipeline: record.isBackupPipeline === undefined ? null : Boolean(record.isBackupPipeline),
+    surface: record.surface,
+    title: record.title || null,
+    channel: record.channel || null,
+    thread_ts: record.thread_ts || null,
+    user: record.user || null,
+    createdAt: Date.now()
+  };
+
+  try {
+    const ttlDays = readPositiveInt(env.FEEDBACK_ANSWER_TTL_DAYS, DEFAULT_ANSWER_TTL_DAYS);
+    await env.BOT_STATE.put(`answer:${answerId}`, JSON.stringify(stored), { expirationTtl: ttlDays * 24 * 60 * 60 });
+    return answerId;
+  } catch (err) {
+    createLogger(env, 'FEEDBACK').error('Error storing answer record', { error: err });
+    return null;
+  }
+}
+
+/**
+ * Load an answer record stored by saveAnswerRecord
+ * @returns {Promise<Object|null>} The record, or null when it has expired
+ */
+export async function loadAnswerRecord(env, answerId) {
+  if (!env.BOT_STATE || !answerId) return null;
+  return env.BOT_STATE.get(`answer:${answerId}`, 'json');
+}
+
+/**
+ * The Block Kit actions block attached to the last message of an answer
+ */
+export function buildFeedbackBlock(answerId) {
+  return {
+    type: 'actions',
+    block_id: 'answer_feedback',
+    elements: [
+      {
+        type: 'button',
+        action_id: FEEDBACK_HELPFUL_ACTION,
+        text: { type: 'plain_text', text: ':thumbsup: Helpful', emoji: true },
+        value: answerId
+      },
+      {
+        type: 'button',
+        action_id: FEEDBACK_NOT_HELPFUL_ACTION,
+        text: { type: 'plain_text', text: ':thumbsdown: Not helpful', emoji: true },
+        value: answerId
+      },
+      {
+        type: 'button',
+        action_id: REGENERATE_ACTION,
+        text: { type: 'plain_text', text: ':arrows_counterclockwise: Regenerate', emoji: true },
+        value: answerId
+      }
+    ]
+  };
+}
+
+/**
+ * Store (or overwrite) a user's rating of an answer
+ * The rating carries the prompt, pipeline and isBackupPipeline of the answer
+ * so it can be analysed without joining against expired answer records
+ * @param {Object} env - Environment variables
+ * @param {string} answerId - Answer ID from the button value
+ * @param {string} userId - Slack user who rated
+ * @param {'helpful'|'not_helpful'} rating - The rating
+ * @param {string} [reason] - Optional reason for a "not helpful" rating
+ * @returns {Promise<Object|null>} The stored rating, or null when the answer has expired
+ */
+export async function saveRating(env, answerId, userId, rating, reason = null) {
+  const record = await loadAnswerRecord(env, answerId);
+  if (!record) return null;
+
+  const stored = {
+    answerId,
+    user: userId,
+    rating,
+    reason: reason || null,
+    prompt: record.prompt,
+    pipeline: record.pipeline,
+    pipelineUrl: record.pipelineUrl,
+    isBackupPipeline: record.isBackupPipeline,
+    surface: record.surface,
+    ratedAt: Date.now()
+  };
+
+  await env.BOT_STATE.put(`feedback:${answerId}:${userId}`, JSON.stringify(stored));
+  createLogger(env, 'FEEDBACK').info('Stored rating', { rating, answerId, pipeline: record.pipeline, isBackupPipeline: record.isBackupPipeline });
+  return stored;
+}
+
+function reasonModal(answerId, responseUrl) {
+  return {
+    type: 'modal',
+    callback_id: FEEDBACK_REASON_MODAL,
+    private_metadata: JSON.stringify({ answerId, responseUrl }),
+    title: { type: 'plain_text', text: 'Answer feedback', emoji: true },
+    submit: { type: 'plain_text', text: 'Send', emoji: true },
+    close: { type: 'plain_text', text: 'Skip', emoji: true },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'reason_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'What was wrong with this answer?', emoji: true },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'reason',
+          multiline: true,
+          placeholder: { type: 'plain_text', text: 'Optional - e.g. outdated, incorrect, too vague' }
+        }
+      }
+    ]
+  };
+}
+
+async function respondEphemeral(responseUrl, text) {
+  if (!responseUrl) return;
+  await fetch(responseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text }),
+  });
+}
+
+/**
+ * Handles the helpful / not helpful buttons
+ * "Not helpful" is stored straight away and then asks for an optional reason
+ */
+export async function processFeedbackAction(payload, env) {
+  const action = payload.actions[0];
+  const userId = payload.user && payload.user.id;
+  const rating = action.action_id === FEEDBACK_HELPFUL_ACTION ? 'helpful' : 'not_helpful';
+  const log = createLogger(env, 'FEEDBACK');
+  log.info('Rating received', { rating, user: userId, answerId: action.value });
+
+  try {
+    const stored = await saveRating(env, action.value, userId, rating);
+    if (!stored) {
+      await respondEphemeral(payload.response_url, 'Sorry, this answer is too old to rate.');
+      return;
+    }
+
+    if (rating === 'helpful') {
+      await respondEphemeral(payload.response_url, ':thumbsup: Thanks for your feedback!');
+      return;
+    }
+
+    const modalResponse = await fetch('https://slack.com/api/views.open', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${env.Slack_Bot_Token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        trigger_id: payload.trigger_id,
+        view: reasonModal(action.value, payload.response_url)
+      }),
+    });
+    const modalData = await modalResponse.json();
+    if (!modalData.ok) {
+      // The rating is already stored, only the reason is lost
+      log.error('Failed to open reason modal', { slackError: modalData.error });
+      await respondEphemeral(payload.response_url, ':thumbsdown: Thanks for your feedback!');
+    }
+  } catch (err) {
+    log.error('Error storing rating', { error: err });
+    await respondEphemeral(payload.response_url, `Sorry, your feedback could not be saved: ${err.message}`);
+  }
+}
+
+/**
+ * Handles submission of the "not helpful" reason modal
+ */
+export async function processFeedbackReason(payload, env) {
+  const userId = payload.user && payload.user.id;
+  const log = createLogger(env, 'FEEDBACK');
+
+  try {
+    const { answerId, responseUrl } = JSON.parse(payload.view.private_metadata || '{}');
+    const values = payload.view.state && payload.view.state.values;
+    const reason = values && values.reason_block && values.reason_block.reason
+      ? (values.reason_block.reason.value || '').trim()
+      : '';
+
+    log.debug('Reason received', { answerId, reason });
+
+    const stored = await saveRating(env, answerId, userId, 'not_helpful', reason);
+    if (stored) {
+      await respondEphemeral(responseUrl, ':thumbsdown: Thanks for your feedback!');
+    }
+  } catch (err) {
+    log.error('Error storing feedback reason', { error: err });
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Recent questions per user, shown on the App Home tab (see home.js)
+ *
+ * Every answer posted with a question (see answers.js) is added to the
+ * asking user's list, newest first. Summaries have no question and are not
+ * kept.
+ *
+ * Configuration (optional):
+ * - HOME_HISTORY_SIZE: questions kept and shown per user (default 5)
+ *
+ * Keys:
+ * - history:<userId> - the user's recent questions, kept for 30 days after the last one
+ */
+
+import { createLogger } from './logging.js';
+
+const DEFAULT_HISTORY_SIZE = 5;
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_STORED_QUESTION_CHARS = 2000;
+const MAX_STORED_ANSWER_CHARS = 500;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function historyKey(userId) {
+  return `history:${userId}`;
+}
+
+/**
+ * A user's recent questions, newest first
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Array<{id: string, question: string, answer: string, surface: string, askedAt: number}>>}
+ */
+export async function loadHistory(env, userId) {
+  if (!env.BOT_STATE || !userId) return [];
+  try {
+    const stored = await env.BOT_STATE.get(historyKey(userId), 'json');
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    createLogger(env, 'HISTORY').error('Error loading history', { user: userId, error: err });
+    return [];
+  }
+}
+
+/**
+ * Add an answered question to the front of a user's history
+ * Errors are logged, never thrown: the answer has already been posted
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ * @param {Object} entry
+ * @param {string} entry.question - The question as the user asked it
+ * @param {string} entry.answer - The answer, shortened for the Home tab
+ * @param {string} entry.surface - dm, mention, slash, modal or home
+ */
+export async function recordQuestion(env, userId, { question, answer, surface }) {
+  if (!env.BOT_STATE || !userId || !question) return;
+  try {
+    const history = await loadHistory(env, userId);
+    const entry = {
+      id: crypto.randomUUID(),
+      question: question.slice(0, MAX_STORED_QUESTION_CHARS),
+      answer: (answer || '').slice(0, MAX_STORED_ANSWER_CHARS),
+      surface,
+      askedAt: Date.now()
+    };
+    const size = readPositiveInt(env.HOME_HISTORY_SIZE, DEFAULT_HISTORY_SIZE);
+    await env.BOT_STATE.put(historyKey(userId), JSON.stringify([entry, ...history].slice(0, size)), {
+      expirationTtl: HISTORY_TTL_SECONDS
+    });
+  } catch (err) {
+    createLogger(env, 'HISTORY').error('Error recording question', { user: userId, error: err });
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * The App Home tab
+ *
+ * Every user sees their own Home tab, published when they open it and
+ * after they change something on it:
+ * - their usage today against DAILY_QUOTA_PER_USER (see limits.js)
+ * - their recent questions with an "Ask again" button (see history.js)
+ * - menus for their preferences (see preferences.js)
+ * - how to use the bot
+ *
+ * Admins also see the bot's health and today's usage across all users.
+ * Admins are the users in ADMIN_USERS (comma-separated Slack user IDs) and
+ * the workspace's admins and owners.
+ */
+
+import { createLogger } from './logging.js';
+import { fetchUserInfo } from './slack.js';
+import { loadHistory } from './history.js';
+import { getUsage, getUsageStats } from './limits.js';
+import { loadPipelineConfig, getPipeline, DEFAULT_PIPELINE } from './pipelines.js';
+import { isCircuitOpen } from './airia.js';
+import { escapeMrkdwn } from './render.js';
+import { truncate } from './action-items.js';
+import {
+  LANGUAGES,
+  LENGTH_OPTIONS,
+  REPLY_IN_OPTIONS,
+  loadPreferences,
+  savePreference
+} from './preferences.js';
+
+export const HOME_ASK_AGAIN_ACTION = 'home_ask_again';
+
+// Preference menu action_ids and the preference each one sets
+const PREFERENCE_ACTIONS = {
+  home_pref_reply_in: 'replyIn',
+  home_pref_length: 'length',
+  home_pref_language: 'language',
+  home_pref_pipeline: 'pipeline'
+};
+
+const REPLY_IN_LABELS = { thread: 'Where I was asked', dm: 'In a direct message' };
+const LENGTH_LABELS = { default: 'Default', short: 'Short', detailed: 'Detailed' };
+const MAX_QUESTION_CHARS = 150;
+const MAX_ANSWER_PREVIEW_CHARS = 150;
+
+/**
+ * Whether a block_actions action_id is one of the Home tab's preference menus
+ */
+export function isHomePreferenceAction(actionId) {
+  return Object.prototype.hasOwnProperty.call(PREFERENCE_ACTIONS, actionId);
+}
+
+function option(value, label) {
+  return { text: { type: 'plain_text', text: label }, value };
+}
+
+function section(text, accessory = null) {
+  return { type: 'section', text: { type: 'mrkdwn', text }, ...(accessory ? { accessory } : {}) };
+}
+
+function context(text) {
+  return { type: 'context', elements: [{ type: 'mrkdwn', text }] };
+}
+
+function select(actionId, options, selected) {
+  return {
+    type: 'static_select',
+    action_id: actionId,
+    options,
+    initial_option: options.find(item => item.value === selected) || options[0]
+  };
+}
+
+/**
+ * Whether a user sees the admin section
+ */
+export async function isAdmin(env, userId) {
+  if (!userId) return false;
+  if (env.ADMIN_USERS && env.ADMIN_USERS.split(',').map(id => id.trim()).includes(userId)) {
+    return true;
+  }
+  try {
+    const user = await fetchUserInfo(env, userId);
+    return Boolean(user.is_admin || user.is_owner);
+  } catch (err) {
+    createLogger(env, 'HOME').warn('Could not check whether user is an admin', { user: userId, error: err });
+    return false;
+  }
+}
+
+function usageBlocks(usage) {
+  const reset = `<!date^${Math.floor(usage.resetAt / 1000)}^{time}|midnight UTC>`;
+  const text = usage.quota
+    ? `:bar_chart: You've asked *${usage.used} of ${usage.quota}* questions today. Your quota resets at ${reset}.`
+    : `:bar_chart: You've asked *${usage.used}* question${usage.used === 1 ? '' : 's'} today.`;
+  return [context(text)];
+}
+
+function historyBlocks(history) {
+  const blocks = [section('*Your recent questions*')];
+  if (history.length === 0) {
+    blocks.push(context('You have not asked anything yet. Your last questions will show up here.'));
+    return blocks;
+  }
+  for (const entry of history) {
+    const answer = entry.answer ? `\n_${escapeMrkdwn(truncate(entry.answer, MAX_ANSWER_PREVIEW_CHARS))}_` : '';
+    blocks.push(section(`*${escapeMrkdwn(truncate(entry.question, MAX_QUESTION_CHARS))}*${answer}`, {
+      type: 'button',
+      action_id: HOME_ASK_AGAIN_ACTION,
+      text: { type: 'plain_text', text: 'Ask again', emoji: true },
+      value: entry.id
+    }));
+    blocks.push(context(`<!date^${Math.floor(entry.askedAt / 1000)}^{date_short_pretty} at {time}|${new Date(entry.askedAt).toISOString()}>`));
+  }
+  return blocks;
+}
+
+function preferenceBlocks(env, prefs) {
+  const blocks = [
+    section('*Your preferences*'),
+    section('Where should I answer mentions, `/ask-airia` and summaries?',
+      select('home_pref_reply_in', REPLY_IN_OPTIONS.map(value => option(value, REPLY_IN_LABELS[value])), prefs.replyIn)),
+    section('How long should my answers be?',
+      select('home_pref_length', LENGTH_OPTIONS.map(value => option(value, LENGTH_LABELS[value])), prefs.length)),
+    section('Which language should I answer in?',
+      select('home_pref_language', [option('auto', 'Same as the question'), ...LANGUAGES.map(value => option(value, value))], prefs.language))
+  ];
+
+  const pipelines = Object.keys(loadPipelineConfig(env).pipelines);
+  if (pipelines.length > 0) {
+    blocks.push(section('Which pipeline should answer when no channel or keyword picks one?',
+      select('home_pref_pipeline', [option(DEFAULT_PIPELINE, 'Workspace default'), ...pipelines.map(name => option(name, name))], prefs.pipeline || DEFAULT_PIPELINE)));
+  }
+  return blocks;
+}
+
+function helpBlocks() {
+  return [
+    section('*How to use the AI Assistant*'),
+    section('*Slash command:* `/ask-airia [your question]`\n_Example:_ `/ask-airia What is the capital of Georgia?`'),
+    section('*@Mention in a channel:* mention the bot with your question. In a thread, I read the thread first.\n_Example:_ `@AI Assistant What is the weather today?`'),
+    section('*Direct message:* send me your question. Follow-up questions keep the earlier context - say `new topic` to start fresh.')
+  ];
+}
+
+async function adminBlocks(env) {
+  const config = loadPipelineConfig(env);
+  const names = [...new Set([config.default, ...Object.keys(config.pipelines)])];
+  const pipelineLines = names.map(name => {
+    const pipeline = getPipeline(env, name);
+    const status = isCircuitOpen(pipeline.url)
+      ? (pipeline.secondary ? ':large_orange_circle: primary down, using the secondary' : ':red_circle: unavailable')
+      : ':large_green_circle: OK';
+    return `• \`${name}\`: ${status}`;
+  });
+
+  const stats = await getUsageStats(env).catch(err => {
+    createLogger(env, 'HOME').error('Error reading usage stats', { error: err });
+    return null;
+  });
+  const usage = stats
+    ? `*${stats.requests}${stats.complete ? '' : '+'}* questions from *${stats.users}${stats.complete ? '' : '+'}* users today, *${stats.inFlight}* being answered now`
+    : 'Usage stats are unavailable right now.';
+
+  return [
+    { type: 'divider' },
+    section('*Admin* :lock:'),
+    section(`*Pipelines*\n${pipelineLines.join('\n')}`),
+    section([
+      '*Background jobs*',
+      `• Queue: ${env.JOBS_QUEUE ? ':large_green_circle: JOBS_QUEUE' : ':white_circle: not bound, jobs run in waitUntil'}`,
+      `• Dead-letter queue: ${env.JOBS_DLQ ? ':large_green_circle: JOBS_DLQ' : ':white_circle: not bound'}`,
+      `• Storage: ${env.BOT_STATE ? ':large_green_circle: BOT_STATE' : ':red_circle: BOT_STATE not bound - memory, limits and preferences are off'}`
+    ].join('\n')),
+    section(`*Usage*\n${usage}`),
+    context('Pipeline status is what this Worker instance has seen; usage counts reset at midnight UTC.')
+  ];
+}
+
+/**
+ * Build a user's Home tab
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Object>} A home view for views.publish
+ */
+export async function buildHomeView(env, userId) {
+  const [usage, history, prefs, admin] = await Promise.all([
+    getUsage(env, userId),
+    loadHistory(env, userId),
+    loadPreferences(env, userId),
+    isAdmin(env, userId)
+  ]);
+
+  const blocks = [
+    section('*Welcome to the AI Assistant!* :wave:\n\nThis bot helps you interact with AI services effortlessly.'),
+    ...usageBlocks(usage),
+    { type: 'divider' },
+    ...historyBlocks(history),
+    { type: 'divider' },
+    ...preferenceBlocks(env, prefs),
+    { type: 'divider' },
+    ...helpBlocks(),
+    ...(admin ? await adminBlocks(env) : []),
+    { type: 'divider' },
+    context(':gear: *Need help?* Contact your administrator for support.')
+  ];
+
+  return { type: 'home', blocks };
+}
+
+/**
+ * Publish a user's Home tab
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ */
+export async function publishHomeTab(env, userId) {
+  const log = createLogger(env, 'HOME');
+  log.info('Updating home tab', { user: userId });
+
+  const response = await fetch('https://slack.com/api/views.publish', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      user_id: userId,
+      view: await buildHomeView(env, userId),
+    }),
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    log.error('views.publish failed', { slackError: data.error });
+    return;
+  }
+  log.info('Updated home tab content');
+}
+
+/**
+ * Handles a change in one of the Home tab's preference menus
+ */
+export async function processHomePreference(payload, env) {
+  const action = payload.actions[0];
+  const userId = payload.user && payload.user.id;
+  const name = PREFERENCE_ACTIONS[action.action_id];
+  const value = action.selected_option && action.selected_option.value;
+
+  try {
+    await savePreference(env, userId, name, value);
+  } catch (err) {
+    createLogger(env, 'HOME').warn('Could not save preference', { user: userId, name, error: err });
+  }
+  await publishHomeTab(env, userId);
+}
@@ -0,0 +1,132 @@
+/**
+ * Idempotency for Slack deliveries
+ *
+ * Slack redelivers an event when it does not get a 200 within 3 seconds,
+ * and users can double-submit interactive components. Each delivery is
+ * keyed on its event_id (events) or trigger_id / response_url (interactive
+ * payloads and slash commands) and a short-lived record of in-flight and
+ * completed work is kept so that retries are acknowledged without running
+ * the background job again.
+ *
+ * Records live in an isolate-local map (instant, same isolate) and in the
+ * BOT_STATE KV namespace (shared across isolates, eventually consistent).
+ */
+
+import { createLogger } from './logging.js';
+
+// Long enough to cover Slack's retry schedule (immediately, 1 minute, 5 minutes)
+const IN_FLIGHT_TTL_SECONDS = 10 * 60;
+const COMPLETED_TTL_SECONDS = 60 * 60;
+
+const localRecords = new Map();
+
+/**
+ * Derive the idempotency key for a parsed Slack payload
+ * Returns null for payloads that have nothing stable to key on
+ */
+export function getIdempotencyKey(payload) {
+  if (!payload) return null;
+
+  if (payload.type === 'event_callback' && payload.event_id) {
+    return `idempotency:event:${payload.event_id}`;
+  }
+  if (payload.trigger_id) {
+    return `idempotency:trigger:${payload.trigger_id}`;
+  }
+  if (payload.response_url) {
+    return `idempotency:response:${payload.response_url}`;
+  }
+  return null;
+}
+
+function readLocal(key) {
+  const record = localRecords.get(key);
+  if (!record) return null;
+  if (record.expiresAt <= Date.now()) {
+    localRecords.delete(key);
+    return null;
+  }
+  return record;
+}
+
+async function writeRecord(env, key, status, ttlSeconds) {
+  const record = { status, updatedAt: Date.now() };
+  localRecords.set(key, { ...record, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+  if (env.BOT_STATE) {
+    try {
+      await env.BOT_STATE.put(key, JSON.stringify(record), { expirationTtl: ttlSeconds });
+    } catch (err) {
+      createLogger(env, 'IDEMPOTENCY').error('Error writing record', { key, error: err });
+    }
+  }
+}
+
+/**
+ * Try to claim a delivery for processing
+ * @returns {Promise<{acquired: boolean, status?: string}>} acquired is false when the
+ *   delivery is already in flight or completed
+ */
+export async function claimIdempotencyKey(env, key) {
+  if (!key) {
+    return { acquired: true };
+  }
+
+  const local = readLocal(key);
+  if (local) {
+    return { acquired: false, status: local.status };
+  }
+
+  if (env.BOT_STATE) {
+    try {
+      const stored = await env.BOT_STATE.get(key, 'json');
+      if (stored) {
+        return { acquired: false, status: stored.status };
+      }
+    } catch (err) {
+      // Fail open - answering twice is better than never answering
+      createLogger(env, 'IDEMPOTENCY').error('Error reading record', { key, error: err });
+    }
+  }
+
+  await writeRecord(env, key, 'in_flight', IN_FLIGHT_TTL_SECONDS);
+  return { acquired: true };
+}
+
+/**
+ * Mark a claimed delivery as done so later retries are ignored
+ */
+export async function completeIdempotencyKey(env, key) {
+  if (!key) return;
+  await writeRecord(env, key, 'completed', COMPLETED_TTL_SECONDS);
+}
+
+/**
+ * Drop the record for a delivery whose job failed, so a Slack retry can run it again
+ */
+export async function releaseIdempotencyKey(env, key) {
+  if (!key) return;
+  localRecords.delete(key);
+
+  if (env.BOT_STATE) {
+    try {
+      await env.BOT_STATE.delete(key);
+    } catch (err) {
+      createLogger(env, 'IDEMPOTENCY').error('Error deleting record', { key, error: err });
+    }
+  }
+}
+
+/**
+ * Run a background job for a claimed delivery and record the outcome
+ * @param {Function} job - Function returning the job's promise
+ */
+export async function runIdempotentJob(env, key, job) {
+  try {
+    await job();
+    await completeIdempotencyKey(env, key);
+  } catch (err) {
+    createLogger(env, 'IDEMPOTENCY').error('Background job failed, releasing key', { key, error: err });
+    await releaseIdempotencyKey(env, key);
+  }
+}
@@ -8,7 +8,9 @@
  * - Slack slash commands (/ask-airia)
  * - Slack Direct Messages to the bot
  * - Mentions of the bot in channels
- * - Slack home tab app configuration
+ * - Summaries of threads and channels (the Summarize action, /airia-summarize)
+ * - Scheduled channel digests (/airia-digest, posted from the cron trigger)
+ * - The App Home tab (recent questions, preferences, admin status)
  * 
  * Security features:
  * - Verifies Slack request signatures
@@ -18,6 +20,69 @@
  */
 
 import crypto from 'crypto';
+import { createLogger, getCorrelationId, setCorrelationId, withLogContext } from './logging.js';
+import {
+  fetchUserNames,
+  fetchThreadReplies,
+  fetchChannelHistory,
+  fetchConversationPages,
+  fetchChannelRange,
+  fetchUserInfo,
+  ensureChannelMember,
+  postSlackMessage,
+  postEphemeralMessage,
+  completeFunction
+} from './slack.js';
+import { startPlaceholder, stopPlaceholder, showPlaceholderError, updatePlaceholder } from './placeholder.js';
+import { normalizeSlackInput } from './input.js';
+import { postAnswer, postAnswerToResponseUrl, processUploadFullResponse, UPLOAD_FULL_RESPONSE_ACTION } from './answers.js';
+import {
+  getConversationKey,
+  isResetCommand,
+  loadConversation,
+  saveConversationTurn,
+  resetConversation,
+  getConversationResetTs,
+  buildConversationInput,
+  buildThreadContextInput
+} from './conversation.js';
+import { getIdempotencyKey, claimIdempotencyKey, completeIdempotencyKey } from './idempotency.js';
+import { resolvePipeline, getPipeline, hasPipeline, isRoutedCommand } from './pipelines.js';
+import { AiriaError } from './airia.js';
+import { runAiria, pollAsyncJobs, handleAiriaCallback } from './async-jobs.js';
+import { createJob, enqueueJob, processJobBatch, notifyJobUser } from './jobs.js';
+import { checkLimits } from './limits.js';
+import { checkPolicy, canJoinChannel } from './policy.js';
+import { verifySlackRequest } from './signature.js';
+import { withTeamToken, handleInstallationEvent, InstallationError } from './installations.js';
+import { handleInstall, handleOAuthRedirect } from './oauth.js';
+import { loadPreferences, applyPreferences } from './preferences.js';
+import { loadHistory } from './history.js';
+import { getSummaryConfig, buildSummaryInput } from './summarize.js';
+import { buildTranscript } from './transcript.js';
+import {
+  SUMMARY_MODAL_CALLBACK_ID,
+  SUMMARIZE_COMMAND,
+  openSummaryModal,
+  readSummaryOptions,
+  validateSummaryOptions,
+  readSummaryRequest,
+  getSummaryRange,
+  describeSummaryScope,
+  applySummaryOptions,
+  ACTION_ITEMS_STYLE
+} from './summary-modal.js';
+import { extractActionItems, buildActionItemsMessage, postActionItems, isActionItemAction, processActionItemAction } from './action-items.js';
+import { DIGEST_COMMAND, processDigestCommand, runDueDigests } from './digests.js';
+import { HOME_ASK_AGAIN_ACTION, isHomePreferenceAction, publishHomeTab, processHomePreference } from './home.js';
+import {
+  REGENERATE_ACTION,
+  FEEDBACK_REASON_MODAL,
+  isFeedbackAction,
+  loadAnswerRecord,
+  processFeedbackAction,
+  processFeedbackReason
+} from './feedback.js';
 
 /**
  * Partial key logging to avoid exposing entire secrets in logs
@@ -28,331 +93,603 @@ function partialKey(key) {
   return key.slice(0, 3) + '...'; // Show only first 3 chars
 }
 
-/**
- * Verbose logging function for development mode
- * Controls logging level based on environment
- * SECURITY NOTE: Development only - disabled in production to avoid leaking secrets
- */
-function isVerboseLogging(env) {
-  return env.ENVIRONMENT !== 'production' && env.VERBOSE_LOGGING !== 'false';
-}
-
 /**
  * Logger to confirm env vars are set
  * SECURITY NOTE: For development only - should be disabled in production
  * as it could leak partial secrets to logs
  */
 function logEnvValues(env) {
+  const log = createLogger(env, 'ENV');
   // Don't log in production
   if (env.ENVIRONMENT === 'production') {
-    console.log('[ENV] Environment: production (skipping detailed logs)');
+    log.info('Environment: production (skipping detailed logs)');
     return;
   }
-  
-  console.log('[ENV] AIRIA_API_URL is set:', !!env.AIRIA_API_URL);
-  console.log('[ENV] Airia_API_key is set:', !!env.Airia_API_key);
-  console.log('[ENV] Slack_Signing_Secret is set:', !!env.Slack_Signing_Secret);
-  console.log('[ENV] Slack_Bot_Token is set:', !!env.Slack_Bot_Token);
-  console.log('[ENV] VERBOSE_LOGGING:', env.VERBOSE_LOGGING !== 'false' ? 'enabled' : 'disabled');
-  
-  if (isVerboseLogging(env)) {
-    console.log('[ENV-VERBOSE] Additional debug logging is enabled');
-  }
+
+  log.info('Environment variables checked', {
+    airiaApiUrlSet: !!env.AIRIA_API_URL,
+    airiaApiKeySet: !!env.Airia_API_key,
+    airiaPipelinesSet: !!env.AIRIA_PIPELINES,
+    slackSigningSecretSet: !!env.Slack_Signing_Secret,
+    slackBotTokenSet: !!env.Slack_Bot_Token,
+    verboseLogging: env.VERBOSE_LOGGING !== 'false' ? 'enabled' : 'disabled'
+  });
+  log.debug('Additional debug logging is enabled');
 }
 
 /**
- * Worker in Modules format
+ * Background job types and their handlers (see jobs.js)
+ * Each handler receives the full Slack payload the job was created from
  */
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
+const JOB_HANDLERS = {
+  slash_command: (payload, env) => processSlashCommand(payload, env),
+  summary_modal: (payload, env) => openSummaryModal(payload, env),
+  thread_summary: (payload, env) => processThreadSummary(payload, env),
+  ask_shortcut: (payload, env) => processAskAiriaShortcut(payload, env),
+  workflow_function: (payload, env) => processWorkflowFunction(payload.event, env),
+  upload_full_response: (payload, env) => processUploadFullResponse(payload, env),
+  feedback: (payload, env) => processFeedbackAction(payload, env),
+  regenerate: (payload, env) => processRegenerate(payload, env),
+  ask_modal: (payload, env) => handleViewSubmission(payload, env),
+  feedback_reason: (payload, env) => processFeedbackReason(payload, env),
+  link_unfurl: (payload, env) => processLinkUnfurl(payload.event, env),
+  home_tab: (payload, env) => publishHomeTab(env, payload.event.user),
+  home_preference: (payload, env) => processHomePreference(payload, env),
+  home_ask_again: (payload, env) => processAskAgain(payload, env),
+  action_item: (payload, env) => processActionItemAction(payload, env),
+  digest_command: (payload, env) => processDigestCommand(payload, env),
+  dm: (payload, env) => processDM(payload.event, env),
+  mention: (payload, env) => processMention(payload.event, env)
+};
 
-    // Test route - only enabled in development environments
-    if (url.pathname === '/test' && env.ENVIRONMENT !== 'production') {
-      console.log('[TEST] Received /test request');
-      
-      // Check environment but don't log sensitive details
-      console.log('[TEST] Environment:', env.ENVIRONMENT || 'not set');
-      
-      // Return basic health check response
-      return new Response(JSON.stringify({ 
-        status: 'ok',
-        environment: env.ENVIRONMENT || 'development'
-      }), {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' },
-      });
+// Feature of each job type that the access policy governs (see policy.js)
+const JOB_FEATURES = {
+  slash_command: 'ask',
+  mention: 'ask',
+  ask_shortcut: 'ask',
+  ask_modal: 'ask',
+  regenerate: regenerateFeature,
+  home_ask_again: 'ask',
+  summary_modal: 'summarize',
+  thread_summary: 'summarize',
+  digest_command: 'summarize',
+  dm: 'dm',
+  workflow_function: 'workflow'
+};
+
+// Regenerate is governed by the feature that produced the answer, read from its stored surface
+const REGENERATE_FEATURES = { summary: 'summarize', digest: 'summarize', dm: 'dm' };
+
+async function regenerateFeature(env, payload) {
+  const record = await loadAnswerRecord(env, payload.actions[0].value);
+  return (record && REGENERATE_FEATURES[record.surface]) || 'ask';
+}
+
+// Job types that call Airia and count against rate limits and quotas (see limits.js)
+const LIMITED_JOB_TYPES = ['slash_command', 'thread_summary', 'workflow_function', 'regenerate', 'ask_modal', 'dm', 'mention', 'home_ask_again'];
+
+// callback_id of the "Generate AI response" custom step (see slack-app-manifest.json)
+const WORKFLOW_FUNCTION_CALLBACK_ID = 'generate_response';
+// Latest messages of a workflow's context channel sent along with its prompt
+const WORKFLOW_CONTEXT_MESSAGES = 20;
+
+// Messages read around a summarized message that has no thread
+const CONTEXT_MESSAGES_BEFORE = 3;
+const CONTEXT_MESSAGES_AFTER = 2;
+
+// Left where the question was asked when the user prefers answers in their App DM (see preferences.js)
+const DM_REPLY_NOTE = ':envelope_with_arrow: I\'ll send you the answer in a direct message.';
+
+/**
+ * Acknowledge a Slack request and run its job in the background exactly once
+ * Redeliveries of a payload that is already in flight or completed get the
+ * same acknowledgement without re-running the job, and requests the access
+ * policy blocks or that are over a rate limit or quota get an explanation
+ * instead of a job
+ * @param {string} type - Job type, a key of JOB_HANDLERS
+ */
+async function acknowledgeAndRun(ctx, env, payload, ack, type) {
+  const idempotencyKey = getIdempotencyKey(payload);
+  const claim = await claimIdempotencyKey(env, idempotencyKey);
+
+  if (!claim.acquired) {
+    createLogger(env, 'SLACK').info('Duplicate delivery acknowledged without processing', { idempotencyKey, status: claim.status });
+    return ack;
+  }
+
+  const feature = typeof JOB_FEATURES[type] === 'function' ? await JOB_FEATURES[type](env, payload) : JOB_FEATURES[type];
+  if (feature) {
+    const access = await checkPolicy(env, feature, payload);
+    if (!access.allowed) {
+      createLogger(env, 'POLICY').info('Blocked request', { type, reason: access.reason });
+      await completeIdempotencyKey(env, idempotencyKey);
+      ctx.waitUntil(notifyJobUser(env, createJob(type, payload), access.message));
+      return ack;
+    }
+  }
+
+  let slotId = null;
+  if (LIMITED_JOB_TYPES.includes(type)) {
+    const decision = await checkLimits(env, payload);
+    if (!decision.allowed) {
+      createLogger(env, 'LIMITS').info('Request over a limit', { type, limit: decision.limit, retryAfterSeconds: decision.retryAfterSeconds });
+      // Slack retries of this delivery get the same answer: nothing
+      await completeIdempotencyKey(env, idempotencyKey);
+      ctx.waitUntil(notifyJobUser(env, createJob(type, payload), decision.message));
+      return ack;
     }
+    slotId = decision.slotId;
+  }
+
+  await enqueueJob(env, ctx, createJob(type, payload, { idempotencyKey, slotId }), JOB_HANDLERS);
+  return ack;
+}
+
+/**
+ * Route a request to the worker; runs inside a log context (see logging.js)
+ */
+async function handleRequest(request, env, ctx) {
+  const url = new URL(request.url);
+
+  // Test route - only enabled in development environments
+  if (url.pathname === '/test' && env.ENVIRONMENT !== 'production') {
+    const log = createLogger(env, 'TEST');
+    log.info('Received /test request');
     
-    // Block test route in production
-    if (url.pathname === '/test' && env.ENVIRONMENT === 'production') {
-      console.warn('[SECURITY] Test route accessed in production');
-      return new Response('Not found', { status: 404 });
+    // Check environment but don't log sensitive details
+    log.info('Environment checked', { environment: env.ENVIRONMENT || 'not set' });
+    
+    // Return basic health check response
+    return new Response(JSON.stringify({ 
+      status: 'ok',
+      environment: env.ENVIRONMENT || 'development'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+  
+  // Block test route in production
+  if (url.pathname === '/test' && env.ENVIRONMENT === 'production') {
+    createLogger(env, 'SECURITY').warn('Test route accessed in production');
+    return new Response('Not found', { status: 404 });
+  }
+
+  // Multi-workspace installation (see oauth.js)
+  if (url.pathname === '/slack/install' && request.method === 'GET') {
+    return handleInstall(request, env);
+  }
+  if (url.pathname === '/slack/oauth_redirect' && request.method === 'GET') {
+    return handleOAuthRedirect(request, env);
+  }
+
+  if (url.pathname === '/slack') {
+    const log = createLogger(env, 'SLACK');
+    log.info('Received /slack request');
+    logEnvValues(env);
+
+    // 1) Read the body and verify the signature before anything else, challenges included
+    const verification = await verifySlackRequest(request, env);
+    if (!verification.ok) {
+      return new Response(verification.message, { status: verification.status });
     }
+    const { rawBody } = verification;
 
-    if (url.pathname === '/slack') {
-      console.log('[SLACK] Received /slack request');
-      logEnvValues(env);
+    // Slack retries deliveries it considers failed - log them, the idempotency layer skips the work
+    const retryNum = request.headers.get('X-Slack-Retry-Num');
+    if (retryNum) {
+      log.info('Retry delivery', { retryNum, reason: request.headers.get('X-Slack-Retry-Reason') });
+    }
 
-      // 1) Get the raw body first for all request types
-      const rawBody = await request.text();
-      
-      // Special handling for URL verification - skip signature checks
+    // 2) Parse Slack payload
+    let payload;
+    const contentType = request.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json')) {
       try {
-        const jsonBody = JSON.parse(rawBody);
-        if (jsonBody.type === 'url_verification') {
-          console.log('[SLACK] Detected URL verification challenge!');
-          return new Response(JSON.stringify({ challenge: jsonBody.challenge }), {
-            headers: { 'Content-Type': 'application/json' },
-          });
+        payload = JSON.parse(rawBody);
+      } catch (err) {
+        log.error('Error parsing JSON body', { error: err });
+        return new Response('Invalid request format', { status: 400 });
+      }
+    } else if (contentType.includes('application/x-www-form-urlencoded')) {
+      const params = new URLSearchParams(rawBody);
+      payload = Object.fromEntries(params.entries());
+      
+      // For payloads containing JSON strings (like interactive components)
+      if (payload.payload) {
+        try {
+          payload = JSON.parse(payload.payload);
+        } catch (err) {
+          log.error('Error parsing payload JSON', { error: err });
         }
-      } catch (e) {
-        // Not JSON or not a challenge - continue with normal flow
-        console.log('[SLACK] Not a URL verification challenge, continuing...');
       }
+    } else {
+      log.error('Invalid content type', { contentType });
+      return new Response('Invalid request format', { status: 400 });
+    }
 
-      // 2) Normal Slack signature checks for non-challenge requests
-      const timestamp = request.headers.get('X-Slack-Request-Timestamp');
-      const slackSignature = request.headers.get('X-Slack-Signature');
+    // From here on, every line about this request carries its event_id or trigger_id
+    setCorrelationId(getCorrelationId(payload));
 
-      // Skip signature check if secret is not set (for initial URL verification)
-      if (!env.Slack_Signing_Secret) {
-        console.warn('[SLACK] Signing secret not set - skipping signature verification');
-      } else {
-        // Basic timestamp check (300s)
-        const now = Math.floor(Date.now() / 1000);
-        if (Math.abs(now - timestamp) > 300) {
-          console.error('[SLACK] Timestamp too old:', timestamp);
-          return new Response('Invalid request (timestamp too old)', { status: 400 });
-        }
+    // Slack URL verification, answered only once the request is verified
+    if (payload.type === 'url_verification') {
+      log.info('Responding to Slack URL verification challenge');
+      return new Response(JSON.stringify({ challenge: payload.challenge }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
 
-        // Verify Slack signature
-        const baseString = `v0:${timestamp}:${rawBody}`;
-        const computedHash = `v0=${crypto
-          .createHmac('sha256', env.Slack_Signing_Secret)
-          .update(baseString)
-          .digest('hex')}`;
+    // Every Slack API call for this request uses the bot token of the workspace it came from
+    try {
+      env = await withTeamToken(env, payload);
+    } catch (err) {
+      if (!(err instanceof InstallationError)) throw err;
+      // Slack redelivers after an error status, so a failed lookup is tried again; an unknown workspace is not
+      return new Response('', { status: err.code === 'lookup_failed' ? 503 : 200 });
+    }
 
-        if (computedHash !== slackSignature) {
-          console.error('[SLACK] Invalid Slack signature');
-          return new Response('Invalid request (invalid signature)', { status: 401 });
-        }
-        console.log('[SLACK] Slack signature verified.');
-      }
+    // Slash command /airia-summarize opens the summary modal
+    if (payload.command === SUMMARIZE_COMMAND) {
+      createLogger(env, 'SLASH').info('Summarize command received', { user: payload.user_id, channel: payload.channel_id });
+      const ack = new Response('', { status: 200 });
+      return acknowledgeAndRun(ctx, env, payload, ack, 'summary_modal');
+    }
 
-      // 3) Parse Slack payload
-      let payload;
-      const contentType = request.headers.get('Content-Type') || '';
-      if (contentType.includes('application/json')) {
-        // Already parsed for challenge check
-        payload = JSON.parse(rawBody);
-      } else if (contentType.includes('application/x-www-form-urlencoded')) {
-        const params = new URLSearchParams(rawBody);
-        payload = Object.fromEntries(params.entries());
-        
-        // For payloads containing JSON strings (like interactive components)
-        if (payload.payload) {
-          try {
-            payload = JSON.parse(payload.payload);
-          } catch (err) {
-            console.error('[SLACK] Error parsing payload JSON:', err);
-          }
-        }
-      } else {
-        console.error('[SLACK] Invalid content type:', contentType);
-        return new Response('Invalid request format', { status: 400 });
-      }
+    // Slash command /airia-digest manages the channel's scheduled digests
+    if (payload.command === DIGEST_COMMAND) {
+      createLogger(env, 'SLASH').info('Digest command received', { user: payload.user_id, channel: payload.channel_id });
+      const ack = new Response('', { status: 200 });
+      return acknowledgeAndRun(ctx, env, payload, ack, 'digest_command');
+    }
 
-      // Slack URL verification (redundant but keeping for clarity)
-      if (payload.type === 'url_verification') {
-        console.log('[SLACK] Responding to Slack URL verification challenge...');
-        return new Response(JSON.stringify({ challenge: payload.challenge }), {
-          headers: { 'Content-Type': 'application/json' },
+    // Slash command /ask-airia, plus any command routed to a pipeline in AIRIA_PIPELINES
+    if (payload.command && (payload.command === '/ask-airia' || isRoutedCommand(env, payload.command))) {
+      createLogger(env, 'SLASH').info('Slash command received', { command: payload.command, user: payload.user_id, channel: payload.channel_id });
+      // Return 200 immediately
+      const ack = new Response('OK', { status: 200 });
+      return acknowledgeAndRun(ctx, env, payload, ack, 'slash_command');
+    }
+
+    // Interactive components (message actions, shortcuts, modals, etc.)
+    if (payload.type === 'message_action' || payload.type === 'block_actions' || 
+        payload.type === 'shortcut' || payload.type === 'view_submission') {
+      createLogger(env, 'INTERACTIVE').info('Interactive component triggered', { type: payload.type, callbackId: payload.callback_id });
+      
+      // Handle message action: "Summarize" - opens the summary modal
+      if (payload.type === 'message_action' && payload.callback_id === 'summarize_thread') {
+        // For message actions, return an empty JSON object with content-type application/json
+        // This ensures Slack doesn't show an error dialog
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'summary_modal');
+      } 
+      // Handle global shortcut: "Ask AI Assistant"
+      else if (payload.type === 'shortcut' && payload.callback_id === 'ask_airia_shortcut') {
+        // For shortcuts, use JSON response too
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        // IMPORTANT: For shortcuts, we need to respond quickly
+        // So we'll start processing after sending the initial response
+        return acknowledgeAndRun(ctx, env, payload, ack, 'ask_shortcut');
+      } 
+      // Handle button: "Upload full answer as a file"
+      else if (payload.type === 'block_actions' && payload.actions && payload.actions[0] &&
+               payload.actions[0].action_id === UPLOAD_FULL_RESPONSE_ACTION) {
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
         });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'upload_full_response');
       }
-
-      // Slash command /ask-airia
-      if (payload.command && payload.command === '/ask-airia') {
-        console.log('[SLASH] /ask-airia slash command');
-        // Return 200 immediately
-        const ack = new Response('OK', { status: 200 });
-        ctx.waitUntil(processSlashCommand(payload, env));
-        return ack;
+      // Handle buttons: "Helpful" / "Not helpful"
+      else if (payload.type === 'block_actions' && payload.actions && payload.actions[0] &&
+               isFeedbackAction(payload.actions[0].action_id)) {
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'feedback');
       }
-
-      // Interactive components (message actions, shortcuts, modals, etc.)
-      if (payload.type === 'message_action' || payload.type === 'block_actions' || 
-          payload.type === 'shortcut' || payload.type === 'workflow_step' ||
-          payload.type === 'view_submission') {
-        console.log('[INTERACTIVE] Interactive component triggered:', payload.type);
+      // Handle button: "Regenerate"
+      else if (payload.type === 'block_actions' && payload.actions && payload.actions[0] &&
+               payload.actions[0].action_id === REGENERATE_ACTION) {
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'regenerate');
+      }
+      // Handle App Home preference menus
+      else if (payload.type === 'block_actions' && payload.actions && payload.actions[0] &&
+               isHomePreferenceAction(payload.actions[0].action_id)) {
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'home_preference');
+      }
+      // Handle App Home button: "Ask again"
+      else if (payload.type === 'block_actions' && payload.actions && payload.actions[0] &&
+               payload.actions[0].action_id === HOME_ASK_AGAIN_ACTION) {
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'home_ask_again');
+      }
+      // Handle action item checklist: "Done", "Remind" and "DM owner"
+      else if (payload.type === 'block_actions' && payload.actions && payload.actions[0] &&
+               isActionItemAction(payload.actions[0].action_id)) {
+        const ack = new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'action_item');
+      }
+      // Handle modal submissions
+      else if (payload.type === 'view_submission') {
+        createLogger(env, 'MODAL').info('View submission received', { callbackId: payload.view.callback_id });
         
-        // Handle message action: "Summarize"
-        if (payload.type === 'message_action' && payload.callback_id === 'summarize_thread') {
-          // For message actions, return an empty JSON object with content-type application/json
-          // This ensures Slack doesn't show an error dialog
+        // Check which modal was submitted using the callback_id
+        if (payload.view.callback_id === 'ask_ai_assistant_modal') {
+          // Process the AI Assistant question modal
+          // We'll do this in the background to avoid blocking
           const ack = new Response('{}', { 
             status: 200,
             headers: { 'Content-Type': 'application/json' }
           });
-          ctx.waitUntil(processThreadSummary(payload, env));
-          return ack;
-        } 
-        // Handle global shortcut: "Ask AI Assistant"
-        else if (payload.type === 'shortcut' && payload.callback_id === 'ask_airia_shortcut') {
-          // For shortcuts, use JSON response too
+          return acknowledgeAndRun(ctx, env, payload, ack, 'ask_modal');
+        } else if (payload.view.callback_id === SUMMARY_MODAL_CALLBACK_ID) {
+          // Summary options: invalid choices are shown in the modal, which stays open
+          const errors = validateSummaryOptions(readSummaryOptions(payload.view));
+          if (errors) {
+            return new Response(JSON.stringify({ response_action: 'errors', errors }), {
+              status: 200,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
           const ack = new Response('{}', { 
             status: 200,
             headers: { 'Content-Type': 'application/json' }
           });
-          // IMPORTANT: For shortcuts, we need to respond quickly
-          // So we'll start processing after sending the initial response
-          ctx.waitUntil(processAskAiriaShortcut(payload, env));
-          return ack;
-        } 
-        // Handle workflow step: "Generate response"
-        else if (payload.type === 'workflow_step' && payload.callback_id === 'generate_response') {
+          return acknowledgeAndRun(ctx, env, payload, ack, 'thread_summary');
+        } else if (payload.view.callback_id === FEEDBACK_REASON_MODAL) {
+          // Reason for a "Not helpful" rating
           const ack = new Response('{}', { 
             status: 200,
             headers: { 'Content-Type': 'application/json' }
           });
-          ctx.waitUntil(processWorkflowStep(payload, env));
-          return ack;
-        }
-        // Handle modal submissions
-        else if (payload.type === 'view_submission') {
-          console.log('[MODAL] View submission received:', payload.view.callback_id);
-          
-          // Check which modal was submitted using the callback_id
-          if (payload.view.callback_id === 'ask_ai_assistant_modal') {
-            // Process the AI Assistant question modal
-            // We'll do this in the background to avoid blocking
-            const ack = new Response('{}', { 
-              status: 200,
-              headers: { 'Content-Type': 'application/json' }
-            });
-            ctx.waitUntil(handleViewSubmission(payload, env));
-            return ack;
-          } else {
-            // For any other modal types, handle synchronously
-            console.log('[MODAL] Unknown modal type:', payload.view.callback_id);
-            return new Response('{}', {
-              status: 200,
-              headers: { 'Content-Type': 'application/json' }
-            });
-          }
+          return acknowledgeAndRun(ctx, env, payload, ack, 'feedback_reason');
         } else {
-          console.log('[INTERACTIVE] Unhandled interactive component:', payload);
-          return new Response('{}', { 
+          // For any other modal types, handle synchronously
+          createLogger(env, 'MODAL').info('Unknown modal type', { callbackId: payload.view.callback_id });
+          return new Response('{}', {
             status: 200,
             headers: { 'Content-Type': 'application/json' }
           });
         }
+      } else {
+        createLogger(env, 'INTERACTIVE').info('Unhandled interactive component', { type: payload.type, payload });
+        return new Response('{}', { 
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
       }
+    }
 
-      // Link unfurling
-      if (payload.type === 'event_callback' && payload.event && payload.event.type === 'link_shared') {
-        console.log('[UNFURL] Link shared event:', payload.event);
-        const ack = new Response('OK', { status: 200 });
-        ctx.waitUntil(processLinkUnfurl(payload.event, env));
-        return ack;
+    // Link unfurling
+    if (payload.type === 'event_callback' && payload.event && payload.event.type === 'link_shared') {
+      createLogger(env, 'UNFURL').info('Link shared event', { channel: payload.event.channel, links: payload.event.links });
+      const ack = new Response('OK', { status: 200 });
+      return acknowledgeAndRun(ctx, env, payload, ack, 'link_unfurl');
+    }
+    
+    // Event callback
+    if (payload.type === 'event_callback') {
+      const slackEvent = payload.event;
+      const eventLog = createLogger(env, 'SLACK_EVENT');
+      eventLog.debug('Received event', { type: slackEvent.type, event: slackEvent });
+
+      // The app was removed or its bot token revoked: forget the workspace's token
+      if (slackEvent.type === 'app_uninstalled' || slackEvent.type === 'tokens_revoked') {
+        eventLog.info('Installation event', { type: slackEvent.type });
+        await handleInstallationEvent(env, payload);
+        return new Response('OK', { status: 200 });
       }
-      
-      // Event callback
-      if (payload.type === 'event_callback') {
-        const slackEvent = payload.event;
-        console.log('[SLACK EVENT] Received event:', slackEvent);
-
-        // Ignore bot's own messages
-        if (slackEvent.bot_id) {
-          console.log('[SLACK EVENT] Bot message, ignoring');
-          return new Response('Bot message ignored', { status: 200 });
-        }
 
-        // Home tab
-        if (slackEvent.type === 'app_home_opened') {
-          console.log('[SLACK EVENT] app_home_opened for user:', slackEvent.user);
-          const ack = new Response('OK', { status: 200 });
-          ctx.waitUntil(updateHomeTab(slackEvent, env));
-          return ack;
-        }
+      // Ignore bot's own messages
+      if (slackEvent.bot_id) {
+        eventLog.info('Bot message, ignoring');
+        return new Response('Bot message ignored', { status: 200 });
+      }
 
-        // DM
-        if (slackEvent.type === 'message' && slackEvent.channel_type === 'im') {
-          console.log(`[SLACK EVENT] DM from user ${slackEvent.user}: ${slackEvent.text}`);
-          const ack = new Response('OK', { status: 200 });
-          ctx.waitUntil(processDM(slackEvent, env));
-          return ack;
-        }
+      // Home tab
+      if (slackEvent.type === 'app_home_opened') {
+        eventLog.info('app_home_opened', { user: slackEvent.user });
+        const ack = new Response('OK', { status: 200 });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'home_tab');
+      }
 
-        // @mention
-        if (slackEvent.type === 'app_mention') {
-          console.log(`[SLACK EVENT] @mention from user ${slackEvent.user}: ${slackEvent.text}`);
-          const ack = new Response('OK', { status: 200 });
-          // We'll do ephemeral "thinking" + final answer
-          ctx.waitUntil(processMention(slackEvent, env));
-          return ack;
+      // Workflow Builder custom step: "Generate AI response"
+      if (slackEvent.type === 'function_executed') {
+        const callbackId = slackEvent.function && slackEvent.function.callback_id;
+        eventLog.info('function_executed', { callbackId, functionExecutionId: slackEvent.function_execution_id });
+        if (callbackId !== WORKFLOW_FUNCTION_CALLBACK_ID) {
+          eventLog.warn('Unknown workflow function', { callbackId });
+          return new Response('OK', { status: 200 });
         }
+        const ack = new Response('OK', { status: 200 });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'workflow_function');
+      }
 
-        console.warn('[SLACK EVENT] Unhandled event type:', slackEvent.type);
-        return new Response('Unhandled event', { status: 400 });
+      // DM
+      if (slackEvent.type === 'message' && slackEvent.channel_type === 'im') {
+        eventLog.info('DM received', { user: slackEvent.user, channel: slackEvent.channel, text: slackEvent.text });
+        const ack = new Response('OK', { status: 200 });
+        return acknowledgeAndRun(ctx, env, payload, ack, 'dm');
       }
 
-      console.warn('[SLACK] Unhandled payload:', payload);
-      return new Response('Unhandled Slack payload', { status: 400 });
+      // @mention
+      if (slackEvent.type === 'app_mention') {
+        eventLog.info('@mention received', { user: slackEvent.user, channel: slackEvent.channel, text: slackEvent.text });
+        const ack = new Response('OK', { status: 200 });
+        // We'll post a "thinking" placeholder and edit it into the final answer
+        return acknowledgeAndRun(ctx, env, payload, ack, 'mention');
+      }
+
+      eventLog.warn('Unhandled event type', { type: slackEvent.type });
+      return new Response('Unhandled event', { status: 400 });
     }
 
-    // Not /slack or /test => 404
-    console.warn('[WORKER] No matching route:', url.pathname);
-    return new Response('Not found', { status: 404 });
+    log.warn('Unhandled payload', { type: payload.type, payload });
+    return new Response('Unhandled Slack payload', { status: 400 });
+  }
+
+  // Airia delivering a finished asyncOutput execution
+  if (url.pathname.startsWith('/airia/callback/') && request.method === 'POST') {
+    return handleAiriaCallback(request, env, ctx);
+  }
+
+  // Not /slack, /slack/install, /slack/oauth_redirect, /airia/callback or /test => 404
+  createLogger(env, 'WORKER').warn('No matching route', { path: url.pathname });
+  return new Response('Not found', { status: 404 });
+}
+
+/**
+ * Worker in Modules format
+ */
+export default {
+  async fetch(request, env, ctx) {
+    // Until the Slack payload is parsed, lines are correlated by Cloudflare's ray id
+    return withLogContext({ correlationId: request.headers.get('cf-ray') || crypto.randomUUID() }, () => handleRequest(request, env, ctx));
+  },
+
+  /**
+   * Cron trigger: polls long-running Airia executions (see async-jobs.js)
+   * and posts the channel digests that are due (see digests.js)
+   */
+  async scheduled(controller, env, ctx) {
+    await withLogContext({ correlationId: `cron:${controller.scheduledTime}` }, async () => {
+      createLogger(env, 'SCHEDULED').info('Cron trigger', { cron: controller.cron });
+      ctx.waitUntil(Promise.all([pollAsyncJobs(env), runDueDigests(env, controller.scheduledTime)]));
+    });
+  },
+
+  /**
+   * Queue consumer: runs jobs enqueued by the /slack route (see jobs.js)
+   */
+  async queue(batch, env, ctx) {
+    createLogger(env, 'QUEUE').info('Received batch', { jobs: batch.messages.length, queue: batch.queue });
+    await processJobBatch(batch, env, JOB_HANDLERS);
   }
 };
 
+/**
+ * A short, user-facing description of a failed Airia call
+ */
+function describeAiriaError(err) {
+  if (!(err instanceof AiriaError)) {
+    return `Sorry, something went wrong while answering: ${err.message}`;
+  }
+  if (err.code === 'timeout') {
+    return 'Sorry, the AI service took too long to answer. Please try again later.';
+  }
+  if (err.code === 'execution_failed') {
+    return `Sorry, the AI pipeline could not answer: ${err.message}`;
+  }
+  if (err.status) {
+    return `Sorry, the AI service returned an error (${err.status}). Please try again later.`;
+  }
+  return `Sorry, the AI service is unavailable right now (${err.message}). Please try again later.`;
+}
+
 /**
  * Processes the /ask-airia slash command in background
  */
 async function processSlashCommand(payload, env) {
-  console.log('[SLASH] Processing slash command in background. userInput:', payload.text);
+  const log = createLogger(env, 'SLASH');
+  const startedAt = Date.now();
+  log.info('Processing slash command in background', { user: payload.user_id, text: payload.text });
+  const respond = (text) => fetch(payload.response_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text }),
+  });
+  // Errors go to the response_url, or to an ephemeral message when the response_url fails too
+  const respondWithError = async (text) => {
+    try {
+      const response = await respond(text);
+      if (response.ok) return;
+      log.warn('response_url rejected the error message', { status: response.status });
+    } catch (respondErr) {
+      log.warn('Error posting the error message to response_url', { error: respondErr });
+    }
+    try {
+      await postEphemeralMessage(env, { channel: payload.channel_id, user: payload.user_id, text });
+    } catch (ephemeralErr) {
+      log.error('Error telling the user about the failed command', { error: ephemeralErr });
+    }
+  };
+  let placeholder = null;
   try {
-    const aiRes = await fetch(env.AIRIA_API_URL, {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': env.Airia_API_key,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ userInput: payload.text, asyncOutput: false }),
+    const prefs = await loadPreferences(env, payload.user_id);
+    const pipeline = resolvePipeline(env, {
+      channel: payload.channel_id,
+      command: payload.command,
+      text: await normalizeSlackInput(env, payload.text, 'SLASH'),
+      preferred: prefs.pipeline
     });
+    const userInput = applyPreferences(pipeline.text, prefs);
 
-    const rawText = await aiRes.text();
-    console.log('[SLASH] Raw AI response:', rawText);
-
-    if (!aiRes.ok) {
-      console.error('[SLASH] Airia API error:', aiRes.status, aiRes.statusText);
-      await fetch(payload.response_url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          text: `Airia API returned an error: ${aiRes.status} - ${aiRes.statusText}`,
-        }),
-      });
-      return;
+    // Users who prefer answers in their App DM get a note here and the answer there
+    if (prefs.replyIn === 'dm') {
+      await respond(DM_REPLY_NOTE);
+      placeholder = await startPlaceholder(env, { channel: payload.user_id });
     }
+    const destination = prefs.replyIn === 'dm'
+      ? { type: 'message', channel: placeholder ? placeholder.channel : payload.user_id, thread_ts: null, placeholder }
+      : { type: 'response_url', response_url: payload.response_url };
 
-    const aiJson = JSON.parse(rawText);
-    console.log('[SLASH] AI parsed JSON:', aiJson);
+    const answer = {
+      title: 'Result from AI Assistant',
+      question: payload.text,
+      feedback: { prompt: pipeline.text, userInput, surface: 'slash', user: payload.user_id }
+    };
 
-    // Respond to Slack's response_url
-    await fetch(payload.response_url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        text: `Result from AI Assistant:\n*${aiJson.result}*\nIs Backup Pipeline: ${
-          aiJson.isBackupPipeline ? 'Yes' : 'No'
-        }`,
-      }),
+    const aiJson = await runAiria(env, pipeline, userInput, {
+      tag: 'SLASH',
+      destination,
+      answer
     });
-    console.log('[SLASH] Done sending slash command result');
+    // Long-running pipelines answer later through async-jobs.js
+    if (!aiJson) return;
+
+    const result = {
+      ...answer,
+      result: aiJson.result,
+      isBackupPipeline: aiJson.isBackupPipeline,
+      feedback: { ...answer.feedback, pipeline: aiJson.pipeline, pipelineUrl: aiJson.url }
+    };
+    if (destination.type === 'message') {
+      await postAnswer(env, { channel: destination.channel, placeholder, ...result });
+    } else {
+      // Respond to Slack's response_url
+      await postAnswerToResponseUrl(env, payload.response_url, result);
+    }
+    log.info('Done sending slash command result', { durationMs: Date.now() - startedAt });
   } catch (err) {
-    console.error('[SLASH] Error in slash command logic:', err);
+    log.error('Error in slash command logic', { error: err, durationMs: Date.now() - startedAt });
+    if (placeholder) {
+      await showPlaceholderError(env, placeholder, { channel: placeholder.channel, text: describeAiriaError(err) });
+    } else {
+      await respondWithError(`:warning: ${describeAiriaError(err)}`);
+    }
+  } finally {
+    await stopPlaceholder(placeholder);
   }
 }
 
@@ -360,389 +697,411 @@ async function processSlashCommand(payload, env) {
  * Processes direct messages in background
  */
 async function processDM(event, env) {
-  console.log('[DM] user text:', event.text);
+  const log = createLogger(env, 'DM');
+  const startedAt = Date.now();
+  log.info('Processing DM', { user: event.user, text: event.text });
+  let placeholder = null;
   try {
-    const aiRes = await fetch(env.AIRIA_API_URL, {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': env.Airia_API_key,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ userInput: event.text, asyncOutput: false }),
-    });
+    const conversationKey = getConversationKey(event);
 
-    const rawText = await aiRes.text();
-    console.log('[DM] Raw AI response:', rawText);
-
-    if (!aiRes.ok) {
-      console.error('[DM] AI error:', aiRes.status, aiRes.statusText);
-      await postSlackMessage(env, event.channel, `AI error: ${aiRes.status}`);
+    // "new topic" and friends clear the stored context instead of calling Airia
+    if (isResetCommand(event.text)) {
+      await resetConversation(env, conversationKey);
+      await postSlackMessage(env, event.channel, ':broom: Starting a new topic. Previous messages will no longer be used as context.');
       return;
     }
 
-    const aiJson = JSON.parse(rawText);
-    const reply = `You asked: "${event.text}"\n\nResult: *${aiJson.result}*\nIs Backup Pipeline: ${
-      aiJson.isBackupPipeline ? 'Yes' : 'No'
-    }`;
-    await postSlackMessage(env, event.channel, reply);
-    console.log('[DM] Replied to user DM');
+    placeholder = await startPlaceholder(env, { channel: event.channel });
+    const prefs = await loadPreferences(env, event.user);
+    const pipeline = resolvePipeline(env, {
+      channel: event.channel,
+      text: await normalizeSlackInput(env, event.text, 'DM'),
+      preferred: prefs.pipeline
+    });
+    const question = pipeline.text;
+    const history = await loadConversation(env, conversationKey);
+    log.info('Loaded conversation history', { turns: history.length });
+    const userInput = applyPreferences(buildConversationInput(history, question, env), prefs);
+
+    const answer = {
+      question: event.text,
+      feedback: { prompt: question, userInput, surface: 'dm', user: event.user }
+    };
+
+    const aiJson = await runAiria(env, pipeline, userInput, {
+      tag: 'DM',
+      destination: { type: 'message', channel: event.channel, thread_ts: null, placeholder },
+      answer,
+      conversation: { key: conversationKey, question }
+    });
+    if (!aiJson) return;
+
+    await postAnswer(env, {
+      channel: event.channel,
+      placeholder,
+      ...answer,
+      result: aiJson.result,
+      isBackupPipeline: aiJson.isBackupPipeline,
+      feedback: { ...answer.feedback, pipeline: aiJson.pipeline, pipelineUrl: aiJson.url }
+    });
+    await saveConversationTurn(env, conversationKey, question, aiJson.result);
+    log.info('Replied to user DM', { durationMs: Date.now() - startedAt });
   } catch (err) {
-    console.error('[DM] Error in processDM:', err);
-    await postSlackMessage(env, event.channel, `Error in processDM: ${err}`);
+    log.error('Error in processDM', { error: err, durationMs: Date.now() - startedAt });
+    await showPlaceholderError(env, placeholder, {
+      channel: event.channel,
+      text: describeAiriaError(err)
+    });
+  } finally {
+    await stopPlaceholder(placeholder);
   }
 }
 
 /**
  * Processes @mentions in background
- *  1) Immediately post ephemeral "thinking" face
- *  2) Then post final AI result
+ *  1) Immediately post a "thinking" placeholder in the thread
+ *  2) Gather the surrounding thread (or stored history) as context
+ *  3) Replace the placeholder with the final AI result
+ * Users who prefer answers in their App DM get the placeholder and answer there
  */
 async function processMention(event, env) {
-  console.log('[MENTION] user text:', event.text);
+  const log = createLogger(env, 'MENTION');
+  const startedAt = Date.now();
+  log.info('Processing mention', { user: event.user, channel: event.channel, text: event.text });
 
-  // (1) Immediately send ephemeral "thinking" message
-  try {
-    // Check if this is a message in a thread, if so place the ephemeral in the thread
-    const thread_ts = event.thread_ts || event.ts;
-    
+  const conversationKey = getConversationKey(event);
+  // Reply in the existing thread, or start a thread under the mention itself
+  const replyThreadTs = event.thread_ts || event.ts;
+
+  // "@AI Assistant new topic" clears the thread's stored context
+  if (isResetCommand(event.text)) {
+    await resetConversation(env, conversationKey, event.ts);
     await postEphemeralMessage(env, {
       channel: event.channel,
       user: event.user,
-      text: ':thinking_face: Working on it...',
-      thread_ts: thread_ts // Include to place ephemeral in thread if applicable
+      text: ':broom: Starting a new topic. Earlier messages in this thread will no longer be used as context.',
+      thread_ts: replyThreadTs
     });
-    console.log('[MENTION] Sent ephemeral thinking message', thread_ts ? `in thread ${thread_ts}` : '');
-  } catch (err) {
-    console.error('[MENTION] Error sending ephemeral message:', err);
+    return;
+  }
+
+  const prefs = await loadPreferences(env, event.user);
+  if (prefs.replyIn === 'dm') {
+    await postEphemeralMessage(env, { channel: event.channel, user: event.user, text: DM_REPLY_NOTE, thread_ts: replyThreadTs });
   }
 
-  // (2) Do the AI call
+  // (1) Immediately post a placeholder in the thread (or App DM); it is edited into the answer
+  const placeholder = await startPlaceholder(env, prefs.replyIn === 'dm'
+    ? { channel: event.user }
+    : { channel: event.channel, thread_ts: replyThreadTs });
+  const replyChannel = prefs.replyIn === 'dm' ? (placeholder ? placeholder.channel : event.user) : event.channel;
+  const replyTs = prefs.replyIn === 'dm' ? null : replyThreadTs;
+
+  // (2) Do the AI call with the thread (or earlier turns) as context
   try {
-    const aiRes = await fetch(env.AIRIA_API_URL, {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': env.Airia_API_key,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ userInput: event.text, asyncOutput: false }),
+    const pipeline = resolvePipeline(env, {
+      channel: event.channel,
+      text: await normalizeSlackInput(env, event.text, 'MENTION'),
+      preferred: prefs.pipeline
     });
+    const question = pipeline.text;
+    let userInput;
 
-    const rawText = await aiRes.text();
-    console.log('[MENTION] Raw AI response:', rawText);
-
-    if (!aiRes.ok) {
-      console.error('[MENTION] AI error:', aiRes.status, aiRes.statusText);
-      await postSlackMessage(env, event.channel, `AI error: ${aiRes.status}`);
-      return;
+    if (event.thread_ts) {
+      const transcript = await buildMentionThreadTranscript(event, env, conversationKey);
+      log.info('Including thread context', { messages: transcript.length });
+      userInput = buildThreadContextInput(transcript, question, env);
+    } else {
+      const history = await loadConversation(env, conversationKey);
+      log.info('Loaded conversation history', { turns: history.length });
+      userInput = buildConversationInput(history, question, env);
     }
+    userInput = applyPreferences(userInput, prefs);
 
-    const aiJson = JSON.parse(rawText);
-    const msg = `You asked: "${event.text}"\n\n*${aiJson.result}*\nIs Backup Pipeline: ${
-      aiJson.isBackupPipeline ? 'Yes' : 'No'
-    }`;
-    await postSlackMessage(env, event.channel, msg);
-    console.log('[MENTION] Replied to user mention');
+    const answer = {
+      question: event.text,
+      feedback: { prompt: question, userInput, surface: 'mention', user: event.user }
+    };
+
+    const aiJson = await runAiria(env, pipeline, userInput, {
+      tag: 'MENTION',
+      destination: { type: 'message', channel: replyChannel, thread_ts: replyTs, placeholder },
+      answer,
+      conversation: { key: conversationKey, question }
+    });
+    if (!aiJson) return;
+
+    await postAnswer(env, {
+      channel: replyChannel,
+      thread_ts: replyTs,
+      placeholder,
+      ...answer,
+      result: aiJson.result,
+      isBackupPipeline: aiJson.isBackupPipeline,
+      feedback: { ...answer.feedback, pipeline: aiJson.pipeline, pipelineUrl: aiJson.url }
+    });
+    await saveConversationTurn(env, conversationKey, question, aiJson.result);
+    log.info('Replied to user mention', { channel: replyChannel, threadTs: replyTs, durationMs: Date.now() - startedAt });
   } catch (err) {
-    console.error('[MENTION] Error in processMention:', err);
-    await postSlackMessage(env, event.channel, `Error in mention logic: ${err}`);
+    log.error('Error in processMention', { error: err, durationMs: Date.now() - startedAt });
+    await showPlaceholderError(env, placeholder, {
+      channel: replyChannel,
+      thread_ts: replyTs,
+      text: describeAiriaError(err)
+    });
+  } finally {
+    await stopPlaceholder(placeholder);
   }
 }
 
 /**
- * Updates the Slack home tab with instructions/examples
+ * Fetch the thread a mention was posted in and format it as "Name: text" lines
+ * The mention itself and anything before a "new topic" reset are left out
  */
-async function updateHomeTab(event, env) {
-  console.log('[HOME] Updating home tab for user:', event.user);
-
-  const homeView = {
-    type: 'home',
-    blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*Welcome to the AI Assistant!* :wave:\n\nThis bot helps you interact with AI services effortlessly.',
-        },
-      },
-      {
-        type: 'divider',
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*Available Features:*\n\nHere\'s how you can use the AI Assistant:',
-        },
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*1. Slash Command:*\nUse `/ask-airia [your question]` to ask a question directly.\n\n_Example:_ `/ask-airia What is the capital of Georgia?`',
-        },
-      },
-      {
-        type: 'divider',
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*2. @Mention in a Channel:*\nMention the bot in a channel and ask a question.\n\n_Example:_ `@AI Assistant What is the weather today?`',
-        },
-      },
-      {
-        type: 'divider',
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*3. Direct Message:*\nSend a direct message to the bot with your question.\n\n_Example:_ `What is machine learning?`',
-        },
-      },
-      {
-        type: 'divider',
-      },
-      {
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: ':gear: *Need help?* Contact your administrator for support.',
-          },
-        ],
-      },
-    ],
-  };
+async function buildMentionThreadTranscript(event, env, conversationKey) {
+  const [threadMessages, resetTs] = await Promise.all([
+    fetchThreadReplies(env, event.channel, event.thread_ts, 'MENTION'),
+    getConversationResetTs(env, conversationKey)
+  ]);
 
-  await fetch('https://slack.com/api/views.publish', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${env.Slack_Bot_Token}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      user_id: event.user,
-      view: homeView,
-    }),
-  });
-  console.log('[HOME] Updated home tab content');
+  const contextMessages = threadMessages.filter(msg =>
+    msg.ts !== event.ts && (!resetTs || parseFloat(msg.ts) > parseFloat(resetTs))
+  );
+
+  return formatTranscript(env, contextMessages, 'MENTION');
 }
 
 /**
- * Post a message to Slack in background tasks
- * @param {Object} env - Environment variables
- * @param {string} channel - Slack channel ID
- * @param {string} text - Message text
- * @param {string} [thread_ts] - Optional thread timestamp to reply to a thread
- * @param {Object} [blocks] - Optional blocks for rich formatting
+ * Format Slack messages as "Name: text" lines for Airia, oldest first
  */
-async function postSlackMessage(env, channel, text, thread_ts = null, blocks = null) {
-  console.log('[SLACK POST] channel:', channel, ' text:', text, thread_ts ? ` (in thread: ${thread_ts})` : '');
-  
-  const message = { 
-    channel, 
-    text 
-  };
-  
-  // Add thread_ts if provided (for thread replies)
-  if (thread_ts) {
-    // Validate the timestamp format before using it
-    // Slack timestamps can have various formats but should always have a dot separator
-    const isValidTimestamp = (ts) => {
-      // Basic validation: string with numbers and a dot
-      return typeof ts === 'string' && /^\d+\.\d+$/.test(ts);
-    };
-    
-    // More flexible validation as backup
-    const isValidTimestampFallback = (ts) => {
-      // Allow any string with digits and dots that's between 10-20 chars
-      return typeof ts === 'string' && 
-             ts.length >= 10 && 
-             ts.length <= 20 && 
-             ts.includes('.');
+async function formatTranscript(env, messages, tag) {
+  const userMap = await fetchUserNames(env, messages.map(msg => msg.user), tag);
+
+  return Promise.all(messages.map(async (msg) => {
+    const userName = msg.bot_id
+      ? ((msg.bot_profile && msg.bot_profile.name) || msg.username || 'Bot')
+      : (userMap[msg.user] || msg.user || 'User');
+    const text = await normalizeSlackInput(env, msg.text, tag);
+    return `${userName}: ${text || '[no text]'}`;
+  }));
+}
+
+/**
+ * Handles the "Regenerate" button on an answer
+ * Sends the stored input to the same pipeline again and posts the new answer
+ * where the original went (the slash command's response_url, or the same channel/thread)
+ */
+async function processRegenerate(payload, env) {
+  const action = payload.actions[0];
+  const userId = payload.user && payload.user.id;
+  const log = createLogger(env, 'REGENERATE');
+  const startedAt = Date.now();
+  log.info('Regenerate requested', { user: userId, answerId: action.value });
+
+  const record = await loadAnswerRecord(env, action.value);
+  if (!record) {
+    await fetch(payload.response_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text: 'Sorry, this answer is too old to regenerate.' }),
+    });
+    return;
+  }
+
+  const channel = record.channel || (payload.channel && payload.channel.id);
+  const placeholder = record.surface === 'slash'
+    ? null
+    : await startPlaceholder(env, { channel, thread_ts: record.thread_ts, text: ':arrows_counterclockwise: Regenerating...' });
+
+  try {
+    // Same pipeline as the original answer, or the default if it has been removed since
+    const pipeline = getPipeline(env, record.pipeline);
+    const destination = record.surface === 'slash'
+      ? { type: 'response_url', response_url: payload.response_url }
+      : { type: 'message', channel, thread_ts: record.thread_ts, placeholder };
+    const aiJson = await runAiria(env, pipeline, record.userInput, {
+      tag: 'REGENERATE',
+      destination,
+      answer: {
+        title: record.title,
+        question: ['summary', 'digest'].includes(record.surface) ? null : record.prompt,
+        feedback: { ...record, user: userId }
+      }
+    });
+    if (!aiJson) return;
+
+    const answer = {
+      title: record.title,
+      question: ['summary', 'digest'].includes(record.surface) ? null : record.prompt,
+      result: aiJson.result,
+      isBackupPipeline: aiJson.isBackupPipeline,
+      feedback: {
+        ...record,
+        isBackupPipeline: aiJson.isBackupPipeline,
+        user: userId,
+        pipeline: aiJson.pipeline,
+        pipelineUrl: aiJson.url
+      }
     };
-    
-    if (isValidTimestamp(thread_ts)) {
-      message.thread_ts = thread_ts;
-    } else if (isValidTimestampFallback(thread_ts)) {
-      console.log('[SLACK POST] Using non-standard timestamp format:', thread_ts);
-      message.thread_ts = thread_ts;
+
+    if (record.surface === 'slash') {
+      await postAnswerToResponseUrl(env, payload.response_url, answer);
     } else {
-      console.warn('[SLACK POST] Invalid thread_ts format:', thread_ts, '- skipping thread reply');
-      throw new Error(`Invalid thread_ts format: ${thread_ts}`);
+      await postAnswer(env, { channel, thread_ts: record.thread_ts, placeholder, ...answer });
     }
+    log.info('Posted regenerated answer', { answerId: action.value, durationMs: Date.now() - startedAt });
+  } catch (err) {
+    log.error('Error regenerating answer', { error: err, durationMs: Date.now() - startedAt });
+    if (record.surface === 'slash') {
+      await fetch(payload.response_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text: `Sorry, the answer could not be regenerated: ${err.message}` }),
+      });
+    } else {
+      await showPlaceholderError(env, placeholder, {
+        channel,
+        thread_ts: record.thread_ts,
+        text: `Sorry, the answer could not be regenerated: ${err.message}`
+      });
+    }
+  } finally {
+    await stopPlaceholder(placeholder);
   }
-  
-  // Add blocks if provided (for rich formatting)
-  if (blocks) {
-    message.blocks = blocks;
-  }
-  
-  const response = await fetch('https://slack.com/api/chat.postMessage', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${env.Slack_Bot_Token}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(message),
-  });
-  
-  // Check for API errors
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('[SLACK POST] HTTP error posting message:', response.status, errorText);
-    throw new Error(`Slack API error: ${response.status} - ${errorText}`);
-  }
-  
-  const result = await response.json();
-  if (!result.ok) {
-    console.error('[SLACK POST] Slack API error:', result.error);
-    throw new Error(`Slack API error: ${result.error}`);
-  }
-  
-  return result;
 }
 
 /**
- * Post an ephemeral message to Slack (visible only to `user` in `channel`)
- * Now supports thread_ts parameter to place ephemeral messages in threads
+ * Handles the "Ask again" button on the App Home tab
+ * Asks a question from the user's history again and answers in their App DM
  */
-async function postEphemeralMessage(env, { channel, user, text, thread_ts = null }) {
-  console.log('[SLACK EPHEMERAL] channel:', channel, ' user:', user, ' text:', text, thread_ts ? ` (in thread: ${thread_ts})` : '');
-  
-  const payload = { channel, user, text };
-  
-  // Add thread_ts if provided to make ephemeral appear in a thread
-  if (thread_ts) {
-    // Similar validation as in postSlackMessage
-    const isValidTimestamp = (ts) => {
-      return typeof ts === 'string' && /^\d+\.\d+$/.test(ts);
-    };
-    
-    // More flexible validation as backup
-    const isValidTimestampFallback = (ts) => {
-      return typeof ts === 'string' && 
-             ts.length >= 10 && 
-             ts.length <= 20 && 
-             ts.includes('.');
+async function processAskAgain(payload, env) {
+  const userId = payload.user && payload.user.id;
+  const entryId = payload.actions[0].value;
+  const log = createLogger(env, 'HOME');
+  const startedAt = Date.now();
+  log.info('Ask again requested', { user: userId, entryId });
+
+  const entry = (await loadHistory(env, userId)).find(item => item.id === entryId);
+  if (!entry) {
+    await postSlackMessage(env, userId, 'Sorry, that question is no longer in your history.');
+    return;
+  }
+
+  const placeholder = await startPlaceholder(env, { channel: userId, text: ':arrows_counterclockwise: Asking again...' });
+  const channel = placeholder ? placeholder.channel : userId;
+  try {
+    const prefs = await loadPreferences(env, userId);
+    const pipeline = resolvePipeline(env, {
+      text: await normalizeSlackInput(env, entry.question, 'HOME'),
+      preferred: prefs.pipeline
+    });
+    const userInput = applyPreferences(pipeline.text, prefs);
+    const answer = {
+      question: entry.question,
+      feedback: { prompt: pipeline.text, userInput, surface: 'home', user: userId }
     };
-    
-    if (isValidTimestamp(thread_ts)) {
-      payload.thread_ts = thread_ts;
-    } else if (isValidTimestampFallback(thread_ts)) {
-      console.log('[SLACK EPHEMERAL] Using non-standard timestamp format:', thread_ts);
-      payload.thread_ts = thread_ts;
-    } else {
-      console.warn('[SLACK EPHEMERAL] Invalid thread_ts format:', thread_ts, '- ephemeral will appear in main channel');
-    }
+
+    const aiJson = await runAiria(env, pipeline, userInput, {
+      tag: 'HOME',
+      destination: { type: 'message', channel, thread_ts: null, placeholder },
+      answer
+    });
+    if (!aiJson) return;
+
+    await postAnswer(env, {
+      channel,
+      placeholder,
+      ...answer,
+      result: aiJson.result,
+      isBackupPipeline: aiJson.isBackupPipeline,
+      feedback: { ...answer.feedback, pipeline: aiJson.pipeline, pipelineUrl: aiJson.url }
+    });
+    log.info('Answered question again', { durationMs: Date.now() - startedAt });
+  } catch (err) {
+    log.error('Error asking again', { error: err, durationMs: Date.now() - startedAt });
+    await showPlaceholderError(env, placeholder, { channel, text: describeAiriaError(err) });
+  } finally {
+    await stopPlaceholder(placeholder);
   }
-  
-  const response = await fetch('https://slack.com/api/chat.postEphemeral', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${env.Slack_Bot_Token}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-  const json = await response.json();
-  console.log('[SLACK EPHEMERAL] postEphemeral response:', json);
+  // Refresh the recent questions and usage
+  await publishHomeTab(env, userId);
 }
 
 /**
- * Handles "Summarize" message action
- * This allows users to summarize threads, single messages, or recent conversations
+ * Handles a submitted summary modal (see summary-modal.js)
+ * This allows users to summarize threads, single messages, time ranges of a
+ * channel or what they missed since their last message
  */
 async function processThreadSummary(payload, env) {
-  console.log('[SUMMARY] Processing summarize request');
+  const log = createLogger(env, 'SUMMARY');
+  const startedAt = Date.now();
+  log.info('Processing summarize request', { type: payload.type, callbackId: payload.callback_id });
+  let placeholder = null;
+  let request = null;
   
   try {
     // In verbose mode, log the full payload
-    if (isVerboseLogging(env)) {
-      console.log('[SUMMARY-VERBOSE] Full payload:', JSON.stringify(payload, null, 2));
-    } else {
-      console.log('[SUMMARY] Starting summary processing with payload:', JSON.stringify(payload, null, 2).substring(0, 500) + '...');
-    }
+    log.debug('Full payload', { payload });
     
-    // 1. Extract basic info from payload
-    let channelId, userId, targetTs;
-    let isThreadMessage = false;  // Default values before we determine thread status
-    let isThreadParent = false;
-    let threadTs = null;
-    
-    // Get channel ID
-    if (payload.channel && typeof payload.channel === 'string') {
-      channelId = payload.channel;
-    } else if (payload.channel && payload.channel.id) {
-      channelId = payload.channel.id;
-    } else if (payload.message && payload.message.channel) {
-      channelId = payload.message.channel;
-    } else {
+    // 1. What to summarize, for whom and where
+    request = readSummaryRequest(env, payload);
+    const { options } = request;
+    const channelId = request.channel;
+    const userId = request.user;
+    if (!channelId) {
       throw new Error('Could not determine channel ID from payload');
     }
-    
-    // Get user ID
-    if (payload.user && typeof payload.user === 'string') {
-      userId = payload.user;
-    } else if (payload.user && payload.user.id) {
-      userId = payload.user.id;
-    } else if (payload.user_id) {
-      userId = payload.user_id;
-    } else {
+    if (!userId) {
       throw new Error('Could not determine user ID from payload');
     }
     
-    // Extract the message timestamp - what message was the action performed on?
-    if (payload.message_ts) {
-      targetTs = payload.message_ts;
-    } else if (payload.message && payload.message.ts) {
-      targetTs = payload.message.ts;
-    } else if (payload.container && payload.container.message_ts) {
-      targetTs = payload.container.message_ts;
-    } else {
-      console.warn('[SUMMARY] Could not find target timestamp, will use recent conversation');
-    }
-    
-    // Determine if this is a thread message - now guaranteed to be initialized
-    if (payload.message && payload.message.thread_ts) {
-      isThreadMessage = true;
-      threadTs = payload.message.thread_ts;
-      isThreadParent = (payload.message.thread_ts === payload.message.ts);
-      console.log('[SUMMARY] Detected thread context:', { isThreadMessage, isThreadParent, threadTs });
+    // The thread scope summarizes the message the action was used on, with its thread if it has one
+    const isMessageScope = options.scope === 'thread' && Boolean(request.message);
+    const targetTs = isMessageScope ? request.message.ts : null;
+    const threadTs = isMessageScope ? request.message.thread_ts : null;
+    const isThreadMessage = Boolean(threadTs);
+    const isThreadParent = isThreadMessage && threadTs === targetTs;
+    if (isThreadMessage) {
+      log.info('Detected thread context', { isThreadMessage, isThreadParent, threadTs });
     }
+
+    // Visibility chosen in the modal; without one, users who prefer answers in their App DM get it there (see preferences.js)
+    const prefs = await loadPreferences(env, userId);
+    const visibility = options.visibility || (prefs.replyIn === 'dm' ? 'dm' : 'thread');
+    const responseUrl = visibility === 'ephemeral' ? request.responseUrl : null;
+    const dmChannel = visibility === 'dm' || (visibility === 'ephemeral' && !responseUrl) ? userId : null;
+    log.info('Summary options', { scope: options.scope, style: options.style, visibility });
     
     // Inform the user we're working on it
-    // If we have a thread_ts (targetTs or threadTs), use it for the ephemeral message to place it in the thread
-    const threadForEphemeral = isThreadMessage ? (threadTs || targetTs) : targetTs;
+    // The placeholder goes where the summary will be posted and is edited into it later;
+    // ephemeral summaries have none, since ephemeral messages cannot be edited
+    const threadForPlaceholder = isThreadMessage ? (threadTs || targetTs) : targetTs;
     
-    console.log('[SUMMARY] Sending ephemeral with thread context:', { 
-      threadForEphemeral, 
-      isThreadMessage, 
-      threadTs, 
-      targetTs 
-    });
-    
-    await postEphemeralMessage(env, {
-      channel: channelId,
-      user: userId,
-      text: `:thinking_face: Processing your summary request...`,
-      thread_ts: threadForEphemeral // Pass thread_ts to place ephemeral in thread
+    log.debug('Posting placeholder with thread context', {
+      threadForPlaceholder,
+      isThreadMessage,
+      threadTs,
+      targetTs
     });
     
-    // 2. Try to join the channel (could fail for private channels, which is OK)
-    try {
-      await fetch(`https://slack.com/api/conversations.join`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${env.Slack_Bot_Token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ channel: channelId }),
+    if (responseUrl) {
+      // Not through the response_url: Slack accepts only a few messages per response_url
+      await postEphemeralMessage(env, { channel: channelId, user: userId, text: ':thinking_face: Summarizing...', thread_ts: threadForPlaceholder });
+    } else {
+      if (dmChannel) {
+        await postEphemeralMessage(env, { channel: channelId, user: userId, text: DM_REPLY_NOTE });
+      }
+      placeholder = await startPlaceholder(env, {
+        channel: dmChannel || channelId,
+        thread_ts: dmChannel ? null : threadForPlaceholder,
+        text: ':thinking_face: Summarizing...'
       });
-    } catch (joinErr) {
-      console.log('[SUMMARY] Channel join error (expected for private channels):', joinErr.message);
+    }
+    
+    // 2. Join the channel when the access policy allows it (could fail for private channels, which is OK)
+    const membership = await ensureChannelMember(env, channelId, { join: canJoinChannel(env, channelId), tag: 'SUMMARY' });
+    if (!membership.member) {
+      log.info('Not a member of the channel, reading it may fail', { channel: channelId, slackError: membership.error });
     }
     
     // 3. Variables to track what we're summarizing
@@ -751,7 +1110,7 @@ async function processThreadSummary(payload, env) {
     let replyToTs = null;        // Message to reply to (null = post as new message)
     
     // Thread context is already determined earlier - log the full context again for clarity
-    console.log('[SUMMARY] Thread context check:', {
+    log.debug('Thread context check', {
       isThreadMessage,
       isThreadParent,
       threadTs,
@@ -759,295 +1118,100 @@ async function processThreadSummary(payload, env) {
       useForReply: isThreadMessage ? (isThreadParent ? targetTs : threadTs) : targetTs
     });
     
+    // Scopes other than the thread read the channel for a time range (see summary-modal.js)
+    const isRangeScope = options.scope !== 'thread';
+    if (isRangeScope) {
+      const rangeData = await fetchSummaryScope(env, channelId, userId, options);
+      if (!rangeData.ok) {
+        throw new Error(`Could not read the channel: ${rangeData.error}`);
+      }
+      if (rangeData.messages.length === 0) {
+        throw new Error(`There are no messages to summarize (${describeSummaryScope(options)})`);
+      }
+      log.info('Got messages for the time range', { messageCount: rangeData.messages.length, complete: rangeData.complete });
+      messages = rangeData.messages;
+      contextType = 'range';
+    }
+    
     // Get message contents using a sequence of approaches, from most specific to most general
     
     // APPROACH A: If it's a thread message, get the thread
     if (isThreadMessage && threadTs) {
-      try {
-        console.log('[SUMMARY] Getting thread messages using thread_ts:', threadTs);
-        
-        // Log and check the exact values we're sending to the API for debugging
-        const requestParams = {
-          channel: channelId,
-          ts: threadTs
-        };
-        
-        console.log('[SUMMARY] Thread API request parameters:', JSON.stringify(requestParams));
-        
-        // Validate timestamp format before making API call
-        const isValidTS = typeof threadTs === 'string' && /^\d+\.\d+$/.test(threadTs);
-        console.log('[SUMMARY] Thread timestamp validation:', {
-          threadTs,
-          isValid: isValidTS,
-          typeof: typeof threadTs
-        });
-        
-        // If timestamp doesn't look valid, try cleaning it
-        let cleanTs = threadTs;
-        if (!isValidTS && typeof threadTs === 'string') {
-          // Extract numbers and dots only, discard everything else
-          cleanTs = threadTs.replace(/[^\d.]/g, '');
-          // Ensure only one dot
-          const parts = cleanTs.split('.');
-          if (parts.length > 2) {
-            cleanTs = parts[0] + '.' + parts.slice(1).join('');
-          }
-          console.log('[SUMMARY] Cleaned timestamp:', cleanTs);
-          
-          // Use cleaned timestamp if it looks valid now
-          if (/^\d+\.\d+$/.test(cleanTs)) {
-            requestParams.ts = cleanTs;
-            console.log('[SUMMARY] Using cleaned timestamp for API call');
-          }
-        }
-        
-        // The conversations.replies API requires both 'channel' and 'ts' parameters
-        // Make sure both are properly formatted before sending
-        if (!requestParams.channel || !requestParams.ts) {
-          console.error('[SUMMARY] Missing required parameter:', !requestParams.channel ? 'channel' : 'ts');
-          throw new Error('Missing required parameter for thread retrieval');
-        }
-        
-        // Slack expects a specific timestamp format: try to ensure it's correct
-        if (requestParams.ts) {
-          // Further clean any potential bad formats
-          const cleanedTs = requestParams.ts.toString().trim();
-          
-          // Ensure we have a dot and convert any commans to dots
-          if (cleanedTs.includes(',')) {
-            requestParams.ts = cleanedTs.replace(',', '.');
-            console.log('[SUMMARY] Fixed timestamp format (comma to dot):', requestParams.ts);
-          }
-          
-          // Final check for Slack's expected ts format (numbers.numbers)
-          if (!/^\d+\.\d+$/.test(requestParams.ts)) {
-            console.warn('[SUMMARY] Timestamp still may not match Slack\'s required format:', requestParams.ts);
-            
-            // Try one last fix - extract valid numbers and add a dot if needed
-            const numbers = requestParams.ts.replace(/[^\d]/g, '');
-            if (numbers.length >= 10) {
-              // Insert a dot at position 10 if there isn't one already
-              const dotPos = Math.min(10, Math.floor(numbers.length/2));
-              requestParams.ts = numbers.slice(0, dotPos) + '.' + numbers.slice(dotPos);
-              console.log('[SUMMARY] Last attempt timestamp format fix:', requestParams.ts);
-            }
-          }
-        }
-        
-        console.log('[SUMMARY] Final API request parameters:', JSON.stringify(requestParams));
-        
-        // For conversations.replies, try both POST and GET methods
-        // Some Slack API issues might be related to method or content-type conflicts
-        console.log('[SUMMARY] Trying conversations.replies with GET method');
-        
-        // Use URL parameters instead of JSON body for GET request
-        const apiUrl = `https://slack.com/api/conversations.replies?channel=${encodeURIComponent(requestParams.channel)}&ts=${encodeURIComponent(requestParams.ts)}`;
-        console.log('[SUMMARY] API URL:', apiUrl);
-        
-        if (isVerboseLogging(env)) {
-          console.log('[SUMMARY-VERBOSE] Thread API full details:', {
-            method: 'GET',
-            url: apiUrl,
-            channelId: requestParams.channel,
-            timestamp: requestParams.ts,
-            hasToken: !!env.Slack_Bot_Token
-          });
-        }
-        
-        const threadResponse = await fetch(apiUrl, {
-          method: 'GET',
-          headers: {
-            Authorization: `Bearer ${env.Slack_Bot_Token}`,
-            'Accept': 'application/json',
-          }
-        });
-        
-        // Log response status and headers in verbose mode
-        if (isVerboseLogging(env)) {
-          console.log('[SUMMARY-VERBOSE] Thread API response status:', threadResponse.status);
-          console.log('[SUMMARY-VERBOSE] Thread API response headers:', Object.fromEntries([...threadResponse.headers.entries()]));
-        }
-        
-        const threadData = await threadResponse.json();
+      log.info('Getting thread messages', { threadTs });
+      
+      // Read every page of the thread, so the end of a long thread is summarized too
+      const threadData = await fetchConversationPages(env, 'conversations.replies', { channel: channelId, ts: threadTs }, {
+        maxMessages: getSummaryConfig(env).maxMessages,
+        tag: 'SUMMARY'
+      });
+      
+      if (threadData.ok && threadData.messages.length > 0) {
+        log.info('Successfully got thread', { messageCount: threadData.messages.length, complete: threadData.complete });
+        messages = threadData.messages;
+        contextType = 'thread';
         
-        if (threadData.ok && threadData.messages && threadData.messages.length > 0) {
-          console.log('[SUMMARY] Successfully got thread with', threadData.messages.length, 'messages');
-          messages = threadData.messages;
-          contextType = 'thread';
-          
-          // For thread parents vs replies, use the appropriate timestamp:
-          // - For thread parent: use its own timestamp (targetTs) 
-          // - For thread replies: use thread parent timestamp (threadTs)
-          replyToTs = isThreadParent ? targetTs : threadTs;
-        } else {
-          console.warn('[SUMMARY] Failed to get thread:', threadData.error);
-          
-          // Try an alternative approach specifically for invalid_arguments
-          if (threadData.error === 'invalid_arguments' && targetTs && targetTs !== threadTs) {
-            console.log('[SUMMARY] Trying alternative timestamp approach with targetTs:', targetTs);
-            
-            try {
-              // Try cleaning the targetTs the same way
-              let cleanTargetTs = targetTs;
-              if (typeof cleanTargetTs === 'string') {
-                cleanTargetTs = cleanTargetTs.trim();
-                if (cleanTargetTs.includes(',')) {
-                  cleanTargetTs = cleanTargetTs.replace(',', '.');
-                }
-                if (!/^\d+\.\d+$/.test(cleanTargetTs)) {
-                  const numbers = cleanTargetTs.replace(/[^\d]/g, '');
-                  if (numbers.length >= 10) {
-                    const dotPos = Math.min(10, Math.floor(numbers.length/2));
-                    cleanTargetTs = numbers.slice(0, dotPos) + '.' + numbers.slice(dotPos);
-                  }
-                }
-              }
-              
-              console.log('[SUMMARY] Using cleaned targetTs:', cleanTargetTs);
-              
-              // Also try GET method for alternative approach
-              console.log('[SUMMARY] Trying alternative timestamp with GET method');
-              const altResponse = await fetch(`https://slack.com/api/conversations.replies?channel=${encodeURIComponent(channelId)}&ts=${encodeURIComponent(cleanTargetTs)}`, {
-                method: 'GET',
-                headers: {
-                  Authorization: `Bearer ${env.Slack_Bot_Token}`,
-                  'Accept': 'application/json',
-                }
-              });
-              
-              const altData = await altResponse.json();
-              
-              if (altData.ok && altData.messages && altData.messages.length > 0) {
-                console.log('[SUMMARY] Success with alternative approach!', altData.messages.length, 'messages');
-                messages = altData.messages;
-                contextType = 'thread';
-                replyToTs = targetTs;
-                return; // Skip to AI processing since we have messages now
-              } else {
-                console.warn('[SUMMARY] Alternative approach also failed:', altData.error);
-              }
-            } catch (altErr) {
-              console.error('[SUMMARY] Error in alternative approach:', altErr.message);
-            }
-          }
-          
-          // Continue to next approach if all thread approaches fail
-        }
-      } catch (threadErr) {
-        console.warn('[SUMMARY] Error fetching thread:', threadErr.message);
+        // For thread parents vs replies, use the appropriate timestamp:
+        // - For thread parent: use its own timestamp (targetTs) 
+        // - For thread replies: use thread parent timestamp (threadTs)
+        replyToTs = isThreadParent ? targetTs : threadTs;
+      } else {
+        log.warn('Failed to get thread', { slackError: threadData.error });
         // Continue to next approach
       }
     }
     
     // APPROACH B: If we don't have messages and have a target message, get it with surrounding context
     if (messages.length === 0 && targetTs) {
-      try {
-        console.log('[SUMMARY] Getting message with context for ts:', targetTs);
-        
-        // Get a few messages before the target message for context
-        const beforeResponse = await fetch(`https://slack.com/api/conversations.history?channel=${encodeURIComponent(channelId)}&latest=${encodeURIComponent(targetTs)}&limit=3&inclusive=false`, {
-          method: 'GET',
-          headers: {
-            Authorization: `Bearer ${env.Slack_Bot_Token}`,
-            'Accept': 'application/json',
-          }
-        });
-        
-        const beforeData = await beforeResponse.json();
-        let contextMessages = [];
-        
-        if (beforeData.ok && beforeData.messages && beforeData.messages.length > 0) {
-          console.log('[SUMMARY] Got', beforeData.messages.length, 'messages before the target');
-          // Reverse to get chronological order
-          contextMessages = [...beforeData.messages].reverse();
-        }
-        
-        // Get the target message
-        const targetResponse = await fetch(`https://slack.com/api/conversations.history?channel=${encodeURIComponent(channelId)}&latest=${encodeURIComponent(targetTs)}&limit=1&inclusive=true`, {
-          method: 'GET',
-          headers: {
-            Authorization: `Bearer ${env.Slack_Bot_Token}`,
-            'Accept': 'application/json',
-          }
-        });
-        
-        const targetData = await targetResponse.json();
+      log.info('Getting message with context', { targetTs });
+      
+      // The target message and a few messages before it, newest first
+      const beforeData = await fetchConversationPages(env, 'conversations.history', {
+        channel: channelId,
+        latest: targetTs,
+        inclusive: 'true'
+      }, { maxMessages: CONTEXT_MESSAGES_BEFORE + 1, tag: 'SUMMARY' });
+      
+      if (beforeData.ok && beforeData.messages.length > 0 && beforeData.messages[0].ts === targetTs) {
+        // A few messages after the target for additional context
+        const afterData = await fetchConversationPages(env, 'conversations.history', {
+          channel: channelId,
+          oldest: targetTs
+        }, { maxMessages: CONTEXT_MESSAGES_AFTER, tag: 'SUMMARY' });
         
-        if (targetData.ok && targetData.messages && targetData.messages.length > 0) {
-          console.log('[SUMMARY] Successfully got target message');
-          // Add the target message to context
-          contextMessages.push(...targetData.messages);
-          
-          // Get a few messages after the target for additional context
-          const afterTimestamp = (parseFloat(targetTs) + 0.000001).toString();
-          const afterResponse = await fetch(`https://slack.com/api/conversations.history?channel=${encodeURIComponent(channelId)}&oldest=${encodeURIComponent(afterTimestamp)}&limit=2`, {
-            method: 'GET',
-            headers: {
-              Authorization: `Bearer ${env.Slack_Bot_Token}`,
-              'Accept': 'application/json',
-            }
-          });
-          
-          const afterData = await afterResponse.json();
-          
-          if (afterData.ok && afterData.messages && afterData.messages.length > 0) {
-            console.log('[SUMMARY] Got', afterData.messages.length, 'messages after the target');
-            // Messages are already in reverse chronological order, so reverse them
-            contextMessages.push(...afterData.messages.reverse());
-          }
-          
-          // If we got any messages, use them
-          if (contextMessages.length > 0) {
-            messages = contextMessages;
-            contextType = contextMessages.length > 1 ? 'context' : 'single';
-            replyToTs = targetTs;  // Reply to the specific message
-            console.log('[SUMMARY] Using message with surrounding context:', messages.length, 'total messages');
-          } else {
-            console.warn('[SUMMARY] Failed to get message context');
-            // Continue to next approach
-          }
-        } else {
-          console.warn('[SUMMARY] Failed to get target message:', targetData.error);
-          // Continue to next approach
-        }
-      } catch (singleErr) {
-        console.warn('[SUMMARY] Error fetching message with context:', singleErr.message);
+        messages = [...beforeData.messages.reverse(), ...afterData.messages.reverse()];
+        contextType = messages.length > 1 ? 'context' : 'single';
+        replyToTs = targetTs;  // Reply to the specific message
+        log.info('Using message with surrounding context', { messageCount: messages.length });
+      } else {
+        log.warn('Failed to get target message', { slackError: beforeData.error });
         // Continue to next approach
       }
     }
     
-    // APPROACH C: Fallback to recent conversation if we still don't have messages
-    if (messages.length === 0) {
-      try {
-        console.log('[SUMMARY] Falling back to recent conversation');
-        
-        const historyResponse = await fetch(`https://slack.com/api/conversations.history`, {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${env.Slack_Bot_Token}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            channel: channelId,
-            limit: 10,  // Get 10 most recent messages
-          }),
-        });
-        
-        const historyData = await historyResponse.json();
-        
-        if (historyData.ok && historyData.messages && historyData.messages.length > 0) {
-          console.log('[SUMMARY] Got', historyData.messages.length, 'recent messages');
-          messages = historyData.messages;
-          contextType = 'recent';
-          replyToTs = null;  // Post as new message for recent context
-        } else {
-          console.error('[SUMMARY] Failed to get recent messages:', historyData.error);
-          throw new Error(`Could not fetch any messages: ${historyData.error}`);
-        }
-      } catch (historyErr) {
-        console.error('[SUMMARY] Error fetching recent messages:', historyErr.message);
-        throw new Error(`Could not fetch recent messages: ${historyErr.message}`);
+    // APPROACH C: Fallback to the channel's recent conversation if we still don't have messages
+    if (messages.length === 0 && !isRangeScope) {
+      const { maxMessages, recentHours } = getSummaryConfig(env);
+      log.info('Falling back to recent conversation', { hours: recentHours });
+      
+      const historyData = await fetchChannelRange(env, channelId, {
+        oldest: ((Date.now() / 1000) - recentHours * 60 * 60).toFixed(6)
+      }, { maxMessages, tag: 'SUMMARY' });
+      
+      if (historyData.ok && historyData.messages.length > 0) {
+        log.info('Got recent messages', { messageCount: historyData.messages.length, complete: historyData.complete });
+        messages = historyData.messages;
+      } else if (historyData.ok) {
+        // A quiet channel: summarize its latest messages instead
+        log.info('No messages in the time range, using the latest messages');
+        messages = await fetchChannelHistory(env, channelId, 10, 'SUMMARY');
+      }
+      
+      if (messages.length === 0) {
+        log.error('Failed to get recent messages', { slackError: historyData.error });
+        throw new Error(`Could not fetch recent messages: ${historyData.error || 'no messages'}`);
       }
+      contextType = 'recent';
+      replyToTs = null;  // Post as new message for recent context
     }
     
     // 5. Make sure we have messages to summarize
@@ -1056,207 +1220,178 @@ async function processThreadSummary(payload, env) {
     }
     
     // 6. Format the messages for the AI with user information if available
-    console.log(`[SUMMARY] Summarizing ${messages.length} messages (${contextType} context)`);
+    log.info('Summarizing messages', { messageCount: messages.length, contextType });
     
-    // Try to fetch user information for better context
-    // Map of user IDs to display names
-    const userMap = {};
-    
-    // Try to get user names for all unique users in the messages
-    try {
-      const uniqueUserIds = [...new Set(messages.filter(msg => msg.user).map(msg => msg.user))];
-      
-      if (uniqueUserIds.length > 0) {
-        console.log('[SUMMARY] Fetching user info for', uniqueUserIds.length, 'users');
-        
-        if (isVerboseLogging(env)) {
-          console.log('[SUMMARY-VERBOSE] User IDs to fetch:', uniqueUserIds);
-        }
-        
-        // Fetch user information in parallel
-        await Promise.all(uniqueUserIds.map(async (userId) => {
-          try {
-            if (isVerboseLogging(env)) {
-              console.log('[SUMMARY-VERBOSE] Fetching user info for ID:', userId);
-            }
-            
-            const userResponse = await fetch(`https://slack.com/api/users.info?user=${encodeURIComponent(userId)}`, {
-              method: 'GET',
-              headers: {
-                Authorization: `Bearer ${env.Slack_Bot_Token}`,
-                'Accept': 'application/json',
-              }
-            });
-            
-            const userData = await userResponse.json();
-            
-            if (userData.ok && userData.user) {
-              // Use real_name or display_name or fallback to the user ID
-              const userName = userData.user.real_name || 
-                              (userData.user.profile && userData.user.profile.display_name) || 
-                              userId;
-              userMap[userId] = userName;
-              
-              if (isVerboseLogging(env)) {
-                console.log(`[SUMMARY-VERBOSE] User ${userId} resolved to: ${userName}`);
-                console.log(`[SUMMARY-VERBOSE] User details:`, {
-                  id: userId,
-                  real_name: userData.user.real_name,
-                  display_name: userData.user.profile?.display_name,
-                  is_bot: userData.user.is_bot
-                });
-              }
-            } else {
-              if (isVerboseLogging(env)) {
-                console.log(`[SUMMARY-VERBOSE] Failed to get user info:`, userData);
-              }
-            }
-          } catch (userErr) {
-            console.warn('[SUMMARY] Error fetching user info for', userId, userErr.message);
-            if (isVerboseLogging(env)) {
-              console.error('[SUMMARY-VERBOSE] User fetch error details:', userErr);
-            }
-          }
-        }));
-        
-        if (isVerboseLogging(env)) {
-          console.log('[SUMMARY-VERBOSE] Completed user map:', userMap);
-        }
-      }
-    } catch (userMapErr) {
-      console.warn('[SUMMARY] Error creating user map:', userMapErr.message);
-      if (isVerboseLogging(env)) {
-        console.error('[SUMMARY-VERBOSE] User map error details:', userMapErr);
-      }
-    }
+    // One line per message with its time, author (people and bots), text from blocks, attachments
+    // and files, resolved mentions, and edits and reactions (see transcript.js)
+    const transcript = await buildTranscript(env, messages, {
+      tag: 'SUMMARY',
+      highlightTs: contextType === 'context' ? targetTs : null
+    });
+    log.debug('Built transcript', { lines: transcript.lines });
     
-    // Format messages with user names when available
-    const formattedMessages = messages.map(msg => {
-      const userName = msg.user ? (userMap[msg.user] || msg.user) : 'User';
-      return {
-        userName,
-        userId: msg.user,
-        text: msg.text || '[no text]',
-        ts: msg.ts,
-        isHighlighted: (msg.ts === targetTs) // Mark the target message for emphasis
-      };
+    const pipeline = resolvePipeline(env, {
+      channel: channelId,
+      shortcut: request.shortcut,
+      command: request.command,
+      preferred: prefs.pipeline
     });
     
-    if (isVerboseLogging(env)) {
-      console.log('[SUMMARY-VERBOSE] Formatted messages with user info:', formattedMessages);
+    // Extract action items: a checklist instead of a summary (see action-items.js)
+    if (options.style === ACTION_ITEMS_STYLE) {
+      const sourceMap = {
+        'thread': 'this thread',
+        'single': 'this message',
+        'context': 'this message and the messages around it',
+        'recent': 'recent messages',
+        'range': describeSummaryScope(options)
+      };
+      const checklist = await extractActionItems(env, pipeline, messages, transcript.names, {
+        tag: 'SUMMARY',
+        onProgress: text => updatePlaceholder(env, placeholder, text)
+      });
+      const checklistMessage = await buildActionItemsMessage(env, channelId, checklist, { source: sourceMap[contextType] || null });
+      await postActionItems(env, checklistMessage, {
+        responseUrl,
+        placeholder,
+        channel: dmChannel || channelId,
+        thread_ts: dmChannel ? null : replyToTs
+      });
+      log.info('Posted action items', {
+        actionItems: checklist.actionItems.length,
+        decisions: checklist.decisions.length,
+        durationMs: Date.now() - startedAt
+      });
+      return;
     }
     
-    // Convert to text with special formatting for the target message
-    const messageText = formattedMessages
-      .map(msg => {
-        // Highlight the target message in the context if applicable
-        if (contextType === 'context' && msg.isHighlighted) {
-          return `>> ${msg.userName}: ${msg.text} <<`;
-        } else {
-          return `${msg.userName}: ${msg.text}`;
-        }
-      })
-      .join('\n');
-    
-    // 7. Limit text size if needed
-    const truncatedText = messageText.length > 10000 
-      ? messageText.substring(0, 10000) + '... (truncated)' 
-      : messageText;
-    
-    // 8. Call the AI API with appropriate prompt
+    // 7. Call the AI API with appropriate prompt
     const promptMap = {
       'thread': 'Summarize this conversation thread:',
       'single': 'Summarize this message:',
       'context': 'Summarize this message with its surrounding context:',
-      'recent': 'Summarize these recent messages from a conversation:'
+      'recent': 'Summarize these recent messages from a conversation:',
+      'range': 'Summarize these messages from a conversation:'
     };
     
     const prompt = promptMap[contextType] || 'Summarize this:';
     
-    const aiRes = await fetch(env.AIRIA_API_URL, {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': env.Airia_API_key,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ 
-        userInput: `${prompt} ${truncatedText}`, 
-        asyncOutput: false
-      }),
+    // 8. Long transcripts are summarized in parts first (see summarize.js), showing progress in the placeholder
+    const summaryInput = await buildSummaryInput(env, pipeline, transcript.lines, {
+      prompt,
+      tag: 'SUMMARY',
+      onProgress: text => updatePlaceholder(env, placeholder, text)
     });
+    const userInput = applyPreferences(applySummaryOptions(summaryInput.userInput, options), prefs);
+    log.info('Built summary input', { parts: summaryInput.parts });
     
-    if (!aiRes.ok) {
-      throw new Error(`AI API returned error: ${aiRes.status}`);
-    }
-    
-    // 9. Process the AI response
-    const aiJson = JSON.parse(await aiRes.text());
-    if (!aiJson.result) {
-      throw new Error('AI response missing expected "result" field');
-    }
-    
-    // 10. Create a title and format summary
+    // 9. Create a title
     const titleMap = {
-      'thread': '*Thread Summary:*',
-      'single': '*Message Summary:*',
-      'context': '*Message Context Summary:*',
-      'recent': '*Conversation Summary:*'
+      'thread': 'Thread Summary',
+      'single': 'Message Summary',
+      'context': 'Message Context Summary',
+      'recent': 'Conversation Summary',
+      'range': `Conversation Summary: ${describeSummaryScope(options)}`
     };
     
-    const title = titleMap[contextType] || '*Summary:*';
-    const formattedSummary = `${title}\n${aiJson.result}`;
+    const title = titleMap[contextType] || 'Summary';
+
+    // 10. Call Airia (the client validates the response); long-running pipelines post the summary later
+    const aiJson = await runAiria(env, pipeline, userInput, {
+      tag: 'SUMMARY',
+      destination: responseUrl ? { type: 'response_url', response_url: responseUrl } : {
+        type: 'message',
+        channel: placeholder ? placeholder.channel : (dmChannel || channelId),
+        thread_ts: placeholder ? placeholder.thread_ts : (dmChannel ? null : (replyToTs || null)),
+        placeholder
+      },
+      answer: { title, feedback: { prompt, userInput, surface: 'summary', user: userId } }
+    });
+    if (!aiJson) return;
+
+    const summary = {
+      title,
+      result: aiJson.result,
+      feedback: {
+        prompt,
+        userInput,
+        surface: 'summary',
+        user: userId,
+        isBackupPipeline: aiJson.isBackupPipeline,
+        pipeline: aiJson.pipeline,
+        pipelineUrl: aiJson.url
+      }
+    };
     
     // 11. Post the summary
     try {
-      if (replyToTs) {
+      if (responseUrl) {
+        // Only the requester sees it, where they asked
+        await postAnswerToResponseUrl(env, responseUrl, summary);
+        log.info('Sent summary to the requester only');
+      } else if (placeholder) {
+        // Replace the placeholder, wherever it was posted
+        await postAnswer(env, { channel: placeholder.channel, thread_ts: placeholder.thread_ts, placeholder, ...summary });
+        log.info('Replaced placeholder with summary');
+      } else if (dmChannel) {
+        await postAnswer(env, { channel: dmChannel, ...summary });
+        log.info('Posted summary in a direct message');
+      } else if (replyToTs) {
         // Try to post as a reply with the primary timestamp
         try {
-          await postSlackMessage(env, channelId, formattedSummary, replyToTs);
-          console.log(`[SUMMARY] Posted summary as a reply to message ${replyToTs}`);
+          await postAnswer(env, { channel: channelId, thread_ts: replyToTs, ...summary });
+          log.info('Posted summary as a reply', { replyToTs });
         } catch (replyErr) {
-          console.warn(`[SUMMARY] Failed to post as reply to ${replyToTs}: ${replyErr.message}`);
+          log.warn('Failed to post as reply', { replyToTs, error: replyErr });
           
           // If we're in a thread but the main timestamp failed, try the targeting timestamp
           if (contextType === 'thread' && targetTs && targetTs !== replyToTs) {
             try {
-              console.log(`[SUMMARY] Trying alternate timestamp for thread reply: ${targetTs}`);
-              await postSlackMessage(env, channelId, formattedSummary, targetTs);
-              console.log(`[SUMMARY] Posted summary as reply using alternate timestamp ${targetTs}`);
+              log.info('Trying alternate timestamp for thread reply', { targetTs });
+              await postAnswer(env, { channel: channelId, thread_ts: targetTs, ...summary });
+              log.info('Posted summary as reply using alternate timestamp', { targetTs });
               return;
             } catch (altErr) {
-              console.warn(`[SUMMARY] Failed with alternate timestamp too: ${altErr.message}`);
+              log.warn('Failed with alternate timestamp too', { error: altErr });
             }
           }
           
           // If all reply attempts failed, post as a new message
-          console.warn(`[SUMMARY] All reply attempts failed, sending as new message`);
+          log.warn('All reply attempts failed, sending as new message');
           
           // Add a note to the message explaining it should have been a reply
-          const notePrefix = contextType === 'thread' 
-            ? '*Note: This summary was meant to be posted in the thread but failed. Thread summary:*\n\n'
-            : '*Note: This should have been a reply but failed. Message summary:*\n\n';
-          
-          await postSlackMessage(env, channelId, notePrefix + formattedSummary);
-          console.log(`[SUMMARY] Posted summary as a new message (fallback) with note`);
+          const note = contextType === 'thread' 
+            ? '*Note: This summary was meant to be posted in the thread but failed.*'
+            : '*Note: This should have been a reply but failed.*';
+          await postAnswer(env, { channel: channelId, note, ...summary });
+          log.info('Posted summary as a new message (fallback) with note');
         }
       } else {
         // Post as new message (for recent conversation context)
-        await postSlackMessage(env, channelId, formattedSummary);
-        console.log('[SUMMARY] Posted summary as a new message');
+        await postAnswer(env, { channel: channelId, ...summary });
+        log.info('Posted summary as a new message');
       }
       
       // Always log that the summary was successfully posted
-      console.log('[SUMMARY-SUCCESS] Successfully posted summary', {
+      log.info('Successfully posted summary', {
         type: contextType,
         messageCount: messages.length,
-        replyToTs: replyToTs || 'none (posted as new message)'
+        replyToTs: replyToTs || 'none (posted as new message)',
+        durationMs: Date.now() - startedAt
       });
     } catch (postErr) {
+      // An ephemeral summary must not fall back to a message everyone can see
+      if (responseUrl) throw postErr;
       // If everything fails, try one last simple message
       try {
-        const errorMsg = `*Summary* (Error posting full response: ${postErr.message})\n\n${aiJson.result.substring(0, 1000)}...`;
-        await postSlackMessage(env, channelId, errorMsg);
-        console.log('[SUMMARY] Posted simplified summary after errors');
+        // Plain text parts, in case the blocks were what Slack rejected
+        await postAnswer(env, {
+          channel: dmChannel || channelId,
+          note: `_Error posting full response: ${postErr.message}_`,
+          textOnly: true,
+          ...summary
+        });
+        log.info('Posted simplified summary after errors');
       } catch (finalErr) {
         throw new Error(`Failed to post any summary: ${finalErr.message}`);
       }
@@ -1264,22 +1399,26 @@ async function processThreadSummary(payload, env) {
     
   } catch (err) {
     // Global error handler
-    console.error('[SUMMARY] Error:', err);
+    log.error('Error summarizing', { error: err, durationMs: Date.now() - startedAt });
+    
+    // Show the error in place of the placeholder when there is one
+    if (placeholder) {
+      try {
+        await showPlaceholderError(env, placeholder, {
+          channel: placeholder.channel,
+          thread_ts: placeholder.thread_ts,
+          text: `Error summarizing content: ${err.message}`
+        });
+        return;
+      } catch (placeholderErr) {
+        log.error('Failed to show error in placeholder', { error: placeholderErr });
+      }
+    }
     
-    // Try to notify the user
+    // Otherwise try to notify the user privately
     try {
-      // Extract channel and user IDs with fallbacks
-      const channelId = (
-        (payload.channel && payload.channel.id) || 
-        (payload.channel && typeof payload.channel === 'string' && payload.channel) || 
-        (payload.message && payload.message.channel)
-      );
-      
-      const userId = (
-        (payload.user && payload.user.id) || 
-        (payload.user && typeof payload.user === 'string' && payload.user) || 
-        payload.user_id
-      );
+      const channelId = request && request.channel;
+      const userId = request && request.user;
       
       if (channelId && userId) {
         await postEphemeralMessage(env, {
@@ -1289,9 +1428,43 @@ async function processThreadSummary(payload, env) {
         });
       }
     } catch (notifyErr) {
-      console.error('[SUMMARY] Failed to notify user of error:', notifyErr);
+      log.error('Failed to notify user of error', { error: notifyErr });
+    }
+  } finally {
+    await stopPlaceholder(placeholder);
+  }
+}
+
+/**
+ * Read the channel messages of an hours, days, date range or "since my last message" scope
+ * @returns {Promise<{ok: boolean, error: ?string, messages: Object[], complete: boolean}>} Messages oldest first
+ */
+async function fetchSummaryScope(env, channelId, userId, options) {
+  const { maxMessages } = getSummaryConfig(env);
+
+  if (options.scope === 'since_last') {
+    // Newest first, stopping at the page with the requester's last message
+    const isOwnMessage = msg => msg.user === userId && !msg.subtype;
+    const data = await fetchConversationPages(env, 'conversations.history', { channel: channelId }, {
+      maxMessages,
+      until: messages => messages.some(isOwnMessage),
+      tag: 'SUMMARY'
+    });
+    const lastOwn = data.messages.findIndex(isOwnMessage);
+    const messages = lastOwn === -1 ? data.messages : data.messages.slice(0, lastOwn);
+    return { ...data, messages: messages.reverse() };
+  }
+
+  let tzOffsetSeconds = 0;
+  if (options.scope === 'range') {
+    // Dates are the requester's local days
+    try {
+      tzOffsetSeconds = (await fetchUserInfo(env, userId)).tz_offset || 0;
+    } catch (err) {
+      createLogger(env, 'SUMMARY').warn('Could not read time zone, using UTC days', { user: userId, error: err });
     }
   }
+  return fetchChannelRange(env, channelId, getSummaryRange(options, { tzOffsetSeconds }), { maxMessages, tag: 'SUMMARY' });
 }
 
 /**
@@ -1299,13 +1472,14 @@ async function processThreadSummary(payload, env) {
  * Opens a modal dialog for users to ask a question from anywhere
  */
 async function processAskAiriaShortcut(payload, env) {
-  console.log('[SHORTCUT] Processing Ask AI Assistant shortcut');
-  console.log('[SHORTCUT] Payload:', JSON.stringify(payload, null, 2));
+  const log = createLogger(env, 'SHORTCUT');
+  log.info('Processing Ask AI Assistant shortcut', { user: payload.user && payload.user.id });
+  log.debug('Payload', { payload });
   
   try {
     // Validate the trigger ID is present
     if (!payload.trigger_id) {
-      console.error('[SHORTCUT] Missing trigger_id in payload');
+      log.error('Missing trigger_id in payload');
       return;
     }
 
@@ -1316,6 +1490,8 @@ async function processAskAiriaShortcut(payload, env) {
     const modalView = {
       type: 'modal',
       callback_id: 'ask_ai_assistant_modal',
+      // Remember which shortcut opened the modal so the answer uses its pipeline
+      private_metadata: JSON.stringify({ shortcut: payload.callback_id }),
       title: {
         type: 'plain_text',
         text: 'Ask AI Assistant',
@@ -1349,7 +1525,7 @@ async function processAskAiriaShortcut(payload, env) {
       ],
     };
     
-    console.log('[SHORTCUT] Opening modal with trigger_id:', payload.trigger_id);
+    log.info('Opening modal', { triggerId: payload.trigger_id });
     
     // Set a timeout for the request - Slack needs fast responses
     const controller = new AbortController();
@@ -1372,34 +1548,34 @@ async function processAskAiriaShortcut(payload, env) {
       clearTimeout(timeoutId);
       
       const responseTime = Date.now() - startTime;
-      console.log(`[SHORTCUT] Slack API response time: ${responseTime}ms`);
+      log.info('Slack API responded', { durationMs: responseTime });
       
       if (!modalResponse.ok) {
-        console.error('[SHORTCUT] HTTP error:', modalResponse.status, modalResponse.statusText);
+        log.error('HTTP error', { status: modalResponse.status, statusText: modalResponse.statusText });
         return;
       }
       
       const modalData = await modalResponse.json();
-      console.log('[SHORTCUT] Modal response:', JSON.stringify(modalData, null, 2));
+      log.debug('Modal response', { response: modalData });
       
       if (!modalData.ok) {
-        console.error('[SHORTCUT] Failed to open modal:', modalData.error);
+        log.error('Failed to open modal', { slackError: modalData.error });
         if (modalData.error === 'trigger_expired') {
-          console.error('[SHORTCUT] Trigger ID expired (response took too long)');
+          log.error('Trigger ID expired (response took too long)');
         }
       } else {
-        console.log('[SHORTCUT] Modal opened successfully with view ID:', modalData.view?.id);
+        log.info('Modal opened successfully', { viewId: modalData.view?.id });
       }
     } catch (fetchErr) {
       clearTimeout(timeoutId);
       if (fetchErr.name === 'AbortError') {
-        console.error('[SHORTCUT] Request timed out after 2000ms');
+        log.error('Request timed out after 2000ms');
       } else {
-        console.error('[SHORTCUT] Fetch error:', fetchErr);
+        log.error('Fetch error', { error: fetchErr });
       }
     }
   } catch (err) {
-    console.error('[SHORTCUT] Error processing shortcut:', err);
+    log.error('Error processing shortcut', { error: err });
   }
 }
 
@@ -1409,8 +1585,10 @@ async function processAskAiriaShortcut(payload, env) {
 async function handleViewSubmission(payload, env) {
   const viewId = payload.view.id;
   const userId = payload.user.id;
-  console.log(`[MODAL] Received submission from view ${viewId} by user ${userId}`);
-  console.log('[MODAL] View structure:', JSON.stringify(payload.view, null, 2));
+  const log = createLogger(env, 'MODAL');
+  const startedAt = Date.now();
+  log.info('Received submission', { viewId, user: userId });
+  log.debug('View structure', { view: payload.view });
 
   try {
     // Extract the question from the modal submission - traverse the state structure carefully
@@ -1421,8 +1599,8 @@ async function handleViewSubmission(payload, env) {
       question = payload.view.state.values.question_block.question.value;
     } catch (structErr) {
       // If that fails, log the error and try to find the question more broadly
-      console.error('[MODAL] Error accessing question using expected structure:', structErr);
-      console.log('[MODAL] Attempting to find question in view state');
+      log.error('Error accessing question using expected structure', { error: structErr });
+      log.info('Attempting to find question in view state');
       
       // Try to find any input with content
       if (payload.view.state && payload.view.state.values) {
@@ -1432,7 +1610,7 @@ async function handleViewSubmission(payload, env) {
           for (const action of actions) {
             const value = payload.view.state.values[block][action].value;
             if (value) {
-              console.log(`[MODAL] Found input value in block ${block}, action ${action}`);
+              log.info('Found input value', { block, action });
               question = value;
               break;
             }
@@ -1444,13 +1622,13 @@ async function handleViewSubmission(payload, env) {
     
     // Check if we found a question
     if (!question || question.trim() === '') {
-      console.log('[MODAL] Empty question submitted or question not found in payload');
+      log.info('Empty question submitted or question not found in payload');
       // Since we're now handling this in the background, we can't return errors
       // so we'll just log the error and exit
       return;
     }
     
-    console.log(`[MODAL] Processing question: ${question}`);
+    log.info('Processing question', { question });
     
     // Get the user's DM channel to send the response
     const dmResponse = await fetch('https://slack.com/api/conversations.open', {
@@ -1466,61 +1644,62 @@ async function handleViewSubmission(payload, env) {
     
     const dmData = await dmResponse.json();
     if (!dmData.ok) {
-      console.error('[MODAL] Failed to open DM channel:', dmData.error);
+      log.error('Failed to open DM channel', { slackError: dmData.error });
       return;
     }
     
     const channelId = dmData.channel.id;
     
-    // Send a "thinking" message
-    try {
-      await postSlackMessage(env, channelId, `:thinking_face: Processing your question: "${question}"`);
-    } catch (msgErr) {
-      console.error('[MODAL] Error sending thinking message:', msgErr);
-      // Continue anyway - this is just a notification
-    }
+    // Post a placeholder that is edited into the answer once it arrives
+    const placeholder = await startPlaceholder(env, {
+      channel: channelId,
+      text: `:thinking_face: Working on your question: "${question}"`
+    });
     
     // Call the AI API with proper error handling
     try {
-      const aiRes = await fetch(env.AIRIA_API_URL, {
-        method: 'POST',
-        headers: {
-          'X-API-KEY': env.Airia_API_key,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ userInput: question, asyncOutput: false }),
-      });
-      
-      if (!aiRes.ok) {
-        console.error('[MODAL] AI API error:', aiRes.status, aiRes.statusText);
-        await postSlackMessage(env, channelId, `Error processing your question: API returned status ${aiRes.status}. Please try again later.`);
-        return;
-      }
-      
-      const responseText = await aiRes.text();
-      console.log('[MODAL] Raw AI response:', responseText);
-      
+      // The shortcut that opened the modal decides the pipeline
+      let metadata = {};
       try {
-        // Try to parse the JSON response
-        const aiJson = JSON.parse(responseText);
-        
-        // Format response with better fallbacks
-        const result = aiJson.result || aiJson.answer || aiJson.response || 
-                     (typeof aiJson === 'string' ? aiJson : 'No readable response received');
-        
-        await postSlackMessage(env, channelId, `You asked: "${question}"\n\n*${result}*`);
-        console.log('[MODAL] Replied to user question via DM');
-      } catch (parseErr) {
-        console.error('[MODAL] Error parsing AI response:', parseErr);
-        // If we can't parse the JSON, just send the raw text as fallback
-        await postSlackMessage(env, channelId, `You asked: "${question}"\n\n*Response:*\n${responseText.substring(0, 1500)}`);
+        metadata = JSON.parse(payload.view.private_metadata || '{}');
+      } catch (metaErr) {
+        log.warn('Could not parse private_metadata', { error: metaErr });
       }
+      const prefs = await loadPreferences(env, userId);
+      const pipeline = resolvePipeline(env, {
+        shortcut: metadata.shortcut,
+        text: await normalizeSlackInput(env, question, 'MODAL'),
+        preferred: prefs.pipeline
+      });
+      const userInput = applyPreferences(pipeline.text, prefs);
+      const answer = { question, feedback: { prompt: pipeline.text, userInput, surface: 'modal', user: userId } };
+      const aiJson = await runAiria(env, pipeline, userInput, {
+        tag: 'MODAL',
+        destination: { type: 'message', channel: channelId, thread_ts: null, placeholder },
+        answer
+      });
+      if (!aiJson) return;
+      
+      await postAnswer(env, {
+        channel: channelId,
+        placeholder,
+        ...answer,
+        result: aiJson.result,
+        isBackupPipeline: aiJson.isBackupPipeline,
+        feedback: { ...answer.feedback, pipeline: aiJson.pipeline, pipelineUrl: aiJson.url }
+      });
+      log.info('Replied to user question via DM', { durationMs: Date.now() - startedAt });
     } catch (aiErr) {
-      console.error('[MODAL] Error calling AI API:', aiErr);
-      await postSlackMessage(env, channelId, `Error calling AI service: ${aiErr.message}. Please try again later.`);
+      log.error('Error calling AI API', { error: aiErr, durationMs: Date.now() - startedAt });
+      await showPlaceholderError(env, placeholder, {
+        channel: channelId,
+        text: describeAiriaError(aiErr)
+      });
+    } finally {
+      await stopPlaceholder(placeholder);
     }
   } catch (err) {
-    console.error('[MODAL] Error processing modal submission:', err);
+    log.error('Error processing modal submission', { error: err });
     try {
       // Try to notify the user about the error
       const dmResponse = await fetch('https://slack.com/api/conversations.open', {
@@ -1542,7 +1721,7 @@ async function handleViewSubmission(payload, env) {
         }
       }
     } catch (notifyErr) {
-      console.error('[MODAL] Failed to notify user of error:', notifyErr);
+      log.error('Failed to notify user of error', { error: notifyErr });
     }
   }
 }
@@ -1557,7 +1736,8 @@ async function handleViewSubmission(payload, env) {
  *    in the "App unfurl domains" section
  */
 async function processLinkUnfurl(event, env) {
-  console.log('[UNFURL] Processing link unfurl for links:', event.links);
+  const log = createLogger(env, 'UNFURL');
+  log.info('Processing link unfurl', { links: event.links });
   try {
     // Example of unfurling links from your domain
     const unfurls = {};
@@ -1606,119 +1786,75 @@ async function processLinkUnfurl(event, env) {
       
       const unfurlData = await unfurlResponse.json();
       if (!unfurlData.ok) {
-        console.error('[UNFURL] Failed to unfurl links:', unfurlData.error);
+        log.error('Failed to unfurl links', { slackError: unfurlData.error });
       } else {
-        console.log('[UNFURL] Links unfurled successfully');
+        log.info('Links unfurled successfully');
       }
     }
   } catch (err) {
-    console.error('[UNFURL] Error processing link unfurl:', err);
+    log.error('Error processing link unfurl', { error: err });
   }
 }
 
 /**
- * Handles the "Generate response" workflow step
+ * Handles the "Generate AI response" custom step in Workflow Builder (a function_executed event)
+ * Inputs: prompt, pipeline (optional name from AIRIA_PIPELINES) and context_channel
+ * (optional channel whose latest messages are sent along with the prompt)
+ * Outputs: response and is_backup_pipeline
  */
-async function processWorkflowStep(payload, env) {
-  console.log('[WORKFLOW] Processing workflow step:', payload.callback_id);
-  
+async function processWorkflowFunction(event, env) {
+  const log = createLogger(env, 'WORKFLOW');
+  const startedAt = Date.now();
+  const inputs = event.inputs || {};
+  // The execution's own token is only valid until the step completes
+  const execution = { function_execution_id: event.function_execution_id, token: event.bot_access_token || null };
+  log.info('Processing workflow function', { functionExecutionId: execution.function_execution_id, contextChannel: inputs.context_channel });
+
   try {
-    if (payload.type === 'workflow_step_edit') {
-      // Step 1: Open a configuration modal when user adds this step to a workflow
-      await fetch('https://slack.com/api/workflows.updateStep', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${env.Slack_Bot_Token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          workflow_step_edit_id: payload.workflow_step.workflow_step_edit_id,
-          inputs: {
-            prompt: {
-              value: "{{workflow_step_input}}",
-              skip_variable_replacement: true,
-            }
-          },
-          outputs: [
-            {
-              name: "response",
-              type: "text",
-              label: "AI Response"
-            }
-          ]
-        })
-      });
-      console.log('[WORKFLOW] Configuration modal opened');
+    const prompt = await normalizeSlackInput(env, typeof inputs.prompt === 'string' ? inputs.prompt : '', 'WORKFLOW');
+    if (!prompt.trim()) {
+      throw new Error('The prompt input is empty');
     }
-    else if (payload.type === 'workflow_step_execute') {
-      // Step 2: Execute the workflow step when triggered in a workflow
-      const inputs = payload.workflow_step.inputs;
-      const prompt = inputs.prompt.value;
-      
-      // Call Airia API with the input
-      const aiRes = await fetch(env.AIRIA_API_URL, {
-        method: 'POST',
-        headers: {
-          'X-API-KEY': env.Airia_API_key,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ userInput: prompt, asyncOutput: false }),
-      });
-      
-      if (!aiRes.ok) {
-        console.error('[WORKFLOW] Airia API error:', aiRes.status);
-        await fetch('https://slack.com/api/workflows.stepFailed', {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${env.Slack_Bot_Token}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            workflow_step_execute_id: payload.workflow_step.workflow_step_execute_id,
-            error: {
-              message: `Airia API error: ${aiRes.status}`
-            }
-          })
-        });
-        return;
+
+    // An explicit pipeline input wins over routing; a typo should fail the step, not fall back
+    let pipeline;
+    if (inputs.pipeline) {
+      if (!hasPipeline(env, inputs.pipeline)) {
+        throw new Error(`Unknown pipeline "${inputs.pipeline}"`);
       }
-      
-      // Parse response and complete the workflow step
-      const aiJson = JSON.parse(await aiRes.text());
-      await fetch('https://slack.com/api/workflows.stepCompleted', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${env.Slack_Bot_Token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          workflow_step_execute_id: payload.workflow_step.workflow_step_execute_id,
-          outputs: {
-            response: aiJson.result
-          }
-        })
+      pipeline = { ...getPipeline(env, inputs.pipeline), text: prompt };
+    } else {
+      pipeline = resolvePipeline(env, {
+        workflow: WORKFLOW_FUNCTION_CALLBACK_ID,
+        channel: inputs.context_channel || null,
+        text: prompt
       });
-      console.log('[WORKFLOW] Workflow step completed successfully');
     }
+
+    let userInput = pipeline.text;
+    if (inputs.context_channel) {
+      const messages = await fetchChannelHistory(env, inputs.context_channel, WORKFLOW_CONTEXT_MESSAGES, 'WORKFLOW');
+      log.info('Including channel context', { messages: messages.length });
+      userInput = buildThreadContextInput(await formatTranscript(env, messages, 'WORKFLOW'), pipeline.text, env, 'Recent channel messages');
+    }
+
+    const aiJson = await runAiria(env, pipeline, userInput, {
+      tag: 'WORKFLOW',
+      destination: { type: 'function', ...execution }
+    });
+    // Long-running pipelines complete the step later through async-jobs.js
+    if (!aiJson) return;
+
+    await completeFunction(env, execution, {
+      outputs: { response: aiJson.result, is_backup_pipeline: Boolean(aiJson.isBackupPipeline) }
+    });
+    log.info('Workflow function completed successfully', { durationMs: Date.now() - startedAt });
   } catch (err) {
-    console.error('[WORKFLOW] Error processing workflow step:', err);
-    // Notify Slack that the step failed
+    log.error('Error processing workflow function', { error: err, durationMs: Date.now() - startedAt });
     try {
-      await fetch('https://slack.com/api/workflows.stepFailed', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${env.Slack_Bot_Token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          workflow_step_execute_id: payload.workflow_step.workflow_step_execute_id,
-          error: {
-            message: `Error: ${err.message}`
-          }
-        })
-      });
-    } catch (postErr) {
-      console.error('[WORKFLOW] Failed to report workflow step failure:', postErr);
+      await completeFunction(env, execution, { error: err instanceof AiriaError ? describeAiriaError(err) : `Error: ${err.message}` });
+    } catch (completeErr) {
+      log.error('Failed to report workflow function failure', { error: completeErr });
     }
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * User input normalization
+ *
+ * Slack delivers message text with its own markup: `<@U123>` mentions,
+ * `<#C123|general>` channel references, `<https://...|label>` links,
+ * `<!here>` broadcasts and HTML entities such as `&amp;`. Airia pipelines
+ * expect plain text, so every entry point runs user input through
+ * `normalizeSlackInput` before building a prompt.
+ */
+
+import { fetchUserNames, fetchChannelNames, getBotUserId } from './slack.js';
+import { createLogger } from './logging.js';
+
+// Matches any Slack control sequence: <...>
+const SLACK_MARKUP_PATTERN = /<([^<>]+)>/g;
+
+/**
+ * Decode the three entities Slack escapes in message text
+ * &amp; is decoded last so "&amp;lt;" stays a literal "&lt;"
+ */
+export function decodeSlackEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Split "<target|label>" into its two halves
+function splitMarkup(inner) {
+  const pipe = inner.indexOf('|');
+  return pipe === -1
+    ? { target: inner, label: '' }
+    : { target: inner.slice(0, pipe), label: inner.slice(pipe + 1) };
+}
+
+/**
+ * Replace Slack markup with readable text
+ * @param {string} text - Raw Slack message text
+ * @param {Object} names - Lookup tables for IDs without an inline label
+ * @param {Object} names.users - Map of user ID to display name
+ * @param {Object} names.channels - Map of channel ID to channel name
+ * @param {Object} [names.usergroups] - Map of user group ID to handle
+ * @param {string} [names.botUserId] - Mentions of this user are removed entirely
+ */
+export function replaceSlackMarkup(text, { users = {}, channels = {}, usergroups = {}, botUserId = null } = {}) {
+  const replaced = text.replace(SLACK_MARKUP_PATTERN, (match, inner) => {
+    const { target, label } = splitMarkup(inner);
+
+    // User mentions: <@U123> or <@U123|name>
+    if (target.startsWith('@')) {
+      const userId = target.slice(1);
+      if (botUserId && userId === botUserId) return '';
+      return `@${label || users[userId] || userId}`;
+    }
+
+    // Channel references: <#C123> or <#C123|general>
+    if (target.startsWith('#')) {
+      const channelId = target.slice(1);
+      return `#${label || channels[channelId] || channelId}`;
+    }
+
+    // Special mentions: <!here>, <!subteam^S123|@team>, <!date^...|fallback>
+    if (target.startsWith('!')) {
+      if (target.startsWith('!date')) return label;
+      if (label) return label.startsWith('@') ? label : `@${label}`;
+      if (target.startsWith('!subteam^')) {
+        const groupId = target.slice('!subteam^'.length);
+        return `@${usergroups[groupId] || groupId}`;
+      }
+      return `@${target.slice(1).split('^')[0]}`;
+    }
+
+    // Links: <https://example.com|label>, <mailto:a@b.com|a@b.com>
+    const url = target.startsWith('mailto:') ? target.slice('mailto:'.length) : target;
+    if (!label || label === url || label === target) return url;
+    return `${label} (${url})`;
+  });
+
+  return decodeSlackEntities(replaced)
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+// Collect IDs referenced without an inline label, so only those need API lookups
+function collectUnlabeledIds(text, prefix) {
+  const ids = [];
+  for (const [, inner] of text.matchAll(SLACK_MARKUP_PATTERN)) {
+    const { target, label } = splitMarkup(inner);
+    if (target.startsWith(prefix) && !label) {
+      ids.push(target.slice(1));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Turn raw Slack message text into plain text for Airia
+ * Removes the bot's own mention, resolves user and channel IDs to names
+ * (cached), unwraps links and decodes HTML entities
+ * @param {Object} env - Environment variables
+ * @param {string} text - Raw Slack message text
+ * @param {string} [tag] - Log tag of the calling handler
+ */
+export async function normalizeSlackInput(env, text, tag = 'INPUT') {
+  if (!text) return '';
+
+  // Plain text (e.g. modal input) only needs entity decoding
+  if (!text.includes('<')) {
+    return decodeSlackEntities(text).trim();
+  }
+
+  const userIds = collectUnlabeledIds(text, '@');
+  const channelIds = collectUnlabeledIds(text, '#');
+
+  try {
+    // The bot's own mention is removed rather than resolved, so skip its lookup
+    const botUserId = text.includes('<@') ? await getBotUserId(env) : null;
+    const [users, channels] = await Promise.all([
+      fetchUserNames(env, userIds.filter(id => id !== botUserId), tag),
+      fetchChannelNames(env, channelIds, tag)
+    ]);
+
+    return replaceSlackMarkup(text, { users, channels, botUserId });
+  } catch (err) {
+    createLogger(env, tag).error('Error resolving Slack markup, using unresolved IDs', { error: err });
+    return replaceSlackMarkup(text);
+  }
+}
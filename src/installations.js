@@ -0,0 +1,188 @@
+/**
+ * Per-workspace bot tokens for multi-workspace installs
+ *
+ * Each workspace that installs the app through /slack/install (see oauth.js)
+ * gets its own bot token, stored in BOT_STATE:
+ * - installation:team:<team_id> for a workspace install
+ * - installation:enterprise:<enterprise_id> for an org-wide Enterprise Grid install
+ *
+ * withTeamToken returns a copy of env whose Slack_Bot_Token is the token of
+ * the workspace a payload came from, so every Slack API call made with that
+ * env uses the right token. SLACK_TEAM_ID and SLACK_ENTERPRISE_ID on the copy
+ * let work that finishes later (async jobs) find the token again, and
+ * SLACK_BOT_USER_ID is that workspace's bot, so its mentions can be stripped.
+ *
+ * Without SLACK_CLIENT_ID (no OAuth flow) the deployment serves a single
+ * workspace, and workspaces without an installation use Slack_Bot_Token.
+ * Once SLACK_CLIENT_ID is set, a workspace without an installation is
+ * refused rather than answered with another workspace's token. A failed
+ * installation lookup is always refused, never answered with the fallback.
+ *
+ * app_uninstalled and tokens_revoked events delete the stored installation.
+ */
+
+import { createLogger } from './logging.js';
+
+const TEAM_PREFIX = 'installation:team:';
+const ENTERPRISE_PREFIX = 'installation:enterprise:';
+
+/**
+ * Error from withInstallationToken when a team's request cannot be served
+ * `code` is not_installed (OAuth is configured and the team has no installation)
+ * or lookup_failed (the installation could not be read, worth trying again)
+ */
+export class InstallationError extends Error {
+  constructor(message, { code = 'not_installed' } = {}) {
+    super(message);
+    this.name = 'InstallationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether the deployment serves several workspaces through the OAuth flow (see oauth.js)
+ */
+export function isMultiWorkspace(env) {
+  return Boolean(env.SLACK_CLIENT_ID);
+}
+
+/**
+ * The workspace and organization a Slack payload came from
+ * Events, slash commands, interactions and view submissions name them in different places
+ * @param {Object} payload - Parsed Slack payload
+ * @returns {{teamId: ?string, enterpriseId: ?string, isEnterpriseInstall: boolean}}
+ */
+export function getTeamContext(payload) {
+  if (!payload) return { teamId: null, enterpriseId: null, isEnterpriseInstall: false };
+  const authorization = (Array.isArray(payload.authorizations) && payload.authorizations[0]) || {};
+  return {
+    teamId: payload.team_id || (payload.team && payload.team.id) || authorization.team_id ||
+      (payload.user && payload.user.team_id) || (payload.view && payload.view.team_id) || null,
+    enterpriseId: payload.enterprise_id || (payload.enterprise && payload.enterprise.id) || authorization.enterprise_id || null,
+    isEnterpriseInstall: payload.is_enterprise_install === true || authorization.is_enterprise_install === true
+  };
+}
+
+/**
+ * The team context an env from withTeamToken was scoped to, for storing with deferred work
+ */
+export function getEnvTeamContext(env) {
+  return {
+    teamId: env.SLACK_TEAM_ID || null,
+    enterpriseId: env.SLACK_ENTERPRISE_ID || null,
+    isEnterpriseInstall: env.SLACK_ENTERPRISE_INSTALL === true
+  };
+}
+
+/**
+ * Store an installation from oauth.v2.access
+ * @param {Object} env - Environment variables
+ * @param {Object} installation - { teamId, teamName, enterpriseId, enterpriseName, isEnterpriseInstall,
+ *   botToken, botUserId, appId, scope, installedBy }
+ */
+export async function saveInstallation(env, installation) {
+  const key = installation.isEnterpriseInstall
+    ? `${ENTERPRISE_PREFIX}${installation.enterpriseId}`
+    : `${TEAM_PREFIX}${installation.teamId}`;
+  await env.BOT_STATE.put(key, JSON.stringify({ ...installation, installedAt: Date.now() }));
+  createLogger(env, 'INSTALL').info('Saved installation', {
+    teamId: installation.teamId,
+    enterpriseId: installation.enterpriseId,
+    isEnterpriseInstall: installation.isEnterpriseInstall
+  });
+}
+
+/**
+ * Find the installation for a team: the workspace's own, else its organization's org-wide install
+ * @param {Object} env - Environment variables
+ * @param {{teamId: ?string, enterpriseId: ?string, isEnterpriseInstall: boolean}} context
+ * @returns {Promise<Object|null>}
+ */
+export async function findInstallation(env, { teamId, enterpriseId, isEnterpriseInstall } = {}) {
+  if (!env.BOT_STATE) return null;
+  if (teamId && !isEnterpriseInstall) {
+    const installation = await env.BOT_STATE.get(`${TEAM_PREFIX}${teamId}`, 'json');
+    if (installation) return installation;
+  }
+  if (enterpriseId) {
+    return env.BOT_STATE.get(`${ENTERPRISE_PREFIX}${enterpriseId}`, 'json');
+  }
+  return null;
+}
+
+/**
+ * Remove a stored installation, for example after the app was uninstalled
+ */
+export async function deleteInstallation(env, { teamId, enterpriseId, isEnterpriseInstall } = {}) {
+  if (!env.BOT_STATE) return;
+  if (isEnterpriseInstall && enterpriseId) {
+    await env.BOT_STATE.delete(`${ENTERPRISE_PREFIX}${enterpriseId}`);
+  } else if (teamId) {
+    await env.BOT_STATE.delete(`${TEAM_PREFIX}${teamId}`);
+  }
+  createLogger(env, 'INSTALL').info('Deleted installation', { teamId, enterpriseId, isEnterpriseInstall });
+}
+
+/**
+ * A copy of env that uses the bot token of a team's installation
+ * @param {Object} env - Environment variables
+ * @param {{teamId: ?string, enterpriseId: ?string, isEnterpriseInstall: boolean}} context
+ * @returns {Promise<Object>}
+ * Throws an InstallationError when the team cannot be served
+ */
+export async function withInstallationToken(env, context = {}) {
+  if (!context.teamId && !context.enterpriseId) return env;
+  const log = createLogger(env, 'INSTALL');
+
+  const scoped = {
+    ...env,
+    SLACK_TEAM_ID: context.teamId || null,
+    SLACK_ENTERPRISE_ID: context.enterpriseId || null,
+    SLACK_ENTERPRISE_INSTALL: context.isEnterpriseInstall === true
+  };
+
+  let installation;
+  try {
+    installation = await findInstallation(env, context);
+  } catch (err) {
+    log.error('Error loading installation, refusing the request', { teamId: context.teamId, enterpriseId: context.enterpriseId, error: err });
+    throw new InstallationError(`Could not load the installation: ${err.message}`, { code: 'lookup_failed' });
+  }
+
+  if (installation) {
+    scoped.Slack_Bot_Token = installation.botToken;
+    scoped.SLACK_BOT_USER_ID = installation.botUserId || null;
+  } else if (isMultiWorkspace(env)) {
+    log.warn('No installation for team, refusing the request', { teamId: context.teamId, enterpriseId: context.enterpriseId });
+    throw new InstallationError('The app is not installed in this workspace');
+  } else if (!env.Slack_Bot_Token) {
+    log.warn('No installation and no Slack_Bot_Token for team', {
+      teamId: context.teamId,
+      enterpriseId: context.enterpriseId
+    });
+  }
+  return scoped;
+}
+
+/**
+ * A copy of env that uses the bot token of the workspace a Slack payload came from
+ */
+export function withTeamToken(env, payload) {
+  return withInstallationToken(env, getTeamContext(payload));
+}
+
+/**
+ * Handle app_uninstalled and tokens_revoked events
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - The event_callback payload
+ */
+export async function handleInstallationEvent(env, payload) {
+  const event = payload.event || {};
+  const context = getTeamContext(payload);
+
+  // tokens_revoked also fires for user tokens, which this app does not store
+  if (event.type === 'tokens_revoked' && !(event.tokens && Array.isArray(event.tokens.bot) && event.tokens.bot.length > 0)) {
+    return;
+  }
+  await deleteInstallation(env, context);
+}
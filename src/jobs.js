@@ -0,0 +1,224 @@
+/**
+ * Background jobs for Slack requests
+ *
+ * The /slack route acknowledges Slack right away and hands the work to a
+ * typed job ({ type, payload, idempotencyKey }). With a JOBS_QUEUE binding
+ * the job is sent to a Cloudflare Queue and run by the Worker's queue()
+ * consumer, so it survives isolate eviction and is retried with backoff
+ * when its handler throws. After JOB_MAX_ATTEMPTS the job is sent to the
+ * JOBS_DLQ dead-letter queue and the user is told that the request failed.
+ * Without a queue binding jobs run in ctx.waitUntil as before.
+ *
+ * Jobs that open a modal with the payload's trigger_id always run in
+ * ctx.waitUntil: Slack expires a trigger_id after 3 seconds, and a queue
+ * batch can wait longer than that before it is consumed.
+ *
+ * Handlers report the errors they expect (such as a failed Airia call) to
+ * the user themselves; only errors that escape a handler are retried.
+ *
+ * Configuration (all optional):
+ * - JOB_MAX_ATTEMPTS: attempts before a job is dead-lettered (default 3)
+ * - JOB_RETRY_BASE_SECONDS: first retry delay, doubled on every retry (default 30)
+ */
+
+import { postSlackMessage, postEphemeralMessage, completeFunction } from './slack.js';
+import { runIdempotentJob, completeIdempotencyKey, releaseIdempotencyKey } from './idempotency.js';
+import { releaseSlot } from './limits.js';
+import { createLogger, getCorrelationId, withLogContext } from './logging.js';
+import { withTeamToken } from './installations.js';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 15 * 60;
+
+// Background refreshes the user is not waiting for; nobody is told when they fail
+const SILENT_JOB_TYPES = ['home_tab', 'link_unfurl'];
+
+// Jobs that call views.open with the payload's trigger_id (the Ask shortcut, the summary modal and the feedback reason modal)
+const TRIGGER_JOB_TYPES = ['ask_shortcut', 'summary_modal', 'feedback'];
+
+const FAILURE_TEXT = 'Sorry, your request could not be completed after several attempts. Please try again later.';
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Build a typed job for a Slack payload
+ * @param {string} type - Job type, a key of the handler map passed to enqueueJob/processJobBatch
+ * @param {Object} payload - The parsed Slack payload
+ * @param {Object} [options]
+ * @param {string|null} [options.idempotencyKey] - Key claimed for the delivery (see idempotency.js)
+ * @param {string|null} [options.slotId] - Concurrency slot held until the job finishes (see limits.js)
+ */
+export function createJob(type, payload, { idempotencyKey = null, slotId = null } = {}) {
+  // The consumer logs under the same correlation id as the request (see logging.js)
+  const correlationId = getCorrelationId(payload);
+  return { type, payload, idempotencyKey, slotId, correlationId, enqueuedAt: Date.now() };
+}
+
+/**
+ * Run a job on the queue, or in ctx.waitUntil when no queue is bound (or sending fails)
+ * Jobs that need the payload's trigger_id always run in ctx.waitUntil
+ * @param {Object} env - Environment variables
+ * @param {Object} ctx - Execution context of the request
+ * @param {Object} job - Job from createJob
+ * @param {Object} handlers - Map of job type to handler(payload, env)
+ */
+export async function enqueueJob(env, ctx, job, handlers) {
+  const log = createLogger(env, 'JOBS');
+  if (env.JOBS_QUEUE && !TRIGGER_JOB_TYPES.includes(job.type)) {
+    try {
+      await env.JOBS_QUEUE.send(job, { contentType: 'json' });
+      log.info('Enqueued job', { type: job.type });
+      return;
+    } catch (err) {
+      log.error('Error enqueueing job, running it in the background instead', { type: job.type, error: err });
+    }
+  }
+
+  ctx.waitUntil((async () => {
+    const startedAt = Date.now();
+    await runIdempotentJob(env, job.idempotencyKey, () => handlers[job.type](job.payload, env));
+    await releaseSlot(env, job.slotId);
+    log.info('Finished background job', { type: job.type, durationMs: Date.now() - startedAt });
+  })());
+}
+
+function retryDelaySeconds(env, attempts) {
+  const base = readPositiveInt(env.JOB_RETRY_BASE_SECONDS, DEFAULT_RETRY_BASE_SECONDS);
+  return Math.min(base * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+}
+
+/**
+ * Tell the user who triggered a job something, wherever they asked
+ * (the workflow custom step, the response_url, an ephemeral message or their App DM)
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Job from createJob
+ * @param {string} text - Message text
+ */
+export async function notifyJobUser(env, job, text) {
+  const payload = job.payload || {};
+
+  try {
+    if (payload.event && payload.event.type === 'function_executed') {
+      await completeFunction(env, {
+        function_execution_id: payload.event.function_execution_id,
+        token: payload.event.bot_access_token || null
+      }, { error: text });
+    } else if (payload.response_url) {
+      await fetch(payload.response_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, text }),
+      });
+    } else if (payload.event && payload.event.channel && payload.event.user) {
+      const event = payload.event;
+      await postEphemeralMessage(env, {
+        channel: event.channel,
+        user: event.user,
+        text,
+        thread_ts: event.channel_type === 'im' ? null : (event.thread_ts || event.ts)
+      });
+    } else if (payload.user && payload.user.id) {
+      // Modals and shortcuts have no channel; the App DM reaches the user
+      await postSlackMessage(env, payload.user.id, text);
+    }
+  } catch (err) {
+    createLogger(env, 'JOBS').error('Error notifying user about job', { type: job.type, error: err });
+  }
+}
+
+/**
+ * Tell the user that a job failed for good
+ */
+export async function notifyJobFailure(env, job) {
+  if (SILENT_JOB_TYPES.includes(job.type)) return;
+  await notifyJobUser(env, job, `:warning: ${FAILURE_TEXT}`);
+}
+
+async function deadLetter(env, job, err, attempts) {
+  const log = createLogger(env, 'JOBS');
+  if (!env.JOBS_DLQ) {
+    log.error('No JOBS_DLQ binding, dropping failed job', { type: job.type });
+    return;
+  }
+  try {
+    await env.JOBS_DLQ.send({ ...job, error: err.message, attempts, failedAt: Date.now() }, { contentType: 'json' });
+    log.info('Sent failed job to the dead-letter queue', { type: job.type });
+  } catch (dlqErr) {
+    log.error('Error sending job to the dead-letter queue', { type: job.type, error: dlqErr });
+  }
+}
+
+// Run one queued job and ack, retry or dead-letter its message
+async function runQueuedJob(baseEnv, message, job, handlers, maxAttempts) {
+  // The queue consumer gets the deployment's env; Slack calls need the job's workspace token
+  let env;
+  try {
+    env = await withTeamToken(baseEnv, job.payload);
+  } catch (err) {
+    // A failed installation lookup is retried; a workspace without an installation never gets a token
+    if (err.code === 'lookup_failed' && message.attempts < maxAttempts) {
+      message.retry({ delaySeconds: retryDelaySeconds(baseEnv, message.attempts) });
+      return;
+    }
+    await deadLetter(baseEnv, job, err, message.attempts);
+    await releaseIdempotencyKey(baseEnv, job.idempotencyKey);
+    await releaseSlot(baseEnv, job.slotId);
+    message.ack();
+    return;
+  }
+  const log = createLogger(env, 'JOBS');
+  const handler = handlers[job.type];
+  const startedAt = Date.now();
+
+  if (!handler) {
+    log.error('Unknown job type', { type: job.type });
+    await deadLetter(env, job, new Error(`Unknown job type: ${job.type}`), message.attempts);
+    await releaseSlot(env, job.slotId);
+    message.ack();
+    return;
+  }
+
+  try {
+    await handler(job.payload, env);
+    await completeIdempotencyKey(env, job.idempotencyKey);
+    await releaseSlot(env, job.slotId);
+    message.ack();
+    log.info('Finished job', { type: job.type, attempt: message.attempts, durationMs: Date.now() - startedAt });
+  } catch (err) {
+    log.error('Job failed', { type: job.type, attempt: message.attempts, maxAttempts, error: err, durationMs: Date.now() - startedAt });
+
+    if (message.attempts < maxAttempts) {
+      const delaySeconds = retryDelaySeconds(env, message.attempts);
+      log.info('Retrying job', { type: job.type, delaySeconds });
+      message.retry({ delaySeconds });
+      return;
+    }
+
+    await deadLetter(env, job, err, message.attempts);
+    await notifyJobFailure(env, job);
+    // Like a failed waitUntil job, a later Slack redelivery may try again
+    await releaseIdempotencyKey(env, job.idempotencyKey);
+    await releaseSlot(env, job.slotId);
+    message.ack();
+  }
+}
+
+/**
+ * Queue consumer: runs each job, retrying failures with backoff and
+ * dead-lettering jobs that keep failing
+ * @param {MessageBatch} batch - Batch delivered to the Worker's queue() handler
+ * @param {Object} env - Environment variables
+ * @param {Object} handlers - Map of job type to handler(payload, env)
+ */
+export async function processJobBatch(batch, env, handlers) {
+  const maxAttempts = readPositiveInt(env.JOB_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS);
+
+  for (const message of batch.messages) {
+    const job = message.body || {};
+    await withLogContext({ correlationId: job.correlationId || message.id }, () => runQueuedJob(env, message, job, handlers, maxAttempts));
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Rate limits and usage quotas
+ *
+ * Every request that reaches Airia is checked in the /slack router before
+ * its job is dispatched. All limits are off unless configured:
+ * - RATE_LIMIT_PER_MINUTE: requests per user per minute
+ * - DAILY_QUOTA_PER_USER: requests per user per day (UTC)
+ * - DAILY_QUOTA_PER_CHANNEL: requests per channel per day (UTC)
+ * - MAX_CONCURRENT_REQUESTS: requests being answered at the same time, across all users
+ * - RATE_LIMIT_EXEMPT_USERS: comma-separated Slack user IDs that skip the per-user
+ *   and per-channel limits (the global concurrency cap still applies)
+ *
+ * Each user's requests are counted per day even without a quota, for the
+ * usage shown on the App Home tab (see getUsage and getUsageStats).
+ *
+ * Counters live in BOT_STATE. KV is eventually consistent, so limits are
+ * approximate under bursts across isolates - good enough to stop runaway
+ * usage, not a billing meter.
+ *
+ * Keys:
+ * - ratelimit:<userId>:<minute>         - requests in one minute
+ * - quota:user:<userId>:<YYYY-MM-DD>    - requests per user and day
+ * - quota:channel:<channel>:<YYYY-MM-DD> - requests per channel and day
+ * - inflight:<slotId>                   - one per request being answered
+ */
+
+import { createLogger } from './logging.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// KV's minimum TTL; a minute counter is only read during its own minute
+const MINUTE_COUNTER_TTL_SECONDS = 120;
+const DAILY_COUNTER_TTL_SECONDS = 2 * 24 * 60 * 60;
+// Slots of jobs that never finished (e.g. an evicted isolate) free themselves
+const SLOT_TTL_SECONDS = 15 * 60;
+// Pages of 1000 keys read for the admin usage stats
+const MAX_STATS_PAGES = 5;
+
+function readLimit(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a user is on the RATE_LIMIT_EXEMPT_USERS list
+ */
+export function isExemptUser(env, userId) {
+  if (!userId || !env.RATE_LIMIT_EXEMPT_USERS) return false;
+  return env.RATE_LIMIT_EXEMPT_USERS.split(',').map(id => id.trim()).includes(userId);
+}
+
+/**
+ * Find who sent a Slack payload and where
+ * @returns {{user: ?string, channel: ?string}}
+ */
+export function getRequester(payload) {
+  if (payload.event) {
+    // Workflow custom steps run for nobody in particular; their channel is the one they read
+    const inputs = payload.event.inputs || {};
+    return { user: payload.event.user || null, channel: payload.event.channel || inputs.context_channel || null };
+  }
+  if (payload.user_id) {
+    // Slash commands
+    return { user: payload.user_id, channel: payload.channel_id || null };
+  }
+  return {
+    user: (payload.user && payload.user.id) || null,
+    channel: (payload.channel && payload.channel.id) || metadataChannel(payload) || null
+  };
+}
+
+// Modals opened from a channel keep it in their private_metadata (see summary-modal.js)
+function metadataChannel(payload) {
+  if (payload.type !== 'view_submission' || !payload.view || !payload.view.private_metadata) return null;
+  try {
+    return JSON.parse(payload.view.private_metadata).channel || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function readCount(env, key) {
+  const value = await env.BOT_STATE.get(key);
+  return value ? parseInt(value, 10) || 0 : 0;
+}
+
+// The count is also kept as metadata, so getUsageStats can sum counters from a list
+async function increment(env, key, count, ttl) {
+  await env.BOT_STATE.put(key, String(count + 1), { expirationTtl: ttl, metadata: { count: count + 1 } });
+}
+
+// Slack renders <!date> in the reader's own time zone
+function formatResetTime(resetAt) {
+  const unix = Math.floor(resetAt / 1000);
+  return `<!date^${unix}^{date_short_pretty} at {time}|${new Date(resetAt).toISOString().replace('T', ' ').slice(0, 16)} UTC>`;
+}
+
+function formatSeconds(seconds) {
+  return seconds === 1 ? '1 second' : `${seconds} seconds`;
+}
+
+/**
+ * Check a request against the configured limits and count it when it is allowed
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Parsed Slack payload of the request
+ * @returns {Promise<{allowed: true, slotId: ?string}|{allowed: false, limit: string, retryAfterSeconds: number, message: string}>}
+ *   slotId must be passed to releaseSlot when the request has been answered
+ */
+export async function checkLimits(env, payload) {
+  if (!env.BOT_STATE) return { allowed: true, slotId: null };
+
+  const perMinute = readLimit(env.RATE_LIMIT_PER_MINUTE);
+  const perUserDaily = readLimit(env.DAILY_QUOTA_PER_USER);
+  const perChannelDaily = readLimit(env.DAILY_QUOTA_PER_CHANNEL);
+  const maxConcurrent = readLimit(env.MAX_CONCURRENT_REQUESTS);
+  const { user, channel } = getRequester(payload);
+  const exempt = isExemptUser(env, user);
+  const now = Date.now();
+
+  try {
+    const minuteKey = `ratelimit:${user}:${Math.floor(now / MINUTE_MS)}`;
+    const userDayKey = `quota:user:${user}:${dayKey(now)}`;
+    const channelDayKey = `quota:channel:${channel}:${dayKey(now)}`;
+    const counters = [];
+
+    if (!exempt && user && perMinute) {
+      const count = await readCount(env, minuteKey);
+      if (count >= perMinute) {
+        const retryAfterSeconds = Math.max(1, Math.ceil((MINUTE_MS - (now % MINUTE_MS)) / 1000));
+        return {
+          allowed: false,
+          limit: 'per_minute',
+          retryAfterSeconds,
+          message: `:hourglass: You're sending questions faster than allowed (${perMinute} per minute). You can try again in ${formatSeconds(retryAfterSeconds)}.`
+        };
+      }
+      counters.push([minuteKey, count, MINUTE_COUNTER_TTL_SECONDS]);
+    }
+
+    const resetAt = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+    if (user) {
+      const count = await readCount(env, userDayKey);
+      if (!exempt && perUserDaily && count >= perUserDaily) {
+        return {
+          allowed: false,
+          limit: 'user_daily',
+          retryAfterSeconds: Math.ceil((resetAt - now) / 1000),
+          message: `:hourglass: You've used your ${perUserDaily} questions for today. You can try again ${formatResetTime(resetAt)}.`
+        };
+      }
+      counters.push([userDayKey, count, DAILY_COUNTER_TTL_SECONDS]);
+    }
+
+    if (!exempt && channel && perChannelDaily) {
+      const count = await readCount(env, channelDayKey);
+      if (count >= perChannelDaily) {
+        return {
+          allowed: false,
+          limit: 'channel_daily',
+          retryAfterSeconds: Math.ceil((resetAt - now) / 1000),
+          message: `:hourglass: This channel has used its ${perChannelDaily} questions for today. You can try again ${formatResetTime(resetAt)}, or ask me in a direct message.`
+        };
+      }
+      counters.push([channelDayKey, count, DAILY_COUNTER_TTL_SECONDS]);
+    }
+
+    let slotId = null;
+    if (maxConcurrent) {
+      const inFlight = await env.BOT_STATE.list({ prefix: 'inflight:' });
+      if (inFlight.keys.length >= maxConcurrent) {
+        return {
+          allowed: false,
+          limit: 'concurrency',
+          retryAfterSeconds: 60,
+          message: ':hourglass: I am busy answering other questions right now. Please try again in a minute.'
+        };
+      }
+      slotId = crypto.randomUUID();
+      await env.BOT_STATE.put(`inflight:${slotId}`, JSON.stringify({ user, channel, startedAt: now }), { expirationTtl: SLOT_TTL_SECONDS });
+    }
+
+    await Promise.all(counters.map(([key, count, ttl]) => increment(env, key, count, ttl)));
+    return { allowed: true, slotId };
+  } catch (err) {
+    // Fail open - a KV hiccup should not take the bot down
+    createLogger(env, 'LIMITS').error('Error checking limits', { error: err });
+    return { allowed: true, slotId: null };
+  }
+}
+
+/**
+ * Free the concurrency slot of a finished request
+ */
+export async function releaseSlot(env, slotId) {
+  if (!slotId || !env.BOT_STATE) return;
+  try {
+    await env.BOT_STATE.delete(`inflight:${slotId}`);
+  } catch (err) {
+    createLogger(env, 'LIMITS').error('Error releasing concurrency slot', { slotId, error: err });
+  }
+}
+
+/**
+ * A user's requests today against their daily quota, for the App Home tab
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<{used: number, quota: ?number, resetAt: number}>} quota is null when the user has no daily limit
+ */
+export async function getUsage(env, userId) {
+  const now = Date.now();
+  const resetAt = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+  const quota = isExemptUser(env, userId) ? null : readLimit(env.DAILY_QUOTA_PER_USER);
+  if (!env.BOT_STATE || !userId) return { used: 0, quota, resetAt };
+  try {
+    return { used: await readCount(env, `quota:user:${userId}:${dayKey(now)}`), quota, resetAt };
+  } catch (err) {
+    createLogger(env, 'LIMITS').error('Error reading usage', { userId, error: err });
+    return { used: 0, quota, resetAt };
+  }
+}
+
+/**
+ * Today's requests across all users and the requests being answered right now, for admins
+ * Reads at most a few thousand counters; larger workspaces get a lower bound
+ * @returns {Promise<{requests: number, users: number, inFlight: number, complete: boolean}>}
+ */
+export async function getUsageStats(env) {
+  const stats = { requests: 0, users: 0, inFlight: 0, complete: true };
+  if (!env.BOT_STATE) return stats;
+
+  const today = `:${dayKey(Date.now())}`;
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await env.BOT_STATE.list({ prefix: 'quota:user:', cursor });
+    for (const key of page.keys) {
+      if (!key.name.endsWith(today)) continue;
+      stats.users++;
+      stats.requests += (key.metadata && key.metadata.count) || 0;
+    }
+    cursor = page.list_complete ? null : page.cursor;
+    pages++;
+  } while (cursor && pages < MAX_STATS_PAGES);
+  stats.complete = !cursor;
+
+  const inFlight = await env.BOT_STATE.list({ prefix: 'inflight:' });
+  stats.inFlight = inFlight.keys.length;
+  return stats;
+}
@@ -0,0 +1,150 @@
+/**
+ * Logging helpers shared by the worker modules
+ *
+ * createLogger writes one JSON line per call, so Workers Logs can filter on
+ * its fields:
+ *
+ * {"level":"info","component":"DM","message":"Replied to DM","correlationId":"Ev0123","durationMs":812}
+ *
+ * The correlation id is the Slack event_id or trigger_id of the request being
+ * handled (see withLogContext), so every line a request writes, including the
+ * ones from its background job, can be found together.
+ *
+ * In production the logger never writes message content: fields such as
+ * text, question or payload are replaced by their size, and tokens, emails
+ * and other values the redaction detectors know are masked everywhere else.
+ * debug lines are only written when isVerboseLogging is on.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { redactText, DETECTORS } from './redaction.js';
+
+// Fields that carry user or model content; in production only their size is logged
+const CONTENT_FIELDS = [
+  'text', 'question', 'userInput', 'input', 'result', 'answer', 'summary', 'prompt',
+  'payload', 'event', 'view', 'blocks', 'messages', 'transcript', 'rawResponse',
+  'response', 'userName', 'names', 'metadata', 'links', 'reason'
+];
+
+const MAX_DEPTH = 4;
+
+const logContext = new AsyncLocalStorage();
+
+
+/**
+ * Verbose logging function for development mode
+ * Controls logging level based on environment
+ * SECURITY NOTE: Development only - disabled in production to avoid leaking secrets
+ */
+export function isVerboseLogging(env) {
+  return env.ENVIRONMENT !== 'production' && env.VERBOSE_LOGGING !== 'false';
+}
+
+/**
+ * The correlation id of a Slack payload: its event_id, else its trigger_id,
+ * else the id of the current log context, else a new id
+ * @param {Object} payload - Parsed Slack payload
+ * @returns {string}
+ */
+export function getCorrelationId(payload) {
+  return (payload && (payload.event_id || payload.trigger_id)) || getCurrentCorrelationId() || crypto.randomUUID();
+}
+
+/**
+ * Run fn with a log context; lines logged inside it, including from
+ * promises it starts, carry the context's correlation id
+ * @param {{correlationId?: string}} context - Mutable: setCorrelationId updates it
+ * @param {Function} fn
+ */
+export function withLogContext(context, fn) {
+  return logContext.run({ ...context }, fn);
+}
+
+/**
+ * Set the correlation id of the current log context, once the request payload is known
+ */
+export function setCorrelationId(correlationId) {
+  const context = logContext.getStore();
+  if (context) context.correlationId = correlationId;
+}
+
+/**
+ * The correlation id of the current log context, if any
+ */
+export function getCurrentCorrelationId() {
+  const context = logContext.getStore();
+  return context ? context.correlationId || null : null;
+}
+
+function serializeError(err, production) {
+  return {
+    name: err.name,
+    message: production ? maskString(err.message) : err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.stack && !production ? { stack: err.stack } : {})
+  };
+}
+
+// Every detector, one-way: log lines never need the original values back
+// (built per call: redaction.js imports this module, so DETECTORS may not be set yet at load time)
+function maskString(value) {
+  return redactText(String(value), { enabled: true, detectors: DETECTORS, custom: [], reversible: false }).text;
+}
+
+function describeRedacted(value) {
+  if (typeof value === 'string') return `[redacted: ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted: ${value.length} items]`;
+  return '[redacted]';
+}
+
+function sanitize(value, production, depth = 0) {
+  if (value instanceof Error) return serializeError(value, production);
+  if (typeof value === 'string') return production ? maskString(value) : value;
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => sanitize(item, production, depth + 1));
+  if (value instanceof Headers) return sanitize(Object.fromEntries(value.entries()), production, depth);
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = production && CONTENT_FIELDS.includes(key) && item != null
+      ? describeRedacted(item)
+      : sanitize(item, production, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Create a structured logger for a component
+ * @param {Object} env - Environment variables
+ * @param {string} component - Component tag, such as SLASH, DM or SUMMARY
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ *   Each method takes a message and optional fields; an Error field is
+ *   serialized with its name, message and (outside production) stack
+ */
+export function createLogger(env, component) {
+  const production = env.ENVIRONMENT === 'production';
+  const verbose = isVerboseLogging(env);
+
+  const write = (level, message, fields = {}) => {
+    if (level === 'debug' && !verbose) return;
+    const line = {
+      level,
+      component,
+      message: production ? maskString(message) : message,
+      correlationId: getCurrentCorrelationId(),
+      ...sanitize(fields instanceof Error ? { error: fields } : fields, production)
+    };
+    const output = JSON.stringify(line);
+    if (level === 'error') console.error(output);
+    else if (level === 'warn') console.warn(output);
+    else console.log(output);
+  };
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+  };
+}
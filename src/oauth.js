@@ -0,0 +1,171 @@
+/**
+ * Slack OAuth v2 install flow, for serving several workspaces from one deployment
+ *
+ * - GET /slack/install redirects to Slack's consent screen with a one-time
+ *   state, stored in BOT_STATE for ten minutes and bound to the browser with
+ *   a cookie
+ * - GET /slack/oauth_redirect checks that state, exchanges the code with
+ *   oauth.v2.access and stores the workspace's bot token (see installations.js)
+ *
+ * Configuration:
+ * - SLACK_CLIENT_ID (var) and Slack_Client_Secret (secret): from the app's Basic Information page
+ * - SLACK_OAUTH_REDIRECT_URI (optional): defaults to /slack/oauth_redirect on this Worker
+ * - SLACK_BOT_SCOPES (optional): comma-separated bot scopes, defaults to the manifest's
+ */
+
+import { saveInstallation } from './installations.js';
+import { createLogger } from './logging.js';
+
+const STATE_PREFIX = 'oauth-state:';
+const STATE_TTL_SECONDS = 10 * 60;
+const STATE_COOKIE = 'slack_oauth_state';
+
+// Keep in sync with slack-app-manifest.json
+const DEFAULT_BOT_SCOPES = [
+  'app_mentions:read',
+  'channels:history',
+  'channels:join',
+  'channels:read',
+  'chat:write',
+  'chat:write.public',
+  'commands',
+  'files:write',
+  'im:history',
+  'im:read',
+  'im:write',
+  'links:read',
+  'usergroups:read',
+  'users:read'
+];
+
+function isConfigured(env) {
+  return Boolean(env.SLACK_CLIENT_ID && env.Slack_Client_Secret && env.BOT_STATE);
+}
+
+function redirectUri(env, request) {
+  return env.SLACK_OAUTH_REDIRECT_URI || `${new URL(request.url).origin}/slack/oauth_redirect`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function htmlPage(status, title, message, headers = {}) {
+  const body = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>` +
+    `<body><h1>${escapeHtml(title)}</h1><p>${message}</p></body></html>`;
+  return new Response(body, { status, headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers } });
+}
+
+function readCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+function clearStateCookie() {
+  return `${STATE_COOKIE}=; Path=/slack; Max-Age=0; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * GET /slack/install: start an installation
+ */
+export async function handleInstall(request, env) {
+  if (!isConfigured(env)) {
+    createLogger(env, 'OAUTH').warn('Install requested but SLACK_CLIENT_ID, Slack_Client_Secret or BOT_STATE is not set');
+    return new Response('Not found', { status: 404 });
+  }
+
+  const state = crypto.randomUUID();
+  await env.BOT_STATE.put(`${STATE_PREFIX}${state}`, JSON.stringify({ createdAt: Date.now() }), { expirationTtl: STATE_TTL_SECONDS });
+
+  const authorizeUrl = new URL('https://slack.com/oauth/v2/authorize');
+  authorizeUrl.searchParams.set('client_id', env.SLACK_CLIENT_ID);
+  authorizeUrl.searchParams.set('scope', env.SLACK_BOT_SCOPES || DEFAULT_BOT_SCOPES.join(','));
+  authorizeUrl.searchParams.set('redirect_uri', redirectUri(env, request));
+  authorizeUrl.searchParams.set('state', state);
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: authorizeUrl.toString(),
+      'Set-Cookie': `${STATE_COOKIE}=${state}; Path=/slack; Max-Age=${STATE_TTL_SECONDS}; HttpOnly; Secure; SameSite=Lax`
+    }
+  });
+}
+
+/**
+ * GET /slack/oauth_redirect: finish an installation
+ */
+export async function handleOAuthRedirect(request, env) {
+  const log = createLogger(env, 'OAUTH');
+  if (!isConfigured(env)) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  const url = new URL(request.url);
+  const headers = { 'Set-Cookie': clearStateCookie() };
+
+  if (url.searchParams.get('error')) {
+    log.info('Installation cancelled', { slackError: url.searchParams.get('error') });
+    return htmlPage(200, 'Installation cancelled', 'The app was not installed. You can close this window.', headers);
+  }
+
+  // The state must be one we issued, unused, and issued to this browser
+  const state = url.searchParams.get('state');
+  const stored = state ? await env.BOT_STATE.get(`${STATE_PREFIX}${state}`) : null;
+  if (!stored || readCookie(request, STATE_COOKIE) !== state) {
+    log.warn('Rejected OAuth redirect with an invalid or expired state');
+    return htmlPage(400, 'Installation failed', 'This installation link has expired or was opened in another browser. Please <a href="/slack/install">start again</a>.', headers);
+  }
+  await env.BOT_STATE.delete(`${STATE_PREFIX}${state}`);
+
+  const code = url.searchParams.get('code');
+  if (!code) {
+    return htmlPage(400, 'Installation failed', 'Slack did not send an authorization code. Please <a href="/slack/install">start again</a>.', headers);
+  }
+
+  let data;
+  try {
+    const response = await fetch('https://slack.com/api/oauth.v2.access', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: env.SLACK_CLIENT_ID,
+        client_secret: env.Slack_Client_Secret,
+        code,
+        redirect_uri: redirectUri(env, request)
+      }).toString()
+    });
+    data = await response.json();
+  } catch (err) {
+    log.error('Error calling oauth.v2.access', { error: err });
+    return htmlPage(502, 'Installation failed', 'Slack could not be reached. Please try again.', headers);
+  }
+
+  if (!data.ok || !data.access_token) {
+    log.error('oauth.v2.access failed', { slackError: data.error });
+    return htmlPage(400, 'Installation failed', `Slack refused the installation (${escapeHtml(data.error || 'unknown error')}).`, headers);
+  }
+
+  const installation = {
+    teamId: data.team ? data.team.id : null,
+    teamName: data.team ? data.team.name : null,
+    enterpriseId: data.enterprise ? data.enterprise.id : null,
+    enterpriseName: data.enterprise ? data.enterprise.name : null,
+    isEnterpriseInstall: data.is_enterprise_install === true,
+    botToken: data.access_token,
+    botUserId: data.bot_user_id,
+    appId: data.app_id,
+    scope: data.scope,
+    installedBy: data.authed_user ? data.authed_user.id : null
+  };
+  await saveInstallation(env, installation);
+
+  const name = installation.isEnterpriseInstall ? installation.enterpriseName : installation.teamName;
+  const openUrl = `https://slack.com/app_redirect?app=${encodeURIComponent(installation.appId || '')}` +
+    (installation.teamId ? `&team=${encodeURIComponent(installation.teamId)}` : '');
+  return htmlPage(200, 'Installed', `The AI Assistant was installed to ${escapeHtml(name || 'your workspace')}. <a href="${escapeHtml(openUrl)}">Open Slack</a>.`, headers);
+}
@@ -0,0 +1,216 @@
+/**
+ * Routing requests to Airia pipelines
+ *
+ * By default every request goes to AIRIA_API_URL with the Airia_API_key
+ * secret. AIRIA_PIPELINES (a JSON var) adds named pipelines and routes
+ * channels, slash commands, shortcuts, workflow steps and keyword prefixes
+ * to them. API keys are never put in the JSON itself: each pipeline names
+ * the secret that holds its key. A pipeline may also name a secondary URL
+ * that the Airia client (airia.js) fails over to when the primary is down,
+ * can run with asyncOutput ("async": true, see async-jobs.js) and can
+ * override the REDACTION settings ("redaction", see redaction.js).
+ *
+ * {
+ *   "pipelines": {
+ *     "hr":  { "url": "https://api.airia.ai/v2/PipelineExecution/...", "apiKeySecret": "Airia_HR_API_key",
+ *              "secondaryUrl": "https://api.airia.ai/v2/PipelineExecution/...", "secondaryApiKeySecret": "Airia_HR_API_key" },
+ *     "eng": { "url": "https://api.airia.ai/v2/PipelineExecution/...", "apiKeySecret": "Airia_ENG_API_key" }
+ *   },
+ *   "default": "hr",
+ *   "routes": {
+ *     "channels":  { "C0123456789": "eng" },
+ *     "commands":  { "/ask-hr": "hr" },
+ *     "shortcuts": { "ask_airia_shortcut": "hr" },
+ *     "workflows": { "generate_response": "eng" },
+ *     "keywords":  { "hr:": "hr", "runbook:": "eng" }
+ *   }
+ * }
+ *
+ * The most specific match wins: keyword prefix, then command, shortcut or
+ * workflow step, then channel, then the user's preferred pipeline (see
+ * preferences.js), then the default. The default pipeline's
+ * secondary is AIRIA_SECONDARY_API_URL (with Airia_Secondary_API_key, or
+ * Airia_API_key when that secret is not set), and it runs with asyncOutput
+ * when AIRIA_ASYNC_OUTPUT is "true". Status URLs of async executions come
+ * from Airia's response, or from AIRIA_ASYNC_STATUS_URL (or the pipeline's
+ * "statusUrl") with {executionId} replaced.
+ */
+
+import { createLogger } from './logging.js';
+
+export const DEFAULT_PIPELINE = 'default';
+
+const ROUTE_TYPES = ['channels', 'commands', 'shortcuts', 'workflows', 'keywords'];
+
+// Parsing is cached per isolate for the raw config string
+let parsedConfig = { raw: null, config: null };
+
+/**
+ * Parse and validate AIRIA_PIPELINES
+ * An invalid configuration is logged and ignored so the default pipeline keeps working
+ * @param {Object} env - Environment variables
+ * @returns {Object} Normalized config: { pipelines, default, routes }
+ */
+export function loadPipelineConfig(env) {
+  const raw = env.AIRIA_PIPELINES || '';
+  if (parsedConfig.raw === raw && parsedConfig.config) {
+    return parsedConfig.config;
+  }
+
+  const config = { pipelines: {}, default: DEFAULT_PIPELINE, routes: {} };
+  for (const type of ROUTE_TYPES) config.routes[type] = {};
+
+  if (raw) {
+    try {
+      const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      for (const [name, pipeline] of Object.entries(parsed.pipelines || {})) {
+        if (!pipeline || typeof pipeline.url !== 'string') {
+          createLogger(env, 'PIPELINES').warn('Ignoring pipeline without a url', { pipeline: name });
+          continue;
+        }
+        config.pipelines[name] = {
+          url: pipeline.url,
+          apiKeySecret: pipeline.apiKeySecret || null,
+          secondaryUrl: typeof pipeline.secondaryUrl === 'string' ? pipeline.secondaryUrl : null,
+          secondaryApiKeySecret: pipeline.secondaryApiKeySecret || null,
+          async: pipeline.async === true,
+          statusUrl: typeof pipeline.statusUrl === 'string' ? pipeline.statusUrl : null,
+          redaction: pipeline.redaction && typeof pipeline.redaction === 'object' ? pipeline.redaction : null
+        };
+      }
+
+      if (parsed.default && (parsed.default === DEFAULT_PIPELINE || config.pipelines[parsed.default])) {
+        config.default = parsed.default;
+      } else if (parsed.default) {
+        createLogger(env, 'PIPELINES').warn('Unknown default pipeline', { pipeline: parsed.default });
+      }
+
+      for (const type of ROUTE_TYPES) {
+        for (const [key, name] of Object.entries((parsed.routes && parsed.routes[type]) || {})) {
+          if (name !== DEFAULT_PIPELINE && !config.pipelines[name]) {
+            createLogger(env, 'PIPELINES').warn('Route points to unknown pipeline', { route: `${type}.${key}`, pipeline: name });
+            continue;
+          }
+          config.routes[type][type === 'keywords' ? key.toLowerCase() : key] = name;
+        }
+      }
+    } catch (err) {
+      createLogger(env, 'PIPELINES').error('Invalid AIRIA_PIPELINES configuration, using the default pipeline', { error: err });
+    }
+  }
+
+  parsedConfig = { raw, config };
+  return config;
+}
+
+/**
+ * Look up a pipeline by name
+ * Unknown names resolve to the default pipeline
+ * @param {Object} env - Environment variables
+ * @param {string} [name] - Pipeline name
+ * @returns {{name: string, url: string, apiKey: string, secondary: ?{url: string, apiKey: string},
+ *   async: boolean, statusUrl: ?string, redaction: ?Object}} The pipeline
+ */
+export function getPipeline(env, name = null) {
+  const config = loadPipelineConfig(env);
+  const pipelineName = name && (name === DEFAULT_PIPELINE || config.pipelines[name]) ? name : config.default;
+  const pipeline = config.pipelines[pipelineName];
+
+  if (!pipeline) {
+    return {
+      name: DEFAULT_PIPELINE,
+      url: env.AIRIA_API_URL,
+      apiKey: env.Airia_API_key,
+      secondary: env.AIRIA_SECONDARY_API_URL
+        ? { url: env.AIRIA_SECONDARY_API_URL, apiKey: env.Airia_Secondary_API_key || env.Airia_API_key }
+        : null,
+      async: env.AIRIA_ASYNC_OUTPUT === 'true',
+      statusUrl: env.AIRIA_ASYNC_STATUS_URL || null,
+      redaction: null
+    };
+  }
+
+  const apiKey = pipeline.apiKeySecret ? env[pipeline.apiKeySecret] : null;
+  if (!apiKey) {
+    createLogger(env, 'PIPELINES').warn('No API key secret set for pipeline, using Airia_API_key', { pipeline: pipelineName });
+  }
+  const secondaryApiKey = pipeline.secondaryApiKeySecret ? env[pipeline.secondaryApiKeySecret] : null;
+  return {
+    name: pipelineName,
+    url: pipeline.url,
+    apiKey: apiKey || env.Airia_API_key,
+    secondary: pipeline.secondaryUrl
+      ? { url: pipeline.secondaryUrl, apiKey: secondaryApiKey || apiKey || env.Airia_API_key }
+      : null,
+    async: pipeline.async,
+    statusUrl: pipeline.statusUrl || env.AIRIA_ASYNC_STATUS_URL || null,
+    redaction: pipeline.redaction
+  };
+}
+
+/**
+ * Find a keyword prefix at the start of the text
+ * @returns {{name: string, text: string}|null} Pipeline name and the text without the prefix
+ */
+function matchKeyword(config, text) {
+  const trimmed = (text || '').trimStart();
+  const lower = trimmed.toLowerCase();
+
+  // Longer keywords first, so "hr-eu:" wins over "hr"
+  const keywords = Object.entries(config.routes.keywords).sort(([a], [b]) => b.length - a.length);
+  for (const [keyword, name] of keywords) {
+    if (!lower.startsWith(keyword)) continue;
+    const rest = trimmed.slice(keyword.length);
+    // "hr:" should not match "hrs: ..." - the keyword must end at a word boundary
+    if (rest && !/^\s/.test(rest) && /\w$/.test(keyword)) continue;
+    return { name, text: rest.trim() };
+  }
+  return null;
+}
+
+/**
+ * Resolve the pipeline for a request
+ * @param {Object} env - Environment variables
+ * @param {Object} source - Where the request came from
+ * @param {string} [source.channel] - Slack channel ID
+ * @param {string} [source.command] - Slash command name, e.g. "/ask-airia"
+ * @param {string} [source.shortcut] - Shortcut callback_id
+ * @param {string} [source.workflow] - Workflow step callback_id
+ * @param {string} [source.text] - The user's question, checked for keyword prefixes
+ * @param {string} [source.preferred] - The user's preferred pipeline, used instead of the default
+ * @returns {{name: string, url: string, apiKey: string, secondary: ?Object, text: string}} Pipeline plus the
+ *   question with any keyword prefix removed
+ */
+export function resolvePipeline(env, { channel = null, command = null, shortcut = null, workflow = null, text = '', preferred = null } = {}) {
+  const config = loadPipelineConfig(env);
+  const { routes } = config;
+
+  const keyword = matchKeyword(config, text);
+  const name = (keyword && keyword.name) ||
+    (command && routes.commands[command]) ||
+    (shortcut && routes.shortcuts[shortcut]) ||
+    (workflow && routes.workflows[workflow]) ||
+    (channel && routes.channels[channel]) ||
+    (preferred && config.pipelines[preferred] && preferred) ||
+    config.default;
+
+  const pipeline = getPipeline(env, name);
+  createLogger(env, 'PIPELINES').info('Routed request to pipeline', {
+    pipeline: pipeline.name, channel, command, shortcut, workflow, keyword: Boolean(keyword), preferred
+  });
+  return { ...pipeline, text: keyword ? keyword.text : text };
+}
+
+/**
+ * Whether a pipeline name is configured ("default" always is)
+ */
+export function hasPipeline(env, name) {
+  return name === DEFAULT_PIPELINE || Boolean(name && loadPipelineConfig(env).pipelines[name]);
+}
+
+/**
+ * Slash commands that are routed to a pipeline, in addition to /ask-airia
+ */
+export function isRoutedCommand(env, command) {
+  return Boolean(command && loadPipelineConfig(env).routes.commands[command]);
+}
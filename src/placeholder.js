@@ -0,0 +1,127 @@
+/**
+ * "Working on it" placeholder messages
+ *
+ * A placeholder is posted as soon as a request is accepted and then edited
+ * in place with chat.update: first with the elapsed time while a slow
+ * pipeline is running, and finally with the answer or a short error. This
+ * keeps stale status messages out of channels and DMs.
+ *
+ * Configuration (optional):
+ * - PLACEHOLDER_UPDATE_SECONDS: how often the elapsed time is refreshed (default 10)
+ */
+
+import { postSlackMessage, updateSlackMessage } from './slack.js';
+import { createLogger } from './logging.js';
+
+export const DEFAULT_PLACEHOLDER_TEXT = ':thinking_face: Working on it...';
+
+const DEFAULT_UPDATE_SECONDS = 10;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Format a duration as "42s" or "2m 05s"
+ */
+export function formatElapsed(ms) {
+  const seconds = Math.max(Math.floor(ms / 1000), 0);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function scheduleTick(env, placeholder) {
+  placeholder.timer = setTimeout(async () => {
+    if (placeholder.stopped) return;
+    const text = `${placeholder.text} (${formatElapsed(Date.now() - placeholder.startedAt)})`;
+    placeholder.pending = updateSlackMessage(env, placeholder.channel, placeholder.ts, text)
+      .catch(err => createLogger(env, 'PLACEHOLDER').warn('Error updating elapsed time', { ts: placeholder.ts, error: err }));
+    await placeholder.pending;
+    if (!placeholder.stopped) scheduleTick(env, placeholder);
+  }, placeholder.intervalMs);
+}
+
+/**
+ * Post a placeholder message and start refreshing its elapsed time
+ * @param {Object} env - Environment variables
+ * @param {Object} options
+ * @param {string} options.channel - Slack channel ID
+ * @param {string} [options.thread_ts] - Thread to post the placeholder in
+ * @param {string} [options.text] - Placeholder text
+ * @returns {Promise<Object|null>} Placeholder handle, or null when it could not be posted
+ */
+export async function startPlaceholder(env, { channel, thread_ts = null, text = DEFAULT_PLACEHOLDER_TEXT }) {
+  try {
+    const posted = await postSlackMessage(env, channel, text, thread_ts);
+    const placeholder = {
+      channel: posted.channel || channel,
+      ts: posted.ts,
+      thread_ts,
+      text,
+      startedAt: Date.now(),
+      intervalMs: readPositiveInt(env.PLACEHOLDER_UPDATE_SECONDS, DEFAULT_UPDATE_SECONDS) * 1000,
+      timer: null,
+      pending: null,
+      stopped: false
+    };
+    scheduleTick(env, placeholder);
+    createLogger(env, 'PLACEHOLDER').info('Posted placeholder', { ts: placeholder.ts, channel: placeholder.channel });
+    return placeholder;
+  } catch (err) {
+    createLogger(env, 'PLACEHOLDER').error('Error posting placeholder', { channel, error: err });
+    return null;
+  }
+}
+
+/**
+ * Change the placeholder's text, e.g. to show progress, and show it right away
+ * The elapsed time keeps being added to the new text
+ */
+export async function updatePlaceholder(env, placeholder, text) {
+  if (!placeholder || placeholder.stopped) return;
+  placeholder.text = text;
+  if (placeholder.pending) await placeholder.pending;
+  placeholder.pending = updateSlackMessage(env, placeholder.channel, placeholder.ts, `${text} (${formatElapsed(Date.now() - placeholder.startedAt)})`)
+    .catch(err => createLogger(env, 'PLACEHOLDER').warn('Error updating text', { ts: placeholder.ts, error: err }));
+  await placeholder.pending;
+}
+
+/**
+ * Stop refreshing the elapsed time, waiting for an update already in flight
+ * so it cannot overwrite the final content
+ */
+export async function stopPlaceholder(placeholder) {
+  if (!placeholder || placeholder.stopped) return;
+  placeholder.stopped = true;
+  clearTimeout(placeholder.timer);
+  if (placeholder.pending) await placeholder.pending;
+}
+
+/**
+ * Replace the placeholder with its final content
+ * Throws when the update fails so callers can fall back to posting a new message
+ */
+export async function finishPlaceholder(env, placeholder, { text, blocks = null }) {
+  await stopPlaceholder(placeholder);
+  const result = await updateSlackMessage(env, placeholder.channel, placeholder.ts, text, blocks);
+  createLogger(env, 'PLACEHOLDER').info('Replaced placeholder', { ts: placeholder.ts, durationMs: Date.now() - placeholder.startedAt });
+  return result;
+}
+
+/**
+ * Show an error in place of the placeholder, or as a new message when there
+ * is no placeholder or it can no longer be edited
+ */
+export async function showPlaceholderError(env, placeholder, { channel, thread_ts = null, text }) {
+  const message = `:warning: ${text}`;
+  if (placeholder) {
+    try {
+      await finishPlaceholder(env, placeholder, { text: message });
+      return;
+    } catch (err) {
+      createLogger(env, 'PLACEHOLDER').error('Error showing error in placeholder', { ts: placeholder.ts, error: err });
+    }
+  }
+  await postSlackMessage(env, channel, message, thread_ts);
+}
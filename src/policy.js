@@ -0,0 +1,179 @@
+/**
+ * Access policy
+ *
+ * ACCESS_POLICY (a JSON var) restricts who may use each feature and where.
+ * Without it every feature is open, as before, except that the bot no
+ * longer joins channels on its own.
+ *
+ * {
+ *   "default":   { "guests": false, "external": false },
+ *   "features": {
+ *     "ask":       { "channels": { "deny": ["C0SECRET"] } },
+ *     "summarize": { "channels": { "allow": ["C0ENG", "C0SUPPORT"] }, "userGroups": ["S0LEADS"] },
+ *     "dm":        { "userGroups": ["S0PILOT"] },
+ *     "workflow":  { "external": true }
+ *   },
+ *   "joinChannels": ["C0ENG"]
+ * }
+ *
+ * Features are ask (mentions, /ask-airia and the Ask shortcut), summarize,
+ * dm and workflow. Regenerate is checked against the feature of the answer
+ * it regenerates. A feature's rule overrides "default" field by field:
+ * - channels.allow: only these channels; channels.deny: never these channels
+ *   (direct messages are governed by the dm feature, not by channel lists)
+ * - userGroups: only members of these user groups (needs usergroups:read)
+ * - guests: false blocks single- and multi-channel guests
+ * - external: false blocks users from other organizations (Slack Connect)
+ *
+ * "joinChannels" is true, false (the default) or a list of channel IDs the
+ * bot may join with conversations.join when it is not a member yet.
+ *
+ * User details are looked up with users.info. When a rule needs them and the
+ * lookup fails, the request is refused rather than let through.
+ */
+
+import { fetchUserInfo, fetchUserGroupMembers } from './slack.js';
+import { getRequester } from './limits.js';
+import { createLogger } from './logging.js';
+
+const FEATURES = ['ask', 'summarize', 'dm', 'workflow'];
+
+const FEATURE_NAMES = {
+  ask: 'Asking me questions',
+  summarize: 'Summarizing messages',
+  dm: 'Direct messages with me',
+  workflow: 'The AI workflow step'
+};
+
+// Parsing is cached per isolate for the raw policy string
+let parsedPolicy = { raw: null, policy: null };
+
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'object') return {};
+  const normalized = {};
+  if (rule.channels && typeof rule.channels === 'object') {
+    normalized.channels = {
+      allow: Array.isArray(rule.channels.allow) ? rule.channels.allow : null,
+      deny: Array.isArray(rule.channels.deny) ? rule.channels.deny : []
+    };
+  }
+  if (Array.isArray(rule.userGroups)) normalized.userGroups = rule.userGroups;
+  if (typeof rule.guests === 'boolean') normalized.guests = rule.guests;
+  if (typeof rule.external === 'boolean') normalized.external = rule.external;
+  return normalized;
+}
+
+/**
+ * Parse and validate ACCESS_POLICY
+ * An invalid policy is logged and replaced by one that only allows direct messages,
+ * so a typo does not open the bot to everyone
+ * @param {Object} env - Environment variables
+ * @returns {{features: Object, joinChannels: boolean|string[]}} Normalized policy
+ */
+export function loadPolicy(env) {
+  const raw = env.ACCESS_POLICY || '';
+  if (parsedPolicy.raw === raw && parsedPolicy.policy) {
+    return parsedPolicy.policy;
+  }
+
+  const policy = { features: {}, joinChannels: false };
+  for (const feature of FEATURES) policy.features[feature] = {};
+
+  if (raw) {
+    try {
+      const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      const defaults = normalizeRule(parsed.default);
+      for (const feature of FEATURES) {
+        policy.features[feature] = { ...defaults, ...normalizeRule(parsed.features && parsed.features[feature]) };
+      }
+      for (const feature of Object.keys(parsed.features || {})) {
+        if (!FEATURES.includes(feature)) createLogger(env, 'POLICY').warn('Ignoring unknown feature', { feature });
+      }
+      if (parsed.joinChannels === true || Array.isArray(parsed.joinChannels)) {
+        policy.joinChannels = parsed.joinChannels;
+      }
+    } catch (err) {
+      createLogger(env, 'POLICY').error('Invalid ACCESS_POLICY, only direct messages are allowed', { error: err });
+      for (const feature of FEATURES) {
+        policy.features[feature] = feature === 'dm' ? {} : { channels: { allow: [], deny: [] } };
+      }
+    }
+  }
+
+  parsedPolicy = { raw, policy };
+  return policy;
+}
+
+function isDirectMessage(channel) {
+  return typeof channel === 'string' && channel.startsWith('D');
+}
+
+function getTeamId(payload) {
+  return payload.team_id || (payload.team && payload.team.id) || null;
+}
+
+function deny(reason, message) {
+  return { allowed: false, reason, message: `:no_entry: ${message}` };
+}
+
+/**
+ * Check whether a request may use a feature
+ * @param {Object} env - Environment variables
+ * @param {string} feature - ask, summarize, dm or workflow
+ * @param {Object} payload - Parsed Slack payload of the request
+ * @returns {Promise<{allowed: true}|{allowed: false, reason: string, message: string}>}
+ */
+export async function checkPolicy(env, feature, payload) {
+  const rule = loadPolicy(env).features[feature] || {};
+  const { user, channel } = getRequester(payload);
+  const name = FEATURE_NAMES[feature] || 'This feature';
+
+  if (rule.channels && channel && !isDirectMessage(channel)) {
+    if (rule.channels.deny.includes(channel) || (rule.channels.allow && !rule.channels.allow.includes(channel))) {
+      return deny('channel', `${name} is not enabled in this channel. You can send me a direct message instead, or ask your Slack admin which channels I'm available in.`);
+    }
+  }
+
+  const needsUserInfo = rule.guests === false || rule.external === false;
+  const needsGroups = Array.isArray(rule.userGroups);
+  if (!needsUserInfo && !needsGroups) {
+    return { allowed: true };
+  }
+
+  if (!user) {
+    return deny('unknown_user', `${name} is restricted, and I couldn't tell who sent this request.`);
+  }
+
+  try {
+    if (needsUserInfo) {
+      const info = await fetchUserInfo(env, user);
+      if (rule.guests === false && (info.is_restricted || info.is_ultra_restricted)) {
+        return deny('guest', `${name} is not available to guest accounts.`);
+      }
+      const teamId = getTeamId(payload);
+      if (rule.external === false && (info.is_stranger || (teamId && info.team_id && info.team_id !== teamId))) {
+        return deny('external', `${name} is not available to users from other organizations.`);
+      }
+    }
+
+    if (needsGroups) {
+      const memberships = await Promise.all(rule.userGroups.map(group => fetchUserGroupMembers(env, group)));
+      if (!memberships.some(members => members.includes(user))) {
+        return deny('user_group', `${name} is limited to members of specific user groups. Ask your Slack admin for access.`);
+      }
+    }
+  } catch (err) {
+    createLogger(env, 'POLICY').error('Error checking user for policy, refusing request', { error: err });
+    return deny('lookup_failed', `${name} is restricted, and I couldn't verify your account right now. Please try again later.`);
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Whether the policy lets the bot join a channel it is not a member of
+ */
+export function canJoinChannel(env, channel) {
+  const { joinChannels } = loadPolicy(env);
+  return joinChannels === true || (Array.isArray(joinChannels) && joinChannels.includes(channel));
+}
@@ -0,0 +1,107 @@
+/**
+ * Per-user preferences, set from the App Home tab (see home.js)
+ *
+ * - replyIn: "thread" answers mentions, slash commands and summaries where
+ *   they were asked; "dm" sends them to the user's App DM instead
+ * - length: "default", "short" or "detailed"
+ * - language: "auto" (the language of the question) or one of LANGUAGES
+ * - pipeline: name of a pipeline from AIRIA_PIPELINES used instead of the
+ *   configured default, or null; keyword, command, shortcut and channel
+ *   routes still win (see resolvePipeline)
+ *
+ * Length and language are sent to Airia as a short instruction after the
+ * question. Workflow steps are not run on behalf of a user and ignore
+ * preferences.
+ *
+ * Keys:
+ * - prefs:<userId> - the user's preferences, never expire
+ */
+
+import { createLogger } from './logging.js';
+import { loadPipelineConfig } from './pipelines.js';
+
+export const REPLY_IN_OPTIONS = ['thread', 'dm'];
+export const LENGTH_OPTIONS = ['default', 'short', 'detailed'];
+export const LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Portuguese', 'Italian', 'Dutch', 'Japanese', 'Korean', 'Chinese'];
+
+export const DEFAULT_PREFERENCES = { replyIn: 'thread', length: 'default', language: 'auto', pipeline: null };
+
+const LENGTH_INSTRUCTIONS = {
+  short: 'Keep the answer short: a few sentences at most.',
+  detailed: 'Give a detailed, thorough answer.'
+};
+
+function prefsKey(userId) {
+  return `prefs:${userId}`;
+}
+
+// Drop unknown or stale values, so a removed language or pipeline falls back to the default
+function normalize(stored) {
+  const prefs = { ...DEFAULT_PREFERENCES };
+  if (!stored || typeof stored !== 'object') return prefs;
+  if (REPLY_IN_OPTIONS.includes(stored.replyIn)) prefs.replyIn = stored.replyIn;
+  if (LENGTH_OPTIONS.includes(stored.length)) prefs.length = stored.length;
+  if (stored.language === 'auto' || LANGUAGES.includes(stored.language)) prefs.language = stored.language;
+  if (typeof stored.pipeline === 'string' && stored.pipeline) prefs.pipeline = stored.pipeline;
+  return prefs;
+}
+
+/**
+ * Load a user's preferences, with defaults for anything not set
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<{replyIn: string, length: string, language: string, pipeline: ?string}>}
+ */
+export async function loadPreferences(env, userId) {
+  if (!env.BOT_STATE || !userId) return { ...DEFAULT_PREFERENCES };
+  try {
+    return normalize(await env.BOT_STATE.get(prefsKey(userId), 'json'));
+  } catch (err) {
+    createLogger(env, 'PREFS').error('Error loading preferences', { user: userId, error: err });
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+/**
+ * Change one preference
+ * @param {Object} env - Environment variables
+ * @param {string} userId - Slack user ID
+ * @param {string} name - replyIn, length, language or pipeline
+ * @param {?string} value - New value; "default" resets the pipeline
+ * @returns {Promise<Object>} The preferences after the change
+ * Throws for unknown names or values
+ */
+export async function savePreference(env, userId, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_PREFERENCES, name)) {
+    throw new Error(`Unknown preference: ${name}`);
+  }
+  if (name === 'pipeline' && value !== 'default' && !loadPipelineConfig(env).pipelines[value]) {
+    throw new Error(`Unknown pipeline: ${value}`);
+  }
+  const current = await loadPreferences(env, userId);
+  const next = normalize({ ...current, [name]: name === 'pipeline' && value === 'default' ? null : value });
+  if (name !== 'pipeline' && next[name] !== value) {
+    throw new Error(`Invalid value for ${name}: ${value}`);
+  }
+
+  await env.BOT_STATE.put(prefsKey(userId), JSON.stringify(next));
+  createLogger(env, 'PREFS').info('Saved preference', { user: userId, name, value: next[name] });
+  return next;
+}
+
+/**
+ * Add the user's length and language preferences to the input sent to Airia
+ * @param {string} userInput - The input, with any conversation context
+ * @param {Object} prefs - Preferences from loadPreferences
+ * @returns {string}
+ */
+export function applyPreferences(userInput, prefs) {
+  const instructions = [];
+  if (prefs.language && prefs.language !== 'auto') {
+    instructions.push(`Answer in ${prefs.language}.`);
+  }
+  if (LENGTH_INSTRUCTIONS[prefs.length]) {
+    instructions.push(LENGTH_INSTRUCTIONS[prefs.length]);
+  }
+  return instructions.length ? `${userInput}\n\n(${instructions.join(' ')})` : userInput;
+}
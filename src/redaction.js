@@ -0,0 +1,226 @@
+/**
+ * Redaction of personal data and secrets before input is sent to Airia
+ *
+ * Every pipeline input (questions, conversation history, thread transcripts)
+ * passes through redactInput, which replaces matches with numbered
+ * placeholders such as [EMAIL_1]. The same value always gets the same
+ * placeholder within one input, so the pipeline can still tell values apart.
+ * When the configuration is reversible, placeholders in the answer are
+ * restored from a mapping that lives in memory, or, for long-running (async)
+ * pipelines, in the job record until the answer is delivered (see async-jobs.js).
+ *
+ * Built-in detectors: email, phone, credit_card (Luhn-checked) and secret
+ * (Slack xox*- and xapp- tokens, AWS access keys, GitHub and OpenAI style
+ * keys, Google API keys, JWTs, bearer tokens and private key blocks).
+ *
+ * REDACTION (a JSON var) configures all pipelines, and a pipeline in
+ * AIRIA_PIPELINES can override it field by field with its own "redaction":
+ *
+ * {
+ *   "enabled": true,
+ *   "detectors": ["email", "phone", "credit_card", "secret"],
+ *   "custom": [{ "name": "EMPLOYEE_ID", "pattern": "EMP-\\d{6}", "flags": "i" }],
+ *   "reversible": true
+ * }
+ *
+ * Without any configuration all built-in detectors are on and reversible.
+ */
+
+import { createLogger } from './logging.js';
+
+export const DETECTORS = ['email', 'phone', 'credit_card', 'secret'];
+
+const DEFAULT_CONFIG = { enabled: true, detectors: DETECTORS, custom: [], reversible: true };
+
+const LABELS = {
+  email: 'EMAIL',
+  phone: 'PHONE',
+  credit_card: 'CARD',
+  secret: 'SECRET'
+};
+
+const SECRET_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\bxox[abposre]-[A-Za-z0-9-]{10,}/g,
+  /\bxapp-[A-Za-z0-9-]{10,}/g,
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+  /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g,
+  /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  /\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/g
+];
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// Starts with + or a digit/parenthesis, and contains separators - checked further in isPhoneNumber
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d|\(\d|\d)[\d\s().-]{7,}\d(?!\w)/g;
+
+// Parsing is cached per isolate for the raw config string
+let parsedConfig = { raw: null, config: null };
+
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+function isCardNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+}
+
+function isPhoneNumber(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) return false;
+  // ISO dates and times are not phone numbers
+  if (/^\d{4}-\d{2}-\d{2}/.test(match.trim())) return false;
+  // A bare run of digits is more likely an ID than a phone number
+  return match.trim().startsWith('+') || /[\s().-]/.test(match.trim());
+}
+
+function compileCustom(custom, log) {
+  return (Array.isArray(custom) ? custom : []).flatMap(({ name, pattern, flags = '' } = {}) => {
+    if (!name || !pattern) {
+      log.warn('Ignoring custom pattern without a name or pattern');
+      return [];
+    }
+    try {
+      const label = String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+      return [{ label, regex: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`) }];
+    } catch (err) {
+      log.warn('Ignoring invalid custom pattern', { pattern: name, error: err });
+      return [];
+    }
+  });
+}
+
+function normalizeConfig(config, log) {
+  return {
+    enabled: config.enabled !== false,
+    detectors: (Array.isArray(config.detectors) ? config.detectors : DETECTORS).filter(name => DETECTORS.includes(name)),
+    custom: compileCustom(config.custom, log),
+    reversible: config.reversible !== false
+  };
+}
+
+function loadBaseConfig(env) {
+  const raw = env.REDACTION || '';
+  if (parsedConfig.raw === raw && parsedConfig.config) {
+    return parsedConfig.config;
+  }
+
+  let config = DEFAULT_CONFIG;
+  if (raw) {
+    try {
+      config = { ...DEFAULT_CONFIG, ...(typeof raw === 'string' ? JSON.parse(raw) : raw) };
+    } catch (err) {
+      // Keep redacting with the defaults rather than sending raw input
+      createLogger(env, 'REDACTION').error('Invalid REDACTION configuration, using the defaults', { error: err });
+    }
+  }
+
+  parsedConfig = { raw, config };
+  return config;
+}
+
+/**
+ * The redaction configuration for a pipeline
+ * @param {Object} env - Environment variables
+ * @param {Object} [pipeline] - Pipeline from getPipeline/resolvePipeline, with an optional "redaction" override
+ * @returns {{enabled: boolean, detectors: string[], custom: Array<{label: string, regex: RegExp}>, reversible: boolean}}
+ */
+export function getRedactionConfig(env, pipeline = null) {
+  const override = pipeline && pipeline.redaction && typeof pipeline.redaction === 'object' ? pipeline.redaction : {};
+  return normalizeConfig({ ...loadBaseConfig(env), ...override }, createLogger(env, 'REDACTION'));
+}
+
+/**
+ * Replace personal data and secrets with placeholders
+ * @param {string} text - Input for Airia
+ * @param {Object} config - Configuration from getRedactionConfig
+ * @returns {{text: string, mapping: ?Object, counts: Object}} Redacted text, the placeholder to
+ *   original mapping (null when the config is not reversible) and the number of values per type
+ */
+export function redactText(text, config) {
+  const counts = {};
+  if (!config.enabled || !text) {
+    return { text, mapping: config.reversible ? {} : null, counts };
+  }
+
+  const mapping = {};
+  const placeholders = new Map();
+  const next = {};
+
+  const replace = (input, regex, label, accept = () => true) => input.replace(regex, (match) => {
+    // Never re-redact a placeholder from an earlier detector
+    if (/^\[[A-Z0-9_]+_\d+\]$/.test(match) || !accept(match)) return match;
+    const key = `${label}:${match}`;
+    if (!placeholders.has(key)) {
+      next[label] = (next[label] || 0) + 1;
+      const placeholder = `[${label}_${next[label]}]`;
+      placeholders.set(key, placeholder);
+      mapping[placeholder] = match;
+      counts[label] = (counts[label] || 0) + 1;
+    }
+    return placeholders.get(key);
+  });
+
+  let redacted = text;
+  // Custom patterns first, they are the most specific; secrets before emails and numbers they may contain
+  for (const { label, regex } of config.custom) {
+    redacted = replace(redacted, regex, label);
+  }
+  if (config.detectors.includes('secret')) {
+    for (const pattern of SECRET_PATTERNS) redacted = replace(redacted, pattern, LABELS.secret);
+  }
+  if (config.detectors.includes('email')) {
+    redacted = replace(redacted, EMAIL_PATTERN, LABELS.email);
+  }
+  if (config.detectors.includes('credit_card')) {
+    redacted = replace(redacted, CARD_PATTERN, LABELS.credit_card, isCardNumber);
+  }
+  if (config.detectors.includes('phone')) {
+    redacted = replace(redacted, PHONE_PATTERN, LABELS.phone, isPhoneNumber);
+  }
+
+  return { text: redacted, mapping: config.reversible ? mapping : null, counts };
+}
+
+/**
+ * Put the original values back into an answer
+ * @param {string} text - Answer from Airia
+ * @param {?Object} mapping - Mapping from redactText
+ * @returns {string} The answer with known placeholders restored
+ */
+export function restoreText(text, mapping) {
+  if (!text || !mapping || Object.keys(mapping).length === 0) return text;
+  return text.replace(/\[[A-Z0-9_]+_\d+\]/g, placeholder =>
+    Object.prototype.hasOwnProperty.call(mapping, placeholder) ? mapping[placeholder] : placeholder
+  );
+}
+
+/**
+ * Redact a pipeline input and log what was found (types and counts only, never values)
+ * @param {Object} env - Environment variables
+ * @param {Object} pipeline - Pipeline the input is sent to
+ * @param {string} userInput - Input for Airia
+ * @param {string} [tag] - Log tag of the calling handler
+ * @returns {{text: string, mapping: ?Object, counts: Object}}
+ */
+export function redactInput(env, pipeline, userInput, tag = 'REDACTION') {
+  const redacted = redactText(userInput, getRedactionConfig(env, pipeline));
+  if (Object.keys(redacted.counts).length > 0) {
+    createLogger(env, tag).info('Redacted before sending to Airia', { counts: redacted.counts });
+  }
+  return redacted;
+}
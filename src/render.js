@@ -0,0 +1,439 @@
+/**
+ * Response rendering
+ *
+ * Airia pipelines answer in standard Markdown, which Slack does not
+ * understand: `**bold**`, `# headings`, `[text](url)`, tables and fenced
+ * code all render as literal characters. This module translates Markdown
+ * into Slack mrkdwn (for `text` fallbacks) and into Block Kit (header,
+ * section, rich_text list/code and divider blocks) so every handler
+ * formats answers the same way.
+ */
+
+import { splitMarkdown, DEFAULT_CHUNK_CHARS } from './chunking.js';
+
+// Slack limits, see https://api.slack.com/reference/block-kit/blocks
+const MAX_BLOCKS = 50;
+const MAX_SECTION_TEXT = 3000;
+const MAX_HEADER_TEXT = 150;
+const MAX_QUESTION_PREVIEW = 500;
+
+const BOLD_MARKER = '\u0001';
+const PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+
+/**
+ * Escape the characters Slack treats as control characters in mrkdwn
+ */
+export function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Convert inline Markdown (bold, italic, strikethrough, code, links) to mrkdwn
+ */
+function convertInline(text) {
+  const tokens = [];
+  const protect = (value) => {
+    tokens.push(value);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+
+  let out = text
+    // Code spans are copied verbatim (escaped only)
+    .replace(/`([^`\n]+)`/g, (match, code) => protect('`' + escapeMrkdwn(code) + '`'))
+    // Images and links become <url|label>
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) =>
+      protect(`<${url}|${escapeMrkdwn(label || url)}>`)
+    );
+
+  out = escapeMrkdwn(out)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, `${BOLD_MARKER}$2${BOLD_MARKER}`)
+    .replace(/(^|[^*\w])\*(?=\S)([^*\n]*?\S)\*(?!\*)/g, '$1_$2_')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~')
+    .replace(new RegExp(BOLD_MARKER, 'g'), '*');
+
+  return out.replace(PLACEHOLDER_PATTERN, (match, index) => tokens[Number(index)]);
+}
+
+// Strip inline Markdown markers for places that only take plain text
+function stripInline(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, '$1')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/(^|\s)[*_](\S[^*_]*?)[*_](?=\s|$)/g, '$1$2')
+    .trim();
+}
+
+function isTableSeparator(line) {
+  return /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => stripInline(cell.trim()));
+}
+
+/**
+ * Render a Markdown table as aligned monospace text
+ */
+function renderTable(rows) {
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 0, cell.length);
+    });
+  }
+
+  const formatRow = (row) => widths.map((width, i) => (row[i] || '').padEnd(width)).join(' | ').trimEnd();
+  const [header, ...body] = rows;
+  const divider = widths.map(width => '-'.repeat(width)).join('-+-');
+
+  return [formatRow(header), divider, ...body.map(formatRow)].join('\n');
+}
+
+/**
+ * Split Markdown into typed segments: heading, code, table, list, quote, rule, paragraph
+ */
+export function parseMarkdown(markdown) {
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const segments = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      segments.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      segments.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    // Heading
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      segments.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    // Horizontal rule
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      segments.push({ type: 'rule' });
+      continue;
+    }
+
+    // Table: header row followed by a separator row
+    if (line.includes('|') && i + 1 < lines.length && isTableSeparator(lines[i + 1])) {
+      flushParagraph();
+      const rows = [splitTableRow(line)];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      i--;
+      segments.push({ type: 'table', rows });
+      continue;
+    }
+
+    // List (consecutive bullet or numbered items, with optional nesting)
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      flushParagraph();
+      const items = [];
+      while (i < lines.length) {
+        const match = lines[i].match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (!match) break;
+        items.push({
+          indent: Math.floor(match[1].replace(/\t/g, '  ').length / 2),
+          ordered: /\d/.test(match[2]),
+          text: match[3]
+        });
+        i++;
+      }
+      i--;
+      segments.push({ type: 'list', items });
+      continue;
+    }
+
+    // Block quote
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      i--;
+      segments.push({ type: 'quote', text: quoted.join('\n') });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+  return segments;
+}
+
+function segmentToMrkdwn(segment) {
+  switch (segment.type) {
+    case 'heading':
+      return `*${escapeMrkdwn(stripInline(segment.text))}*`;
+    case 'code':
+      return '```\n' + escapeMrkdwn(segment.text) + '\n```';
+    case 'table':
+      return '```\n' + escapeMrkdwn(renderTable(segment.rows)) + '\n```';
+    case 'list': {
+      // Number each nesting level separately
+      const counters = [];
+      return segment.items
+        .map((item) => {
+          counters[item.indent] = (counters[item.indent] || 0) + 1;
+          counters.length = item.indent + 1;
+          const marker = item.ordered ? `${counters[item.indent]}.` : '•';
+          return `${'    '.repeat(item.indent)}${marker} ${convertInline(item.text)}`;
+        })
+        .join('\n');
+    }
+    case 'quote':
+      return segment.text.split('\n').map(line => `> ${convertInline(line)}`).join('\n');
+    case 'rule':
+      return '──────────';
+    default:
+      return convertInline(segment.text);
+  }
+}
+
+/**
+ * Convert Markdown to Slack mrkdwn text
+ */
+export function markdownToMrkdwn(markdown) {
+  return parseMarkdown(markdown).map(segmentToMrkdwn).join('\n\n');
+}
+
+/**
+ * Convert inline Markdown to rich_text elements (used for list items)
+ */
+function inlineToRichText(text) {
+  const elements = [];
+  const pattern = /`([^`\n]+)`|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\n]+)\*|_([^_\n]+)_|\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g;
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      elements.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    }
+
+    if (match[1] !== undefined) {
+      elements.push({ type: 'text', text: match[1], style: { code: true } });
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      elements.push({ type: 'text', text: match[2] || match[3], style: { bold: true } });
+    } else if (match[4] !== undefined) {
+      elements.push({ type: 'text', text: match[4], style: { strike: true } });
+    } else if (match[5] !== undefined || match[6] !== undefined) {
+      elements.push({ type: 'text', text: match[5] || match[6], style: { italic: true } });
+    } else {
+      elements.push({ type: 'link', url: match[8], text: match[7] });
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    elements.push({ type: 'text', text: text.slice(lastIndex) });
+  }
+
+  return elements.length > 0 ? elements : [{ type: 'text', text: ' ' }];
+}
+
+// Split long mrkdwn into section-sized pieces on line boundaries
+function sectionBlocks(mrkdwn) {
+  const blocks = [];
+  let current = '';
+
+  for (const line of mrkdwn.split('\n')) {
+    if (current && current.length + line.length + 1 > MAX_SECTION_TEXT) {
+      blocks.push(current);
+      current = '';
+    }
+    // A single line longer than the limit has to be cut
+    let rest = line;
+    while (rest.length > MAX_SECTION_TEXT) {
+      blocks.push(rest.slice(0, MAX_SECTION_TEXT));
+      rest = rest.slice(MAX_SECTION_TEXT);
+    }
+    current = current ? `${current}\n${rest}` : rest;
+  }
+  if (current) blocks.push(current);
+
+  return blocks.map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }));
+}
+
+function listBlock(segment) {
+  // rich_text_list nests through separate lists with an increasing indent
+  const lists = [];
+  for (const item of segment.items) {
+    const last = lists[lists.length - 1];
+    const style = item.ordered ? 'ordered' : 'bullet';
+    const element = { type: 'rich_text_section', elements: inlineToRichText(item.text) };
+    if (last && last.indent === Math.min(item.indent, 6) && last.style === style) {
+      last.elements.push(element);
+    } else {
+      lists.push({
+        type: 'rich_text_list',
+        style,
+        indent: Math.min(item.indent, 6),
+        elements: [element]
+      });
+    }
+  }
+  return { type: 'rich_text', elements: lists };
+}
+
+/**
+ * Convert Markdown to Block Kit blocks
+ * @returns {Object[]|null} Blocks, or null when the answer needs more blocks than Slack allows
+ */
+export function markdownToBlocks(markdown) {
+  const blocks = [];
+
+  for (const segment of parseMarkdown(markdown)) {
+    switch (segment.type) {
+      case 'heading': {
+        const text = stripInline(segment.text);
+        if (segment.level <= 2 && text.length <= MAX_HEADER_TEXT) {
+          blocks.push({ type: 'header', text: { type: 'plain_text', text, emoji: true } });
+        } else {
+          blocks.push(...sectionBlocks(segmentToMrkdwn(segment)));
+        }
+        break;
+      }
+      case 'code':
+        blocks.push({
+          type: 'rich_text',
+          elements: [{ type: 'rich_text_preformatted', elements: [{ type: 'text', text: segment.text || ' ' }] }]
+        });
+        break;
+      case 'list':
+        blocks.push(listBlock(segment));
+        break;
+      case 'rule':
+        blocks.push({ type: 'divider' });
+        break;
+      default:
+        blocks.push(...sectionBlocks(segmentToMrkdwn(segment)));
+    }
+  }
+
+  return blocks.length <= MAX_BLOCKS ? blocks : null;
+}
+
+/**
+ * Build a complete Slack message for an AI answer
+ * @param {Object} options
+ * @param {string} options.result - Markdown answer from Airia
+ * @param {string} [options.question] - Question shown above the answer
+ * @param {string} [options.title] - Title shown as a header (e.g. "Thread Summary")
+ * @param {boolean} [options.isBackupPipeline] - Shown as a footer when defined
+ * @param {string} [options.note] - mrkdwn note shown above everything else
+ * @param {{index: number, total: number}} [options.part] - Part number for split answers
+ * @param {boolean} [options.textOnly] - Skip Block Kit and return mrkdwn text only
+ * @returns {{text: string, blocks: Object[]|null}} `text` is the mrkdwn fallback used
+ *   for notifications, or as the whole message when blocks is null
+ */
+export function buildAnswerMessage({
+  result,
+  question = null,
+  title = null,
+  isBackupPipeline = undefined,
+  note = null,
+  part = null,
+  textOnly = false
+}) {
+  const answerText = markdownToMrkdwn(result || '');
+  const textParts = [];
+  const blocks = [];
+
+  if (note) {
+    textParts.push(note);
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: note }] });
+  }
+
+  if (title) {
+    textParts.push(`*${title}*`);
+    blocks.push({ type: 'header', text: { type: 'plain_text', text: title, emoji: true } });
+  }
+
+  if (question) {
+    const preview = question.length > MAX_QUESTION_PREVIEW ? `${question.slice(0, MAX_QUESTION_PREVIEW)}...` : question;
+    textParts.push(`You asked: "${preview}"`);
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `You asked: "${preview}"` }] });
+  }
+
+  textParts.push(answerText);
+
+  const answerBlocks = textOnly ? null : markdownToBlocks(result || '');
+
+  if (isBackupPipeline !== undefined) {
+    const footer = `Is Backup Pipeline: ${isBackupPipeline ? 'Yes' : 'No'}`;
+    textParts.push(footer);
+    if (answerBlocks) {
+      answerBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: footer }] });
+    }
+  }
+
+  if (part) {
+    const label = `Part ${part.index} of ${part.total}`;
+    textParts.push(`_${label}_`);
+    if (answerBlocks) {
+      answerBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: label }] });
+    }
+  }
+
+  const allBlocks = answerBlocks ? [...blocks, ...answerBlocks] : null;
+
+  return {
+    text: textParts.join('\n\n'),
+    blocks: allBlocks && allBlocks.length <= MAX_BLOCKS ? allBlocks : null
+  };
+}
+
+/**
+ * Build the Slack messages for an answer, split into numbered parts when it is long
+ * The title, question and note go on the first part and the footer on the last
+ * @param {Object} options - Same options as buildAnswerMessage
+ * @param {number} [maxChars] - Maximum Markdown characters per part
+ * @returns {{text: string, blocks: Object[]|null}[]}
+ */
+export function buildAnswerMessages(options, maxChars = DEFAULT_CHUNK_CHARS) {
+  const parts = splitMarkdown(options.result || '', maxChars);
+
+  return parts.map((result, i) => buildAnswerMessage({
+    ...options,
+    result,
+    title: i === 0 ? options.title : null,
+    question: i === 0 ? options.question : null,
+    note: i === 0 ? options.note : null,
+    isBackupPipeline: i === parts.length - 1 ? options.isBackupPipeline : undefined,
+    part: parts.length > 1 ? { index: i + 1, total: parts.length } : null
+  }));
+}
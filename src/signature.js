@@ -0,0 +1,129 @@
+/**
+ * Slack request signature verification
+ *
+ * Every request to /slack, including the url_verification challenge, must
+ * carry a valid X-Slack-Signature for its raw body. Signatures are compared
+ * in constant time, and the timestamp must be a number within five minutes
+ * of now, so captured requests cannot be replayed.
+ *
+ * Secrets:
+ * - Slack_Signing_Secret: the current signing secret
+ * - Slack_Signing_Secret_Secondary (optional): the previous secret while it is
+ *   being rotated; requests signed with either secret are accepted
+ *
+ * Without any secret, verification is skipped outside production (to make the
+ * first deployment easier) and every request is rejected in production.
+ *
+ * SLACK_MAX_BODY_BYTES (optional) limits the request body (default 1 MB).
+ */
+
+import crypto from 'crypto';
+import { createLogger } from './logging.js';
+
+const SIGNATURE_VERSION = 'v0';
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const SIGNATURE_PATTERN = /^v0=[0-9a-f]{64}$/;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function reject(status, reason, message) {
+  return { ok: false, status, reason, message };
+}
+
+/**
+ * The signing secrets to accept, current secret first
+ */
+export function getSigningSecrets(env) {
+  return [env.Slack_Signing_Secret, env.Slack_Signing_Secret_Secondary].filter(Boolean);
+}
+
+/**
+ * Compute the v0 signature Slack sends for a body
+ * @param {string} secret - Signing secret
+ * @param {string} timestamp - X-Slack-Request-Timestamp header
+ * @param {string} rawBody - Request body exactly as received
+ */
+export function computeSignature(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret).update(`${SIGNATURE_VERSION}:${timestamp}:${rawBody}`).digest('hex');
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+// Both values are 67 ASCII characters here; the length check only guards misuse
+function signaturesMatch(expected, received) {
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(received, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function readBody(request, maxBytes) {
+  const declared = parseInt(request.headers.get('Content-Length'), 10);
+  if (Number.isFinite(declared) && declared > maxBytes) {
+    return null;
+  }
+  const rawBody = await request.text();
+  // Content-Length can be missing or wrong (chunked requests), so check what was read too
+  return new TextEncoder().encode(rawBody).length > maxBytes ? null : rawBody;
+}
+
+/**
+ * Read a Slack request's body and verify its signature
+ * @param {Request} request - Incoming request to /slack
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{ok: true, rawBody: string, verified: boolean}|{ok: false, status: number, reason: string, message: string}>}
+ *   verified is false only when verification was skipped because no secret is set outside production
+ */
+export async function verifySlackRequest(request, env) {
+  const log = createLogger(env, 'SIGNATURE');
+  const maxBytes = readPositiveInt(env.SLACK_MAX_BODY_BYTES, DEFAULT_MAX_BODY_BYTES);
+
+  const rawBody = await readBody(request, maxBytes);
+  if (rawBody === null) {
+    log.warn('Request body too large', { maxBytes });
+    return reject(413, 'body_too_large', 'Request body too large');
+  }
+
+  const secrets = getSigningSecrets(env);
+  if (secrets.length === 0) {
+    if (env.ENVIRONMENT === 'production') {
+      log.error('Signing secret not set in production - rejecting request');
+      return reject(401, 'no_secret', 'Invalid request (signature verification unavailable)');
+    }
+    log.warn('Signing secret not set - skipping signature verification');
+    return { ok: true, rawBody, verified: false };
+  }
+
+  const timestamp = request.headers.get('X-Slack-Request-Timestamp');
+  if (!timestamp || !/^\d+$/.test(timestamp)) {
+    log.error('Missing or invalid timestamp', { timestamp });
+    return reject(400, 'invalid_timestamp', 'Invalid request (invalid timestamp)');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - parseInt(timestamp, 10)) > MAX_TIMESTAMP_SKEW_SECONDS) {
+    log.error('Timestamp too old', { timestamp });
+    return reject(400, 'stale_timestamp', 'Invalid request (timestamp too old)');
+  }
+
+  const signature = request.headers.get('X-Slack-Signature') || '';
+  if (!SIGNATURE_PATTERN.test(signature)) {
+    log.error('Missing or malformed Slack signature');
+    return reject(401, 'invalid_signature', 'Invalid request (invalid signature)');
+  }
+
+  // Check every secret, so the time taken does not reveal which one matched
+  const matches = secrets.map(secret => signaturesMatch(computeSignature(secret, timestamp, rawBody), signature));
+  if (!matches.includes(true)) {
+    log.error('Invalid Slack signature');
+    return reject(401, 'invalid_signature', 'Invalid request (invalid signature)');
+  }
+
+  if (!matches[0]) {
+    log.info('Request signed with the secondary signing secret');
+  }
+  log.debug('Slack signature verified');
+  return { ok: true, rawBody, verified: true };
+}
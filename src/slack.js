@@ -0,0 +1,723 @@
+/**
+ * Slack Web API helpers shared by the handlers
+ */
+
+import { createLogger } from './logging.js';
+
+// Names rarely change, so lookups are cached per isolate to save Slack API calls.
+// The same ID can mean something else in another workspace (Slack Connect users
+// and channels), so every key starts with the workspace env is scoped to
+const NAME_CACHE_TTL_MS = 60 * 60 * 1000;
+const userNameCache = new Map();
+const channelNameCache = new Map();
+const userInfoCache = new Map();
+const userGroupCache = new Map();
+const userGroupHandleCache = new Map();
+const botUserIdCache = new Map();
+
+// Slack recommends reading conversations.replies and conversations.history in pages of at most 200
+const PAGE_SIZE = 200;
+const MAX_CONVERSATION_MESSAGES = 2000;
+
+function readCache(cache, key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function writeCache(cache, key, value) {
+  cache.set(key, { value, expiresAt: Date.now() + NAME_CACHE_TTL_MS });
+}
+
+// The workspace env is scoped to by withInstallationToken (installations.js)
+function workspaceKey(env) {
+  return env.SLACK_ENTERPRISE_INSTALL ? env.SLACK_ENTERPRISE_ID : (env.SLACK_TEAM_ID || 'default');
+}
+
+function cacheKey(env, id) {
+  return `${workspaceKey(env)}:${id}`;
+}
+
+/**
+ * Post a message to Slack in background tasks
+ * @param {Object} env - Environment variables
+ * @param {string} channel - Slack channel ID
+ * @param {string} text - Message text
+ * @param {string} [thread_ts] - Optional thread timestamp to reply to a thread
+ * @param {Object} [blocks] - Optional blocks for rich formatting
+ */
+export async function postSlackMessage(env, channel, text, thread_ts = null, blocks = null) {
+  // Message text goes through the structured logger so production logs never contain it
+  const log = createLogger(env, 'SLACK_POST');
+  log.info('Posting message', { channel, threadTs: thread_ts || null, text });
+  
+  const message = { 
+    channel, 
+    text 
+  };
+  
+  // Add thread_ts if provided (for thread replies)
+  if (thread_ts) {
+    // Validate the timestamp format before using it
+    // Slack timestamps can have various formats but should always have a dot separator
+    const isValidTimestamp = (ts) => {
+      // Basic validation: string with numbers and a dot
+      return typeof ts === 'string' && /^\d+\.\d+$/.test(ts);
+    };
+    
+    // More flexible validation as backup
+    const isValidTimestampFallback = (ts) => {
+      // Allow any string with digits and dots that's between 10-20 chars
+      return typeof ts === 'string' && 
+             ts.length >= 10 && 
+             ts.length <= 20 && 
+             ts.includes('.');
+    };
+    
+    if (isValidTimestamp(thread_ts)) {
+      message.thread_ts = thread_ts;
+    } else if (isValidTimestampFallback(thread_ts)) {
+      log.info('Using non-standard timestamp format', { threadTs: thread_ts });
+      message.thread_ts = thread_ts;
+    } else {
+      log.warn('Invalid thread_ts format, skipping thread reply', { threadTs: thread_ts });
+      throw new Error(`Invalid thread_ts format: ${thread_ts}`);
+    }
+  }
+  
+  // Add blocks if provided (for rich formatting)
+  if (blocks) {
+    message.blocks = blocks;
+  }
+  
+  const response = await fetch('https://slack.com/api/chat.postMessage', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(message),
+  });
+  
+  // Check for API errors
+  if (!response.ok) {
+    const errorText = await response.text();
+    log.error('HTTP error posting message', { status: response.status, response: errorText });
+    throw new Error(`Slack API error: ${response.status} - ${errorText}`);
+  }
+  
+  const result = await response.json();
+  if (!result.ok) {
+    log.error('Slack API error', { channel, slackError: result.error });
+    throw new Error(`Slack API error: ${result.error}`);
+  }
+  
+  return result;
+}
+
+/**
+ * Replace the text (and blocks) of a message the bot posted earlier
+ * @param {Object} env - Environment variables
+ * @param {string} channel - Slack channel ID
+ * @param {string} ts - Timestamp of the message to update
+ * @param {string} text - New message text
+ * @param {Object} [blocks] - New blocks; omitted blocks are cleared
+ */
+export async function updateSlackMessage(env, channel, ts, text, blocks = null) {
+  const log = createLogger(env, 'SLACK_UPDATE');
+  log.info('Updating message', { channel, ts, text });
+
+  const response = await fetch('https://slack.com/api/chat.update', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ channel, ts, text, blocks: blocks || [] }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    log.error('HTTP error updating message', { status: response.status, response: errorText });
+    throw new Error(`Slack API error: ${response.status} - ${errorText}`);
+  }
+
+  const result = await response.json();
+  if (!result.ok) {
+    log.error('Slack API error', { channel, ts, slackError: result.error });
+    throw new Error(`Slack API error: ${result.error}`);
+  }
+
+  return result;
+}
+
+/**
+ * Post an ephemeral message to Slack (visible only to `user` in `channel`)
+ * Now supports thread_ts parameter to place ephemeral messages in threads
+ */
+export async function postEphemeralMessage(env, { channel, user, text, thread_ts = null }) {
+  const log = createLogger(env, 'SLACK_EPHEMERAL');
+  log.info('Posting ephemeral message', { channel, user, threadTs: thread_ts || null, text });
+  
+  const payload = { channel, user, text };
+  
+  // Add thread_ts if provided to make ephemeral appear in a thread
+  if (thread_ts) {
+    // Similar validation as in postSlackMessage
+    const isValidTimestamp = (ts) => {
+      return typeof ts === 'string' && /^\d+\.\d+$/.test(ts);
+    };
+    
+    // More flexible validation as backup
+    const isValidTimestampFallback = (ts) => {
+      return typeof ts === 'string' && 
+             ts.length >= 10 && 
+             ts.length <= 20 && 
+             ts.includes('.');
+    };
+    
+    if (isValidTimestamp(thread_ts)) {
+      payload.thread_ts = thread_ts;
+    } else if (isValidTimestampFallback(thread_ts)) {
+      log.info('Using non-standard timestamp format', { threadTs: thread_ts });
+      payload.thread_ts = thread_ts;
+    } else {
+      log.warn('Invalid thread_ts format, the message will appear in the channel', { threadTs: thread_ts });
+    }
+  }
+  
+  const response = await fetch('https://slack.com/api/chat.postEphemeral', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+  const json = await response.json();
+  if (!json.ok) {
+    log.warn('Slack API error', { channel, user, slackError: json.error });
+  }
+}
+
+/**
+ * Resolve Slack user IDs to display names
+ * Uses real_name, then display_name, and leaves unresolvable IDs out of the map
+ * @param {Object} env - Environment variables
+ * @param {string[]} userIds - Slack user IDs (duplicates are ignored)
+ * @param {string} [tag] - Log tag of the calling handler
+ * @returns {Promise<Object>} Map of user ID to display name
+ */
+export async function fetchUserNames(env, userIds, tag = 'SLACK') {
+  const userMap = {};
+  const uniqueUserIds = [];
+
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    const cached = readCache(userNameCache, cacheKey(env, userId));
+    if (cached) {
+      userMap[userId] = cached;
+    } else {
+      uniqueUserIds.push(userId);
+    }
+  }
+
+  if (uniqueUserIds.length === 0) {
+    return userMap;
+  }
+
+  const log = createLogger(env, tag);
+  log.info('Fetching user info', { users: uniqueUserIds.length });
+  log.debug('User IDs to fetch', { userIds: uniqueUserIds });
+
+  // Fetch user information in parallel
+  await Promise.all(uniqueUserIds.map(async (userId) => {
+    try {
+      const userResponse = await fetch(`https://slack.com/api/users.info?user=${encodeURIComponent(userId)}`, {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${env.Slack_Bot_Token}`,
+          'Accept': 'application/json',
+        }
+      });
+
+      const userData = await userResponse.json();
+
+      if (userData.ok && userData.user) {
+        // Use real_name or display_name or fallback to the user ID
+        const userName = userData.user.real_name ||
+                        (userData.user.profile && userData.user.profile.display_name) ||
+                        userId;
+        userMap[userId] = userName;
+        writeCache(userNameCache, cacheKey(env, userId), userName);
+
+        log.debug('User resolved', { userId, userName, isBot: userData.user.is_bot });
+      } else {
+        log.debug('Failed to get user info', { userId, slackError: userData.error });
+      }
+    } catch (userErr) {
+      log.warn('Error fetching user info', { userId, error: userErr });
+    }
+  }));
+
+  log.debug('Completed user map', { names: userMap });
+
+  return userMap;
+}
+
+/**
+ * Read every page of a conversations.replies or conversations.history call
+ * Follows response_metadata.next_cursor until the last page or until maxMessages were read
+ * @param {Object} env - Environment variables
+ * @param {string} method - "conversations.replies" or "conversations.history"
+ * @param {Object} params - Query parameters (channel, ts, oldest, latest, ...)
+ * @param {Object} [options]
+ * @param {number} [options.maxMessages] - Stop after this many messages
+ * @param {Function} [options.until] - Stop after the page for which this returns true (given that page's messages)
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @returns {Promise<{ok: boolean, error: ?string, messages: Object[], complete: boolean}>}
+ *   Messages in the order Slack returns them; complete is false when maxMessages cut the read short.
+ *   ok is false only when the first page failed, later failures return what was read so far
+ */
+export async function fetchConversationPages(env, method, params, { maxMessages = MAX_CONVERSATION_MESSAGES, until = null, tag = 'SLACK' } = {}) {
+  const messages = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({ ...params, limit: String(Math.min(PAGE_SIZE, maxMessages - messages.length)) });
+    if (cursor) query.set('cursor', cursor);
+
+    let data;
+    try {
+      const response = await fetch(`https://slack.com/api/${method}?${query}`, {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${env.Slack_Bot_Token}`,
+          'Accept': 'application/json',
+        }
+      });
+      data = await response.json();
+    } catch (err) {
+      data = { ok: false, error: err.message };
+    }
+
+    if (!data.ok) {
+      createLogger(env, tag).warn('Failed to read conversation page', { method, messagesRead: messages.length, slackError: data.error });
+      return { ok: messages.length > 0, error: data.error, messages, complete: false };
+    }
+
+    const pageMessages = data.messages || [];
+    messages.push(...pageMessages);
+    cursor = data.response_metadata && data.response_metadata.next_cursor;
+    if (until && until(pageMessages)) {
+      return { ok: true, error: null, messages, complete: true };
+    }
+  } while (cursor && messages.length < maxMessages);
+
+  if (cursor) {
+    createLogger(env, tag).warn('Stopped reading conversation at the message limit', { method, messagesRead: messages.length });
+  }
+  return { ok: true, error: null, messages, complete: !cursor };
+}
+
+/**
+ * Fetch the messages of a thread with conversations.replies, every page
+ * @returns {Promise<Object[]>} Thread messages, oldest first (empty on error)
+ */
+export async function fetchThreadReplies(env, channel, threadTs, tag = 'SLACK') {
+  const { messages } = await fetchConversationPages(env, 'conversations.replies', { channel, ts: threadTs }, { tag });
+  return messages;
+}
+
+/**
+ * Fetch every message of a channel posted in a time range with conversations.history
+ * Thread replies are not included, only the messages posted to the channel itself
+ * @param {Object} env - Environment variables
+ * @param {string} channel - Slack channel ID
+ * @param {Object} range
+ * @param {string} range.oldest - Slack timestamp (seconds) the range starts at
+ * @param {string} [range.latest] - Slack timestamp the range ends at (default now)
+ * @param {Object} [options] - maxMessages and tag, see fetchConversationPages
+ * @returns {Promise<{ok: boolean, error: ?string, messages: Object[], complete: boolean}>} Messages oldest first
+ */
+export async function fetchChannelRange(env, channel, { oldest, latest = null }, options = {}) {
+  const params = { channel, oldest: String(oldest), inclusive: 'true' };
+  if (latest) params.latest = String(latest);
+  const result = await fetchConversationPages(env, 'conversations.history', params, options);
+  return { ...result, messages: result.messages.reverse() };
+}
+
+/**
+ * Fetch the latest messages of a channel with conversations.history
+ * @returns {Promise<Object[]>} Messages, oldest first (empty on error)
+ */
+export async function fetchChannelHistory(env, channel, limit = 20, tag = 'SLACK') {
+  const log = createLogger(env, tag);
+  try {
+    const response = await fetch(`https://slack.com/api/conversations.history?channel=${encodeURIComponent(channel)}&limit=${limit}`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${env.Slack_Bot_Token}`,
+        'Accept': 'application/json',
+      }
+    });
+
+    const data = await response.json();
+    if (!data.ok) {
+      log.warn('Failed to get channel history', { channel, slackError: data.error });
+      return [];
+    }
+    return (data.messages || []).reverse();
+  } catch (err) {
+    log.warn('Error fetching channel history', { channel, error: err });
+    return [];
+  }
+}
+
+/**
+ * Resolve Slack channel IDs to channel names with conversations.info
+ * @returns {Promise<Object>} Map of channel ID to name (without the leading #)
+ */
+export async function fetchChannelNames(env, channelIds, tag = 'SLACK') {
+  const channelMap = {};
+
+  await Promise.all([...new Set(channelIds.filter(Boolean))].map(async (channelId) => {
+    const cached = readCache(channelNameCache, cacheKey(env, channelId));
+    if (cached) {
+      channelMap[channelId] = cached;
+      return;
+    }
+
+    try {
+      const response = await fetch(`https://slack.com/api/conversations.info?channel=${encodeURIComponent(channelId)}`, {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${env.Slack_Bot_Token}`,
+          'Accept': 'application/json',
+        }
+      });
+      const data = await response.json();
+
+      if (data.ok && data.channel && data.channel.name) {
+        channelMap[channelId] = data.channel.name;
+        writeCache(channelNameCache, cacheKey(env, channelId), data.channel.name);
+      } else {
+        createLogger(env, tag).debug('Failed to get channel info', { channelId, slackError: data.error });
+      }
+    } catch (err) {
+      createLogger(env, tag).warn('Error fetching channel info', { channelId, error: err });
+    }
+  }));
+
+  return channelMap;
+}
+
+/**
+ * Check that the bot is a member of a channel with conversations.info, and join it with
+ * conversations.join when it is not and `join` is true (public channels only)
+ * @returns {Promise<{member: boolean, error: ?string}>} error is why the bot is not a member
+ */
+export async function ensureChannelMember(env, channel, { join = false, tag = 'SLACK' } = {}) {
+  const log = createLogger(env, tag);
+  try {
+    const response = await fetch(`https://slack.com/api/conversations.info?channel=${encodeURIComponent(channel)}`, {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${env.Slack_Bot_Token}`,
+        'Accept': 'application/json',
+      }
+    });
+    const data = await response.json();
+    if (!data.ok || !data.channel) {
+      log.warn('Failed to get channel info', { channel, slackError: data.error });
+      return { member: false, error: data.error || 'channel_not_found' };
+    }
+    if (data.channel.is_member || data.channel.is_im) {
+      return { member: true, error: null };
+    }
+    if (!join) {
+      return { member: false, error: 'not_in_channel' };
+    }
+
+    const joinResponse = await fetch('https://slack.com/api/conversations.join', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${env.Slack_Bot_Token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ channel }),
+    });
+    const joined = await joinResponse.json();
+    if (!joined.ok) {
+      log.warn('Failed to join channel', { channel, slackError: joined.error });
+      return { member: false, error: joined.error };
+    }
+    log.info('Joined channel', { channel });
+    return { member: true, error: null };
+  } catch (err) {
+    log.warn('Error checking channel membership', { channel, error: err });
+    return { member: false, error: err.message };
+  }
+}
+
+/**
+ * Look up the bot's own user ID in the workspace env is scoped to. OAuth installs
+ * carry it on the installation; otherwise auth.test is cached per workspace and isolate
+ * @returns {Promise<string|null>}
+ */
+export async function getBotUserId(env) {
+  if (env.SLACK_BOT_USER_ID) return env.SLACK_BOT_USER_ID;
+
+  const key = workspaceKey(env);
+  if (botUserIdCache.has(key)) return botUserIdCache.get(key);
+
+  try {
+    const response = await fetch('https://slack.com/api/auth.test', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${env.Slack_Bot_Token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    const data = await response.json();
+    if (data.ok && data.user_id) {
+      botUserIdCache.set(key, data.user_id);
+      return data.user_id;
+    }
+  } catch (err) {
+    createLogger(env, 'SLACK').warn('Error calling auth.test', { error: err });
+  }
+
+  return null;
+}
+
+/**
+ * Upload text as a file to a channel (or thread) using the files.getUploadURLExternal flow
+ * @param {Object} env - Environment variables
+ * @param {Object} file
+ * @param {string} file.channel - Channel to share the file in
+ * @param {string} [file.thread_ts] - Thread to share the file in
+ * @param {string} file.filename - File name, e.g. "answer.md"
+ * @param {string} file.title - Title shown in Slack
+ * @param {string} file.content - File contents
+ * @param {string} [file.initialComment] - Message posted with the file
+ */
+export async function uploadTextFile(env, { channel, thread_ts = null, filename, title, content, initialComment = null }) {
+  const bytes = new TextEncoder().encode(content);
+
+  // 1) Reserve an upload URL
+  const urlResponse = await fetch('https://slack.com/api/files.getUploadURLExternal', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: new URLSearchParams({ filename, length: String(bytes.length) }).toString(),
+  });
+  const urlData = await urlResponse.json();
+  if (!urlData.ok) {
+    throw new Error(`Slack API error: ${urlData.error}`);
+  }
+
+  // 2) Upload the contents
+  const uploadResponse = await fetch(urlData.upload_url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    body: bytes,
+  });
+  if (!uploadResponse.ok) {
+    throw new Error(`File upload failed: ${uploadResponse.status}`);
+  }
+
+  // 3) Share the file in the channel
+  const completion = { files: [{ id: urlData.file_id, title }], channel_id: channel };
+  if (thread_ts) completion.thread_ts = thread_ts;
+  if (initialComment) completion.initial_comment = initialComment;
+
+  const completeResponse = await fetch('https://slack.com/api/files.completeUploadExternal', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(completion),
+  });
+  const completeData = await completeResponse.json();
+  if (!completeData.ok) {
+    throw new Error(`Slack API error: ${completeData.error}`);
+  }
+
+  return completeData;
+}
+
+/**
+ * Fetch a user's profile flags (guest, Slack Connect, team) with users.info
+ * Cached per isolate like names
+ * @returns {Promise<Object>} The Slack user object
+ * Throws when Slack does not return the user
+ */
+export async function fetchUserInfo(env, userId) {
+  const cached = readCache(userInfoCache, cacheKey(env, userId));
+  if (cached) return cached;
+
+  const response = await fetch(`https://slack.com/api/users.info?user=${encodeURIComponent(userId)}`, {
+    method: 'GET',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Accept': 'application/json',
+    }
+  });
+  const data = await response.json();
+  if (!data.ok || !data.user) {
+    throw new Error(`users.info failed: ${data.error || 'no user'}`);
+  }
+  writeCache(userInfoCache, cacheKey(env, userId), data.user);
+  return data.user;
+}
+
+/**
+ * Fetch the member IDs of a user group (needs the usergroups:read scope)
+ * @returns {Promise<string[]>} User IDs
+ * Throws when Slack does not return the group
+ */
+export async function fetchUserGroupMembers(env, groupId) {
+  const cached = readCache(userGroupCache, cacheKey(env, groupId));
+  if (cached) return cached;
+
+  const response = await fetch(`https://slack.com/api/usergroups.users.list?usergroup=${encodeURIComponent(groupId)}`, {
+    method: 'GET',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Accept': 'application/json',
+    }
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`usergroups.users.list failed: ${data.error}`);
+  }
+  writeCache(userGroupCache, cacheKey(env, groupId), data.users || []);
+  return data.users || [];
+}
+
+/**
+ * Fetch the handles of the workspace's user groups (needs the usergroups:read scope)
+ * Cached per isolate like names
+ * @returns {Promise<Object>} Map of user group ID to handle, empty when Slack refuses
+ */
+export async function fetchUserGroupHandles(env, tag = 'SLACK') {
+  const cached = readCache(userGroupHandleCache, workspaceKey(env));
+  if (cached) return cached;
+
+  try {
+    const response = await fetch('https://slack.com/api/usergroups.list', {
+      method: 'GET',
+      headers: {
+        Authorization: `Bearer ${env.Slack_Bot_Token}`,
+        'Accept': 'application/json',
+      }
+    });
+    const data = await response.json();
+    if (!data.ok) {
+      createLogger(env, tag).warn('usergroups.list failed', { slackError: data.error });
+      return {};
+    }
+    const handles = Object.fromEntries((data.usergroups || []).map(group => [group.id, group.handle || group.name]));
+    writeCache(userGroupHandleCache, workspaceKey(env), handles);
+    return handles;
+  } catch (err) {
+    createLogger(env, tag).warn('Error fetching user groups', { error: err });
+    return {};
+  }
+}
+
+/**
+ * Finish a Workflow Builder custom step (function_executed event) with its outputs or an error
+ * Uses the execution's short-lived bot_access_token when the event carried one
+ * @param {Object} env - Environment variables
+ * @param {{function_execution_id: string, token: ?string}} execution - From the function_executed event
+ * @param {{outputs: Object}|{error: string}} result - Outputs for functions.completeSuccess, or an error for completeError
+ * Throws when Slack rejects the call
+ */
+export async function completeFunction(env, execution, result) {
+  const method = result.error ? 'functions.completeError' : 'functions.completeSuccess';
+  const response = await fetch(`https://slack.com/api/${method}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${execution.token || env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ function_execution_id: execution.function_execution_id, ...result })
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`${method} failed: ${data.error}`);
+  }
+  createLogger(env, 'SLACK').info('Completed workflow function', { method, functionExecutionId: execution.function_execution_id });
+}
+
+/**
+ * Fetch the permalink of a message (chat.getPermalink)
+ * @returns {Promise<?string>} The link, or null when Slack does not return one
+ */
+export async function fetchPermalink(env, channel, ts) {
+  const response = await fetch(`https://slack.com/api/chat.getPermalink?channel=${encodeURIComponent(channel)}&message_ts=${encodeURIComponent(ts)}`, {
+    method: 'GET',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Accept': 'application/json',
+    }
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    createLogger(env, 'SLACK').warn('chat.getPermalink failed', { channel, ts, slackError: data.error });
+    return null;
+  }
+  return data.permalink;
+}
+
+/**
+ * Open (or find) the bot's direct message channel with a user
+ * @returns {Promise<string>} The DM channel ID
+ * Throws when Slack rejects the call
+ */
+export async function openDirectMessage(env, userId) {
+  const response = await fetch('https://slack.com/api/conversations.open', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ users: userId })
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`conversations.open failed: ${data.error}`);
+  }
+  return data.channel.id;
+}
+
+/**
+ * Schedule a message for later (chat.scheduleMessage)
+ * @param {number} postAt - Unix time in seconds, in the next 120 days
+ * Throws when Slack rejects the call
+ */
+export async function scheduleSlackMessage(env, channel, text, postAt) {
+  createLogger(env, 'SLACK').info('Scheduling message', { channel, postAt, text });
+
+  const response = await fetch('https://slack.com/api/chat.scheduleMessage', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ channel, text, post_at: postAt })
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    throw new Error(`chat.scheduleMessage failed: ${data.error}`);
+  }
+  return data;
+}
@@ -0,0 +1,149 @@
+/**
+ * Map-reduce summaries of long conversations
+ *
+ * A transcript that fits the token budget is sent to the pipeline in one
+ * call. A longer one is cut on message boundaries into parts that fit, each
+ * part is summarized on its own (map), and the part summaries are combined
+ * into the final summary (reduce). Part summaries that together are still
+ * over the budget are combined in groups first, until they fit.
+ *
+ * Part summaries are always awaited with callAiria, also for async
+ * pipelines; only the final call is left to the caller (runAiria), so it can
+ * still be delivered later. Tokens are estimated at four characters each.
+ *
+ * Configuration (optional):
+ * - SUMMARY_CHUNK_TOKENS: transcript tokens sent per call (default 6000)
+ * - SUMMARY_MAX_MESSAGES: most messages read for one summary (default 2000)
+ * - SUMMARY_RECENT_HOURS: hours of channel history summarized when the
+ *   thread or message cannot be read (default 24)
+ */
+
+import { callAiria } from './airia.js';
+import { redactInput, restoreText } from './redaction.js';
+import { createLogger } from './logging.js';
+
+const DEFAULT_CHUNK_TOKENS = 6000;
+const DEFAULT_MAX_MESSAGES = 2000;
+const DEFAULT_RECENT_HOURS = 24;
+const CHARS_PER_TOKEN = 4;
+
+function readPositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Read the summary settings
+ * @returns {{chunkTokens: number, chunkChars: number, maxMessages: number, recentHours: number}}
+ */
+export function getSummaryConfig(env) {
+  const chunkTokens = readPositiveInt(env.SUMMARY_CHUNK_TOKENS, DEFAULT_CHUNK_TOKENS);
+  return {
+    chunkTokens,
+    chunkChars: chunkTokens * CHARS_PER_TOKEN,
+    maxMessages: readPositiveInt(env.SUMMARY_MAX_MESSAGES, DEFAULT_MAX_MESSAGES),
+    recentHours: readPositiveInt(env.SUMMARY_RECENT_HOURS, DEFAULT_RECENT_HOURS)
+  };
+}
+
+/**
+ * Rough token count of a text, good enough to stay under a pipeline's context window
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Group transcript lines into parts of at most maxChars characters
+ * Lines are kept whole; a single line longer than maxChars is cut into pieces
+ * @param {string[]} lines - One line per message, oldest first
+ * @param {number} maxChars - Largest part
+ * @returns {string[]} Parts, in order
+ */
+export function splitTranscript(lines, maxChars) {
+  const parts = [];
+  let current = '';
+
+  const add = (line) => {
+    if (current && current.length + 1 + line.length > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  };
+
+  for (const line of lines) {
+    for (let start = 0; start < Math.max(line.length, 1); start += maxChars) {
+      add(line.slice(start, start + maxChars));
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function formatParts(summaries) {
+  return summaries.map((summary, index) => `--- Part ${index + 1} of ${summaries.length} ---\n${summary}`);
+}
+
+/**
+ * Call the pipeline for an intermediate step (a part summary), with redaction
+ * Always awaited with callAiria, also for async pipelines
+ * @returns {Promise<string>} The answer, with redacted values restored
+ */
+export async function askPipeline(env, pipeline, userInput, tag = 'SUMMARY') {
+  const redacted = redactInput(env, pipeline, userInput, tag);
+  const answer = await callAiria(env, pipeline, redacted.text, { tag });
+  return restoreText(answer.result, redacted.mapping).trim();
+}
+
+/**
+ * Build the input for the final summary call, summarizing parts first when the transcript is too long
+ * @param {Object} env - Environment variables
+ * @param {Object} pipeline - Pipeline from resolvePipeline/getPipeline
+ * @param {string[]} lines - Transcript, one "Name: text" line per message, oldest first
+ * @param {Object} options
+ * @param {string} options.prompt - Instruction for the final summary, e.g. "Summarize this conversation thread:"
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @param {Function} [options.onProgress] - Called with a short status text before every part call
+ * @returns {Promise<{userInput: string, parts: number}>} Input for the final call and the number
+ *   of parts the transcript was summarized in (1 when it fit in one call)
+ */
+export async function buildSummaryInput(env, pipeline, lines, { prompt, tag = 'SUMMARY', onProgress = async () => {} }) {
+  const maxChars = getSummaryConfig(env).chunkChars;
+  const transcript = lines.join('\n');
+  if (transcript.length <= maxChars) {
+    return { userInput: `${prompt} ${transcript}`, parts: 1 };
+  }
+
+  // Map: summarize every part of the transcript on its own
+  const parts = splitTranscript(lines, maxChars);
+  createLogger(env, tag).info('Split transcript into parts', { estimatedTokens: estimateTokens(transcript), parts: parts.length });
+  let summaries = [];
+  for (const [index, part] of parts.entries()) {
+    await onProgress(`:hourglass_flowing_sand: Summarizing part ${index + 1} of ${parts.length}...`);
+    summaries.push(await askPipeline(env, pipeline,
+      `This is part ${index + 1} of ${parts.length} of a longer conversation. Summarize this part, keeping who said what, decisions, open questions and action items, so it can be combined with the summaries of the other parts:\n${part}`,
+      tag));
+  }
+
+  // Reduce in groups while the part summaries together are still over the budget
+  while (formatParts(summaries).join('\n\n').length > maxChars) {
+    const groups = splitTranscript(formatParts(summaries), maxChars);
+    // Every summary is over the budget on its own: combining them cannot make them shorter
+    if (groups.length >= summaries.length) break;
+    await onProgress(`:hourglass_flowing_sand: Combining ${summaries.length} part summaries...`);
+    const combined = [];
+    for (const group of groups) {
+      combined.push(await askPipeline(env, pipeline,
+        `These are summaries of consecutive parts of a longer conversation, in order. Combine them into one summary, keeping who said what, decisions, open questions and action items:\n\n${group}`,
+        tag));
+    }
+    summaries = combined;
+  }
+
+  await onProgress(`:hourglass_flowing_sand: Combining the summaries of ${parts.length} parts...`);
+  return {
+    userInput: `${prompt} The conversation was too long to read at once, so these are summaries of its consecutive parts, in order. Write one summary of the whole conversation from them.\n\n${formatParts(summaries).join('\n\n')}`,
+    parts: parts.length
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * The summary modal
+ *
+ * The "Summarize" message action and the /airia-summarize command open this
+ * modal before anything is read. It asks for:
+ * - scope: the thread or message the action was used on (message action
+ *   only), the last N hours or days of the channel, everything since the
+ *   requester's last message there, or a date range
+ * - style: TL;DR, bullet points, decisions and action items, executive brief,
+ *   or an action item checklist instead of a summary (see action-items.js)
+ * - audience: who the summary is written for (optional)
+ * - visibility: only the requester (ephemeral), the thread or channel, or
+ *   the requester's App DM (preselected from their preferences)
+ *
+ * Where the modal was opened from travels in the view's private_metadata;
+ * submitting it runs the thread_summary job (processThreadSummary in index.js).
+ */
+
+import { createLogger } from './logging.js';
+import { loadPreferences } from './preferences.js';
+
+export const SUMMARY_MODAL_CALLBACK_ID = 'summary_options_modal';
+export const SUMMARIZE_COMMAND = '/airia-summarize';
+
+export const SUMMARY_SCOPES = ['thread', 'hours', 'days', 'since_last', 'range'];
+export const SUMMARY_VISIBILITY = ['ephemeral', 'thread', 'dm'];
+
+export const SUMMARY_STYLES = {
+  tldr: { label: 'TL;DR', instruction: 'Write it as a TL;DR of two or three sentences.' },
+  bullets: { label: 'Bullet points', instruction: 'Write it as a short list of bullet points.' },
+  decisions: {
+    label: 'Decisions and action items',
+    instruction: 'List only the decisions that were made and the action items, with their owners where known.'
+  },
+  executive: {
+    label: 'Executive brief',
+    instruction: 'Write it as an executive brief: context, key points, decisions, risks and next steps, in a few short paragraphs.'
+  },
+  // Not a summary: a checklist built from structured output (see action-items.js)
+  action_items: { label: 'Extract action items (checklist)', instruction: null }
+};
+
+export const ACTION_ITEMS_STYLE = 'action_items';
+
+const DEFAULT_STYLE = 'bullets';
+const DEFAULT_HOURS = '24';
+const MAX_DAYS = 90;
+const MAX_AUDIENCE_CHARS = 150;
+
+function option(value, label) {
+  return { text: { type: 'plain_text', text: label }, value };
+}
+
+function input(blockId, label, element, { optional = false, hint = null } = {}) {
+  return {
+    type: 'input',
+    block_id: blockId,
+    optional,
+    label: { type: 'plain_text', text: label },
+    element,
+    ...(hint ? { hint: { type: 'plain_text', text: hint } } : {})
+  };
+}
+
+/**
+ * Build the modal
+ * @param {Object} metadata - Where it was opened from: { channel, message, response_url, command, shortcut }
+ *   message is { ts, thread_ts } for the message action and null for the command
+ * @param {Object} prefs - Preferences of the requester (see preferences.js)
+ * @returns {Object} A modal view for views.open
+ */
+export function buildSummaryModal(metadata, prefs) {
+  const scopes = [
+    ...(metadata.message
+      ? [option('thread', metadata.message.thread_ts ? 'This thread' : 'This message and the messages around it')]
+      : []),
+    option('hours', 'The last N hours'),
+    option('days', 'The last N days'),
+    option('since_last', 'Since my last message'),
+    option('range', 'A date range')
+  ];
+  const styles = Object.entries(SUMMARY_STYLES).map(([value, style]) => option(value, style.label));
+  const visibility = [
+    option('ephemeral', 'Only me, right here'),
+    option('thread', metadata.message ? 'Everyone, in the thread' : 'Everyone, in the channel'),
+    option('dm', 'Me, in a direct message')
+  ];
+  const selectedVisibility = prefs.replyIn === 'dm' ? 'dm' : 'thread';
+
+  return {
+    type: 'modal',
+    callback_id: SUMMARY_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Summarize' },
+    submit: { type: 'plain_text', text: 'Summarize' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      input('summary_scope', 'What should I summarize?', {
+        type: 'radio_buttons',
+        action_id: 'scope',
+        options: scopes,
+        initial_option: scopes[0]
+      }),
+      input('summary_amount', 'Number of hours or days', {
+        type: 'number_input',
+        action_id: 'amount',
+        is_decimal_allowed: false,
+        min_value: '1',
+        ...(metadata.message ? {} : { initial_value: DEFAULT_HOURS })
+      }, { optional: true, hint: 'For "The last N hours" and "The last N days"' }),
+      input('summary_from', 'From', { type: 'datepicker', action_id: 'from' }, { optional: true, hint: 'For "A date range"' }),
+      input('summary_to', 'To', { type: 'datepicker', action_id: 'to' }, { optional: true, hint: 'For "A date range", including this day' }),
+      input('summary_style', 'Style', {
+        type: 'static_select',
+        action_id: 'style',
+        options: styles,
+        initial_option: styles.find(item => item.value === DEFAULT_STYLE)
+      }),
+      input('summary_audience', 'Audience', {
+        type: 'plain_text_input',
+        action_id: 'audience',
+        max_length: MAX_AUDIENCE_CHARS,
+        placeholder: { type: 'plain_text', text: 'e.g. engineering leads, new team members, customers' }
+      }, { optional: true }),
+      input('summary_visibility', 'Who should see the summary?', {
+        type: 'radio_buttons',
+        action_id: 'visibility',
+        options: visibility,
+        initial_option: visibility.find(item => item.value === selectedVisibility)
+      })
+    ]
+  };
+}
+
+/**
+ * Open the modal for a "Summarize" message action or an /airia-summarize command
+ */
+export async function openSummaryModal(payload, env) {
+  const log = createLogger(env, 'SUMMARY_MODAL');
+  const isCommand = Boolean(payload.command);
+  const userId = isCommand ? payload.user_id : payload.user && payload.user.id;
+  const message = !isCommand && payload.message
+    ? { ts: payload.message.ts || null, thread_ts: payload.message.thread_ts || null }
+    : null;
+  const metadata = {
+    channel: isCommand ? payload.channel_id : payload.channel && payload.channel.id,
+    message: message && message.ts ? message : null,
+    response_url: payload.response_url || null,
+    // The summary uses the pipeline routed to the command or message action (see pipelines.js)
+    command: payload.command || null,
+    shortcut: isCommand ? null : payload.callback_id || null
+  };
+
+  const view = buildSummaryModal(metadata, await loadPreferences(env, userId));
+  log.info('Opening summary modal', { user: userId, channel: metadata.channel, source: isCommand ? 'command' : 'message_action' });
+
+  const response = await fetch('https://slack.com/api/views.open', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.Slack_Bot_Token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ trigger_id: payload.trigger_id, view }),
+  });
+  const data = await response.json();
+  if (!data.ok) {
+    log.error('Failed to open summary modal', { slackError: data.error });
+  }
+}
+
+function stateValue(values, blockId, actionId) {
+  const state = values[blockId] && values[blockId][actionId];
+  if (!state) return null;
+  if (state.selected_option) return state.selected_option.value;
+  return state.value || state.selected_date || null;
+}
+
+/**
+ * Read the choices from a submitted modal
+ * @returns {{scope: string, amount: ?number, from: ?string, to: ?string, style: string, audience: ?string, visibility: string}}
+ */
+export function readSummaryOptions(view) {
+  const values = (view.state && view.state.values) || {};
+  const amount = parseInt(stateValue(values, 'summary_amount', 'amount'), 10);
+  const audience = (stateValue(values, 'summary_audience', 'audience') || '').trim();
+  const style = stateValue(values, 'summary_style', 'style');
+  const visibility = stateValue(values, 'summary_visibility', 'visibility');
+
+  return {
+    scope: stateValue(values, 'summary_scope', 'scope') || 'thread',
+    amount: Number.isFinite(amount) ? amount : null,
+    from: stateValue(values, 'summary_from', 'from'),
+    to: stateValue(values, 'summary_to', 'to'),
+    style: SUMMARY_STYLES[style] ? style : DEFAULT_STYLE,
+    audience: audience || null,
+    visibility: SUMMARY_VISIBILITY.includes(visibility) ? visibility : 'thread'
+  };
+}
+
+/**
+ * Check the choices before the modal closes
+ * @returns {?Object} Error text per block_id for a response_action "errors", or null when valid
+ */
+export function validateSummaryOptions(options) {
+  if (!SUMMARY_SCOPES.includes(options.scope)) {
+    return { summary_scope: 'Choose what to summarize.' };
+  }
+  if (options.scope === 'hours' || options.scope === 'days') {
+    const max = options.scope === 'hours' ? MAX_DAYS * 24 : MAX_DAYS;
+    if (!options.amount || options.amount < 1 || options.amount > max) {
+      return { summary_amount: `Enter a number of ${options.scope} between 1 and ${max}.` };
+    }
+  }
+  if (options.scope === 'range') {
+    if (!options.from) return { summary_from: 'Choose the first day.' };
+    if (!options.to) return { summary_to: 'Choose the last day.' };
+    if (options.from > options.to) return { summary_to: 'The last day must not be before the first day.' };
+  }
+  return null;
+}
+
+/**
+ * The time range of an hours, days or date range scope
+ * @param {Object} options - Options from readSummaryOptions
+ * @param {Object} [clock]
+ * @param {number} [clock.now] - Current time in milliseconds
+ * @param {number} [clock.tzOffsetSeconds] - The requester's UTC offset, so dates are their local days
+ * @returns {{oldest: string, latest: ?string}} Slack timestamps (seconds); latest is null for "until now"
+ */
+export function getSummaryRange(options, { now = Date.now(), tzOffsetSeconds = 0 } = {}) {
+  const seconds = ms => (ms / 1000).toFixed(6);
+  if (options.scope === 'hours') {
+    return { oldest: seconds(now - options.amount * 60 * 60 * 1000), latest: null };
+  }
+  if (options.scope === 'days') {
+    return { oldest: seconds(now - options.amount * 24 * 60 * 60 * 1000), latest: null };
+  }
+  // Local midnight of the first day to local midnight after the last day
+  const midnight = date => Date.parse(`${date}T00:00:00Z`) - tzOffsetSeconds * 1000;
+  return { oldest: seconds(midnight(options.from)), latest: seconds(midnight(options.to) + 24 * 60 * 60 * 1000) };
+}
+
+/**
+ * Describe a scope for the summary's title, e.g. "last 6 hours"
+ */
+export function describeSummaryScope(options) {
+  switch (options.scope) {
+    case 'hours': return `last ${options.amount === 1 ? 'hour' : `${options.amount} hours`}`;
+    case 'days': return `last ${options.amount === 1 ? 'day' : `${options.amount} days`}`;
+    case 'since_last': return 'since your last message';
+    case 'range': return options.from === options.to ? options.from : `${options.from} to ${options.to}`;
+    default: return null;
+  }
+}
+
+/**
+ * Add the style and audience instructions to the input sent to Airia
+ * @param {string} userInput - The summary input (see buildSummaryInput)
+ * @param {Object} options - Options from readSummaryOptions
+ * @returns {string}
+ */
+export function applySummaryOptions(userInput, options) {
+  const instructions = [];
+  if (options.style && SUMMARY_STYLES[options.style] && SUMMARY_STYLES[options.style].instruction) {
+    instructions.push(SUMMARY_STYLES[options.style].instruction);
+  }
+  if (options.audience) {
+    instructions.push(`Write it for this audience: ${options.audience}.`);
+  }
+  return instructions.length ? `${userInput}\n\n(${instructions.join(' ')})` : userInput;
+}
+
+/**
+ * What a thread_summary job summarizes, for whom and where
+ * Submissions of the modal carry their origin in private_metadata; message
+ * action payloads queued before the modal existed summarize the message's
+ * thread with the requester's preferences
+ * @returns {{channel: ?string, user: ?string, message: ?{ts: string, thread_ts: ?string}, responseUrl: ?string,
+ *   command: ?string, shortcut: ?string, options: Object}}
+ */
+export function readSummaryRequest(env, payload) {
+  if (payload.type === 'view_submission') {
+    let metadata = {};
+    try {
+      metadata = JSON.parse(payload.view.private_metadata || '{}');
+    } catch (err) {
+      createLogger(env, 'SUMMARY_MODAL').warn('Could not parse private_metadata', { error: err });
+    }
+    return {
+      channel: metadata.channel || null,
+      user: payload.user && payload.user.id,
+      message: metadata.message || null,
+      responseUrl: metadata.response_url || null,
+      command: metadata.command || null,
+      shortcut: metadata.shortcut || null,
+      options: readSummaryOptions(payload.view)
+    };
+  }
+
+  const message = payload.message || null;
+  return {
+    channel: (payload.channel && (payload.channel.id || payload.channel)) || (message && message.channel) || null,
+    user: (payload.user && (payload.user.id || payload.user)) || payload.user_id || null,
+    message: message && (message.ts || payload.message_ts)
+      ? { ts: message.ts || payload.message_ts, thread_ts: message.thread_ts || null }
+      : null,
+    responseUrl: payload.response_url || null,
+    command: null,
+    shortcut: payload.callback_id || null,
+    options: { scope: 'thread', amount: null, from: null, to: null, style: null, audience: null, visibility: null }
+  };
+}
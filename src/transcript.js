@@ -0,0 +1,203 @@
+/**
+ * Transcripts of Slack conversations for summaries
+ *
+ * Turns messages from conversations.replies or conversations.history into
+ * one line each, for example:
+ *
+ *   [2026-10-19 14:05 UTC] PagerDuty (bot): Triggered: API error rate above 5% [reactions: :eyes: 2]
+ *   [2026-10-19 14:07 UTC] Alice: @Bob can you look? #incidents (edited)
+ *
+ * The text of a message comes from its text, its Block Kit blocks (alerts
+ * from integrations often have no text of their own), its attachments and
+ * its files, with snippet previews. User, channel and user group mentions
+ * are resolved to names; lookups are cached in slack.js. Messages from apps
+ * and integrations are marked "(bot)".
+ *
+ * With `ids`, lines start with the message ts and name the author's and
+ * mentioned users' IDs, for output that has to point back at messages and
+ * people (see action-items.js).
+ */
+
+import { createLogger } from './logging.js';
+import { fetchUserNames, fetchChannelNames, fetchUserGroupHandles } from './slack.js';
+import { replaceSlackMarkup } from './input.js';
+
+const MAX_PREVIEW_CHARS = 500;
+const MARKUP_PATTERN = /<([@#!][^<>|]+)(?:\|[^<>]*)?>/g;
+
+function elementText(element) {
+  switch (element.type) {
+    case 'text': return element.text || '';
+    case 'user': return `<@${element.user_id}>`;
+    case 'channel': return `<#${element.channel_id}>`;
+    case 'usergroup': return `<!subteam^${element.usergroup_id}>`;
+    case 'broadcast': return `<!${element.range}>`;
+    case 'link': return element.text ? `<${element.url}|${element.text}>` : element.url;
+    case 'emoji': return `:${element.name}:`;
+    case 'date': return element.fallback || '';
+    default: return (element.elements || []).map(elementText).join('');
+  }
+}
+
+function richText(block) {
+  return (block.elements || []).map(section => {
+    const text = (section.elements || []).map(elementText).join('');
+    if (section.type === 'rich_text_list') return (section.elements || []).map(item => `• ${elementText(item)}`).join('\n');
+    if (section.type === 'rich_text_quote') return `> ${text}`;
+    return text;
+  }).join('\n');
+}
+
+function blockText(block) {
+  switch (block.type) {
+    case 'header': return block.text && block.text.text;
+    case 'section': return [block.text && block.text.text, ...(block.fields || []).map(field => field.text)].filter(Boolean).join('\n');
+    case 'context': return (block.elements || []).map(element => element.text).filter(Boolean).join(' ');
+    case 'markdown': return block.text;
+    case 'rich_text': return richText(block);
+    case 'image': return block.alt_text ? `[image: ${block.alt_text}]` : null;
+    default: return null;
+  }
+}
+
+function blocksText(blocks) {
+  return (blocks || []).map(blockText).filter(Boolean).join('\n');
+}
+
+function attachmentText(attachment) {
+  const title = attachment.title && attachment.title_link
+    ? `<${attachment.title_link}|${attachment.title}>`
+    : attachment.title;
+  const parts = [
+    attachment.pretext,
+    attachment.author_name,
+    title,
+    attachment.text,
+    ...(attachment.fields || []).map(field => (field.title ? `${field.title}: ${field.value}` : field.value)),
+    blocksText(attachment.blocks),
+    attachment.footer
+  ].filter(Boolean);
+  return parts.length ? parts.join('\n') : attachment.fallback || '';
+}
+
+function fileText(file) {
+  const name = file.title || file.name || 'file';
+  const type = file.pretty_type || file.filetype;
+  const preview = file.preview || file.plain_text;
+  const trimmed = preview && preview.length > MAX_PREVIEW_CHARS ? `${preview.slice(0, MAX_PREVIEW_CHARS)}...` : preview;
+  return `[file: ${name}${type ? ` (${type})` : ''}]${trimmed ? `\n${trimmed}` : ''}`;
+}
+
+/**
+ * Everything a message says, as raw Slack markup
+ * Block Kit text replaces the message text only for messages whose blocks are
+ * not just the rich text Slack adds to what people type
+ */
+export function messageText(msg) {
+  const blocks = msg.blocks || [];
+  const hasLayoutBlocks = blocks.some(block => block.type !== 'rich_text');
+  const body = (hasLayoutBlocks && blocksText(blocks)) || msg.text || (blocks.length ? blocksText(blocks) : '');
+  return [
+    body,
+    ...(msg.attachments || []).map(attachmentText),
+    ...(msg.files || []).map(fileText)
+  ].filter(Boolean).join('\n');
+}
+
+function isBotMessage(msg) {
+  return Boolean(msg.bot_id || msg.subtype === 'bot_message' || msg.bot_profile);
+}
+
+/**
+ * Timestamp of a message for the transcript, e.g. "2026-10-19 14:05 UTC"
+ */
+export function formatMessageTime(ts) {
+  const iso = new Date(parseFloat(ts) * 1000).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+function collectIds(texts) {
+  const ids = { users: new Set(), channels: new Set(), usergroups: new Set() };
+  for (const text of texts) {
+    for (const [, target] of text.matchAll(MARKUP_PATTERN)) {
+      if (target.startsWith('@')) ids.users.add(target.slice(1));
+      else if (target.startsWith('#')) ids.channels.add(target.slice(1));
+      else if (target.startsWith('!subteam^')) ids.usergroups.add(target.slice('!subteam^'.length));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Look up the names of everyone and everything a set of messages refers to
+ * @returns {Promise<{users: Object, channels: Object, usergroups: Object}>} ID to name maps
+ */
+export async function fetchTranscriptNames(env, messages, tag = 'SUMMARY') {
+  const ids = collectIds(messages.map(messageText));
+  for (const msg of messages) {
+    if (msg.user) ids.users.add(msg.user);
+  }
+
+  const [users, channels, usergroups] = await Promise.all([
+    fetchUserNames(env, [...ids.users], tag),
+    fetchChannelNames(env, [...ids.channels], tag),
+    // Only mentions without an inline label need the (workspace-wide) lookup
+    ids.usergroups.size ? fetchUserGroupHandles(env, tag) : {}
+  ]);
+  return { users, channels, usergroups };
+}
+
+/**
+ * One transcript line for a message
+ * @param {Object} msg - Slack message
+ * @param {Object} names - From fetchTranscriptNames
+ * @param {Object} [options]
+ * @param {boolean} [options.ids] - Start with the ts and name user IDs next to names
+ * @param {boolean} [options.highlight] - Mark the message the summary was asked for
+ * @returns {string}
+ */
+export function formatTranscriptLine(msg, names, { ids = false, highlight = false } = {}) {
+  const users = ids
+    ? Object.fromEntries(Object.entries(names.users).map(([id, name]) => [id, `${name} (${id})`]))
+    : names.users;
+
+  let author;
+  if (isBotMessage(msg)) {
+    author = `${(msg.bot_profile && msg.bot_profile.name) || msg.username || names.users[msg.user] || 'Bot'} (bot)`;
+  } else {
+    author = msg.user ? users[msg.user] || msg.user : msg.username || 'User';
+  }
+
+  const text = replaceSlackMarkup(messageText(msg), { users, channels: names.channels, usergroups: names.usergroups }) || '[no text]';
+
+  const extras = [];
+  if (msg.edited) extras.push('(edited)');
+  if (msg.reactions && msg.reactions.length) {
+    extras.push(`[reactions: ${msg.reactions.map(reaction => `:${reaction.name}: ${reaction.count}`).join(', ')}]`);
+  }
+
+  const prefix = ids ? `[${msg.ts}]` : `[${formatMessageTime(msg.ts)}]`;
+  const line = `${author}: ${text}${extras.length ? ` ${extras.join(' ')}` : ''}`;
+  return highlight ? `${prefix} >> ${line} <<` : `${prefix} ${line}`;
+}
+
+/**
+ * Build the transcript of a conversation
+ * @param {Object} env - Environment variables
+ * @param {Object[]} messages - Slack messages, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Log tag of the calling handler
+ * @param {?string} [options.highlightTs] - ts of the message to mark
+ * @param {boolean} [options.ids] - See formatTranscriptLine
+ * @returns {Promise<{lines: string[], names: Object}>} One line per message, and the names for later lines
+ */
+export async function buildTranscript(env, messages, { tag = 'SUMMARY', highlightTs = null, ids = false } = {}) {
+  let names = { users: {}, channels: {}, usergroups: {} };
+  try {
+    names = await fetchTranscriptNames(env, messages, tag);
+  } catch (err) {
+    createLogger(env, tag).warn('Could not look up names, using IDs', { error: err });
+  }
+  const lines = messages.map(msg => formatTranscriptLine(msg, names, { ids, highlight: Boolean(highlightTs) && msg.ts === highlightTs }));
+  return { lines, names };
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies, submitSummaryModal } from './helpers';
+import { getReminderTime } from '../src/action-items';
+
+const RESPONSE_URL = 'https://hooks.slack.com/actions/T1/1/action-items';
+
+const THREAD = [
+  { user: 'U1', text: 'The login outage is over. We roll back the cache change.', ts: '1700000000.000100', thread_ts: '1700000000.000100' },
+  { user: 'U2', text: 'I will write the postmortem by Friday', ts: '1700000000.000200', thread_ts: '1700000000.000100' },
+  { user: 'U1', text: '<@U3> can you add an alert for the error rate?', ts: '1700000000.000300', thread_ts: '1700000000.000100' }
+];
+
+const EXTRACTED = {
+  decisions: [{ decision: 'Roll back the cache change', source_ts: '1700000000.000100' }],
+  action_items: [
+    { task: 'Write the postmortem', owner: 'U2', due: '2026-10-23', source_ts: '1700000000.000200' },
+    { task: 'Add an error rate alert', owner: '<@U3>', due: 'Friday', source_ts: '1700000000.000300' },
+    { task: 'Tell the customers', owner: 'U9', due: null, source_ts: '1699999999.000000' }
+  ]
+};
+
+function interactive(payload) {
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded');
+}
+
+function checklistAction(triggerId, action, message = null) {
+  return interactive({
+    type: 'block_actions',
+    trigger_id: triggerId,
+    response_url: RESPONSE_URL,
+    team: { id: 'T1' },
+    user: { id: 'U1' },
+    channel: { id: 'C1' },
+    container: { type: 'message', channel_id: 'C1', message_ts: '1700000000.000900' },
+    message,
+    actions: [action]
+  });
+}
+
+function itemValue(item) {
+  return JSON.stringify({ task: 'Write the postmortem', owner: 'U2', due: null, link: 'https://example.slack.com/archives/C1/p1700000000000200', channel: 'C1', ...item });
+}
+
+describe('Action item checklist', () => {
+  let fetchSpy;
+  let airiaResult;
+
+  const airiaInputs = () => requestBodies(fetchSpy, testEnv.AIRIA_API_URL).map(body => body.userInput);
+
+  beforeEach(() => {
+    airiaResult = '```json\n' + JSON.stringify(EXTRACTED) + '\n```';
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: airiaResult, isBackupPipeline: false }));
+      }
+      if (target.includes('conversations.replies')) {
+        return new Response(JSON.stringify({ ok: true, messages: THREAD }));
+      }
+      if (target.includes('chat.getPermalink')) {
+        const ts = new URL(target).searchParams.get('message_ts');
+        return new Response(JSON.stringify({ ok: true, permalink: `https://example.slack.com/archives/C1/p${ts.replace('.', '')}` }));
+      }
+      if (target.includes('conversations.open')) {
+        return new Response(JSON.stringify({ ok: true, channel: { id: 'D2' } }));
+      }
+      if (target.includes('users.info')) {
+        const user = new URL(target).searchParams.get('user');
+        return new Response(JSON.stringify({ ok: true, user: { id: user, real_name: user === 'U1' ? 'Alice' : 'Bob', tz_offset: -7 * 60 * 60 } }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'C1', ts: '1700000000.000900' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('asks for structured items and renders them as a checklist', async () => {
+    await submitSummaryModal('trigger-items-thread', { message: { ts: '1700000000.000300', thread_ts: '1700000000.000100' } }, { style: 'action_items' });
+
+    const [input] = airiaInputs();
+    expect(input).toContain('Reply with only a JSON object');
+    expect(input).toContain('[1700000000.000200] Bob (U2): I will write the postmortem by Friday');
+
+    const [checklist] = requestBodies(fetchSpy, 'chat.update').slice(-1);
+    const section = id => checklist.blocks.find(block => block.block_id === id);
+    expect(JSON.stringify(checklist.blocks)).toContain('Roll back the cache change (<https://example.slack.com/archives/C1/p1700000000000100|source>)');
+    expect(section('action_item_0').text.text).toBe(
+      `*Write the postmortem*\n<@U2> · Due <!date^${Date.parse('2026-10-23T12:00:00Z') / 1000}^{date_short_pretty}|2026-10-23> · <https://example.slack.com/archives/C1/p1700000000000200|Source>`
+    );
+    expect(section('action_item_0').accessory.action_id).toBe('action_item_done');
+    expect(section('action_item_0_buttons').elements.map(button => button.action_id)).toEqual(['action_item_remind', 'action_item_dm']);
+    // A mentioned owner is kept; an invalid date, an owner who is not in the conversation and an unknown message are dropped
+    expect(section('action_item_1').text.text).toMatch(/^\*Add an error rate alert\*\n<@U3> · <https:/);
+    expect(section('action_item_2').text.text).toBe('*Tell the customers*\n_No owner_');
+    expect(section('action_item_2_buttons').elements.map(button => button.text.text)).toEqual(['Remind me']);
+  });
+
+  it('shows the answer as it is when it is not a list', async () => {
+    airiaResult = 'Nothing to do here, the thread is just chatter.';
+
+    await submitSummaryModal('trigger-items-unparsed', { message: { ts: '1700000000.000300', thread_ts: '1700000000.000100' } }, { style: 'action_items' });
+
+    const [checklist] = requestBodies(fetchSpy, 'chat.update').slice(-1);
+    expect(JSON.stringify(checklist.blocks)).toContain('could not be read as a list');
+    expect(JSON.stringify(checklist.blocks)).toContain('Nothing to do here');
+  });
+
+  it('schedules a reminder for the owner at 9:00 their time on the due date', async () => {
+    await checklistAction('trigger-items-remind', { action_id: 'action_item_remind', value: itemValue({ due: '2099-01-15' }) });
+
+    expect(requestBodies(fetchSpy, 'conversations.open')[0]).toEqual({ users: 'U2' });
+    const [scheduled] = requestBodies(fetchSpy, 'chat.scheduleMessage');
+    expect(scheduled).toMatchObject({ channel: 'D2', post_at: Date.parse('2099-01-15T16:00:00Z') / 1000 });
+    expect(scheduled.text).toContain('Reminder (from <@U1>): *Write the postmortem*');
+    expect(requestBodies(fetchSpy, RESPONSE_URL)[0].text).toContain('I\'ll remind <@U2>');
+  });
+
+  it('sends the item to its owner', async () => {
+    await checklistAction('trigger-items-dm', { action_id: 'action_item_dm', value: itemValue() });
+
+    const [dm] = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(dm.channel).toBe('U2');
+    expect(dm.text).toContain('<@U1> sent you an action item from <#C1>: *Write the postmortem*');
+    expect(requestBodies(fetchSpy, RESPONSE_URL)[0].text).toContain('Sent to <@U2>');
+  });
+
+  it('strikes an item through when it is checked', async () => {
+    const checkbox = { type: 'checkboxes', action_id: 'action_item_done', options: [{ text: { type: 'mrkdwn', text: 'Done' }, value: '0' }] };
+    const message = {
+      ts: '1700000000.000900',
+      text: 'Action items and decisions',
+      blocks: [{ type: 'section', block_id: 'action_item_0', text: { type: 'mrkdwn', text: '*Write the postmortem*\n<@U2>' }, accessory: checkbox }]
+    };
+
+    await checklistAction('trigger-items-done', { action_id: 'action_item_done', block_id: 'action_item_0', selected_options: checkbox.options }, message);
+
+    const [update] = requestBodies(fetchSpy, 'chat.update');
+    expect(update).toMatchObject({ channel: 'C1', ts: '1700000000.000900' });
+    expect(update.blocks[0].text.text).toBe('~*Write the postmortem*~\n<@U2> · Done by <@U1>');
+    expect(update.blocks[0].accessory.initial_options).toEqual(checkbox.options);
+  });
+
+  it('reminds the next morning when there is no due date', () => {
+    const now = Date.parse('2026-10-19T20:00:00Z');
+    // 13:00 in UTC-7: tomorrow at 9:00 local is 16:00 UTC
+    expect(getReminderTime(null, { now, tzOffsetSeconds: -7 * 60 * 60 })).toBe(Date.parse('2026-10-20T16:00:00Z') / 1000);
+    // A due date that has passed gets the next morning too
+    expect(getReminderTime('2026-10-01', { now, tzOffsetSeconds: 0 })).toBe(Date.parse('2026-10-20T09:00:00Z') / 1000);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { testEnv } from './helpers';
+import { mockAiria } from './mock-airia';
+import { callAiria, parseAiriaResponse, AiriaError } from '../src/airia';
+
+// Fast retries; every test uses its own URLs so circuit state does not leak between them
+const env = { ...testEnv, AIRIA_RETRY_BASE_MS: '1', AIRIA_MAX_RETRIES: '2', AIRIA_CIRCUIT_THRESHOLD: '2' };
+
+function pipeline(name, secondaryUrl = null) {
+  return {
+    name,
+    url: `https://airia.example.com/${name}`,
+    apiKey: 'primary-key',
+    secondary: secondaryUrl ? { url: secondaryUrl, apiKey: 'secondary-key' } : null
+  };
+}
+
+describe('Airia response validation', () => {
+  it('normalizes result and isBackupPipeline', () => {
+    expect(parseAiriaResponse('{"result":"Hi","isBackupPipeline":"true"}')).toEqual({ result: 'Hi', isBackupPipeline: true });
+    expect(parseAiriaResponse('{"answer":"Hi"}')).toEqual({ result: 'Hi', isBackupPipeline: false });
+    expect(parseAiriaResponse('plain text answer')).toEqual({ result: 'plain text answer', isBackupPipeline: false });
+  });
+
+  it('rejects empty responses and responses without a result', () => {
+    expect(() => parseAiriaResponse('')).toThrow(AiriaError);
+    expect(() => parseAiriaResponse('{"status":"done"}')).toThrow('missing the "result" field');
+  });
+});
+
+describe('Airia client', () => {
+  let airia;
+
+  afterEach(() => {
+    airia.restore();
+  });
+
+  it('retries 5xx and 429 responses with backoff', async () => {
+    const target = pipeline('retry');
+    airia = mockAiria({
+      [target.url]: [{ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } }, { body: { result: 'Recovered' } }]
+    });
+
+    const answer = await callAiria(env, target, 'hello');
+
+    expect(answer).toMatchObject({ result: 'Recovered', isBackupPipeline: false, pipeline: 'retry', failedOver: false });
+    expect(airia.requests).toHaveLength(3);
+    expect(airia.requests[0]).toMatchObject({ apiKey: 'primary-key', body: { userInput: 'hello', asyncOutput: false } });
+  });
+
+  it('does not retry client errors', async () => {
+    const target = pipeline('bad-request');
+    airia = mockAiria({ [target.url]: [{ status: 400 }] });
+
+    await expect(callAiria(env, target, 'hello')).rejects.toMatchObject({ status: 400, code: 'http_error' });
+    expect(airia.requests).toHaveLength(1);
+  });
+
+  it('times out slow attempts', async () => {
+    const target = pipeline('slow');
+    airia = mockAiria({
+      [target.url]: [(init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      })]
+    });
+
+    await expect(callAiria({ ...env, AIRIA_TIMEOUT_MS: '20', AIRIA_MAX_RETRIES: '0' }, target, 'hello'))
+      .rejects.toMatchObject({ code: 'timeout' });
+  });
+
+  it('fails over to the secondary URL and skips the primary while its circuit is open', async () => {
+    const secondaryUrl = 'https://airia-secondary.example.com/failover';
+    const target = pipeline('failover', secondaryUrl);
+    airia = mockAiria({
+      [target.url]: [{ status: 500 }],
+      [secondaryUrl]: [{ body: { result: 'From secondary', isBackupPipeline: true } }]
+    });
+
+    const first = await callAiria(env, target, 'one');
+    expect(first).toMatchObject({ result: 'From secondary', isBackupPipeline: true, failedOver: true, url: secondaryUrl });
+    expect(airia.requests.filter(request => request.url === target.url)).toHaveLength(3);
+    expect(airia.requests.find(request => request.url === secondaryUrl).apiKey).toBe('secondary-key');
+
+    // The second failed call opens the circuit, so the third goes straight to the secondary
+    await callAiria(env, target, 'two');
+    const primaryCalls = airia.requests.filter(request => request.url === target.url).length;
+    await callAiria(env, target, 'three');
+    expect(airia.requests.filter(request => request.url === target.url)).toHaveLength(primaryCalls);
+  });
+
+  it('reports invalid responses without failing over', async () => {
+    const secondaryUrl = 'https://airia-secondary.example.com/invalid';
+    const target = pipeline('invalid', secondaryUrl);
+    airia = mockAiria({ [target.url]: [{ body: { status: 'done' } }], [secondaryUrl]: [{ body: { result: 'unused' } }] });
+
+    await expect(callAiria(env, target, 'hello')).rejects.toMatchObject({ code: 'invalid_response' });
+    expect(airia.requests.map(request => request.url)).toEqual([target.url]);
+  });
+});
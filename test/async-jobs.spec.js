@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { testEnv, deliver, requestBodies } from './helpers';
+import worker from '../src';
+
+const STATUS_URL = 'https://airia.example.com/status/';
+
+// Airia answers the asyncOutput submission and status requests from per-URL queues
+function mockSlackAndAiria(submission, statuses = {}) {
+  const queues = Object.fromEntries(Object.entries(statuses).map(([id, list]) => [id, [...list]]));
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+    const target = String(url);
+    if (target === testEnv.AIRIA_API_URL) {
+      return new Response(JSON.stringify(submission));
+    }
+    if (target.startsWith(STATUS_URL)) {
+      const queue = queues[target.slice(STATUS_URL.length)];
+      return new Response(JSON.stringify(queue.length > 1 ? queue.shift() : queue[0]));
+    }
+    return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+  });
+}
+
+function askInDm(eventId, overrides, text = 'Run the quarterly report') {
+  return deliver(JSON.stringify({
+    type: 'event_callback',
+    event_id: eventId,
+    event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text, ts: '1700000000.000100' }
+  }), 'application/json', null, overrides);
+}
+
+async function runCron(env) {
+  const ctx = createExecutionContext();
+  await worker.scheduled({ cron: '* * * * *', scheduledTime: Date.now() }, env, ctx);
+  await waitOnExecutionContext(ctx);
+}
+
+async function storedJobs() {
+  const { keys } = await testEnv.BOT_STATE.list({ prefix: 'airia-job:' });
+  return Promise.all(keys.map(({ name }) => testEnv.BOT_STATE.get(name, 'json')));
+}
+
+describe('Long-running Airia executions', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = null;
+  });
+
+  afterEach(() => {
+    if (fetchSpy) fetchSpy.mockRestore();
+  });
+
+  it('polls a pending execution and replaces the placeholder with the answer', async () => {
+    const overrides = { AIRIA_ASYNC_OUTPUT: 'true', AIRIA_ASYNC_STATUS_URL: `${STATUS_URL}{executionId}` };
+    const env = { ...testEnv, ...overrides };
+    fetchSpy = mockSlackAndAiria({ executionId: 'exec-poll', status: 'Pending' }, {
+      'exec-poll': [{ executionId: 'exec-poll', status: 'Running' }, { executionId: 'exec-poll', status: 'Completed', result: 'The report is ready' }]
+    });
+
+    await askInDm('Ev-async-poll', overrides);
+
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)[0]).toMatchObject({ asyncOutput: true });
+    const [job] = (await storedJobs()).filter(stored => stored.executionId === 'exec-poll');
+    expect(job).toMatchObject({ status: 'pending', statusUrl: `${STATUS_URL}exec-poll`, pipeline: 'default' });
+    expect(job).not.toHaveProperty('apiKey');
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).toContain('Waiting for the pipeline to start');
+
+    await runCron(env);
+    expect((await testEnv.BOT_STATE.get(`airia-job:${job.id}`, 'json')).status).toBe('running');
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).toContain('The pipeline is working on it');
+
+    await runCron(env);
+    const answer = requestBodies(fetchSpy, 'chat.update').pop();
+    expect(answer.ts).toBe('1700000000.000500');
+    expect(answer.text).toContain('The report is ready');
+    expect((await testEnv.BOT_STATE.get(`airia-job:${job.id}`, 'json')).status).toBe('complete');
+    expect(await testEnv.BOT_STATE.get('conversation:dm:D1', 'json')).toBeTruthy();
+
+    // A finished job is not delivered twice
+    const updates = requestBodies(fetchSpy, 'chat.update').length;
+    await runCron(env);
+    expect(requestBodies(fetchSpy, 'chat.update')).toHaveLength(updates);
+  });
+
+  it('accepts the callback for a job only with its token', async () => {
+    const overrides = { AIRIA_ASYNC_OUTPUT: 'true', AIRIA_CALLBACK_BASE_URL: 'https://bot.example.com/' };
+    fetchSpy = mockSlackAndAiria({ executionId: 'exec-callback', status: 'running' });
+
+    await askInDm('Ev-async-callback', overrides);
+
+    const { callbackUrl } = requestBodies(fetchSpy, testEnv.AIRIA_API_URL)[0];
+    expect(callbackUrl).toMatch(/^https:\/\/bot\.example\.com\/airia\/callback\/[\w-]+\?token=[\w-]+$/);
+
+    const finished = JSON.stringify({ executionId: 'exec-callback', status: 'complete', result: 'Delivered by callback' });
+    const callback = async (url) => {
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(new Request(url, { method: 'POST', body: finished }), { ...testEnv, ...overrides }, ctx);
+      await waitOnExecutionContext(ctx);
+      return response;
+    };
+
+    const rejected = await callback(callbackUrl.replace(/token=.*/, 'token=wrong'));
+    expect(rejected.status).toBe(404);
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).not.toContain('Delivered by callback');
+
+    const accepted = await callback(callbackUrl);
+    expect(accepted.status).toBe(200);
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).toContain('Delivered by callback');
+  });
+
+  it('shows a failed execution in the placeholder', async () => {
+    const overrides = { AIRIA_ASYNC_OUTPUT: 'true', AIRIA_ASYNC_STATUS_URL: `${STATUS_URL}{executionId}` };
+    fetchSpy = mockSlackAndAiria({ executionId: 'exec-failed', status: 'queued' }, {
+      'exec-failed': [{ executionId: 'exec-failed', status: 'Failed', error: 'Data source unavailable' }]
+    });
+
+    await askInDm('Ev-async-failed', overrides);
+    await runCron({ ...testEnv, ...overrides });
+
+    const error = requestBodies(fetchSpy, 'chat.update').pop();
+    expect(error.text).toContain(':warning:');
+    expect(error.text).toContain('Data source unavailable');
+  });
+
+  it('restores redacted values in an answer delivered later', async () => {
+    const overrides = { AIRIA_ASYNC_OUTPUT: 'true', AIRIA_ASYNC_STATUS_URL: `${STATUS_URL}{executionId}` };
+    fetchSpy = mockSlackAndAiria({ executionId: 'exec-redacted', status: 'Pending' }, {
+      'exec-redacted': [{ executionId: 'exec-redacted', status: 'Completed', result: 'I sent the report to [EMAIL_1]' }]
+    });
+
+    await askInDm('Ev-async-redacted', overrides, 'Send the quarterly report to jane.doe@example.com');
+
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)[0].userInput).not.toContain('jane.doe@example.com');
+    const [job] = (await storedJobs()).filter(stored => stored.executionId === 'exec-redacted');
+    expect(job.redaction).toEqual({ '[EMAIL_1]': 'jane.doe@example.com' });
+
+    await runCron({ ...testEnv, ...overrides });
+
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).toContain('I sent the report to jane.doe@example.com');
+    // The mapping is not kept once the answer is delivered
+    expect((await testEnv.BOT_STATE.get(`airia-job:${job.id}`, 'json')).redaction).toBeNull();
+  });
+});
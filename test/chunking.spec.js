@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, requestBodies } from './helpers';
+import { splitMarkdown } from '../src/chunking';
+import { buildAnswerMessages } from '../src/render';
+import { postAnswer } from '../src/answers';
+
+describe('Splitting long answers', () => {
+  it('keeps short answers in one part', () => {
+    expect(splitMarkdown('short', 100)).toEqual(['short']);
+  });
+
+  it('splits on paragraph boundaries', () => {
+    const paragraphs = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+    expect(splitMarkdown(paragraphs.join('\n\n'), 90)).toEqual([`${paragraphs[0]}\n\n${paragraphs[1]}`, paragraphs[2]]);
+  });
+
+  it('closes and reopens code fences that span parts', () => {
+    const code = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+    const parts = splitMarkdown('Intro\n\n```python\n' + code + '\n```', 80);
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts.slice(1)) {
+      expect(part.startsWith('```python\n')).toBe(true);
+      expect(part.endsWith('\n```')).toBe(true);
+    }
+    expect(parts.every(part => part.length <= 80)).toBe(true);
+  });
+
+  it('re-balances bold text cut in the middle of a paragraph', () => {
+    const parts = splitMarkdown(`**${'word '.repeat(30)}end**`, 60);
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(part.split('**').length % 2).toBe(1);
+    }
+  });
+
+  it('numbers the parts and keeps the question on the first one', () => {
+    const messages = buildAnswerMessages({ question: 'q?', result: `${'x'.repeat(50)}\n\n${'y'.repeat(50)}`, isBackupPipeline: true }, 60);
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0].text).toContain('You asked: "q?"');
+    expect(messages[0].text).toContain('_Part 1 of 2_');
+    expect(messages[1].text).not.toContain('You asked');
+    expect(messages[1].text).toContain('Is Backup Pipeline: Yes');
+  });
+});
+
+describe('Posting long answers', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(JSON.stringify({ ok: true, ts: '1.1' })));
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  const longAnswer = Array.from({ length: 6 }, (_, i) => `Paragraph ${i} ${'z'.repeat(40)}`).join('\n\n');
+
+  it('posts every part in order in the same thread', async () => {
+    await postAnswer({ ...testEnv, MESSAGE_CHUNK_CHARS: '60', MAX_MESSAGE_PARTS: '10' }, { channel: 'C1', thread_ts: '100.1', result: longAnswer });
+
+    const posts = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(posts).toHaveLength(6);
+    expect(posts.every(post => post.thread_ts === '100.1')).toBe(true);
+    expect(posts[0].text).toContain('Paragraph 0');
+    expect(posts[5].text).toContain('Part 6 of 6');
+  });
+
+  it('offers a file upload instead of posting too many parts', async () => {
+    await postAnswer({ ...testEnv, MESSAGE_CHUNK_CHARS: '60', MAX_MESSAGE_PARTS: '3' }, { channel: 'C1', result: longAnswer });
+
+    const posts = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(posts).toHaveLength(2);
+    const button = posts[1].blocks[1].elements[0];
+    expect(button.action_id).toBe('upload_full_response');
+
+    const stored = await testEnv.BOT_STATE.get(`response:${button.value}`, 'json');
+    expect(stored.result).toBe(longAnswer);
+  });
+});
@@ -0,0 +1,53 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import {
+  getConversationKey,
+  isResetCommand,
+  loadConversation,
+  saveConversationTurn,
+  resetConversation,
+  buildConversationInput
+} from '../src/conversation';
+
+describe('Conversation memory', () => {
+  it('keys DMs by channel and mentions by thread', () => {
+    expect(getConversationKey({ channel: 'D123', channel_type: 'im', ts: '1.1' })).toBe('conversation:dm:D123');
+    expect(getConversationKey({ channel: 'C123', ts: '1.1' })).toBe('conversation:thread:C123:1.1');
+    expect(getConversationKey({ channel: 'C123', ts: '2.2', thread_ts: '1.1' })).toBe('conversation:thread:C123:1.1');
+  });
+
+  it('recognizes reset phrases, including after a bot mention', () => {
+    expect(isResetCommand('new topic')).toBe(true);
+    expect(isResetCommand('<@U999> New Topic!')).toBe(true);
+    expect(isResetCommand('what is a new topic?')).toBe(false);
+  });
+
+  it('stores a bounded window of turns and can reset it', async () => {
+    const testEnv = { ...env, CONVERSATION_MAX_TURNS: '2' };
+    const key = 'conversation:dm:DTEST';
+
+    await saveConversationTurn(testEnv, key, 'q1', 'a1');
+    await saveConversationTurn(testEnv, key, 'q2', 'a2');
+    await saveConversationTurn(testEnv, key, 'q3', 'a3');
+
+    const turns = await loadConversation(testEnv, key);
+    expect(turns.map(t => t.user)).toEqual(['q2', 'q3']);
+
+    await resetConversation(testEnv, key);
+    expect(await loadConversation(testEnv, key)).toEqual([]);
+  });
+
+  it('replays recent history within the character budget', () => {
+    const turns = [
+      { user: 'old question', assistant: 'x'.repeat(100) },
+      { user: 'what about 2023?', assistant: 'Revenue grew 10%.' }
+    ];
+
+    expect(buildConversationInput([], 'hello')).toBe('hello');
+
+    const input = buildConversationInput(turns, 'and last year?', { CONVERSATION_MAX_CHARS: '80' });
+    expect(input).toContain('User: what about 2023?\nAssistant: Revenue grew 10%.');
+    expect(input).not.toContain('old question');
+    expect(input.endsWith('Current question: and last year?')).toBe(true);
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { testEnv, deliver, requestBodies } from './helpers';
+import { parseDigestCommand, getNextDigestRun } from '../src/digests';
+import worker from '../src';
+
+const RESPONSE_URL = 'https://hooks.slack.com/commands/T1/digest';
+
+const HISTORY = [
+  { user: 'U1', text: 'Release 4.2 is out', ts: '1700000000.000100' },
+  { user: 'U2', text: 'Who owns the flaky checkout test?', ts: '1700000000.000200', thread_ts: '1700000000.000200', reply_count: 2 },
+  { user: 'U1', text: 'Lunch at noon', ts: '1700000000.000300' }
+];
+
+const REPLIES = [
+  HISTORY[1],
+  { user: 'U1', text: 'I will take it', ts: '1700000000.000400', thread_ts: '1700000000.000200' },
+  { user: 'U2', text: 'Thanks!', ts: '1700000000.000500', thread_ts: '1700000000.000200' }
+];
+
+function digestCommand(id, text, { channel = 'C1', user = 'U1', overrides = {} } = {}) {
+  return deliver(new URLSearchParams({
+    command: '/airia-digest',
+    text,
+    user_id: user,
+    channel_id: channel,
+    team_id: 'T1',
+    trigger_id: `trigger-digest-${id}`,
+    response_url: `${RESPONSE_URL}-${id}`
+  }).toString(), 'application/x-www-form-urlencoded', null, overrides);
+}
+
+async function runCron(scheduledTime = Date.now(), overrides = {}) {
+  const ctx = createExecutionContext();
+  await worker.scheduled({ cron: '* * * * *', scheduledTime }, { ...testEnv, ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+}
+
+describe('Digest commands', () => {
+  it('reads schedules, defaulting to 9:00 and Monday', () => {
+    expect(parseDigestCommand('daily 9am')).toEqual({ action: 'subscribe', frequency: 'daily', weekday: null, hour: 9, minute: 0, timeZone: null });
+    expect(parseDigestCommand('weekly Fri 4:30 pm Europe/Berlin')).toEqual({ action: 'subscribe', frequency: 'weekly', weekday: 5, hour: 16, minute: 30, timeZone: 'Europe/Berlin' });
+    expect(parseDigestCommand('weekly')).toMatchObject({ weekday: 1, hour: 9, minute: 0 });
+    expect(parseDigestCommand('cancel weekly')).toEqual({ action: 'cancel', frequency: 'weekly' });
+    expect(parseDigestCommand('cancel')).toEqual({ action: 'cancel', frequency: null });
+    expect(parseDigestCommand('')).toEqual({ action: 'help' });
+    expect(parseDigestCommand('daily 25:00').error).toContain('"25:00"');
+    expect(parseDigestCommand('daily 9am Mars/Olympus').error).toContain('not a time zone');
+  });
+
+  it('schedules in the subscription\'s time zone across daylight saving changes', () => {
+    const newYork = { frequency: 'daily', weekday: null, hour: 9, minute: 0, timeZone: 'America/New_York' };
+    // Saturday 10:00 EST; clocks go forward on Sunday, so 9:00 is 13:00 UTC
+    expect(getNextDigestRun(newYork, Date.parse('2026-03-07T15:00:00Z'))).toBe(Date.parse('2026-03-08T13:00:00Z'));
+
+    const berlin = { frequency: 'weekly', weekday: 5, hour: 16, minute: 0, timeZone: 'Europe/Berlin' };
+    expect(getNextDigestRun(berlin, Date.parse('2026-10-19T10:00:00Z'))).toBe(Date.parse('2026-10-23T14:00:00Z'));
+    // The Friday after clocks go back is at UTC+1
+    expect(getNextDigestRun(berlin, Date.parse('2026-10-23T14:00:00Z'))).toBe(Date.parse('2026-10-30T15:00:00Z'));
+  });
+});
+
+describe('Digest subscriptions', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.includes('users.info')) {
+        return new Response(JSON.stringify({ ok: true, user: { id: 'U1', real_name: 'Alice', tz: 'America/Los_Angeles' } }));
+      }
+      if (target.includes('conversations.info')) {
+        const channel = new URL(target).searchParams.get('channel');
+        return new Response(JSON.stringify({ ok: true, channel: { id: channel, is_member: channel === 'CSUB' } }));
+      }
+      return new Response(JSON.stringify({ ok: true }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('subscribes with the requester\'s time zone, lists and cancels', async () => {
+    await digestCommand('subscribe', 'weekly friday 4pm', { channel: 'CSUB' });
+
+    const stored = await testEnv.BOT_STATE.get('digest:CSUB:weekly', 'json');
+    expect(stored).toMatchObject({ channel: 'CSUB', frequency: 'weekly', weekday: 5, hour: 16, minute: 0, timeZone: 'America/Los_Angeles', createdBy: 'U1' });
+    expect(stored.team.teamId).toBe('T1');
+    expect(stored.nextRunAt).toBe(getNextDigestRun(stored, stored.createdAt));
+    const [confirmation] = requestBodies(fetchSpy, `${RESPONSE_URL}-subscribe`);
+    expect(confirmation.response_type).toBe('in_channel');
+    expect(confirmation.text).toContain('Weekly on Friday at 16:00 (America/Los_Angeles)');
+
+    await digestCommand('list', 'list', { channel: 'CSUB' });
+    const [listing] = requestBodies(fetchSpy, `${RESPONSE_URL}-list`);
+    expect(listing.response_type).toBe('ephemeral');
+    expect(listing.text).toContain(`Next: <!date^${Math.floor(stored.nextRunAt / 1000)}^`);
+
+    await digestCommand('cancel', 'cancel', { channel: 'CSUB' });
+    expect(await testEnv.BOT_STATE.get('digest:CSUB:weekly')).toBeNull();
+    expect(requestBodies(fetchSpy, `${RESPONSE_URL}-cancel`)[0].text).toContain('stopped this channel\'s weekly digest');
+  });
+
+  it('refuses channels the bot is not in, unless the access policy lets it join', async () => {
+    await digestCommand('outside', 'daily 9am', { channel: 'COUT' });
+
+    expect(await testEnv.BOT_STATE.get('digest:COUT:daily')).toBeNull();
+    const [refusal] = requestBodies(fetchSpy, `${RESPONSE_URL}-outside`);
+    expect(refusal.response_type).toBe('ephemeral');
+    expect(refusal.text).toContain('not a member of this channel');
+    expect(requestBodies(fetchSpy, 'conversations.join')).toHaveLength(0);
+
+    await digestCommand('join', 'daily 9am', { channel: 'COUT', overrides: { ACCESS_POLICY: JSON.stringify({ joinChannels: ['COUT'] }) } });
+
+    expect(requestBodies(fetchSpy, 'conversations.join')).toEqual([{ channel: 'COUT' }]);
+    expect(await testEnv.BOT_STATE.get('digest:COUT:daily', 'json')).toMatchObject({ channel: 'COUT', frequency: 'daily' });
+    expect(requestBodies(fetchSpy, `${RESPONSE_URL}-join`)[0].response_type).toBe('in_channel');
+  });
+});
+
+describe('Scheduled digests', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Release 4.2 shipped. Alice took the flaky checkout test.', isBackupPipeline: false }));
+      }
+      if (target.includes('conversations.history')) {
+        return new Response(JSON.stringify({ ok: true, messages: [...HISTORY].reverse() }));
+      }
+      if (target.includes('conversations.replies')) {
+        return new Response(JSON.stringify({ ok: true, messages: REPLIES }));
+      }
+      if (target.includes('chat.getPermalink')) {
+        const ts = new URL(target).searchParams.get('message_ts');
+        return new Response(JSON.stringify({ ok: true, permalink: `https://example.slack.com/archives/CDIG/p${ts.replace('.', '')}` }));
+      }
+      if (target.includes('users.info')) {
+        const user = new URL(target).searchParams.get('user');
+        return new Response(JSON.stringify({ ok: true, user: { id: user, real_name: user === 'U1' ? 'Alice' : 'Bob' } }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'CDIG', ts: '1700000000.000900' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('posts a due digest once with its busiest threads, and schedules the next', async () => {
+    const now = Date.now();
+    const due = now - 60 * 1000;
+    const subscription = { channel: 'CDIG', frequency: 'daily', weekday: null, hour: 9, minute: 0, timeZone: 'UTC', team: { teamId: 'T1' }, createdBy: 'U1', lastRunAt: null, nextRunAt: due };
+    await testEnv.BOT_STATE.put('digest:CDIG:daily', JSON.stringify(subscription), { metadata: { nextRunAt: due } });
+
+    await runCron(now);
+    await runCron(now);
+
+    const history = fetchSpy.mock.calls.map(([url]) => String(url)).filter(url => url.includes('conversations.history'));
+    expect(history).toHaveLength(1);
+    const params = new URL(history[0]).searchParams;
+    expect(params.get('oldest')).toBe(((due - 24 * 60 * 60 * 1000) / 1000).toFixed(6));
+    expect(params.get('latest')).toBe((due / 1000).toFixed(6));
+
+    const [input] = requestBodies(fetchSpy, testEnv.AIRIA_API_URL).map(body => body.userInput);
+    expect(input).toContain('digest of this channel\'s last day');
+    expect(input).toContain('Bob: Who owns the flaky checkout test?\n↳ [2023-11-14 22:13 UTC] Alice: I will take it');
+
+    const posts = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(posts).toHaveLength(1);
+    expect(posts[0].channel).toBe('CDIG');
+    expect(posts[0].text).toContain('*Busiest threads*\n• <https://example.slack.com/archives/CDIG/p1700000000000200|Who owns the flaky checkout test?> (2 replies)');
+    expect(posts[0].text).toContain('Release 4.2 shipped');
+
+    const stored = await testEnv.BOT_STATE.get('digest:CDIG:daily', 'json');
+    expect(stored.lastRunAt).toBe(due);
+    expect(stored.nextRunAt).toBe(getNextDigestRun(subscription, now));
+  });
+
+  it('posts at most DIGEST_MAX_PER_RUN digests per run and leaves the rest for the next', async () => {
+    const now = Date.now();
+    const due = now - 60 * 1000;
+    for (const channel of ['CDIG1', 'CDIG2', 'CDIG3']) {
+      const subscription = { channel, frequency: 'daily', weekday: null, hour: 9, minute: 0, timeZone: 'UTC', team: { teamId: 'T1' }, createdBy: 'U1', lastRunAt: null, nextRunAt: due };
+      await testEnv.BOT_STATE.put(`digest:${channel}:daily`, JSON.stringify(subscription), { metadata: { nextRunAt: due } });
+    }
+
+    await runCron(now, { DIGEST_MAX_PER_RUN: '2' });
+    expect(requestBodies(fetchSpy, 'chat.postMessage').map(body => body.channel)).toEqual(['CDIG1', 'CDIG2']);
+    expect((await testEnv.BOT_STATE.get('digest:CDIG3:daily', 'json')).nextRunAt).toBe(due);
+
+    await runCron(now + 60 * 1000, { DIGEST_MAX_PER_RUN: '2' });
+    expect(requestBodies(fetchSpy, 'chat.postMessage').map(body => body.channel)).toEqual(['CDIG1', 'CDIG2', 'CDIG3']);
+  });
+
+  it('keeps a failed digest due for the next runs, then skips it and tells the subscriber', async () => {
+    const now = Date.now();
+    const due = now - 60 * 1000;
+    const subscription = { channel: 'CFAIL', frequency: 'daily', weekday: null, hour: 9, minute: 0, timeZone: 'UTC', team: { teamId: 'T1' }, createdBy: 'U1', lastRunAt: null, nextRunAt: due };
+    await testEnv.BOT_STATE.put('digest:CFAIL:daily', JSON.stringify(subscription), { metadata: { nextRunAt: due } });
+    const slack = fetchSpy.getMockImplementation();
+    fetchSpy.mockImplementation(async (url, init) => (String(url).startsWith(testEnv.AIRIA_API_URL)
+      ? new Response('Service Unavailable', { status: 503 })
+      : slack(url, init)));
+
+    await runCron(now, { DIGEST_MAX_ATTEMPTS: '2' });
+    expect(await testEnv.BOT_STATE.get('digest:CFAIL:daily', 'json')).toMatchObject({ nextRunAt: due, lastRunAt: null, failedAttempts: 1 });
+    expect(requestBodies(fetchSpy, 'chat.postMessage')).toHaveLength(0);
+
+    await runCron(now + 60 * 1000, { DIGEST_MAX_ATTEMPTS: '2' });
+    const history = fetchSpy.mock.calls.map(([url]) => String(url)).filter(url => url.includes('conversations.history'));
+    expect(history).toHaveLength(2);
+    const stored = await testEnv.BOT_STATE.get('digest:CFAIL:daily', 'json');
+    expect(stored.nextRunAt).toBe(getNextDigestRun(subscription, now + 60 * 1000));
+    expect(stored.lastRunAt).toBe(due - 24 * 60 * 60 * 1000);
+    const [notice] = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(notice.channel).toBe('U1');
+    expect(notice.text).toContain('couldn\'t post the daily digest of <#CFAIL>');
+  });
+});
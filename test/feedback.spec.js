@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+
+const RESPONSE_URL = 'https://hooks.slack.com/actions/T1/1/feedback';
+
+function interactive(payload) {
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded');
+}
+
+function buttonClick(actionId, answerId, triggerId) {
+  return interactive({
+    type: 'block_actions',
+    trigger_id: triggerId,
+    response_url: RESPONSE_URL,
+    user: { id: 'U2' },
+    channel: { id: 'D1' },
+    message: { ts: '1700000000.000500' },
+    actions: [{ action_id: actionId, value: answerId }]
+  });
+}
+
+describe('Answer feedback', () => {
+  let fetchSpy;
+  let airiaCalls;
+
+  beforeEach(() => {
+    airiaCalls = 0;
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        airiaCalls++;
+        return new Response(JSON.stringify({ result: `Answer ${airiaCalls}`, isBackupPipeline: airiaCalls > 1 }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  async function askInDm(eventId) {
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: eventId,
+      event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'What is our refund policy?', ts: '1700000000.000100' }
+    }));
+    const [answer] = requestBodies(fetchSpy, 'chat.update');
+    return answer.blocks.find(block => block.type === 'actions').elements;
+  }
+
+  it('adds helpful, not helpful and Regenerate buttons to answers', async () => {
+    const buttons = await askInDm('Ev-feedback-buttons');
+
+    expect(buttons.map(button => button.action_id)).toEqual(['feedback_helpful', 'feedback_not_helpful', 'regenerate_answer']);
+    const record = await testEnv.BOT_STATE.get(`answer:${buttons[0].value}`, 'json');
+    expect(record).toMatchObject({
+      prompt: 'What is our refund policy?',
+      pipeline: 'default',
+      pipelineUrl: testEnv.AIRIA_API_URL,
+      isBackupPipeline: false,
+      surface: 'dm'
+    });
+  });
+
+  it('stores a helpful rating with the prompt and pipeline', async () => {
+    const [helpful] = await askInDm('Ev-feedback-helpful');
+
+    await buttonClick('feedback_helpful', helpful.value, 'trigger-helpful');
+
+    const rating = await testEnv.BOT_STATE.get(`feedback:${helpful.value}:U2`, 'json');
+    expect(rating).toMatchObject({
+      rating: 'helpful',
+      prompt: 'What is our refund policy?',
+      pipeline: 'default',
+      pipelineUrl: testEnv.AIRIA_API_URL,
+      isBackupPipeline: false
+    });
+    expect(requestBodies(fetchSpy, RESPONSE_URL)[0].text).toContain('Thanks for your feedback');
+  });
+
+  it('asks for an optional reason when an answer is not helpful', async () => {
+    const [, notHelpful] = await askInDm('Ev-feedback-not-helpful');
+
+    await buttonClick('feedback_not_helpful', notHelpful.value, 'trigger-not-helpful');
+    expect((await testEnv.BOT_STATE.get(`feedback:${notHelpful.value}:U2`, 'json')).rating).toBe('not_helpful');
+
+    const [{ view }] = requestBodies(fetchSpy, 'views.open');
+    await interactive({
+      type: 'view_submission',
+      trigger_id: 'trigger-reason',
+      user: { id: 'U2' },
+      view: {
+        id: 'V1',
+        callback_id: view.callback_id,
+        private_metadata: view.private_metadata,
+        state: { values: { reason_block: { reason: { value: 'It is outdated' } } } }
+      }
+    });
+
+    const rating = await testEnv.BOT_STATE.get(`feedback:${notHelpful.value}:U2`, 'json');
+    expect(rating).toMatchObject({ rating: 'not_helpful', reason: 'It is outdated' });
+  });
+
+  it('regenerates an answer with the same input', async () => {
+    const [, , regenerate] = await askInDm('Ev-feedback-regenerate');
+
+    await buttonClick('regenerate_answer', regenerate.value, 'trigger-regenerate');
+
+    const airiaBodies = requestBodies(fetchSpy, testEnv.AIRIA_API_URL);
+    expect(airiaBodies).toHaveLength(2);
+    expect(airiaBodies[1].userInput).toBe(airiaBodies[0].userInput);
+
+    const updates = requestBodies(fetchSpy, 'chat.update');
+    expect(updates[updates.length - 1].text).toContain('Answer 2');
+    expect(updates[updates.length - 1].text).toContain('Is Backup Pipeline: Yes');
+  });
+});
@@ -0,0 +1,79 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import crypto from 'crypto';
+import worker from '../src';
+
+export const SIGNING_SECRET = 'test-signing-secret';
+
+export const testEnv = {
+  ...env,
+  ENVIRONMENT: 'development',
+  VERBOSE_LOGGING: 'false',
+  AIRIA_API_URL: 'https://example-api.airia.example.com',
+  Airia_API_key: 'test-api-key',
+  Slack_Signing_Secret: SIGNING_SECRET,
+  Slack_Bot_Token: 'test-bot-token',
+  // Keep Airia retries fast in tests
+  AIRIA_RETRY_BASE_MS: '1',
+  // Run jobs in ctx.waitUntil so deliver() can wait for them; jobs.spec.js covers the queue
+  JOBS_QUEUE: undefined,
+  JOBS_DLQ: undefined
+};
+
+// Build a request signed the way Slack signs it, optionally marked as a retry
+export function signedRequest(body, contentType, retryNum) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = 'v0=' + crypto.createHmac('sha256', SIGNING_SECRET).update(`v0:${timestamp}:${body}`).digest('hex');
+  const headers = {
+    'Content-Type': contentType,
+    'X-Slack-Request-Timestamp': timestamp,
+    'X-Slack-Signature': signature
+  };
+  if (retryNum) {
+    headers['X-Slack-Retry-Num'] = String(retryNum);
+    headers['X-Slack-Retry-Reason'] = 'http_timeout';
+  }
+  return new Request('http://example.com/slack', { method: 'POST', headers, body });
+}
+
+// Send a signed request through the worker and wait for its background work
+export async function deliver(body, contentType = 'application/json', retryNum = null, overrides = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(signedRequest(body, contentType, retryNum), { ...testEnv, ...overrides }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+// Collect the JSON bodies sent to a URL containing `fragment`
+export function requestBodies(fetchSpy, fragment) {
+  return fetchSpy.mock.calls
+    .filter(([url]) => String(url).includes(fragment))
+    .map(([, init]) => (init && init.body ? JSON.parse(init.body) : null));
+}
+
+// Submit the summary modal (see summary-modal.js) opened from `metadata` with the given choices
+export function submitSummaryModal(triggerId, { channel = 'C1', user = 'U1', message = null, responseUrl = null } = {}, choices = {}, overrides = {}) {
+  const { scope = message ? 'thread' : 'hours', amount = null, from = null, to = null, style = 'bullets', audience = null, visibility = 'thread' } = choices;
+  const payload = {
+    type: 'view_submission',
+    trigger_id: triggerId,
+    team: { id: 'T1' },
+    user: { id: user },
+    view: {
+      id: `V-${triggerId}`,
+      callback_id: 'summary_options_modal',
+      private_metadata: JSON.stringify({ channel, message, response_url: responseUrl, command: null, shortcut: 'summarize_thread' }),
+      state: {
+        values: {
+          summary_scope: { scope: { type: 'radio_buttons', selected_option: { value: scope } } },
+          summary_amount: { amount: { type: 'number_input', value: amount === null ? null : String(amount) } },
+          summary_from: { from: { type: 'datepicker', selected_date: from } },
+          summary_to: { to: { type: 'datepicker', selected_date: to } },
+          summary_style: { style: { type: 'static_select', selected_option: { value: style } } },
+          summary_audience: { audience: { type: 'plain_text_input', value: audience } },
+          summary_visibility: { visibility: { type: 'radio_buttons', selected_option: { value: visibility } } }
+        }
+      }
+    }
+  };
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded', null, overrides);
+}
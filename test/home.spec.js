@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+import { loadPreferences } from '../src/preferences';
+
+function homeOpened(eventId, overrides = {}) {
+  return deliver(JSON.stringify({
+    type: 'event_callback',
+    event_id: eventId,
+    event: { type: 'app_home_opened', user: 'U1', tab: 'home' }
+  }), 'application/json', null, overrides);
+}
+
+function homeAction(triggerId, action) {
+  const payload = { type: 'block_actions', trigger_id: triggerId, user: { id: 'U1' }, view: { type: 'home' }, actions: [action] };
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded');
+}
+
+function choose(triggerId, actionId, value) {
+  return homeAction(triggerId, { action_id: actionId, type: 'static_select', selected_option: { value } });
+}
+
+function askInDm(eventId, text, overrides = {}) {
+  return deliver(JSON.stringify({
+    type: 'event_callback',
+    event_id: eventId,
+    event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text, ts: '1700000000.000100' }
+  }), 'application/json', null, overrides);
+}
+
+describe('App Home', () => {
+  let fetchSpy;
+
+  // Text of every block in the last published Home tab
+  const publishedHome = () => {
+    const views = requestBodies(fetchSpy, 'views.publish');
+    return views[views.length - 1].view.blocks;
+  };
+  const homeText = () => JSON.stringify(publishedHome());
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Thirty days from delivery.', isBackupPipeline: false }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('shows the user\'s recent questions and usage against their quota', async () => {
+    const quota = { DAILY_QUOTA_PER_USER: '10' };
+    await askInDm('Ev-home-ask-1', 'What is our refund policy?', quota);
+    await homeOpened('Ev-home-open-1', quota);
+
+    const buttons = publishedHome().filter(block => block.accessory && block.accessory.action_id === 'home_ask_again');
+    expect(buttons).toHaveLength(1);
+    expect(buttons[0].text.text).toContain('What is our refund policy?');
+    expect(buttons[0].text.text).toContain('Thirty days from delivery.');
+    expect(homeText()).toContain('1 of 10');
+    expect(homeText()).not.toContain('*Admin*');
+  });
+
+  it('saves preferences and applies them to every answer', async () => {
+    await choose('trigger-pref-language', 'home_pref_language', 'Spanish');
+    await choose('trigger-pref-length', 'home_pref_length', 'short');
+    await choose('trigger-pref-reply', 'home_pref_reply_in', 'dm');
+
+    expect(await loadPreferences(testEnv, 'U1')).toEqual({ replyIn: 'dm', length: 'short', language: 'Spanish', pipeline: null });
+    const menus = publishedHome().filter(block => block.accessory && block.accessory.type === 'static_select');
+    expect(menus.map(block => block.accessory.initial_option.value)).toEqual(['dm', 'short', 'Spanish']);
+
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-home-mention',
+      event: { type: 'app_mention', channel: 'C1', user: 'U1', text: '<@UBOT> What is our refund policy?', ts: '1700000000.000200' }
+    }));
+
+    const [airiaBody] = requestBodies(fetchSpy, testEnv.AIRIA_API_URL);
+    expect(airiaBody.userInput).toContain('(Answer in Spanish. Keep the answer short');
+    expect(requestBodies(fetchSpy, 'chat.postEphemeral')[0]).toMatchObject({ channel: 'C1', user: 'U1', thread_ts: '1700000000.000200' });
+    // The placeholder, edited into the answer, goes to the App DM instead of the thread
+    const [placeholder] = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(placeholder).toMatchObject({ channel: 'U1' });
+    expect(placeholder.thread_ts).toBeUndefined();
+  });
+
+  it('ignores values that are not on the menu', async () => {
+    await choose('trigger-pref-bad', 'home_pref_language', 'Klingon');
+
+    expect((await loadPreferences(testEnv, 'U1')).language).toBe('auto');
+  });
+
+  it('asks a recent question again and answers in the App DM', async () => {
+    await askInDm('Ev-home-ask-2', 'What is our refund policy?');
+    await homeOpened('Ev-home-open-2');
+    const [entry] = publishedHome().filter(block => block.accessory && block.accessory.action_id === 'home_ask_again');
+    fetchSpy.mockClear();
+
+    await homeAction('trigger-ask-again', { action_id: 'home_ask_again', type: 'button', value: entry.accessory.value });
+
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)[0].userInput).toBe('What is our refund policy?');
+    expect(requestBodies(fetchSpy, 'chat.postMessage')[0]).toMatchObject({ channel: 'U1' });
+    expect(requestBodies(fetchSpy, 'chat.update')[0].text).toContain('Thirty days from delivery.');
+    // The Home tab is refreshed with the new answer on top
+    expect(publishedHome().filter(block => block.accessory && block.accessory.action_id === 'home_ask_again')).toHaveLength(2);
+  });
+
+  it('shows bot health and usage to admins only', async () => {
+    await askInDm('Ev-home-ask-3', 'What is our refund policy?');
+    await homeOpened('Ev-home-open-admin', { ADMIN_USERS: 'U9, U1' });
+
+    expect(homeText()).toContain('*Admin*');
+    expect(homeText()).toContain('`default`: :large_green_circle: OK');
+    expect(homeText()).toContain('*1* questions from *1* users today');
+  });
+});
@@ -0,0 +1,90 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver } from './helpers';
+import { getIdempotencyKey, claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } from '../src/idempotency';
+
+describe('Slack retry deduplication', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Answer', isBackupPipeline: false }));
+      }
+      return new Response(JSON.stringify({ ok: true, ts: '1700000000.000100', channel: { id: 'D1' } }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  const airiaCalls = () => fetchSpy.mock.calls.filter(([url]) => String(url).startsWith(testEnv.AIRIA_API_URL)).length;
+
+  it('answers a redelivered DM event only once', async () => {
+    const body = JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-dm-replay',
+      event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'hello', ts: '1700000000.000001' }
+    });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await deliver(body, 'application/json', attempt || null);
+      expect(response.status).toBe(200);
+    }
+
+    expect(airiaCalls()).toBe(1);
+  });
+
+  it('runs a replayed slash command only once', async () => {
+    const body = new URLSearchParams({
+      command: '/ask-airia',
+      text: 'what is up?',
+      trigger_id: 'trigger-slash-replay',
+      response_url: 'https://hooks.slack.com/commands/T1/replay'
+    }).toString();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await deliver(body, 'application/x-www-form-urlencoded');
+    }
+
+    expect(airiaCalls()).toBe(1);
+  });
+
+  it('opens the shortcut modal only once for a replayed trigger_id', async () => {
+    const body = new URLSearchParams({
+      payload: JSON.stringify({ type: 'shortcut', callback_id: 'ask_airia_shortcut', trigger_id: 'trigger-shortcut-replay' })
+    }).toString();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await deliver(body, 'application/x-www-form-urlencoded');
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe('{}');
+    }
+
+    const modalOpens = fetchSpy.mock.calls.filter(([url]) => String(url).includes('views.open')).length;
+    expect(modalOpens).toBe(1);
+  });
+});
+
+describe('Idempotency records', () => {
+  it('derives keys from event_id, trigger_id and response_url', () => {
+    expect(getIdempotencyKey({ type: 'event_callback', event_id: 'Ev1' })).toBe('idempotency:event:Ev1');
+    expect(getIdempotencyKey({ type: 'block_actions', trigger_id: 'T1' })).toBe('idempotency:trigger:T1');
+    expect(getIdempotencyKey({ response_url: 'https://hooks' })).toBe('idempotency:response:https://hooks');
+    expect(getIdempotencyKey({ type: 'url_verification' })).toBeNull();
+  });
+
+  it('rejects claims while in flight and after completion, and allows them after release', async () => {
+    const key = 'idempotency:event:Ev-lifecycle';
+
+    expect((await claimIdempotencyKey(env, key)).acquired).toBe(true);
+    expect(await claimIdempotencyKey(env, key)).toEqual({ acquired: false, status: 'in_flight' });
+
+    await completeIdempotencyKey(env, key);
+    expect(await claimIdempotencyKey(env, key)).toEqual({ acquired: false, status: 'completed' });
+
+    await releaseIdempotencyKey(env, key);
+    expect((await claimIdempotencyKey(env, key)).acquired).toBe(true);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv } from './helpers';
+import { normalizeSlackInput, replaceSlackMarkup } from '../src/input';
+
+describe('Slack input normalization', () => {
+  it('unwraps links, labeled references and entities without API calls', () => {
+    const text = '<@UBOT> compare <https://example.com/a|the doc> and <https://example.com/b> in <#C1|eng> &amp; tell <!subteam^S1|@oncall> &lt;now&gt;';
+
+    expect(replaceSlackMarkup(text, { botUserId: 'UBOT' })).toBe(
+      'compare the doc (https://example.com/a) and https://example.com/b in #eng & tell @oncall <now>'
+    );
+    expect(replaceSlackMarkup('mail <mailto:a@b.com|a@b.com> <!here>')).toBe('mail a@b.com @here');
+  });
+
+  describe('with Slack lookups', () => {
+    let fetchSpy;
+
+    beforeEach(() => {
+      fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+        const target = String(url);
+        if (target.includes('auth.test')) {
+          return new Response(JSON.stringify({ ok: true, user_id: 'UBOT' }));
+        }
+        if (target.includes('users.info')) {
+          return new Response(JSON.stringify({ ok: true, user: { real_name: 'Dana Scully' } }));
+        }
+        if (target.includes('conversations.info')) {
+          return new Response(JSON.stringify({ ok: true, channel: { name: 'incidents' } }));
+        }
+        return new Response(JSON.stringify({ ok: false }));
+      });
+    });
+
+    afterEach(() => {
+      fetchSpy.mockRestore();
+    });
+
+    it('removes the bot mention and resolves user and channel IDs once', async () => {
+      const text = '<@UBOT> what did <@U42> say in <#C9>?';
+
+      expect(await normalizeSlackInput(testEnv, text)).toBe('what did @Dana Scully say in #incidents?');
+      expect(await normalizeSlackInput(testEnv, text)).toBe('what did @Dana Scully say in #incidents?');
+
+      const lookups = fetchSpy.mock.calls.filter(([url]) => /users\.info|conversations\.info/.test(String(url)));
+      expect(lookups).toHaveLength(2);
+    });
+  });
+});
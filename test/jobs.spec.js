@@ -0,0 +1,159 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createExecutionContext, createMessageBatch, getQueueResult } from 'cloudflare:test';
+import { testEnv, deliver, requestBodies } from './helpers';
+import { saveAnswerRecord } from '../src/feedback';
+import worker from '../src';
+
+const QUEUE = 'airia-slackbot-jobs';
+
+function dmEvent(eventId) {
+  return {
+    type: 'event_callback',
+    event_id: eventId,
+    event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'What is our refund policy?', ts: '1700000000.000100' }
+  };
+}
+
+function interactive(payload, overrides) {
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded', null, overrides);
+}
+
+function fakeQueue() {
+  return { send: vi.fn(async () => {}) };
+}
+
+// Deliver a batch to the queue() consumer and return what it acked, plus the retry options it used
+async function consume(job, attempts, env) {
+  const batch = createMessageBatch(QUEUE, [{ id: 'msg-1', timestamp: new Date(), attempts, body: job }]);
+  const retry = vi.spyOn(batch.messages[0], 'retry');
+  const ctx = createExecutionContext();
+  await worker.queue(batch, env, ctx);
+  return { ...(await getQueueResult(batch, ctx)), retries: retry.mock.calls.map(([options]) => options) };
+}
+
+describe('Queued jobs', () => {
+  let fetchSpy;
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('enqueues a typed job instead of answering in the request', async () => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ ok: true })));
+    const JOBS_QUEUE = fakeQueue();
+
+    const response = await deliver(JSON.stringify(dmEvent('Ev-jobs-enqueue')), 'application/json', null, { JOBS_QUEUE });
+
+    expect(response.status).toBe(200);
+    expect(fetchSpy).not.toHaveBeenCalled();
+    const [[job]] = JOBS_QUEUE.send.mock.calls;
+    expect(job).toMatchObject({ type: 'dm', idempotencyKey: 'idempotency:event:Ev-jobs-enqueue' });
+    expect(job.payload.event.text).toBe('What is our refund policy?');
+  });
+
+  it('runs queued jobs in the consumer and acknowledges them', async () => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Refunds take 5 days', isBackupPipeline: false }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+    });
+    const JOBS_QUEUE = fakeQueue();
+    await deliver(JSON.stringify(dmEvent('Ev-jobs-consume')), 'application/json', null, { JOBS_QUEUE });
+
+    const result = await consume(JOBS_QUEUE.send.mock.calls[0][0], 1, { ...testEnv, JOBS_QUEUE });
+
+    expect(result.explicitAcks).toEqual(['msg-1']);
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).toContain('Refunds take 5 days');
+    expect(await testEnv.BOT_STATE.get('idempotency:event:Ev-jobs-consume', 'json')).toMatchObject({ status: 'completed' });
+  });
+
+  it('retries failing jobs with backoff, then dead-letters them and tells the user', async () => {
+    // Slack cannot be reached for posting, so the DM handler cannot even report the error
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).includes('chat.postEphemeral')) {
+        return new Response(JSON.stringify({ ok: true }));
+      }
+      throw new Error('network down');
+    });
+    const JOBS_DLQ = fakeQueue();
+    const env = { ...testEnv, JOBS_DLQ, JOB_RETRY_BASE_SECONDS: '10' };
+    const job = { type: 'dm', payload: dmEvent('Ev-jobs-retry'), idempotencyKey: 'idempotency:event:Ev-jobs-retry', enqueuedAt: Date.now() };
+
+    const first = await consume(job, 1, env);
+    expect(first.retries).toEqual([{ delaySeconds: 10 }]);
+
+    const second = await consume(job, 2, env);
+    expect(second.retries).toEqual([{ delaySeconds: 20 }]);
+    expect(JOBS_DLQ.send).not.toHaveBeenCalled();
+
+    const last = await consume(job, 3, env);
+    expect(last.retries).toEqual([]);
+    expect(last.explicitAcks).toEqual(['msg-1']);
+    expect(JOBS_DLQ.send.mock.calls[0][0]).toMatchObject({ type: 'dm', attempts: 3, error: 'network down' });
+
+    const [notice] = requestBodies(fetchSpy, 'chat.postEphemeral');
+    expect(notice).toMatchObject({ channel: 'D1', user: 'U1' });
+    expect(notice.text).toContain('could not be completed');
+  });
+
+  it('opens modals in the request instead of the queue, before the trigger_id expires', async () => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(JSON.stringify({ ok: true })));
+    const JOBS_QUEUE = fakeQueue();
+    const answerId = await saveAnswerRecord(testEnv, { prompt: 'What is our refund policy?', surface: 'dm', channel: 'D1' });
+    const base = { team: { id: 'T1' }, user: { id: 'U1' }, response_url: 'https://hooks.slack.com/actions/T1/1/jobs' };
+
+    await interactive({ ...base, type: 'shortcut', callback_id: 'ask_airia_shortcut', trigger_id: 'trigger-jobs-shortcut' }, { JOBS_QUEUE });
+    await interactive({
+      ...base,
+      type: 'message_action',
+      callback_id: 'summarize_thread',
+      trigger_id: 'trigger-jobs-summarize',
+      channel: { id: 'C1' },
+      message: { ts: '1700000000.000100' }
+    }, { JOBS_QUEUE });
+    await interactive({
+      ...base,
+      type: 'block_actions',
+      trigger_id: 'trigger-jobs-feedback',
+      channel: { id: 'D1' },
+      actions: [{ action_id: 'feedback_not_helpful', value: answerId }]
+    }, { JOBS_QUEUE });
+
+    expect(JOBS_QUEUE.send).not.toHaveBeenCalled();
+    expect(requestBodies(fetchSpy, 'views.open').map(body => body.trigger_id)).toEqual([
+      'trigger-jobs-shortcut',
+      'trigger-jobs-summarize',
+      'trigger-jobs-feedback'
+    ]);
+  });
+
+  it('tells the user when a slash command fails, by ephemeral message when the response_url fails too', async () => {
+    let responseUrlCalls = 0;
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Twelve days', isBackupPipeline: false }));
+      }
+      if (target.startsWith('https://hooks.slack.com/')) {
+        responseUrlCalls += 1;
+        throw new Error('response_url unreachable');
+      }
+      return new Response(JSON.stringify({ ok: true }));
+    });
+
+    await deliver(new URLSearchParams({
+      command: '/ask-airia',
+      text: 'How many vacation days do I have?',
+      user_id: 'U1',
+      channel_id: 'C1',
+      trigger_id: 'trigger-slash-error',
+      response_url: 'https://hooks.slack.com/commands/T1/slash-error'
+    }).toString(), 'application/x-www-form-urlencoded');
+
+    expect(responseUrlCalls).toBe(2);
+    const [ephemeral] = requestBodies(fetchSpy, 'chat.postEphemeral');
+    expect(ephemeral).toMatchObject({ channel: 'C1', user: 'U1' });
+    expect(ephemeral.text).toBe(':warning: Sorry, something went wrong while answering: response_url unreachable');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+
+function slashCommand(id, { user = 'U1', channel = 'C1' } = {}) {
+  return new URLSearchParams({
+    command: '/ask-airia',
+    text: 'How many vacation days do I have?',
+    user_id: user,
+    channel_id: channel,
+    trigger_id: `trigger-limits-${id}`,
+    response_url: `https://hooks.slack.com/commands/T1/limits-${id}`
+  }).toString();
+}
+
+function ask(id, options, overrides) {
+  return deliver(slashCommand(id, options), 'application/x-www-form-urlencoded', null, overrides);
+}
+
+describe('Rate limits and quotas', () => {
+  let fetchSpy;
+
+  const airiaCalls = () => fetchSpy.mock.calls.filter(([url]) => String(url).startsWith(testEnv.AIRIA_API_URL)).length;
+  const responseTo = (id) => requestBodies(fetchSpy, `limits-${id}`).map(body => body.text).join('\n');
+
+  beforeEach(() => {
+    // 10 seconds into a minute, so the per-minute window resets in 50 seconds
+    vi.useFakeTimers({ now: new Date('2026-03-02T10:00:10Z'), toFake: ['Date'] });
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Twelve days', isBackupPipeline: false }));
+      }
+      return new Response(JSON.stringify({ ok: true }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    vi.useRealTimers();
+  });
+
+  it('limits requests per user per minute and says when to try again', async () => {
+    const overrides = { RATE_LIMIT_PER_MINUTE: '2' };
+
+    await ask('minute-1', {}, overrides);
+    await ask('minute-2', {}, overrides);
+    const limited = await ask('minute-3', {}, overrides);
+
+    expect(limited.status).toBe(200);
+    expect(airiaCalls()).toBe(2);
+    expect(responseTo('minute-3')).toContain('try again in 50 seconds');
+
+    // Another user has their own budget
+    await ask('minute-4', { user: 'U2' }, overrides);
+    expect(airiaCalls()).toBe(3);
+  });
+
+  it('enforces daily quotas per channel, except for exempt users', async () => {
+    const overrides = { DAILY_QUOTA_PER_CHANNEL: '1', RATE_LIMIT_EXEMPT_USERS: 'UADMIN, U9' };
+
+    await ask('channel-1', { user: 'U1' }, overrides);
+    await ask('channel-2', { user: 'U2' }, overrides);
+    expect(airiaCalls()).toBe(1);
+    expect(responseTo('channel-2')).toContain('This channel has used its 1 questions for today');
+    expect(responseTo('channel-2')).toContain('<!date^1772496000^');
+
+    await ask('channel-3', { user: 'UADMIN' }, overrides);
+    expect(airiaCalls()).toBe(2);
+
+    // Quotas reset at midnight UTC
+    vi.setSystemTime(new Date('2026-03-03T00:00:01Z'));
+    await ask('channel-4', { user: 'U2' }, overrides);
+    expect(airiaCalls()).toBe(3);
+  });
+
+  it('enforces daily quotas per user', async () => {
+    const overrides = { DAILY_QUOTA_PER_USER: '1' };
+
+    await ask('user-1', { channel: 'C1' }, overrides);
+    await ask('user-2', { channel: 'C2' }, overrides);
+
+    expect(airiaCalls()).toBe(1);
+    expect(responseTo('user-2')).toContain("You've used your 1 questions for today");
+  });
+
+  it('caps concurrent requests and frees the slot when a request finishes', async () => {
+    const overrides = { MAX_CONCURRENT_REQUESTS: '1' };
+
+    await ask('busy-1', {}, overrides);
+    expect(airiaCalls()).toBe(1);
+    expect((await testEnv.BOT_STATE.list({ prefix: 'inflight:' })).keys).toHaveLength(0);
+
+    // Another request still being answered holds the only slot
+    await testEnv.BOT_STATE.put('inflight:other', '{}');
+    await ask('busy-2', { user: 'U2' }, overrides);
+    expect(airiaCalls()).toBe(1);
+    expect(responseTo('busy-2')).toContain('busy answering other questions');
+  });
+});
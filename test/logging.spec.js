@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver } from './helpers';
+import { createLogger, withLogContext } from '../src/logging';
+
+// The JSON lines written to console.log/warn/error during a test
+function loggedLines(...spies) {
+  return spies
+    .flatMap(spy => spy.mock.calls.map(([line]) => line))
+    .filter(line => typeof line === 'string' && line.startsWith('{'))
+    .map(line => JSON.parse(line));
+}
+
+describe('Structured logger', () => {
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  it('writes JSON lines with level, component, correlation id and fields', async () => {
+    const log = createLogger({ ENVIRONMENT: 'development', VERBOSE_LOGGING: 'false' }, 'DM');
+
+    await withLogContext({ correlationId: 'Ev-logger' }, async () => {
+      log.info('Replied to user DM', { durationMs: 12 });
+      log.debug('Not written without verbose logging');
+      log.error('Error in processDM', { error: new Error('boom') });
+    });
+
+    const [info, error] = loggedLines(logSpy, errorSpy);
+    expect(info).toEqual({ level: 'info', component: 'DM', message: 'Replied to user DM', correlationId: 'Ev-logger', durationMs: 12 });
+    expect(error).toMatchObject({ level: 'error', correlationId: 'Ev-logger', error: { name: 'Error', message: 'boom' } });
+    expect(error.error.stack).toBeDefined();
+    expect(logSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('redacts message content and tokens in production', () => {
+    const token = ['xoxb', '123456789012', '1234567890123', 'AbCdEfGhIjKlMnOpQrStUvWx'].join('-');
+    const log = createLogger({ ENVIRONMENT: 'production' }, 'SLASH');
+
+    log.info(`Calling Slack with ${token}`, {
+      user: 'U1',
+      text: 'My card is 4111 1111 1111 1111',
+      payload: { event: { text: 'secret plans' } },
+      url: `https://example.com/?token=${token}&owner=jane.doe@example.com`
+    });
+    log.error('Failed', { error: new Error(`Bad token ${token}`) });
+
+    const output = JSON.stringify(loggedLines(logSpy, errorSpy));
+    expect(output).not.toContain(token);
+    expect(output).not.toContain('4111');
+    expect(output).not.toContain('secret plans');
+    expect(output).not.toContain('jane.doe@example.com');
+
+    const [info, error] = loggedLines(logSpy, errorSpy);
+    expect(info).toMatchObject({
+      message: 'Calling Slack with [SECRET_1]',
+      user: 'U1',
+      text: '[redacted: 30 chars]',
+      payload: '[redacted]'
+    });
+    expect(error.error).toEqual({ name: 'Error', message: 'Bad token [SECRET_1]' });
+  });
+});
+
+describe('Request correlation', () => {
+  let fetchSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = vi.spyOn(console, 'log');
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Refunds take 5 days', isBackupPipeline: false }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    logSpy.mockRestore();
+  });
+
+  it('tags every line of a DM, including its background job, with the event_id', async () => {
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-correlation-dm',
+      event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'What is our refund policy?', ts: '1700000000.000100' }
+    }), 'application/json', null, { ENVIRONMENT: 'production', VERBOSE_LOGGING: 'false' });
+
+    const lines = loggedLines(logSpy).filter(line => line.component === 'DM');
+    expect(lines.length).toBeGreaterThan(0);
+    expect(lines.every(line => line.correlationId === 'Ev-correlation-dm')).toBe(true);
+    expect(lines.find(line => line.message === 'Replied to user DM').durationMs).toEqual(expect.any(Number));
+    expect(JSON.stringify(loggedLines(logSpy))).not.toContain('refund policy');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+
+describe('@mention handling', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Everyone agrees on option B.', isBackupPipeline: false }));
+      }
+      if (target.includes('conversations.replies')) {
+        return new Response(JSON.stringify({
+          ok: true,
+          messages: [
+            { user: 'U1', text: 'Should we ship option A or B?', ts: '1700000000.000100' },
+            { user: 'U2', text: 'B is safer', ts: '1700000000.000200' },
+            { user: 'U1', text: "<@UBOT> what's the consensus here?", ts: '1700000000.000300' }
+          ]
+        }));
+      }
+      if (target.includes('users.info')) {
+        const userId = new URL(target).searchParams.get('user');
+        return new Response(JSON.stringify({ ok: true, user: { real_name: userId === 'U1' ? 'Alice' : 'Bob' } }));
+      }
+      return new Response(JSON.stringify({ ok: true, ts: '1700000000.000400' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('answers in the thread and sends the thread to Airia as context', async () => {
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-mention-thread',
+      event: {
+        type: 'app_mention',
+        channel: 'C1',
+        user: 'U1',
+        text: "<@UBOT> what's the consensus here?",
+        ts: '1700000000.000300',
+        thread_ts: '1700000000.000100'
+      }
+    }));
+
+    const [airiaBody] = requestBodies(fetchSpy, testEnv.AIRIA_API_URL);
+    expect(airiaBody.userInput).toContain('Alice: Should we ship option A or B?');
+    expect(airiaBody.userInput).toContain('Bob: B is safer');
+
+    const [placeholder] = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(placeholder.channel).toBe('C1');
+    expect(placeholder.thread_ts).toBe('1700000000.000100');
+
+    // The placeholder is edited into the answer instead of posting a second message
+    const [answer] = requestBodies(fetchSpy, 'chat.update');
+    expect(answer.ts).toBe('1700000000.000400');
+    expect(answer.text).toContain('Everyone agrees on option B.');
+    expect(requestBodies(fetchSpy, 'chat.postMessage')).toHaveLength(1);
+    expect(requestBodies(fetchSpy, 'chat.postEphemeral')).toHaveLength(0);
+  });
+
+  it('starts a thread under a top-level mention', async () => {
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-mention-top-level',
+      event: { type: 'app_mention', channel: 'C1', user: 'U1', text: '<@UBOT> hi', ts: '1700000001.000100' }
+    }));
+
+    expect(requestBodies(fetchSpy, 'conversations.replies')).toHaveLength(0);
+    const [reply] = requestBodies(fetchSpy, 'chat.postMessage');
+    expect(reply.thread_ts).toBe('1700000001.000100');
+  });
+});
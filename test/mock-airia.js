@@ -0,0 +1,25 @@
+import { vi } from 'vitest';
+
+// A local stand-in for Airia pipelines: each URL answers from its own queue of
+// responses (the last one repeats), and every request is recorded
+export function mockAiria(routes) {
+  const queues = Object.fromEntries(Object.entries(routes).map(([url, responses]) => [url, [...responses]]));
+  const requests = [];
+
+  const spy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init = {}) => {
+    const target = String(url);
+    const queue = queues[target];
+    if (!queue) {
+      return new Response(JSON.stringify({ ok: true }));
+    }
+
+    requests.push({ url: target, apiKey: init.headers && init.headers['X-API-KEY'], body: init.body ? JSON.parse(init.body) : null });
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    if (next instanceof Error) throw next;
+    if (typeof next === 'function') return next(init);
+    const { status = 200, body = '', headers = {} } = next;
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status, headers });
+  });
+
+  return { spy, requests, restore: () => spy.mockRestore() };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+import { resolvePipeline, getPipeline } from '../src/pipelines';
+
+const HR_URL = 'https://hr.airia.example.com/pipeline';
+const ENG_URL = 'https://eng.airia.example.com/pipeline';
+
+const routedEnv = {
+  ...testEnv,
+  Airia_HR_API_key: 'hr-key',
+  AIRIA_PIPELINES: JSON.stringify({
+    pipelines: {
+      hr: { url: HR_URL, apiKeySecret: 'Airia_HR_API_key' },
+      eng: { url: ENG_URL, apiKeySecret: 'Airia_ENG_API_key' }
+    },
+    routes: {
+      channels: { C_ENG: 'eng' },
+      commands: { '/ask-hr': 'hr' },
+      shortcuts: { ask_airia_shortcut: 'hr' },
+      workflows: { generate_response: 'eng' },
+      keywords: { 'hr:': 'hr', runbook: 'eng' }
+    }
+  })
+};
+
+describe('Pipeline routing', () => {
+  it('falls back to AIRIA_API_URL without a configuration', () => {
+    expect(resolvePipeline(testEnv, { channel: 'C1', text: 'hi' })).toEqual({
+      name: 'default',
+      url: testEnv.AIRIA_API_URL,
+      apiKey: testEnv.Airia_API_key,
+      secondary: null,
+      async: false,
+      statusUrl: null,
+      redaction: null,
+      text: 'hi'
+    });
+  });
+
+  it('routes channels, commands, shortcuts and workflow steps', () => {
+    expect(resolvePipeline(routedEnv, { channel: 'C_ENG' }).url).toBe(ENG_URL);
+    expect(resolvePipeline(routedEnv, { channel: 'C_ENG', command: '/ask-hr' })).toMatchObject({ name: 'hr', apiKey: 'hr-key' });
+    expect(resolvePipeline(routedEnv, { shortcut: 'ask_airia_shortcut' }).name).toBe('hr');
+    expect(resolvePipeline(routedEnv, { workflow: 'generate_response' }).name).toBe('eng');
+    expect(resolvePipeline(routedEnv, { channel: 'C_OTHER' }).name).toBe('default');
+  });
+
+  it('lets a keyword prefix override the channel and strips it from the question', () => {
+    expect(resolvePipeline(routedEnv, { channel: 'C_ENG', text: 'HR: how many vacation days?' })).toMatchObject({
+      name: 'hr',
+      text: 'how many vacation days?'
+    });
+    expect(resolvePipeline(routedEnv, { text: 'runbooks are great' }).name).toBe('default');
+  });
+
+  it('uses the default API key when a pipeline secret is missing', () => {
+    expect(getPipeline(routedEnv, 'eng')).toEqual({ name: 'eng', url: ENG_URL, apiKey: testEnv.Airia_API_key, secondary: null, async: false, statusUrl: null, redaction: null });
+  });
+
+  it('ignores an invalid configuration', () => {
+    expect(resolvePipeline({ ...testEnv, AIRIA_PIPELINES: '{not json' }, { channel: 'C_ENG' }).name).toBe('default');
+  });
+});
+
+describe('Routed slash commands', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => (
+      new Response(JSON.stringify({ ok: true, result: 'Twenty days.', isBackupPipeline: false }))
+    ));
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('accepts commands from the routing config and calls their pipeline', async () => {
+    const body = new URLSearchParams({
+      command: '/ask-hr',
+      text: 'vacation days?',
+      channel_id: 'C1',
+      user_id: 'U1',
+      trigger_id: 'trigger-routed-command',
+      response_url: 'https://hooks.slack.com/commands/T1/routed'
+    }).toString();
+
+    const response = await deliver(body, 'application/x-www-form-urlencoded', null, { Airia_HR_API_key: 'hr-key', AIRIA_PIPELINES: routedEnv.AIRIA_PIPELINES });
+
+    expect(response.status).toBe(200);
+    const airiaCall = fetchSpy.mock.calls.find(([url]) => String(url) === HR_URL);
+    expect(airiaCall[1].headers['X-API-KEY']).toBe('hr-key');
+    expect(requestBodies(fetchSpy, HR_URL)[0].userInput).toBe('vacation days?');
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+import { formatElapsed, startPlaceholder, finishPlaceholder } from '../src/placeholder';
+
+describe('Placeholder messages', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response('upstream failure', { status: 502 });
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+    vi.useRealTimers();
+  });
+
+  it('formats elapsed time', () => {
+    expect(formatElapsed(4200)).toBe('4s');
+    expect(formatElapsed(125000)).toBe('2m 05s');
+  });
+
+  it('shows the elapsed time until the answer replaces it', async () => {
+    vi.useFakeTimers();
+    const placeholder = await startPlaceholder({ ...testEnv, PLACEHOLDER_UPDATE_SECONDS: '5' }, { channel: 'D1' });
+
+    await vi.advanceTimersByTimeAsync(10000);
+    const ticks = requestBodies(fetchSpy, 'chat.update');
+    expect(ticks.map(body => body.text)).toEqual([
+      ':thinking_face: Working on it... (5s)',
+      ':thinking_face: Working on it... (10s)'
+    ]);
+
+    await finishPlaceholder(testEnv, placeholder, { text: 'The answer' });
+    await vi.advanceTimersByTimeAsync(20000);
+
+    const updates = requestBodies(fetchSpy, 'chat.update');
+    expect(updates).toHaveLength(3);
+    expect(updates[2]).toMatchObject({ channel: 'D1', ts: '1700000000.000500', text: 'The answer' });
+  });
+
+  it('replaces the DM placeholder with a clean error when Airia fails', async () => {
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-placeholder-error',
+      event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'hello', ts: '1700000000.000100' }
+    }));
+
+    expect(requestBodies(fetchSpy, 'chat.postMessage')).toHaveLength(1);
+    const [update] = requestBodies(fetchSpy, 'chat.update');
+    expect(update.ts).toBe('1700000000.000500');
+    expect(update.text).toBe(':warning: Sorry, the AI service returned an error (502). Please try again later.');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies, submitSummaryModal } from './helpers';
+import { saveAnswerRecord } from '../src/feedback';
+
+const POLICY = JSON.stringify({
+  default: { guests: false },
+  features: {
+    ask: { channels: { deny: ['CSECRET'] } },
+    summarize: { userGroups: ['SLEADS'] },
+    workflow: { guests: true }
+  },
+  joinChannels: ['CJOIN']
+});
+
+const USERS = {
+  U1: { id: 'U1', team_id: 'T1' },
+  UGUEST: { id: 'UGUEST', team_id: 'T1', is_restricted: true },
+  ULEAD: { id: 'ULEAD', team_id: 'T1' }
+};
+
+function mention(eventId, channel, user = 'U1') {
+  return deliver(JSON.stringify({
+    type: 'event_callback',
+    event_id: eventId,
+    event: { type: 'app_mention', channel, user, text: '<@UBOT> what is the roadmap?', ts: '1700000000.000100' }
+  }), 'application/json', null, { ACCESS_POLICY: POLICY });
+}
+
+function summarize(triggerId, channel, user) {
+  const payload = {
+    type: 'message_action',
+    callback_id: 'summarize_thread',
+    trigger_id: triggerId,
+    response_url: `https://hooks.slack.com/actions/T1/${triggerId}`,
+    team: { id: 'T1' },
+    user: { id: user },
+    channel: { id: channel },
+    message: { ts: '1700000000.000100', text: 'Status update', user: 'U1' }
+  };
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded', null, { ACCESS_POLICY: POLICY });
+}
+
+function regenerate(triggerId, answerId) {
+  const payload = {
+    type: 'block_actions',
+    trigger_id: triggerId,
+    response_url: `https://hooks.slack.com/actions/T1/${triggerId}`,
+    team: { id: 'T1' },
+    user: { id: 'U1' },
+    channel: { id: 'C1' },
+    message: { ts: '1700000000.000500' },
+    actions: [{ action_id: 'regenerate_answer', value: answerId }]
+  };
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded', null, { ACCESS_POLICY: POLICY });
+}
+
+function submitSummary(triggerId, channel, user) {
+  return submitSummaryModal(triggerId, { channel, user, message: { ts: '1700000000.000100', thread_ts: null } }, {}, { ACCESS_POLICY: POLICY });
+}
+
+describe('Access policy', () => {
+  let fetchSpy;
+
+  const airiaCalls = () => fetchSpy.mock.calls.filter(([url]) => String(url).startsWith(testEnv.AIRIA_API_URL)).length;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Here is the roadmap', isBackupPipeline: false }));
+      }
+      if (target.includes('users.info')) {
+        const user = USERS[new URL(target).searchParams.get('user')];
+        return new Response(JSON.stringify(user ? { ok: true, user } : { ok: false, error: 'user_not_found' }));
+      }
+      if (target.includes('usergroups.users.list')) {
+        return new Response(JSON.stringify({ ok: true, users: ['ULEAD'] }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'C1', ts: '1700000000.000500', messages: [] }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('explains instead of answering in a denied channel', async () => {
+    await mention('Ev-policy-denied', 'CSECRET');
+
+    expect(airiaCalls()).toBe(0);
+    const [notice] = requestBodies(fetchSpy, 'chat.postEphemeral');
+    expect(notice).toMatchObject({ channel: 'CSECRET', user: 'U1' });
+    expect(notice.text).toContain('not enabled in this channel');
+
+    await mention('Ev-policy-allowed', 'C1');
+    expect(airiaCalls()).toBe(1);
+  });
+
+  it('blocks guest accounts unless the feature allows them', async () => {
+    await mention('Ev-policy-guest', 'C1', 'UGUEST');
+
+    expect(airiaCalls()).toBe(0);
+    expect(requestBodies(fetchSpy, 'chat.postEphemeral')[0].text).toContain('not available to guest accounts');
+  });
+
+  it('limits summaries to members of the allowed user groups', async () => {
+    await summarize('trigger-policy-summary-1', 'C1', 'U1');
+    expect(requestBodies(fetchSpy, 'trigger-policy-summary-1')[0].text).toContain('limited to members of specific user groups');
+    expect(requestBodies(fetchSpy, 'views.open')).toHaveLength(0);
+
+    await summarize('trigger-policy-summary-2', 'C1', 'ULEAD');
+    expect(requestBodies(fetchSpy, 'views.open')).toHaveLength(1);
+
+    await submitSummary('trigger-policy-summary-3', 'C1', 'ULEAD');
+    expect(requestBodies(fetchSpy, 'chat.postMessage').length).toBeGreaterThan(0);
+  });
+
+  it('joins only the channels the policy approves', async () => {
+    await submitSummary('trigger-policy-join-1', 'C1', 'ULEAD');
+    expect(requestBodies(fetchSpy, 'conversations.join')).toHaveLength(0);
+
+    await submitSummary('trigger-policy-join-2', 'CJOIN', 'ULEAD');
+    expect(requestBodies(fetchSpy, 'conversations.join')).toEqual([{ channel: 'CJOIN' }]);
+  });
+
+  it('checks Regenerate against the feature of the answer it regenerates', async () => {
+    const summaryId = await saveAnswerRecord(testEnv, { prompt: 'Summarize this thread', surface: 'summary', channel: 'C1', user: 'U1' });
+    const answerId = await saveAnswerRecord(testEnv, { prompt: 'What is the roadmap?', surface: 'mention', channel: 'C1', user: 'U1' });
+
+    await regenerate('trigger-policy-regenerate-summary', summaryId);
+    expect(airiaCalls()).toBe(0);
+    expect(requestBodies(fetchSpy, 'trigger-policy-regenerate-summary')[0].text).toContain('limited to members of specific user groups');
+
+    await regenerate('trigger-policy-regenerate-answer', answerId);
+    expect(airiaCalls()).toBe(1);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+import { REDACTION_FIXTURES } from './fixtures/redaction';
+import { getRedactionConfig, redactText, restoreText } from '../src/redaction';
+
+function configFor(detector) {
+  return getRedactionConfig({ REDACTION: JSON.stringify({ detectors: [detector] }) });
+}
+
+describe('Redaction detectors', () => {
+  for (const [detector, { redact, keep }] of Object.entries(REDACTION_FIXTURES)) {
+    it(`masks ${detector} values and keeps look-alikes`, () => {
+      const config = configFor(detector);
+
+      for (const sample of redact) {
+        const { text, mapping } = redactText(`Please check ${sample} today`, config);
+        expect(text, sample).not.toContain(sample);
+        expect(text, sample).toMatch(/^Please check \[[A-Z]+_1\] today$/);
+        expect(Object.values(mapping)).toEqual([sample]);
+      }
+
+      for (const sample of keep) {
+        expect(redactText(`Please check ${sample} today`, config).text).toBe(`Please check ${sample} today`);
+      }
+    });
+  }
+
+  it('masks custom patterns and reuses placeholders for repeated values', () => {
+    const config = getRedactionConfig({
+      REDACTION: JSON.stringify({ custom: [{ name: 'employee id', pattern: 'EMP-\\d{6}', flags: 'i' }] })
+    });
+
+    const { text, counts } = redactText('EMP-123456 and emp-654321 emailed a@example.com twice: a@example.com', config);
+
+    expect(text).toBe('[EMPLOYEE_ID_1] and [EMPLOYEE_ID_2] emailed [EMAIL_1] twice: [EMAIL_1]');
+    expect(counts).toEqual({ EMPLOYEE_ID: 2, EMAIL: 1 });
+  });
+
+  it('restores placeholders only when the mapping is reversible', () => {
+    const reversible = redactText('Mail jane@example.com', getRedactionConfig({}));
+    expect(restoreText('I emailed [EMAIL_1] about [CARD_9]', reversible.mapping)).toBe('I emailed jane@example.com about [CARD_9]');
+
+    const oneWay = redactText('Mail jane@example.com', getRedactionConfig({ REDACTION: '{"reversible":false}' }));
+    expect(oneWay.mapping).toBeNull();
+    expect(restoreText('I emailed [EMAIL_1]', oneWay.mapping)).toBe('I emailed [EMAIL_1]');
+  });
+
+  it('lets a pipeline override the global settings', () => {
+    const env = { REDACTION: '{"detectors":["email"]}' };
+    expect(getRedactionConfig(env).detectors).toEqual(['email']);
+    expect(getRedactionConfig(env, { redaction: { enabled: false } }).enabled).toBe(false);
+  });
+});
+
+describe('Redaction before Airia calls', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      if (String(url).startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'I will reset access for [EMAIL_1].', isBackupPipeline: false }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'D1', ts: '1700000000.000500' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('sends redacted input and restores the answer', async () => {
+    const token = ['xoxb', '123456789012', '1234567890123', 'AbCdEfGhIjKlMnOpQrStUvWx'].join('-');
+    await deliver(JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev-redaction-dm',
+      event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: `Reset jane.doe@example.com, token ${token}`, ts: '1700000000.000100' }
+    }));
+
+    const [{ userInput }] = requestBodies(fetchSpy, testEnv.AIRIA_API_URL);
+    expect(userInput).toContain('Reset [EMAIL_1], token [SECRET_1]');
+    expect(userInput).not.toContain('jane.doe@example.com');
+    expect(userInput).not.toContain(token);
+
+    expect(requestBodies(fetchSpy, 'chat.update').pop().text).toContain('I will reset access for jane.doe@example.com.');
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { markdownToMrkdwn, markdownToBlocks, buildAnswerMessage } from '../src/render';
+
+describe('Markdown rendering', () => {
+  it('converts inline Markdown to mrkdwn', () => {
+    expect(markdownToMrkdwn('**Bold**, *italic*, ~~gone~~ and `a < b`')).toBe('*Bold*, _italic_, ~gone~ and `a &lt; b`');
+    expect(markdownToMrkdwn('See [the docs](https://example.com/?a=1&b=2) & more')).toBe(
+      'See <https://example.com/?a=1&b=2|the docs> &amp; more'
+    );
+  });
+
+  it('converts headings, lists and code fences', () => {
+    const markdown = '# Plan\n\n1. First **step**\n   - detail\n2. Second\n\n```js\nconst x = 1;\n```';
+
+    expect(markdownToMrkdwn(markdown)).toBe('*Plan*\n\n1. First *step*\n    • detail\n2. Second\n\n```\nconst x = 1;\n```');
+  });
+
+  it('renders tables as aligned monospace text', () => {
+    const markdown = '| Name | Count |\n|------|------:|\n| **a** | 1 |\n| bb | 22 |';
+
+    expect(markdownToMrkdwn(markdown)).toBe('```\nName | Count\n-----+------\na    | 1\nbb   | 22\n```');
+  });
+
+  it('builds header, rich_text and section blocks', () => {
+    const blocks = markdownToBlocks('## Summary\n\nAll good.\n\n- one\n- **two**\n\n---\n\n```\nraw\n```');
+
+    expect(blocks.map(block => block.type)).toEqual(['header', 'section', 'rich_text', 'divider', 'rich_text']);
+    expect(blocks[0].text.text).toBe('Summary');
+    expect(blocks[2].elements[0].style).toBe('bullet');
+    expect(blocks[2].elements[0].elements[1].elements[0]).toEqual({ type: 'text', text: 'two', style: { bold: true } });
+    expect(blocks[4].elements[0].type).toBe('rich_text_preformatted');
+  });
+
+  it('builds a complete answer message without bolding the whole answer', () => {
+    const message = buildAnswerMessage({ question: 'why?', result: 'Because **reasons**.', isBackupPipeline: false });
+
+    expect(message.text).toBe('You asked: "why?"\n\nBecause *reasons*.\n\nIs Backup Pipeline: No');
+    expect(message.blocks.map(block => block.type)).toEqual(['context', 'section', 'context']);
+  });
+
+  it('falls back to text only when an answer needs too many blocks', () => {
+    const markdown = Array.from({ length: 60 }, (_, i) => `Paragraph ${i}`).join('\n\n');
+
+    expect(markdownToBlocks(markdown)).toBeNull();
+    expect(buildAnswerMessage({ result: markdown }).blocks).toBeNull();
+  });
+});
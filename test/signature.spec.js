@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import crypto from 'crypto';
+import { testEnv, SIGNING_SECRET } from './helpers';
+import { verifySlackRequest } from '../src/signature';
+import worker from '../src';
+
+const SECONDARY_SECRET = 'previous-signing-secret';
+const BODY = JSON.stringify({ type: 'event_callback', event_id: 'Ev-signature', event: { type: 'app_home_opened', user: 'U1' } });
+
+function sign(secret, timestamp, body) {
+  return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000).toString();
+}
+
+// A request to /slack; headers set to null are left out
+function slackRequest({ body = BODY, timestamp = now(), signature, secret = SIGNING_SECRET, headers = {} } = {}) {
+  const all = {
+    'Content-Type': 'application/json',
+    'X-Slack-Request-Timestamp': timestamp,
+    'X-Slack-Signature': signature !== undefined ? signature : sign(secret, timestamp, body),
+    ...headers
+  };
+  return new Request('http://example.com/slack', {
+    method: 'POST',
+    headers: Object.fromEntries(Object.entries(all).filter(([, value]) => value !== null)),
+    body
+  });
+}
+
+describe('Slack signature verification', () => {
+  const env = { ...testEnv, Slack_Signing_Secret_Secondary: SECONDARY_SECRET };
+
+  it.each([
+    ['signed with the primary secret', {}],
+    ['signed with the secondary secret during rotation', { secret: SECONDARY_SECRET }],
+    ['four minutes old', { timestamp: String(Number(now()) - 240) }]
+  ])('accepts a request %s', async (_, options) => {
+    const result = await verifySlackRequest(slackRequest(options), env);
+
+    expect(result).toEqual({ ok: true, rawBody: BODY, verified: true });
+  });
+
+  it.each([
+    ['signed with an unknown secret', { secret: 'someone-elses-secret' }, 401, 'invalid_signature'],
+    ['with a tampered body', { signature: sign(SIGNING_SECRET, now(), BODY), body: BODY.replace('U1', 'U2') }, 401, 'invalid_signature'],
+    ['whose signature is for another timestamp', { signature: sign(SIGNING_SECRET, String(Number(now()) - 10), BODY) }, 401, 'invalid_signature'],
+    ['without a signature', { signature: null }, 401, 'invalid_signature'],
+    ['with an empty signature', { signature: '' }, 401, 'invalid_signature'],
+    ['with another signature version', { signature: sign(SIGNING_SECRET, now(), BODY).replace('v0=', 'v1=') }, 401, 'invalid_signature'],
+    ['with a truncated signature', { signature: sign(SIGNING_SECRET, now(), BODY).slice(0, -2) }, 401, 'invalid_signature'],
+    ['with an upper-case signature', { signature: sign(SIGNING_SECRET, now(), BODY).toUpperCase() }, 401, 'invalid_signature'],
+    ['without a timestamp', { timestamp: null, signature: sign(SIGNING_SECRET, '', BODY) }, 400, 'invalid_timestamp'],
+    ['with a non-numeric timestamp', { timestamp: 'yesterday' }, 400, 'invalid_timestamp'],
+    ['with a fractional timestamp', { timestamp: `${now()}.5` }, 400, 'invalid_timestamp'],
+    ['with an old timestamp', { timestamp: String(Number(now()) - 600) }, 400, 'stale_timestamp'],
+    ['with a timestamp in the future', { timestamp: String(Number(now()) + 600) }, 400, 'stale_timestamp']
+  ])('rejects a request %s', async (_, options, status, reason) => {
+    const result = await verifySlackRequest(slackRequest(options), env);
+
+    expect(result).toMatchObject({ ok: false, status, reason });
+  });
+
+  it('rejects bodies over the size limit, with or without Content-Length', async () => {
+    const limited = { ...env, SLACK_MAX_BODY_BYTES: '100' };
+    const body = JSON.stringify({ type: 'event_callback', text: 'x'.repeat(200) });
+
+    expect(await verifySlackRequest(slackRequest({ body }), limited)).toMatchObject({ status: 413, reason: 'body_too_large' });
+    expect(await verifySlackRequest(slackRequest({ body, headers: { 'Content-Length': '50' } }), limited))
+      .toMatchObject({ status: 413, reason: 'body_too_large' });
+    expect(await verifySlackRequest(slackRequest(), { ...env, SLACK_MAX_BODY_BYTES: '1000' })).toMatchObject({ ok: true });
+  });
+
+  it('skips verification without a secret outside production only', async () => {
+    const unsigned = { ...testEnv, Slack_Signing_Secret: undefined };
+
+    expect(await verifySlackRequest(slackRequest({ signature: null }), unsigned)).toEqual({ ok: true, rawBody: BODY, verified: false });
+    expect(await verifySlackRequest(slackRequest({ signature: null }), { ...unsigned, ENVIRONMENT: 'production' }))
+      .toMatchObject({ ok: false, status: 401, reason: 'no_secret' });
+  });
+
+  it('answers the url_verification challenge only when it is signed', async () => {
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'challenge-token' });
+    const send = async (request) => {
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, testEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      return response;
+    };
+
+    const forged = await send(slackRequest({ body, signature: null }));
+    expect(forged.status).toBe(401);
+
+    const signed = await send(slackRequest({ body }));
+    expect(signed.status).toBe(200);
+    expect(await signed.json()).toEqual({ challenge: 'challenge-token' });
+  });
+});
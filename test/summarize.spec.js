@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, requestBodies, submitSummaryModal } from './helpers';
+import { splitTranscript } from '../src/summarize';
+
+function summarize(triggerId, message, overrides = {}, choices = {}) {
+  return submitSummaryModal(triggerId, { message: message && { ts: message.ts, thread_ts: message.thread_ts } }, choices, overrides);
+}
+
+// A thread of 30 messages served in pages of 10, like conversations.replies with a cursor
+const THREAD = Array.from({ length: 30 }, (_, i) => ({
+  user: i % 2 ? 'U2' : 'U1',
+  text: `Incident update number ${i + 1} with enough detail to fill the transcript`,
+  ts: `1700000000.${String(100 + i).padStart(6, '0')}`,
+  thread_ts: '1700000000.000100'
+}));
+
+function page(messages, url, pageSize = 10) {
+  const start = parseInt(new URL(url).searchParams.get('cursor') || '0', 10);
+  const next = start + pageSize < messages.length ? String(start + pageSize) : '';
+  return new Response(JSON.stringify({
+    ok: true,
+    messages: messages.slice(start, start + pageSize),
+    response_metadata: { next_cursor: next }
+  }));
+}
+
+describe('splitTranscript', () => {
+  it('keeps lines whole and in order', () => {
+    expect(splitTranscript(['aaaa', 'bbbb', 'cccc'], 9)).toEqual(['aaaa\nbbbb', 'cccc']);
+  });
+
+  it('cuts a line longer than a part', () => {
+    expect(splitTranscript(['short', 'x'.repeat(12)], 5)).toEqual(['short', 'xxxxx', 'xxxxx', 'xx']);
+  });
+});
+
+describe('Long summaries', () => {
+  let fetchSpy;
+  let airiaCall;
+
+  const airiaInputs = () => requestBodies(fetchSpy, testEnv.AIRIA_API_URL).map(body => body.userInput);
+
+  beforeEach(() => {
+    airiaCall = 0;
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        airiaCall += 1;
+        return new Response(JSON.stringify({ result: `Summary ${airiaCall}`, isBackupPipeline: false }));
+      }
+      if (target.includes('conversations.replies')) {
+        return page(THREAD, target);
+      }
+      if (target.includes('conversations.history')) {
+        return page(THREAD.map(({ thread_ts, ...msg }) => msg).reverse(), target);
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'C1', ts: '1700000000.000900' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('reads every page of a thread and sends it whole when it fits', async () => {
+    await summarize('trigger-summary-pages', THREAD[29]);
+
+    const cursors = fetchSpy.mock.calls
+      .filter(([url]) => String(url).includes('conversations.replies'))
+      .map(([url]) => new URL(String(url)).searchParams.get('cursor'));
+    expect(cursors).toEqual([null, '10', '20']);
+    const inputs = airiaInputs();
+    expect(inputs).toHaveLength(1);
+    expect(inputs[0]).toContain('Incident update number 1 ');
+    expect(inputs[0]).toContain('Incident update number 30 ');
+    expect(inputs[0]).not.toContain('(truncated)');
+  });
+
+  it('summarizes a message without a thread with the messages around it', async () => {
+    const channel = THREAD.map(({ thread_ts, ...msg }) => msg);
+    fetchSpy.mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'Summary of the message', isBackupPipeline: false }));
+      }
+      if (target.includes('conversations.history')) {
+        // Newest first, like Slack, limited to the requested range
+        const params = new URL(target).searchParams;
+        const latest = params.get('latest');
+        const oldest = params.get('oldest');
+        const inRange = channel.filter(msg => (!latest || msg.ts < latest || (params.get('inclusive') === 'true' && msg.ts === latest))
+          && (!oldest || msg.ts > oldest));
+        return new Response(JSON.stringify({ ok: true, messages: inRange.reverse().slice(0, Number(params.get('limit'))) }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'C1', ts: '1700000000.000900' }));
+    });
+
+    await summarize('trigger-summary-context', channel[10]);
+
+    expect(fetchSpy.mock.calls.filter(([url]) => String(url).includes('conversations.replies'))).toHaveLength(0);
+    const inputs = airiaInputs();
+    expect(inputs).toHaveLength(1);
+    expect(inputs[0]).toContain('Summarize this message with its surrounding context:');
+    expect(inputs[0]).toContain('Incident update number 8 ');
+    expect(inputs[0]).toContain('Incident update number 11 ');
+    expect(inputs[0]).not.toContain('Incident update number 7 ');
+    const updates = requestBodies(fetchSpy, 'chat.update').map(body => body.text);
+    expect(updates[updates.length - 1]).toContain('Summary of the message');
+  });
+
+  it('summarizes a long thread in parts, shows progress and combines the parts', async () => {
+    // About 95 characters per line with its timestamp: 10 messages per 240-token part
+    await summarize('trigger-summary-map-reduce', THREAD[29], { SUMMARY_CHUNK_TOKENS: '240' });
+
+    const inputs = airiaInputs();
+    expect(inputs).toHaveLength(4);
+    expect(inputs[0]).toContain('This is part 1 of 3');
+    expect(inputs[0]).toContain('Incident update number 1 ');
+    expect(inputs[2]).toContain('Incident update number 30 ');
+    expect(inputs[3]).toMatch(/^Summarize this conversation thread:/);
+    expect(inputs[3]).toContain('--- Part 1 of 3 ---\nSummary 1');
+    expect(inputs[3]).toContain('--- Part 3 of 3 ---\nSummary 3');
+
+    const updates = requestBodies(fetchSpy, 'chat.update').map(body => body.text);
+    expect(updates.some(text => text.startsWith(':hourglass_flowing_sand: Summarizing part 2 of 3'))).toBe(true);
+    expect(updates[updates.length - 1]).toContain('Summary 4');
+  });
+
+  it('summarizes the whole time range of a channel, oldest first', async () => {
+    await summarize('trigger-summary-recent', null, {}, { scope: 'hours', amount: 48 });
+
+    const history = fetchSpy.mock.calls.filter(([url]) => String(url).includes('conversations.history'));
+    expect(history).toHaveLength(3);
+    const oldest = parseFloat(new URL(String(history[0][0])).searchParams.get('oldest'));
+    expect(Date.now() / 1000 - oldest).toBeCloseTo(48 * 60 * 60, -1);
+
+    const [input] = airiaInputs();
+    expect(input).toMatch(/^Summarize these messages from a conversation/);
+    expect(input.indexOf('number 1 ')).toBeLessThan(input.indexOf('number 30 '));
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies, submitSummaryModal } from './helpers';
+import { getSummaryRange } from '../src/summary-modal';
+
+const HISTORY = [
+  { user: 'U2', text: 'The rollback worked', ts: '1700000300.000100' },
+  { user: 'U3', text: 'Rolling back now', ts: '1700000200.000100' },
+  { user: 'U1', text: 'Heading out for lunch', ts: '1700000100.000100' },
+  { user: 'U2', text: 'Deploy is starting', ts: '1700000000.000100' }
+];
+
+const NAMES = { U1: 'Alice', U2: 'Bob', U3: 'Carol' };
+
+function summarizeAction(triggerId, message) {
+  const payload = {
+    type: 'message_action',
+    callback_id: 'summarize_thread',
+    trigger_id: triggerId,
+    response_url: `https://hooks.slack.com/actions/T1/${triggerId}`,
+    team: { id: 'T1' },
+    user: { id: 'U1' },
+    channel: { id: 'C1' },
+    message
+  };
+  return deliver(`payload=${encodeURIComponent(JSON.stringify(payload))}`, 'application/x-www-form-urlencoded');
+}
+
+function summarizeCommand(triggerId) {
+  return deliver(new URLSearchParams({
+    command: '/airia-summarize',
+    text: '',
+    user_id: 'U1',
+    channel_id: 'C1',
+    team_id: 'T1',
+    trigger_id: triggerId,
+    response_url: `https://hooks.slack.com/commands/T1/${triggerId}`
+  }).toString(), 'application/x-www-form-urlencoded');
+}
+
+describe('Summary modal', () => {
+  let fetchSpy;
+
+  const openedView = () => requestBodies(fetchSpy, 'views.open')[0].view;
+  const optionValues = (view, blockId) => view.blocks.find(block => block.block_id === blockId).element.options.map(item => item.value);
+  const airiaInputs = () => requestBodies(fetchSpy, testEnv.AIRIA_API_URL).map(body => body.userInput);
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL)) {
+        return new Response(JSON.stringify({ result: 'The deploy was rolled back.', isBackupPipeline: false }));
+      }
+      if (target.includes('conversations.history')) {
+        return new Response(JSON.stringify({ ok: true, messages: HISTORY }));
+      }
+      if (target.includes('users.info')) {
+        const user = new URL(target).searchParams.get('user');
+        return new Response(JSON.stringify({ ok: true, user: { id: user, real_name: NAMES[user], tz_offset: -7 * 60 * 60 } }));
+      }
+      return new Response(JSON.stringify({ ok: true, channel: 'C1', ts: '1700000000.000900' }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('opens from the message action, offering the thread first', async () => {
+    await summarizeAction('trigger-modal-action', { ts: '1700000000.000200', thread_ts: '1700000000.000100', text: 'Status update' });
+
+    const view = openedView();
+    expect(view.callback_id).toBe('summary_options_modal');
+    expect(optionValues(view, 'summary_scope')).toEqual(['thread', 'hours', 'days', 'since_last', 'range']);
+    expect(optionValues(view, 'summary_style')).toEqual(['tldr', 'bullets', 'decisions', 'executive', 'action_items']);
+    expect(optionValues(view, 'summary_visibility')).toEqual(['ephemeral', 'thread', 'dm']);
+    expect(JSON.parse(view.private_metadata)).toMatchObject({
+      channel: 'C1',
+      message: { ts: '1700000000.000200', thread_ts: '1700000000.000100' },
+      response_url: 'https://hooks.slack.com/actions/T1/trigger-modal-action'
+    });
+    // Nothing is summarized until the modal is submitted
+    expect(airiaInputs()).toHaveLength(0);
+  });
+
+  it('opens from /airia-summarize without the thread scope', async () => {
+    const response = await summarizeCommand('trigger-modal-command');
+
+    expect(response.status).toBe(200);
+    const view = openedView();
+    expect(optionValues(view, 'summary_scope')).toEqual(['hours', 'days', 'since_last', 'range']);
+    expect(JSON.parse(view.private_metadata)).toMatchObject({ channel: 'C1', message: null, command: '/airia-summarize' });
+  });
+
+  it('keeps the modal open with an error for an invalid choice', async () => {
+    const response = await submitSummaryModal('trigger-modal-invalid', {}, { scope: 'range', from: '2026-10-05', to: '2026-10-01' });
+
+    expect(await response.json()).toEqual({
+      response_action: 'errors',
+      errors: { summary_to: 'The last day must not be before the first day.' }
+    });
+    expect(airiaInputs()).toHaveLength(0);
+  });
+
+  it('sends the style and audience with the transcript', async () => {
+    await submitSummaryModal('trigger-modal-style', {}, { scope: 'days', amount: 2, style: 'decisions', audience: 'the support team' });
+
+    const [input] = airiaInputs();
+    expect(input).toMatch(/^Summarize these messages from a conversation: \[2023-11-14 22:13 UTC\] Bob: Deploy is starting\n/);
+    expect(input).toContain('(List only the decisions that were made and the action items, with their owners where known. Write it for this audience: the support team.)');
+    const [answer] = requestBodies(fetchSpy, 'chat.update');
+    expect(JSON.stringify(answer.blocks)).toContain('Conversation Summary: last 2 days');
+  });
+
+  it('summarizes what was said since the requester\'s last message', async () => {
+    await submitSummaryModal('trigger-modal-since', {}, { scope: 'since_last' });
+
+    const [input] = airiaInputs();
+    expect(input).toContain('Carol: Rolling back now\n[2023-11-14 22:18 UTC] Bob: The rollback worked');
+    expect(input).not.toContain('Deploy is starting');
+    expect(input).not.toContain('Heading out for lunch');
+  });
+
+  it('shows an ephemeral summary only to the requester', async () => {
+    const responseUrl = 'https://hooks.slack.com/actions/T1/trigger-modal-ephemeral';
+    await submitSummaryModal('trigger-modal-ephemeral', { responseUrl }, { scope: 'hours', amount: 6, visibility: 'ephemeral' });
+
+    expect(requestBodies(fetchSpy, 'chat.postMessage')).toHaveLength(0);
+    expect(requestBodies(fetchSpy, 'chat.postEphemeral')[0]).toMatchObject({ channel: 'C1', user: 'U1' });
+    expect(JSON.stringify(requestBodies(fetchSpy, responseUrl))).toContain('The deploy was rolled back.');
+  });
+
+  it('reads a date range as the requester\'s local days', () => {
+    const range = getSummaryRange({ scope: 'range', from: '2026-10-01', to: '2026-10-02' }, { tzOffsetSeconds: -7 * 60 * 60 });
+
+    expect(range).toEqual({
+      oldest: String(Date.parse('2026-10-01T07:00:00Z') / 1000) + '.000000',
+      latest: String(Date.parse('2026-10-03T07:00:00Z') / 1000) + '.000000'
+    });
+  });
+});
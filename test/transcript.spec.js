@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv } from './helpers';
+import { buildTranscript, formatTranscriptLine, messageText } from '../src/transcript';
+
+const NAMES = { users: { U1: 'Alice', U2: 'Bob' }, channels: { C9: 'incidents' }, usergroups: {} };
+
+describe('Transcript lines', () => {
+  it('reads Block Kit alerts that have no text of their own and marks the bot', () => {
+    const alert = {
+      bot_id: 'B1',
+      bot_profile: { name: 'PagerDuty' },
+      text: '',
+      ts: '1700000000.000100',
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: 'Triggered: API error rate above 5%' } },
+        { type: 'section', fields: [{ type: 'mrkdwn', text: '*Service:* checkout' }, { type: 'mrkdwn', text: '*Urgency:* high' }] },
+        { type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: 'Acknowledge' } }] }
+      ],
+      reactions: [{ name: 'eyes', count: 2 }]
+    };
+
+    expect(formatTranscriptLine(alert, NAMES)).toBe(
+      '[2023-11-14 22:13 UTC] PagerDuty (bot): Triggered: API error rate above 5%\n*Service:* checkout\n*Urgency:* high [reactions: :eyes: 2]'
+    );
+  });
+
+  it('adds attachments and files, and marks edits', () => {
+    const msg = {
+      user: 'U1',
+      text: 'See <@U2> in <#C9>',
+      ts: '1700000000.000200',
+      edited: { user: 'U1', ts: '1700000100.000000' },
+      attachments: [{ title: 'Datadog monitor', title_link: 'https://app.datadoghq.com/monitors/1', text: 'p99 latency 2.3s', fields: [{ title: 'Host', value: 'web-3' }] }],
+      files: [{ name: 'error.log', pretty_type: 'Plain Text', preview: 'TimeoutError: upstream' }]
+    };
+
+    expect(formatTranscriptLine(msg, NAMES)).toBe(
+      '[2023-11-14 22:13 UTC] Alice: See @Bob in #incidents\nDatadog monitor (https://app.datadoghq.com/monitors/1)\np99 latency 2.3s\nHost: web-3\n' +
+      '[file: error.log (Plain Text)]\nTimeoutError: upstream (edited)'
+    );
+  });
+
+  it('keeps the text of what people type rather than repeating its rich text', () => {
+    const msg = {
+      user: 'U1',
+      text: 'Deploying now',
+      ts: '1700000000.000300',
+      blocks: [{ type: 'rich_text', elements: [{ type: 'rich_text_section', elements: [{ type: 'text', text: 'Deploying now' }] }] }]
+    };
+
+    expect(messageText(msg)).toBe('Deploying now');
+  });
+
+  it('names IDs next to names and starts with the ts when asked to', () => {
+    const msg = { user: 'U1', text: '<@U2> owns the rollback', ts: '1700000000.000400' };
+
+    expect(formatTranscriptLine(msg, NAMES, { ids: true })).toBe('[1700000000.000400] Alice (U1): @Bob (U2) owns the rollback');
+  });
+});
+
+describe('buildTranscript', () => {
+  let fetchSpy;
+
+  beforeEach(() => {
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.includes('users.info')) {
+        const user = new URL(target).searchParams.get('user');
+        return new Response(JSON.stringify({ ok: true, user: { id: user, real_name: user === 'UT1' ? 'Tess' : 'Uma' } }));
+      }
+      if (target.includes('conversations.info')) {
+        return new Response(JSON.stringify({ ok: true, channel: { id: 'CT1', name: 'ops-war-room' } }));
+      }
+      if (target.includes('usergroups.list')) {
+        return new Response(JSON.stringify({ ok: true, usergroups: [{ id: 'ST1', handle: 'oncall' }] }));
+      }
+      return new Response(JSON.stringify({ ok: true }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('resolves user, channel and user group mentions, also inside blocks', async () => {
+    const messages = [{
+      user: 'UT1',
+      text: 'Paging',
+      ts: '1700000000.000500',
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: 'Paging <!subteam^ST1> and <@UT2> in <#CT1>' } }]
+    }];
+
+    const { lines } = await buildTranscript(testEnv, messages);
+
+    expect(lines).toEqual(['[2023-11-14 22:13 UTC] Tess: Paging @oncall and @Uma in #ops-war-room']);
+  });
+});
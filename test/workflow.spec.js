@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { testEnv, deliver, requestBodies } from './helpers';
+
+const PIPELINES_ENV = {
+  AIRIA_PIPELINES: JSON.stringify({
+    pipelines: { ops: { url: 'https://ops-pipeline.example.com', apiKeySecret: 'Airia_OPS_API_key' } }
+  }),
+  Airia_OPS_API_key: 'ops-key'
+};
+
+function functionExecuted(eventId, inputs, overrides = {}, callbackId = 'generate_response') {
+  return deliver(JSON.stringify({
+    type: 'event_callback',
+    event_id: eventId,
+    event: {
+      type: 'function_executed',
+      function: { id: 'Fn1', callback_id: callbackId, title: 'Generate AI response' },
+      inputs,
+      function_execution_id: `Fx-${eventId}`,
+      workflow_execution_id: 'Wx1',
+      bot_access_token: 'xwfp-execution-token',
+      event_ts: '1700000000.000100'
+    }
+  }), 'application/json', null, overrides);
+}
+
+describe('Workflow Builder custom step', () => {
+  let fetchSpy;
+  let airiaResponse;
+
+  const slackCall = (method) => fetchSpy.mock.calls.filter(([url]) => String(url).includes(method));
+
+  beforeEach(() => {
+    airiaResponse = () => new Response(JSON.stringify({ result: 'All systems nominal.', isBackupPipeline: true }));
+    fetchSpy = vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const target = String(url);
+      if (target.startsWith(testEnv.AIRIA_API_URL) || target.startsWith('https://ops-pipeline.example.com')) {
+        return airiaResponse();
+      }
+      if (target.includes('conversations.history')) {
+        return new Response(JSON.stringify({
+          ok: true,
+          messages: [
+            { user: 'U2', text: 'Deploy finished', ts: '1700000000.000300' },
+            { user: 'U1', text: 'Starting deploy', ts: '1700000000.000200' }
+          ]
+        }));
+      }
+      if (target.includes('users.info')) {
+        const user = new URL(target).searchParams.get('user');
+        return new Response(JSON.stringify({ ok: true, user: { id: user, real_name: user === 'U1' ? 'Alice' : 'Bob' } }));
+      }
+      return new Response(JSON.stringify({ ok: true }));
+    });
+  });
+
+  afterEach(() => {
+    fetchSpy.mockRestore();
+  });
+
+  it('returns the answer and backup flag as outputs, using the execution token', async () => {
+    const response = await functionExecuted('Ev-function-success', { prompt: 'Summarize the status page' });
+
+    expect(response.status).toBe(200);
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)[0].userInput).toBe('Summarize the status page');
+    const [[, complete]] = slackCall('functions.completeSuccess');
+    expect(complete.headers.Authorization).toBe('Bearer xwfp-execution-token');
+    expect(JSON.parse(complete.body)).toEqual({
+      function_execution_id: 'Fx-Ev-function-success',
+      outputs: { response: 'All systems nominal.', is_backup_pipeline: true }
+    });
+  });
+
+  it('sends the prompt to the pipeline named in its input', async () => {
+    await functionExecuted('Ev-function-pipeline', { prompt: 'Check the queue', pipeline: 'ops' }, PIPELINES_ENV);
+
+    expect(requestBodies(fetchSpy, 'https://ops-pipeline.example.com')).toHaveLength(1);
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)).toHaveLength(0);
+    expect(slackCall('functions.completeSuccess')).toHaveLength(1);
+  });
+
+  it('fails the step for an unknown pipeline without calling Airia', async () => {
+    await functionExecuted('Ev-function-unknown', { prompt: 'Check the queue', pipeline: 'opps' }, PIPELINES_ENV);
+
+    expect(fetchSpy.mock.calls.filter(([url]) => String(url).includes('pipeline.example.com'))).toHaveLength(0);
+    expect(requestBodies(fetchSpy, 'functions.completeError')[0]).toEqual({
+      function_execution_id: 'Fx-Ev-function-unknown',
+      error: 'Error: Unknown pipeline "opps"'
+    });
+  });
+
+  it('sends the latest messages of the context channel along with the prompt', async () => {
+    await functionExecuted('Ev-function-context', { prompt: 'What happened?', context_channel: 'C1' });
+
+    expect(String(slackCall('conversations.history')[0][0])).toContain('channel=C1');
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)[0].userInput).toBe(
+      'Recent channel messages:\nAlice: Starting deploy\nBob: Deploy finished\n\nCurrent question: What happened?'
+    );
+  });
+
+  it('reports Airia failures with completeError', async () => {
+    airiaResponse = () => new Response('Bad request', { status: 400 });
+
+    await functionExecuted('Ev-function-error', { prompt: 'Summarize the status page' });
+
+    expect(slackCall('functions.completeSuccess')).toHaveLength(0);
+    expect(requestBodies(fetchSpy, 'functions.completeError')[0].error).toContain('returned an error (400)');
+  });
+
+  it('ignores functions it does not provide', async () => {
+    const response = await functionExecuted('Ev-function-other', { prompt: 'Hi' }, {}, 'some_other_step');
+
+    expect(response.status).toBe(200);
+    expect(requestBodies(fetchSpy, testEnv.AIRIA_API_URL)).toHaveLength(0);
+  });
+});